@@ -0,0 +1,290 @@
+import { createHash } from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Default time-to-live per CKAN action, in seconds.
+ * Actions not listed here are not cached (TTL 0).
+ */
+export const DEFAULT_TTLS = {
+  license_list: 24 * 60 * 60,
+  vocabulary_list: 24 * 60 * 60,
+  vocabulary_show: 24 * 60 * 60,
+  organization_list: 60 * 60,
+  group_list: 60 * 60,
+  tag_list: 60 * 60,
+  organization_show: 15 * 60,
+  group_show: 15 * 60,
+  help_show: 24 * 60 * 60,
+  status_show: 5 * 60,
+  // Not a CKAN action: results of checkLink() for resource URLs
+  link_check: 60 * 60,
+};
+
+/**
+ * Parse a TTL override string like "license_list=3600,package_show=60".
+ * @param {string|undefined} spec
+ * @returns {Record<string, number>}
+ */
+export function parseTtlOverrides(spec) {
+  const out = {};
+  if (!spec) return out;
+  for (const part of spec.split(',')) {
+    const [action, seconds] = part.split('=').map((s) => s?.trim());
+    const n = Number(seconds);
+    if (action && seconds !== '' && Number.isFinite(n) && n >= 0) out[action] = n;
+  }
+  return out;
+}
+
+/**
+ * Recursively sort object keys and drop undefined/null values so that
+ * semantically equal params produce the same cache key.
+ * @param {any} value
+ * @returns {any}
+ */
+function normalize(value) {
+  if (Array.isArray(value)) return value.map(normalize);
+  if (value && typeof value === 'object') {
+    return Object.keys(value)
+      .sort()
+      .filter((k) => value[k] !== undefined && value[k] !== null)
+      .reduce((acc, k) => {
+        acc[k] = normalize(value[k]);
+        return acc;
+      }, {});
+  }
+  return value;
+}
+
+/**
+ * Build a cache key from an action name and its params.
+ * @param {string} action
+ * @param {Record<string, any>} [params]
+ * @returns {string} e.g. 'organization_list:{"limit":10}'
+ */
+export function cacheKey(action, params = {}) {
+  return `${action}:${JSON.stringify(normalize(params))}`;
+}
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {any} value Parsed CKAN response
+ * @property {number} expires Epoch ms after which the entry must be revalidated
+ * @property {string} [etag] ETag returned by CKAN
+ * @property {string} [lastModified] Last-Modified returned by CKAN
+ */
+
+/**
+ * @typedef {Object} CacheStore
+ * @property {(key: string) => Promise<CacheEntry|undefined>} get
+ * @property {(key: string, entry: CacheEntry) => Promise<void>} set
+ * @property {(predicate: (key: string) => boolean) => Promise<number>} deleteWhere
+ * @property {() => Promise<number>} size
+ */
+
+/**
+ * In-memory LRU store bounded by entry count.
+ * A Map keeps insertion order, so re-inserting on read moves a key to the most-recent end.
+ * @param {{ maxEntries?: number }} [options]
+ * @returns {CacheStore}
+ */
+export function createMemoryStore({ maxEntries = 500 } = {}) {
+  const map = new Map();
+  return {
+    async get(key) {
+      const entry = map.get(key);
+      if (entry === undefined) return undefined;
+      map.delete(key);
+      map.set(key, entry);
+      return entry;
+    },
+    async set(key, entry) {
+      map.delete(key);
+      map.set(key, entry);
+      while (map.size > maxEntries) {
+        map.delete(map.keys().next().value);
+      }
+    },
+    async deleteWhere(predicate) {
+      let removed = 0;
+      for (const key of [...map.keys()]) {
+        if (predicate(key)) {
+          map.delete(key);
+          removed += 1;
+        }
+      }
+      return removed;
+    },
+    async size() {
+      return map.size;
+    },
+  };
+}
+
+/**
+ * On-disk store: one JSON file per key, named by the key's SHA-256.
+ * The oldest files are pruned once more than `maxEntries` are stored.
+ * @param {{ dir: string, maxEntries?: number }} options
+ * @returns {CacheStore}
+ */
+export function createDiskStore({ dir, maxEntries = 5000 }) {
+  const fileFor = (key) => path.join(dir, `${createHash('sha256').update(key).digest('hex')}.json`);
+
+  async function listFiles() {
+    try {
+      return (await fs.readdir(dir)).filter((f) => f.endsWith('.json'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+  }
+
+  async function prune() {
+    const files = await listFiles();
+    if (files.length <= maxEntries) return;
+    const stats = await Promise.all(
+      files.map(async (f) => ({ f, mtime: (await fs.stat(path.join(dir, f))).mtimeMs }))
+    );
+    stats.sort((a, b) => a.mtime - b.mtime);
+    await Promise.all(
+      stats.slice(0, files.length - maxEntries).map(({ f }) => fs.rm(path.join(dir, f), { force: true }))
+    );
+  }
+
+  return {
+    async get(key) {
+      try {
+        const stored = JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+        // Guard against (unlikely) hash collisions
+        return stored.key === key ? stored.entry : undefined;
+      } catch {
+        return undefined;
+      }
+    },
+    async set(key, entry) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(fileFor(key), JSON.stringify({ key, entry }));
+      await prune();
+    },
+    async deleteWhere(predicate) {
+      let removed = 0;
+      for (const f of await listFiles()) {
+        const file = path.join(dir, f);
+        try {
+          const { key } = JSON.parse(await fs.readFile(file, 'utf8'));
+          if (predicate(key)) {
+            await fs.rm(file, { force: true });
+            removed += 1;
+          }
+        } catch {
+          // unreadable entries are left to prune()
+        }
+      }
+      return removed;
+    },
+    async size() {
+      return (await listFiles()).length;
+    },
+  };
+}
+
+/**
+ * Response cache with per-action TTLs over one or more stores (checked in order).
+ * A hit in a later store is promoted to the earlier ones.
+ * @param {{ stores: CacheStore[], ttls?: Record<string, number>, now?: () => number }} options
+ */
+export function createResponseCache({ stores, ttls = DEFAULT_TTLS, now = Date.now }) {
+  const counters = { hits: 0, misses: 0, stale: 0, revalidated: 0, writes: 0 };
+
+  return {
+    /**
+     * TTL in seconds configured for an action (0 = not cached).
+     * @param {string} action
+     * @returns {number}
+     */
+    ttlFor(action) {
+      return ttls[action] ?? 0;
+    },
+
+    /**
+     * Look up an entry. Returns it with `fresh: false` when expired so the
+     * caller can revalidate with ETag/Last-Modified.
+     * @param {string} key
+     * @returns {Promise<(CacheEntry & { fresh: boolean })|undefined>}
+     */
+    async lookup(key) {
+      for (let i = 0; i < stores.length; i += 1) {
+        const entry = await stores[i].get(key);
+        if (!entry) continue;
+        await Promise.all(stores.slice(0, i).map((s) => s.set(key, entry)));
+        const fresh = entry.expires > now();
+        if (fresh) counters.hits += 1;
+        else counters.stale += 1;
+        return { ...entry, fresh };
+      }
+      counters.misses += 1;
+      return undefined;
+    },
+
+    /**
+     * Store a response for an action.
+     * @param {string} key
+     * @param {string} action
+     * @param {any} value
+     * @param {{ etag?: string, lastModified?: string }} [validators]
+     */
+    async store(key, action, value, validators = {}) {
+      const entry = {
+        value,
+        expires: now() + this.ttlFor(action) * 1000,
+        etag: validators.etag || undefined,
+        lastModified: validators.lastModified || undefined,
+      };
+      counters.writes += 1;
+      await Promise.all(stores.map((s) => s.set(key, entry)));
+    },
+
+    /**
+     * Extend a stale entry after CKAN answered 304 Not Modified.
+     * @param {string} key
+     * @param {string} action
+     * @param {CacheEntry} entry
+     */
+    async refresh(key, action, entry) {
+      counters.revalidated += 1;
+      const { value, etag, lastModified } = entry;
+      await Promise.all(
+        stores.map((s) =>
+          s.set(key, { value, etag, lastModified, expires: now() + this.ttlFor(action) * 1000 })
+        )
+      );
+    },
+
+    /**
+     * Remove entries, optionally only those of one action.
+     * @param {string} [action]
+     * @returns {Promise<number>} Number of entries removed from the first store
+     */
+    async clear(action) {
+      const predicate = action ? (key) => key.startsWith(`${action}:`) : () => true;
+      const removed = await Promise.all(stores.map((s) => s.deleteWhere(predicate)));
+      return removed[0] ?? 0;
+    },
+
+    /**
+     * Hit/miss counters and store sizes.
+     * @returns {Promise<object>}
+     */
+    async stats() {
+      const sizes = await Promise.all(stores.map((s) => s.size()));
+      const lookups = counters.hits + counters.misses + counters.stale;
+      return {
+        ...counters,
+        hitRate: lookups ? counters.hits / lookups : 0,
+        entries: sizes,
+        ttls: { ...ttls },
+      };
+    },
+  };
+}
@@ -1,32 +1,157 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { createHash } from 'node:crypto';
+import { createWriteStream } from 'node:fs';
+import { Readable, Transform } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
 import ky from 'ky';
 import { CONFIG } from '../config.js';
 import { logger } from '../utils/logger.js';
+import { normalizeFq, normalizeQ } from '../utils/solr.js';
+import { validateSql } from '../utils/sql.js';
+import {
+  DEFAULT_TTLS,
+  cacheKey,
+  createDiskStore,
+  createMemoryStore,
+  createResponseCache,
+  parseTtlOverrides,
+} from './cache.js';
+import { createCircuitBreaker, withRetry } from './resilience.js';
+import { createResourceStore, parseChecksum, resourceKey } from './resource-cache.js';
 
 /**
- * Build a ky client with sensible defaults.
- */
-const http = ky.create({
-  prefixUrl: CONFIG.BASE_URL.replace(/\/+$/, ''), // no trailing slash
-  timeout: CONFIG.TIMEOUT_MS,
-  headers: {
-    'user-agent': CONFIG.USER_AGENT,
-    accept: 'application/json',
-    'content-type': 'application/json',
-  },
-  hooks: {
-    beforeRequest: [
-      (req) => {
-        logger.debug({ url: req.url, method: req.method }, 'CKAN request');
-      },
-    ],
-    afterResponse: [
-      async (req, _options, res) => {
-        logger.debug({ url: req.url, status: res.status }, 'CKAN response');
-      },
-    ],
-  },
+ * Portal selected for the current call chain. Tool calls run inside withPortal(),
+ * so every client function below targets that portal without an extra parameter.
+ * @type {AsyncLocalStorage<string>}
+ */
+const portalContext = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with all CKAN calls inside it directed to the named portal.
+ * @template T
+ * @param {string|undefined} portal - Portal name from CONFIG.PORTALS (default portal when omitted)
+ * @param {() => T} fn
+ * @returns {T}
+ * @throws {Error} If the portal is unknown
+ */
+export function withPortal(portal, fn) {
+  const name = portal || CONFIG.DEFAULT_PORTAL;
+  resolvePortal(name);
+  return portalContext.run(name, fn);
+}
+
+/**
+ * Look up a portal profile by name.
+ * @param {string} name
+ * @returns {{ name: string, title: string, baseUrl: string, host: string }}
+ * @throws {Error} If the portal is unknown
+ */
+function resolvePortal(name) {
+  const profile = CONFIG.PORTALS[name];
+  if (!profile) {
+    throw new Error(
+      `Unknown portal "${name}" (configured: ${Object.keys(CONFIG.PORTALS).join(', ')})`
+    );
+  }
+  return { name, ...profile, host: new URL(profile.baseUrl).host };
+}
+
+/**
+ * Portal profile for the current call chain.
+ * @returns {{ name: string, title: string, baseUrl: string, host: string }}
+ */
+function currentPortal() {
+  return resolvePortal(portalContext.getStore() || CONFIG.DEFAULT_PORTAL);
+}
+
+/**
+ * Public site of the portal for the current call chain: the API base URL
+ * without its /api/3/action suffix, used to mint dataset and resource IRIs.
+ * @returns {{ name: string, title: string, url: string }}
+ */
+export function portalSite() {
+  const { name, title, baseUrl } = currentPortal();
+  return { name, title, url: baseUrl.replace(/\/+$/, '').replace(/\/api(\/\d+)?(\/action)?$/, '') };
+}
+
+/** @type {Map<string, import('ky').KyInstance>} */
+const httpClients = new Map();
+
+/**
+ * Build (once per portal) a ky client with sensible defaults.
+ * @param {{ name: string, baseUrl: string }} portal
+ * @returns {import('ky').KyInstance}
+ */
+function httpFor(portal) {
+  if (!httpClients.has(portal.name)) {
+    httpClients.set(
+      portal.name,
+      ky.create({
+        prefixUrl: portal.baseUrl.replace(/\/+$/, ''), // no trailing slash
+        timeout: CONFIG.TIMEOUT_MS,
+        // Retries are handled by callAction() so they share one deadline and the circuit breaker
+        retry: 0,
+        headers: {
+          'user-agent': CONFIG.USER_AGENT,
+          accept: 'application/json',
+          'content-type': 'application/json',
+        },
+        hooks: {
+          beforeRequest: [
+            (req) => {
+              logger.debug({ url: req.url, method: req.method }, 'CKAN request');
+            },
+          ],
+          afterResponse: [
+            async (req, _options, res) => {
+              logger.debug({ url: req.url, status: res.status }, 'CKAN response');
+            },
+          ],
+        },
+      })
+    );
+  }
+  return httpClients.get(portal.name);
+}
+
+/**
+ * Response cache for slow-changing GET actions (see ./cache.js for TTL defaults).
+ * Null when disabled via CACHE_ENABLED=false.
+ */
+const cache = CONFIG.CACHE_ENABLED
+  ? createResponseCache({
+      stores: [
+        createMemoryStore({ maxEntries: CONFIG.CACHE_MAX_ENTRIES }),
+        ...(CONFIG.CACHE_DIR
+          ? [createDiskStore({ dir: CONFIG.CACHE_DIR, maxEntries: CONFIG.CACHE_MAX_ENTRIES * 10 })]
+          : []),
+      ],
+      ttls: { ...DEFAULT_TTLS, ...parseTtlOverrides(CONFIG.CACHE_TTLS) },
+    })
+  : null;
+
+/**
+ * Local cache of downloaded resource files (see ./resource-cache.js).
+ */
+const resourceStore = createResourceStore({
+  dir: CONFIG.RESOURCE_CACHE_DIR,
+  maxBytes: CONFIG.RESOURCE_CACHE_MAX_BYTES,
 });
 
+/**
+ * Circuit breaker keyed by CKAN host; fails fast while a portal is down.
+ */
+const breaker = createCircuitBreaker({
+  failureThreshold: CONFIG.CIRCUIT_FAILURE_THRESHOLD,
+  cooldownMs: CONFIG.CIRCUIT_COOLDOWN_MS,
+});
+
+/**
+ * POST actions that only read data and are therefore safe to retry.
+ * All GET actions are treated as idempotent.
+ */
+const IDEMPOTENT_POST_ACTIONS = new Set(['datastore_search', 'datastore_search_sql']);
+
 /**
  * Encode a value for CKAN query params:
  * - Arrays: JSON-encoded (e.g., ["tags","keywords"]) as expected by CKAN for facet.field
@@ -89,19 +214,86 @@ async function mapError(e, actionName) {
   return new Error(`[CKAN ${actionName}] ${e.message || String(e)}`);
 }
 
+/**
+ * Run a CKAN request through the circuit breaker, retrying transient failures
+ * (timeouts, network errors, 408/425/429/5xx) for idempotent actions with jittered
+ * exponential backoff. Retry-After is honoured, and retries stop once the per-call
+ * deadline (RETRY_DEADLINE_MS) would be exceeded.
+ * @template T
+ * @param {string} actionName
+ * @param {boolean} idempotent
+ * @param {(timeout: number) => Promise<T>} request - Performs one attempt with the given timeout
+ * @returns {Promise<T>}
+ */
+async function callAction(actionName, idempotent, request) {
+  const { host } = currentPortal();
+  breaker.before(host);
+  const perRequestTimeout =
+    actionName === 'recently_changed_packages_activity_list'
+      ? CONFIG.TIMEOUT_MS * 2
+      : CONFIG.TIMEOUT_MS;
+  try {
+    const res = await withRetry(
+      (remainingMs) => request(Math.max(1, Math.min(perRequestTimeout, remainingMs))),
+      {
+        retries: idempotent ? CONFIG.RETRY_LIMIT : 0,
+        baseMs: CONFIG.RETRY_BASE_MS,
+        maxMs: CONFIG.RETRY_MAX_MS,
+        deadlineMs: CONFIG.RETRY_DEADLINE_MS,
+        onRetry: ({ attempt, delayMs, error }) =>
+          logger.warn(
+            { action: actionName, attempt, delayMs, status: error.response?.status, err: error.message },
+            'CKAN request failed, retrying'
+          ),
+      }
+    );
+    breaker.success(host);
+    return res;
+  } catch (e) {
+    breaker.failure(host, e);
+    throw e;
+  }
+}
+
 /**
  * GET wrapper for CKAN /action endpoints with query params.
+ * Actions with a cache TTL are served from the response cache while fresh;
+ * stale entries are revalidated with If-None-Match/If-Modified-Since when
+ * CKAN supplied an ETag or Last-Modified header.
  */
 async function getAction(path, params, actionName) {
+  const portal = currentPortal();
+  const ttl = cache ? cache.ttlFor(actionName) : 0;
+  const key = ttl > 0 ? cacheKey(actionName, { ...params, _portal: portal.name }) : undefined;
+  const cached = key ? await cache.lookup(key) : undefined;
+  if (cached?.fresh) {
+    logger.debug({ action: actionName }, 'CKAN cache hit');
+    return cached.value;
+  }
+
+  const headers = {};
+  if (cached?.etag) headers['if-none-match'] = cached.etag;
+  if (cached?.lastModified) headers['if-modified-since'] = cached.lastModified;
+
   try {
     const searchParams = buildSearchParams(params);
-    const perRequestTimeout =
-      actionName === 'recently_changed_packages_activity_list'
-        ? CONFIG.TIMEOUT_MS * 2
-        : CONFIG.TIMEOUT_MS;
-    const res = await http.get(path, { searchParams, timeout: perRequestTimeout }).json();
+    const { res, response } = await callAction(actionName, true, async (timeout) => {
+      const response = await httpFor(portal).get(path, { searchParams, timeout, headers });
+      return { res: await response.json(), response };
+    });
+    if (key) {
+      await cache.store(key, actionName, res, {
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified'),
+      });
+    }
     return res;
   } catch (e) {
+    if (cached && e.response?.status === 304) {
+      logger.debug({ action: actionName }, 'CKAN cache revalidated');
+      await cache.refresh(key, actionName, cached);
+      return cached.value;
+    }
     throw await mapError(e, actionName);
   }
 }
@@ -110,13 +302,11 @@ async function getAction(path, params, actionName) {
  * POST wrapper for CKAN /action endpoints with JSON body.
  */
 async function postAction(path, json, actionName) {
+  const portal = currentPortal();
   try {
-    const perRequestTimeout =
-      actionName === 'recently_changed_packages_activity_list'
-        ? CONFIG.TIMEOUT_MS * 2
-        : CONFIG.TIMEOUT_MS;
-    const res = await http.post(path, { json, timeout: perRequestTimeout }).json();
-    return res;
+    return await callAction(actionName, IDEMPOTENT_POST_ACTIONS.has(actionName), (timeout) =>
+      httpFor(portal).post(path, { json, timeout }).json()
+    );
   } catch (e) {
     throw await mapError(e, actionName);
   }
@@ -137,23 +327,6 @@ export async function packageSearch(args = {}) {
       ? Math.min(Math.max(0, args.rows), CONFIG.MAX_ROWS)
       : CONFIG.DEFAULT_ROWS;
 
-  // Normalize fq for common Solr pitfalls, e.g. hyphens misinterpreted as minus
-  // Wrap unquoted organization slug values: organization:bundesamt-fur-statistik-bfs -> organization:"bundesamt-fur-statistik-bfs"
-  function normalizeFq(fq) {
-    if (typeof fq !== 'string') return fq;
-    // Quote unquoted organization slugs
-    const quoted = fq.replace(/(\borganization:)([^"\s][^\s]*)/g, (_m, p1, p2) => `${p1}"${p2}"`);
-    // Expand organization filter to include publisher field as fallback on instances that index it
-    return quoted.replace(/\borganization:"([^"]+)"/g, (_m, val) => `(organization:"${val}" OR publisher:"${val}")`);
-  }
-
-  // Normalize q: CKAN/Solr match-all is *:*, not bare *
-  function normalizeQ(q) {
-    if (q === undefined || q === null || q === '') return '*:*';
-    if (q === '*') return '*:*';
-    return q;
-  }
-
   // CKAN expects facet.field as JSON array string if provided
   const params = {
     q: normalizeQ(args.q),
@@ -559,13 +732,15 @@ export async function datastoreSearch(args) {
 
 /**
  * Execute SQL query against datastore (CKAN datastore_search_sql).
- * SQL must be read-only; DDL/DML verbs are blocked.
+ * The query is validated by {@link validateSql}: one read-only statement over
+ * resource tables, no denied functions, LIMIT clamped to MAX_ROWS.
  * @param {{sql: string}|string} argsOrSql
  * @returns {Promise<any>}
- * @throws {Error} If SQL disabled via config or forbidden verb detected
+ * @throws {Error} If SQL is disabled via config
+ * @throws {import('../utils/sql.js').SqlValidationError} If the query breaks a validation rule
  */
 export async function datastoreSearchSql(argsOrSql) {
-  const sql =
+  const raw =
     argsOrSql && typeof argsOrSql === 'object' ? argsOrSql.sql : argsOrSql;
 
   if (!CONFIG.ENABLE_SQL) {
@@ -573,40 +748,350 @@ export async function datastoreSearchSql(argsOrSql) {
       '[CKAN datastore_search_sql] Disabled by server configuration (ENABLE_SQL=false)'
     );
   }
-  // Basic guardrail: deny obvious DDL/DML
-  const forbidden = /\b(drop|delete|update|insert|alter|create|grant|revoke)\b/i;
-  if (forbidden.test(sql)) {
-    throw new Error('[CKAN datastore_search_sql] Forbidden SQL verb detected');
-  }
+  const { sql } = validateSql(String(raw ?? ''), { maxRows: CONFIG.MAX_ROWS });
   return postAction('datastore_search_sql', { sql }, 'datastore_search_sql');
 }
 
 /**
- * Small helper to fetch arbitrary resource URLs (non-CKAN /action).
- * Returns an object with contentType and base64 data.
+ * Circuit breaker state per CKAN host (closed, open or half-open).
+ * @returns {Record<string, { state: string, failures: number, retryInMs?: number, lastError?: string }>}
  */
+export function circuitState() {
+  const state = breaker.state();
+  const { host } = resolvePortal(CONFIG.DEFAULT_PORTAL);
+  return { [host]: { state: 'closed', failures: 0 }, ...state };
+}
+
 /**
- * Fetch arbitrary resource (non-CKAN /action), returning base64 data and contentType.
+ * Portals
+ */
+/**
+ * List configured portals.
+ * @returns {Array<{ name: string, title: string, baseUrl: string, default: boolean }>}
+ */
+export function portalList() {
+  return Object.entries(CONFIG.PORTALS).map(([name, { title, baseUrl }]) => ({
+    name,
+    title,
+    baseUrl,
+    default: name === CONFIG.DEFAULT_PORTAL,
+  }));
+}
+
+/**
+ * Federated dataset search: run packageSearch on several portals in parallel and
+ * merge the results. Relevance scores are not comparable across portals, so
+ * results are interleaved by rank; each result is tagged with its source portal.
+ * A failing portal does not fail the whole search but is reported in `errors`.
+ * @param {Parameters<typeof packageSearch>[0]} args - packageSearch arguments (rows/start apply per portal)
+ * @param {string[]} portals - Portal names
+ * @returns {Promise<{ success: boolean, result: { count: number, counts: Record<string, number>, results: any[], errors: Record<string, string> } }>}
+ * @throws {Error} If every portal failed, with the error of each
+ */
+export async function packageSearchFederated(args, portals) {
+  const names = [...new Set(portals)];
+  names.forEach(resolvePortal);
+  const settled = await Promise.allSettled(
+    names.map((name) => withPortal(name, () => packageSearch(args)))
+  );
+
+  const counts = {};
+  const errors = {};
+  const lists = [];
+  settled.forEach((outcome, i) => {
+    const name = names[i];
+    if (outcome.status === 'rejected') {
+      errors[name] = String(outcome.reason?.message || outcome.reason);
+      return;
+    }
+    const result = outcome.value?.result || {};
+    counts[name] = result.count ?? 0;
+    const { title } = CONFIG.PORTALS[name];
+    lists.push((result.results || []).map((ds) => ({ ...ds, source_portal: { name, title } })));
+  });
+
+  if (!lists.length) {
+    const details = Object.entries(errors).map(([name, message]) => `${name}: ${message}`);
+    throw new Error(`[CKAN package_search] All portals failed (${details.join('; ')})`);
+  }
+
+  const results = [];
+  for (let rank = 0; lists.some((l) => rank < l.length); rank += 1) {
+    lists.forEach((l) => rank < l.length && results.push(l[rank]));
+  }
+  return {
+    success: true,
+    result: {
+      count: Object.values(counts).reduce((a, b) => a + b, 0),
+      counts,
+      results,
+      errors,
+    },
+  };
+}
+
+/**
+ * Response cache
+ */
+/**
+ * Response cache statistics (hits, misses, revalidations, entries per store, TTLs)
+ * plus the size of the resource download cache.
+ * @returns {Promise<object>}
+ */
+export async function cacheStats() {
+  const downloads = await resourceStore.stats();
+  if (!cache) return { enabled: false, downloads };
+  return { enabled: true, ...(await cache.stats()), downloads };
+}
+
+/**
+ * Clear cached responses, optionally only for one CKAN action.
+ * @param {string} [action] - e.g. "organization_list"
+ * @returns {Promise<{ removed: number }>}
+ */
+export async function cacheClear(action) {
+  if (!cache) return { removed: 0 };
+  return { removed: await cache.clear(action) };
+}
+
+/**
+ * Fetch the first `maxBytes` of an arbitrary resource URL (non-CKAN /action).
+ * The body is streamed and the download stops once the limit is reached.
  * @param {string} url
- * @param {number} [maxBytes=5*1024*1024] - Max allowed size (bytes)
- * @returns {Promise<{ contentType: string, base64: string }>}
+ * @param {number} maxBytes - Max bytes to read
+ * @returns {Promise<{ contentType: string, bytes: Buffer, truncated: boolean, totalBytes?: number }>}
+ *   `truncated` is true when the resource is larger than `maxBytes`; `totalBytes` comes from Content-Length when sent
  */
-export async function fetchResource(url, maxBytes = 5 * 1024 * 1024) {
+export async function fetchResourceBytes(url, maxBytes) {
   try {
     const res = await ky.get(url, {
       timeout: CONFIG.TIMEOUT_MS,
       headers: { 'user-agent': CONFIG.USER_AGENT },
     });
     const contentType = res.headers.get('content-type') || 'application/octet-stream';
-    const ab = await res.arrayBuffer();
-    if (ab.byteLength > maxBytes) {
-      throw new Error(
-        `Resource exceeds maximum allowed size (${ab.byteLength} > ${maxBytes})`
-      );
+    const length = Number(res.headers.get('content-length'));
+    const totalBytes = Number.isFinite(length) && length > 0 ? length : undefined;
+    const chunks = [];
+    let size = 0;
+    let truncated = false;
+    const reader = res.body.getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      size += value.byteLength;
+      if (size > maxBytes) {
+        truncated = true;
+        await reader.cancel();
+        break;
+      }
     }
-    const base64 = Buffer.from(ab).toString('base64');
-    return { contentType, base64 };
+    const bytes = Buffer.concat(chunks).subarray(0, maxBytes);
+    return { contentType, bytes, truncated, totalBytes };
   } catch (e) {
     throw await mapError(e, 'fetch_resource');
   }
 }
+
+/**
+ * Fetch arbitrary resource (non-CKAN /action), returning base64 data and contentType.
+ * @param {string} url
+ * @param {number} [maxBytes=5*1024*1024] - Max allowed size (bytes)
+ * @returns {Promise<{ contentType: string, base64: string }>}
+ */
+export async function fetchResource(url, maxBytes = 5 * 1024 * 1024) {
+  const { contentType, bytes, truncated, totalBytes } = await fetchResourceBytes(url, maxBytes);
+  if (truncated) throw tooLarge(maxBytes, totalBytes);
+  return { contentType, base64: bytes.toString('base64') };
+}
+
+/**
+ * Redirects followed by checkLink() before giving up.
+ */
+const MAX_REDIRECTS = 10;
+
+/**
+ * @typedef {Object} LinkCheck
+ * @property {string} url Checked URL
+ * @property {boolean} ok Final response is 2xx
+ * @property {number|null} status Final HTTP status (null when no response arrived)
+ * @property {'HEAD'|'GET'} method Method of the final request
+ * @property {Array<{ url: string, status: number }>} redirects Redirect chain, in order
+ * @property {string} final_url URL of the final response
+ * @property {string} [content_type] Content-Type of the final response
+ * @property {number} [content_length] Size from Content-Range or Content-Length
+ * @property {number} latency_ms Time for the whole check
+ * @property {string} checked_at ISO timestamp of the check
+ * @property {string} [error] Network error or timeout
+ * @property {boolean} cached Served from the response cache
+ */
+
+/**
+ * Request a URL without following redirects automatically, recording the chain.
+ * GET requests ask for the first byte only and discard the body.
+ * @param {string} url
+ * @param {'head'|'get'} method
+ * @returns {Promise<{ res: Response, redirects: Array<{ url: string, status: number }>, finalUrl: string }>}
+ * @throws {Error} On network errors, timeouts or too many redirects
+ */
+async function followRedirects(url, method) {
+  const redirects = [];
+  let current = url;
+  for (;;) {
+    const res = await ky(current, {
+      method,
+      redirect: 'manual',
+      throwHttpErrors: false,
+      retry: 0,
+      timeout: CONFIG.LINK_CHECK_TIMEOUT_MS,
+      headers: { 'user-agent': CONFIG.USER_AGENT, ...(method === 'get' ? { range: 'bytes=0-0' } : {}) },
+    });
+    await res.body?.cancel();
+    const location = res.headers.get('location');
+    if (res.status < 300 || res.status >= 400 || !location) return { res, redirects, finalUrl: current };
+    if (redirects.length === MAX_REDIRECTS) throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+    redirects.push({ url: current, status: res.status });
+    current = new URL(location, current).href;
+  }
+}
+
+/**
+ * Check that a resource URL is reachable: HEAD, falling back to a ranged GET
+ * when HEAD fails (many servers reject or mishandle HEAD). Results are kept in
+ * the response cache under the "link_check" TTL.
+ * @param {string} url
+ * @param {{ force?: boolean }} [options] - `force` ignores a cached result
+ * @returns {Promise<LinkCheck>}
+ */
+export async function checkLink(url, { force = false } = {}) {
+  const key = cache && cache.ttlFor('link_check') > 0 ? cacheKey('link_check', { url }) : undefined;
+  if (key && !force) {
+    const hit = await cache.lookup(key);
+    if (hit?.fresh) return { ...hit.value, cached: true };
+  }
+
+  const started = Date.now();
+  let method = 'HEAD';
+  let check;
+  try {
+    let probe;
+    try {
+      probe = await followRedirects(url, 'head');
+    } catch {
+      probe = undefined;
+    }
+    if (!probe || probe.res.status >= 400) {
+      method = 'GET';
+      probe = await followRedirects(url, 'get');
+    }
+    const { res, redirects, finalUrl } = probe;
+    // 206 answers carry the full size after the slash of Content-Range
+    const size = Number(res.headers.get('content-range')?.split('/')[1] ?? res.headers.get('content-length'));
+    check = {
+      url,
+      ok: res.ok,
+      status: res.status,
+      method,
+      redirects,
+      final_url: finalUrl,
+      content_type: res.headers.get('content-type') || undefined,
+      content_length: Number.isFinite(size) && size > 0 ? size : undefined,
+    };
+  } catch (e) {
+    check = { url, ok: false, status: null, method, redirects: [], final_url: url, error: e.message || String(e) };
+  }
+  check = { ...check, latency_ms: Date.now() - started, checked_at: new Date(started).toISOString() };
+  logger.debug({ url, status: check.status }, 'Link checked');
+  if (key) await cache.store(key, 'link_check', check);
+  return { ...check, cached: false };
+}
+
+/**
+ * Error for a download that exceeds its size limit.
+ * @param {number} maxBytes
+ * @param {number} [totalBytes]
+ * @returns {Error}
+ */
+function tooLarge(maxBytes, totalBytes) {
+  const size = totalBytes ? `${totalBytes} > ${maxBytes}` : `more than ${maxBytes} bytes`;
+  return new Error(`Resource exceeds maximum allowed size (${size})`);
+}
+
+/**
+ * Download a resource file into the local resource cache, or return the cached copy.
+ * The body is streamed to disk and the download is aborted as soon as it exceeds
+ * `maxBytes` (immediately when Content-Length announces more). When the resource
+ * carries a CKAN `hash`, the file is verified against it before it is cached.
+ * @param {{ id?: string, url: string, hash?: string, last_modified?: string, metadata_modified?: string }} resource
+ * @param {{ maxBytes: number, force?: boolean, verify?: boolean }} options
+ *   `force` downloads again even when cached; `verify: false` skips the checksum comparison
+ * @returns {Promise<import('./resource-cache.js').CachedFile & { cached: boolean }>}
+ * @throws {Error} If the download fails, is too large or does not match the CKAN hash
+ */
+export async function downloadResourceFile(resource, { maxBytes, force = false, verify = true }) {
+  const key = resourceKey(resource);
+  if (!force) {
+    const hit = await resourceStore.get(key);
+    if (hit) return { ...hit, cached: true };
+  }
+
+  const expected = parseChecksum(resource.hash);
+  const file = await resourceStore.tempFile();
+  try {
+    let res;
+    try {
+      res = await ky.get(resource.url, {
+        timeout: CONFIG.TIMEOUT_MS,
+        headers: { 'user-agent': CONFIG.USER_AGENT },
+      });
+    } catch (e) {
+      throw await mapError(e, 'fetch_resource');
+    }
+    const length = Number(res.headers.get('content-length'));
+    if (Number.isFinite(length) && length > maxBytes) {
+      await res.body?.cancel();
+      throw tooLarge(maxBytes, length);
+    }
+
+    const sha256 = createHash('sha256');
+    const check = expected && expected.algorithm !== 'sha256' ? createHash(expected.algorithm) : undefined;
+    let size = 0;
+    const meter = new Transform({
+      transform(chunk, _encoding, callback) {
+        size += chunk.length;
+        if (size > maxBytes) {
+          callback(tooLarge(maxBytes));
+          return;
+        }
+        sha256.update(chunk);
+        check?.update(chunk);
+        callback(null, chunk);
+      },
+    });
+    await pipeline(Readable.fromWeb(res.body), meter, createWriteStream(file));
+
+    const digest = sha256.digest('hex');
+    let checksum;
+    if (expected) {
+      const actual = check ? check.digest('hex') : digest;
+      if (verify && actual !== expected.digest) {
+        throw new Error(
+          `Checksum mismatch for ${resource.url}: expected ${expected.algorithm} ${expected.digest}, got ${actual}`
+        );
+      }
+      checksum = { algorithm: expected.algorithm, expected: expected.digest, verified: actual === expected.digest };
+    }
+    const entry = await resourceStore.put(key, file, {
+      sha256: digest,
+      size,
+      url: resource.url,
+      content_type: res.headers.get('content-type') || 'application/octet-stream',
+      downloaded_at: new Date().toISOString(),
+      ...(checksum ? { checksum } : {}),
+    });
+    return { ...entry, cached: false };
+  } catch (e) {
+    await resourceStore.discard(file);
+    throw e;
+  }
+}
@@ -0,0 +1,172 @@
+/**
+ * Retry and circuit-breaker helpers for CKAN calls.
+ */
+
+/** HTTP statuses worth retrying: timeouts, rate limiting and transient gateway/server errors. */
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+/**
+ * Error thrown when the circuit for a host is open.
+ */
+export class CircuitOpenError extends Error {
+  /**
+   * @param {string} host
+   * @param {number} retryInMs
+   */
+  constructor(host, retryInMs) {
+    super(
+      `Circuit open for ${host}: the portal failed repeatedly, failing fast for another ${Math.ceil(retryInMs / 1000)}s`
+    );
+    this.name = 'CircuitOpenError';
+    this.host = host;
+    this.retryInMs = retryInMs;
+  }
+}
+
+/**
+ * Whether an error from ky/fetch is transient and the call may be retried.
+ * @param {any} e
+ * @returns {boolean}
+ */
+export function isRetryableError(e) {
+  if (e?.response) return RETRYABLE_STATUSES.has(e.response.status);
+  // ky TimeoutError, or fetch network failures (TypeError: fetch failed)
+  return e?.name === 'TimeoutError' || e?.name === 'TypeError' || e?.name === 'AbortError';
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP-date) into milliseconds.
+ * @param {string|null|undefined} value
+ * @param {number} [now]
+ * @returns {number|undefined}
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - now);
+}
+
+/**
+ * Full-jitter exponential backoff: random delay in [0, min(maxMs, baseMs * 2^attempt)].
+ * @param {number} attempt - Zero-based retry number
+ * @param {{ baseMs: number, maxMs: number, random?: () => number }} options
+ * @returns {number}
+ */
+export function backoffDelay(attempt, { baseMs, maxMs, random = Math.random }) {
+  return Math.floor(random() * Math.min(maxMs, baseMs * 2 ** attempt));
+}
+
+const defaultSleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Run `fn` with retries for transient failures.
+ * `fn` receives the time left until the deadline so it can bound its own timeout.
+ * Stops when retries are exhausted, the error is not retryable, or the next wait
+ * (including a server-supplied Retry-After) would pass the deadline.
+ * @template T
+ * @param {(remainingMs: number, attempt: number) => Promise<T>} fn
+ * @param {{
+ *   retries: number, baseMs: number, maxMs: number, deadlineMs: number,
+ *   onRetry?: (info: { attempt: number, delayMs: number, error: any }) => void,
+ *   sleep?: (ms: number) => Promise<void>, now?: () => number, random?: () => number
+ * }} options
+ * @returns {Promise<T>}
+ */
+export async function withRetry(fn, options) {
+  const { retries, baseMs, maxMs, deadlineMs, onRetry, sleep = defaultSleep, now = Date.now, random } =
+    options;
+  const deadline = now() + deadlineMs;
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await fn(deadline - now(), attempt);
+    } catch (e) {
+      if (attempt >= retries || !isRetryableError(e)) throw e;
+      const retryAfter = parseRetryAfter(e.response?.headers?.get?.('retry-after'), now());
+      const delayMs = retryAfter ?? backoffDelay(attempt, { baseMs, maxMs, random });
+      if (now() + delayMs >= deadline) throw e;
+      onRetry?.({ attempt: attempt + 1, delayMs, error: e });
+      await sleep(delayMs);
+    }
+  }
+}
+
+/**
+ * Per-host circuit breaker.
+ * - closed: calls pass; consecutive transient failures are counted
+ * - open: after `failureThreshold` failures, calls fail fast for `cooldownMs`
+ * - half-open: after the cooldown one probe call is let through; success closes, failure re-opens
+ * @param {{ failureThreshold: number, cooldownMs: number, now?: () => number }} options
+ */
+export function createCircuitBreaker({ failureThreshold, cooldownMs, now = Date.now }) {
+  /** @type {Map<string, { state: 'closed'|'open'|'half-open', failures: number, openedAt?: number, lastError?: string }>} */
+  const hosts = new Map();
+
+  const entryFor = (host) => {
+    if (!hosts.has(host)) hosts.set(host, { state: 'closed', failures: 0 });
+    return hosts.get(host);
+  };
+
+  return {
+    /**
+     * Throw CircuitOpenError when the host's circuit is open; otherwise allow the call.
+     * @param {string} host
+     */
+    before(host) {
+      const entry = entryFor(host);
+      if (entry.state === 'closed') return;
+      const elapsed = now() - entry.openedAt;
+      if (entry.state === 'open' && elapsed >= cooldownMs) {
+        entry.state = 'half-open';
+        return;
+      }
+      // open within cooldown, or a half-open probe is already in flight
+      throw new CircuitOpenError(host, Math.max(0, cooldownMs - elapsed));
+    },
+
+    /** @param {string} host */
+    success(host) {
+      hosts.set(host, { state: 'closed', failures: 0 });
+    },
+
+    /**
+     * Record a failed call. Only transient failures count towards opening the circuit;
+     * any other error (e.g. a 404) proves the host is answering and closes it.
+     * @param {string} host
+     * @param {any} error
+     */
+    failure(host, error) {
+      if (!isRetryableError(error)) {
+        this.success(host);
+        return;
+      }
+      const entry = entryFor(host);
+      entry.failures += 1;
+      entry.lastError = error?.response ? `HTTP ${error.response.status}` : String(error?.message || error);
+      if (entry.state === 'half-open' || entry.failures >= failureThreshold) {
+        entry.state = 'open';
+        entry.openedAt = now();
+      }
+    },
+
+    /**
+     * Snapshot of circuit state per host.
+     * @returns {Record<string, { state: string, failures: number, retryInMs?: number, lastError?: string }>}
+     */
+    state() {
+      const out = {};
+      for (const [host, entry] of hosts) {
+        out[host] = {
+          state: entry.state,
+          failures: entry.failures,
+          ...(entry.state === 'open'
+            ? { retryInMs: Math.max(0, cooldownMs - (now() - entry.openedAt)) }
+            : {}),
+          ...(entry.lastError ? { lastError: entry.lastError } : {}),
+        };
+      }
+      return out;
+    },
+  };
+}
@@ -0,0 +1,186 @@
+import { createHash, randomUUID } from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Local cache of downloaded resource files.
+ *
+ * Files are stored content-addressed under blobs/<sha256>, so identical files
+ * published under several URLs are kept once. index/<key-hash>.json maps a
+ * resource version (URL plus CKAN hash or last_modified) to its blob.
+ */
+
+// Digest lengths (hex) of the algorithms CKAN hashes are usually computed with
+const DIGEST_LENGTHS = { 32: 'md5', 40: 'sha1', 64: 'sha256', 128: 'sha512' };
+
+/**
+ * Parse a CKAN resource `hash`: "sha256:<hex>", "md5:<hex>" or a bare hex digest
+ * (the algorithm is then inferred from its length).
+ * @param {string|undefined} hash
+ * @returns {{ algorithm: string, digest: string }|undefined} Undefined when the value is not a recognizable checksum
+ */
+export function parseChecksum(hash) {
+  const m = String(hash ?? '')
+    .trim()
+    .match(/^(?:(md5|sha-?1|sha-?256|sha-?512)[:=])?([0-9a-f]+)$/i);
+  if (!m) return undefined;
+  const digest = m[2].toLowerCase();
+  const algorithm = m[1] ? m[1].toLowerCase().replace('-', '') : DIGEST_LENGTHS[digest.length];
+  if (!algorithm || DIGEST_LENGTHS[digest.length] !== algorithm) return undefined;
+  return { algorithm, digest };
+}
+
+/**
+ * Cache key of a resource version: its URL plus the CKAN `hash` or, without one,
+ * `last_modified` (falling back to `metadata_modified`).
+ * @param {{ url: string, hash?: string, last_modified?: string, metadata_modified?: string }} resource
+ * @returns {string}
+ */
+export function resourceKey(resource) {
+  const version = resource.hash || resource.last_modified || resource.metadata_modified || '';
+  return `${resource.url}\n${version}`;
+}
+
+/**
+ * @typedef {Object} CachedFile
+ * @property {string} path Absolute path of the cached file
+ * @property {string} sha256 SHA-256 of the content (also the blob name)
+ * @property {number} size Bytes
+ * @property {string} url Source URL
+ * @property {string} content_type Content-Type returned by the server
+ * @property {string} downloaded_at ISO timestamp of the download
+ * @property {{ algorithm: string, expected: string, verified: boolean }} [checksum] CKAN hash check
+ */
+
+/**
+ * On-disk store of downloaded files. The least recently used files are removed
+ * once their total size exceeds `maxBytes`.
+ * @param {{ dir: string, maxBytes?: number }} options
+ */
+export function createResourceStore({ dir, maxBytes = Infinity }) {
+  const blobDir = path.join(dir, 'blobs');
+  const indexDir = path.join(dir, 'index');
+  const tmpDir = path.join(dir, 'tmp');
+  const indexFile = (key) => path.join(indexDir, `${createHash('sha256').update(key).digest('hex')}.json`);
+
+  async function readIndex() {
+    let files;
+    try {
+      files = (await fs.readdir(indexDir)).filter((f) => f.endsWith('.json'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+    const entries = await Promise.all(
+      files.map(async (f) => {
+        const file = path.join(indexDir, f);
+        try {
+          const [stored, stat] = await Promise.all([fs.readFile(file, 'utf8'), fs.stat(file)]);
+          return { file, used: stat.mtimeMs, entry: JSON.parse(stored).entry };
+        } catch {
+          return undefined;
+        }
+      })
+    );
+    return entries.filter(Boolean);
+  }
+
+  /**
+   * Remove the least recently used downloads until the stored files fit `maxBytes`.
+   * @param {string} keep - Index file that must stay (the download just stored)
+   */
+  async function prune(keep) {
+    if (!Number.isFinite(maxBytes)) return;
+    const index = (await readIndex()).sort((a, b) => a.used - b.used);
+    const refs = new Map();
+    const sizes = new Map();
+    for (const { entry } of index) {
+      refs.set(entry.sha256, (refs.get(entry.sha256) || 0) + 1);
+      sizes.set(entry.sha256, entry.size);
+    }
+    let total = [...sizes.values()].reduce((a, b) => a + b, 0);
+    for (const { file, entry } of index) {
+      if (total <= maxBytes) break;
+      if (file === keep) continue;
+      await fs.rm(file, { force: true });
+      const left = refs.get(entry.sha256) - 1;
+      refs.set(entry.sha256, left);
+      if (left === 0) {
+        await fs.rm(path.join(blobDir, entry.sha256), { force: true });
+        total -= entry.size;
+      }
+    }
+  }
+
+  return {
+    /**
+     * Path for a new download; pass it to put() once complete, or discard() it.
+     * @returns {Promise<string>}
+     */
+    async tempFile() {
+      await fs.mkdir(tmpDir, { recursive: true });
+      return path.join(tmpDir, randomUUID());
+    },
+
+    /**
+     * Remove an unfinished download.
+     * @param {string} file
+     */
+    async discard(file) {
+      await fs.rm(file, { force: true });
+    },
+
+    /**
+     * Cached file for a key, when its content is still present.
+     * @param {string} key
+     * @returns {Promise<CachedFile|undefined>}
+     */
+    async get(key) {
+      const file = indexFile(key);
+      try {
+        const stored = JSON.parse(await fs.readFile(file, 'utf8'));
+        // Guard against (unlikely) hash collisions
+        if (stored.key !== key) return undefined;
+        await fs.access(stored.entry.path);
+        const now = new Date();
+        await fs.utimes(file, now, now);
+        return stored.entry;
+      } catch {
+        return undefined;
+      }
+    },
+
+    /**
+     * Move a finished download into the store and index it under `key`.
+     * @param {string} key
+     * @param {string} tempFile - File from tempFile()
+     * @param {Omit<CachedFile, 'path'>} meta
+     * @returns {Promise<CachedFile>}
+     */
+    async put(key, tempFile, meta) {
+      await Promise.all([fs.mkdir(blobDir, { recursive: true }), fs.mkdir(indexDir, { recursive: true })]);
+      const blob = path.join(blobDir, meta.sha256);
+      try {
+        await fs.access(blob);
+        await fs.rm(tempFile, { force: true });
+      } catch {
+        await fs.rename(tempFile, blob);
+      }
+      const entry = { ...meta, path: blob };
+      const file = indexFile(key);
+      await fs.writeFile(file, JSON.stringify({ key, entry }));
+      await prune(file);
+      return entry;
+    },
+
+    /**
+     * Number of indexed downloads and total size of the stored files.
+     * @returns {Promise<{ entries: number, files: number, bytes: number }>}
+     */
+    async stats() {
+      const index = await readIndex();
+      const blobs = new Map(index.map((i) => [i.entry.sha256, i.entry.size]));
+      return { entries: index.length, files: blobs.size, bytes: [...blobs.values()].reduce((a, b) => a + b, 0) };
+    },
+  };
+}
@@ -0,0 +1,86 @@
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+// Watch ids become file names
+const WATCH_ID = /^[\w-]+$/;
+
+/**
+ * @typedef {Object} Watch
+ * @property {string} id
+ * @property {string} [name] Label given by the user
+ * @property {'dataset'|'organization'|'search'} kind
+ * @property {string} portal Portal the watch queries
+ * @property {Record<string, any>} target `{ dataset }`, or the package_search_all arguments
+ * @property {number} max_results Datasets kept per snapshot
+ * @property {string} created_at
+ * @property {string} checked_at Time of the snapshot
+ * @property {boolean} complete False when max_results cut the snapshot short
+ * @property {Record<string, object>} snapshot Datasets by id at checked_at
+ */
+
+/**
+ * On-disk store of watches, one JSON file per watch, written atomically so
+ * that concurrent sessions never read a partial file.
+ * @param {{ dir: string }} options
+ */
+export function createWatchStore({ dir }) {
+  const file = (id) => {
+    if (!WATCH_ID.test(id)) throw new Error(`Invalid watch id "${id}"`);
+    return path.join(dir, `${id}.json`);
+  };
+
+  return {
+    /**
+     * All stored watches, oldest first.
+     * @returns {Promise<Watch[]>}
+     */
+    async list() {
+      let files;
+      try {
+        files = (await fs.readdir(dir)).filter((f) => f.endsWith('.json'));
+      } catch (e) {
+        if (e.code === 'ENOENT') return [];
+        throw e;
+      }
+      const watches = await Promise.all(files.map((f) => this.get(f.slice(0, -'.json'.length))));
+      return watches.filter(Boolean).sort((a, b) => a.created_at.localeCompare(b.created_at));
+    },
+
+    /**
+     * @param {string} id
+     * @returns {Promise<Watch|undefined>}
+     */
+    async get(id) {
+      try {
+        return JSON.parse(await fs.readFile(file(id), 'utf8'));
+      } catch {
+        return undefined;
+      }
+    },
+
+    /**
+     * Create or replace a watch.
+     * @param {Watch} watch
+     */
+    async save(watch) {
+      const target = file(watch.id);
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(`${target}.tmp`, JSON.stringify(watch));
+      await fs.rename(`${target}.tmp`, target);
+    },
+
+    /**
+     * @param {string} id
+     * @returns {Promise<boolean>} False when the watch did not exist
+     */
+    async remove(id) {
+      try {
+        await fs.rm(file(id));
+        return true;
+      } catch (e) {
+        if (e.code === 'ENOENT') return false;
+        throw e;
+      }
+    },
+  };
+}
@@ -0,0 +1,127 @@
+import {
+  packageAutocomplete,
+  tagAutocomplete,
+  organizationList,
+  groupList,
+} from '../api/ckan-client.js';
+import { logger } from '../utils/logger.js';
+
+// MCP caps completion results at 100 values per response
+const MAX_VALUES = 100;
+
+// Organization and group lists change rarely; keep them for 10 minutes
+const LIST_TTL_MS = 10 * 60 * 1000;
+
+/** @type {Map<string, { expires: number, promise: Promise<string[]> }>} */
+const listCache = new Map();
+
+/**
+ * Return a cached list of names, (re)loading it when missing or expired.
+ * Failed loads are not cached.
+ * @param {string} key
+ * @param {() => Promise<any>} loader - CKAN call returning { result: Array<string|{name: string}> }
+ * @returns {Promise<string[]>}
+ */
+function cachedNames(key, loader) {
+  const hit = listCache.get(key);
+  if (hit && hit.expires > Date.now()) return hit.promise;
+  const promise = loader().then((data) =>
+    (Array.isArray(data?.result) ? data.result : [])
+      .map((item) => (typeof item === 'string' ? item : item?.name))
+      .filter(Boolean)
+  );
+  listCache.set(key, { expires: Date.now() + LIST_TTL_MS, promise });
+  promise.catch(() => listCache.delete(key));
+  return promise;
+}
+
+/**
+ * Filter names by a typed value: prefix matches first, then substring matches.
+ * @param {string[]} names
+ * @param {string} value
+ * @returns {string[]}
+ */
+function rank(names, value) {
+  const needle = value.toLowerCase();
+  const prefix = [];
+  const contains = [];
+  for (const name of names) {
+    const lower = name.toLowerCase();
+    if (lower.startsWith(needle)) prefix.push(name);
+    else if (needle && lower.includes(needle)) contains.push(name);
+  }
+  return [...prefix, ...contains];
+}
+
+/**
+ * Extract names from an autocomplete response ({ result: Array<{name}|string> }).
+ * @param {any} data
+ * @returns {string[]}
+ */
+function autocompleteNames(data) {
+  return (Array.isArray(data?.result) ? data.result : [])
+    .map((item) => (typeof item === 'string' ? item : item?.name))
+    .filter(Boolean);
+}
+
+/**
+ * Completion sources keyed by identifier kind.
+ * @type {Record<string, (value: string) => Promise<string[]>>}
+ */
+const SOURCES = {
+  dataset: async (value) =>
+    value ? autocompleteNames(await packageAutocomplete(value, MAX_VALUES)) : [],
+  tag: async (value) =>
+    value ? autocompleteNames(await tagAutocomplete(value, MAX_VALUES)) : [],
+  organization: async (value) =>
+    rank(await cachedNames('organization', () => organizationList()), value),
+  group: async (value) => rank(await cachedNames('group', () => groupList()), value),
+};
+
+/**
+ * Which identifier kind completes a given resource-template variable or prompt argument.
+ */
+const RESOURCE_ARGUMENTS = {
+  'opendata://dataset/{name}': { name: 'dataset' },
+  'opendata://organization/{name}': { name: 'organization' },
+  'opendata://group/{name}': { name: 'group' },
+};
+
+const PROMPT_ARGUMENTS = {
+  find_dataset: { topic: 'tag', organization: 'organization' },
+  compare_organizations: { organizations: 'organization' },
+  dataset_freshness_report: { organization: 'organization' },
+};
+
+// Prompt arguments that hold comma-separated lists; only the last item is completed
+const LIST_ARGUMENTS = new Set(['compare_organizations.organizations']);
+
+/**
+ * Resolve a completion/complete request.
+ * @param {{ type: 'ref/prompt', name: string }|{ type: 'ref/resource', uri: string }} ref
+ * @param {{ name: string, value: string }} argument
+ * @returns {Promise<{ values: string[], total: number, hasMore: boolean }>}
+ */
+export async function complete(ref, argument) {
+  const empty = { values: [], total: 0, hasMore: false };
+  const kind =
+    ref?.type === 'ref/resource'
+      ? RESOURCE_ARGUMENTS[ref.uri]?.[argument.name]
+      : PROMPT_ARGUMENTS[ref?.name]?.[argument.name];
+  if (!kind) return empty;
+
+  const isList = ref.type === 'ref/prompt' && LIST_ARGUMENTS.has(`${ref.name}.${argument.name}`);
+  const value = argument.value ?? '';
+  const current = value.slice(isList ? value.lastIndexOf(',') + 1 : 0).trimStart();
+  const head = value.slice(0, value.length - current.length);
+
+  try {
+    const matches = await SOURCES[kind](current);
+    const values = matches.slice(0, MAX_VALUES).map((m) => `${head}${m}`);
+    return { values, total: matches.length, hasMore: matches.length > values.length };
+  } catch (err) {
+    // Completion is best-effort; a CKAN failure should not break the client UI
+    logger.warn({ err, kind }, 'Completion lookup failed');
+    return empty;
+  }
+}
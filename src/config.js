@@ -1,7 +1,41 @@
+import { tmpdir } from 'node:os';
+import path from 'node:path';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
+/**
+ * A named CKAN instance the server can query.
+ * @typedef {Object} PortalProfile
+ * @property {string} title Human-readable portal name
+ * @property {string} baseUrl CKAN action API base URL (no trailing slash)
+ */
+
+/**
+ * Build portal profiles: opendata.swiss (from BASE_URL), built-in cantonal/city
+ * CKAN portals, and extra profiles from PORTALS ("name=url,name2=url2").
+ * @param {string} baseUrl
+ * @param {string|undefined} spec
+ * @returns {Record<string, PortalProfile>}
+ */
+function parsePortals(baseUrl, spec) {
+  const portals = {
+    'opendata-swiss': { title: 'opendata.swiss', baseUrl },
+    'stadt-zuerich': {
+      title: 'Open Data Stadt Zürich',
+      baseUrl: 'https://data.stadt-zuerich.ch/api/3/action',
+    },
+  };
+  for (const part of (spec || '').split(',')) {
+    const idx = part.indexOf('=');
+    if (idx <= 0) continue;
+    const name = part.slice(0, idx).trim();
+    const url = part.slice(idx + 1).trim().replace(/\/+$/, '');
+    if (name && url) portals[name] = { title: portals[name]?.title || name, baseUrl: url };
+  }
+  return portals;
+}
+
 /**
  * Server configuration resolved from environment variables.
  * @typedef {Object} Config
@@ -11,10 +45,42 @@ dotenv.config();
  * @property {string} USER_AGENT User-Agent header sent to CKAN
  * @property {number} MAX_ROWS Maximum allowed rows parameter for list/search
  * @property {number} DEFAULT_ROWS Default rows when not provided
+ * @property {'stdio'|'http'|'sse'} TRANSPORT MCP transport to serve (stdio, Streamable HTTP or legacy SSE)
+ * @property {string} HTTP_HOST Interface the HTTP transports bind to
+ * @property {number} HTTP_PORT Port the HTTP transports listen on
+ * @property {boolean} CACHE_ENABLED Cache slow-changing CKAN responses
+ * @property {number} CACHE_MAX_ENTRIES Maximum entries kept per cache store
+ * @property {string} CACHE_DIR Directory for the on-disk cache store (empty = memory only)
+ * @property {string} CACHE_TTLS Per-action TTL overrides in seconds, e.g. "license_list=3600,package_show=60"
+ * @property {number} RETRY_LIMIT Maximum retries for idempotent CKAN calls (0 disables retries)
+ * @property {number} RETRY_BASE_MS Base delay for jittered exponential backoff
+ * @property {number} RETRY_MAX_MS Upper bound for a single backoff delay
+ * @property {number} RETRY_DEADLINE_MS Total time budget per CKAN call, including retries
+ * @property {number} CIRCUIT_FAILURE_THRESHOLD Consecutive transient failures before the circuit opens
+ * @property {number} CIRCUIT_COOLDOWN_MS How long an open circuit fails fast before probing again
+ * @property {Record<string, PortalProfile>} PORTALS Named CKAN portals, keyed by portal name
+ * @property {string} DEFAULT_PORTAL Portal used when a tool call does not name one
+ * @property {string[]} PREFERRED_LANGUAGES Fallback chain for multilingual metadata fields
+ * @property {number} MAX_RESPONSE_CHARS Default character budget for a tool response
+ * @property {number} PREVIEW_MAX_BYTES Maximum bytes downloaded by resource_preview
+ * @property {number} PROFILE_MAX_BYTES Maximum bytes downloaded by resource_profile
+ * @property {number} DOWNLOAD_MAX_BYTES Maximum size of a file fetched by resource_download
+ * @property {string} RESOURCE_CACHE_DIR Directory of the downloaded resource files
+ * @property {number} RESOURCE_CACHE_MAX_BYTES Total size of cached downloads before the least recently used are removed
+ * @property {string} EXPORT_DIR Directory datastore_export writes its files and resume state to
+ * @property {number} EXPORT_MAX_ROWS Maximum rows written by one datastore_export
+ * @property {number} EXPORT_MAX_BYTES Maximum bytes of row data written by one datastore_export
+ * @property {number} AGGREGATE_MAX_ROWS Maximum rows datastore_aggregate scans when SQL is disabled
+ * @property {number} SEARCH_ALL_MAX_RESULTS Maximum datasets listed by one package_search_all
+ * @property {number} LINK_CHECK_CONCURRENCY Resource URLs resource_link_check requests at the same time
+ * @property {number} LINK_CHECK_TIMEOUT_MS Timeout per link check request in milliseconds
+ * @property {string} WATCH_DIR Directory of the watchlists (watch_add) and their snapshots
  */
+const BASE_URL = process.env.BASE_URL?.trim() || 'https://opendata.swiss/api/3/action';
+
 /** @type {Config} */
 export const CONFIG = {
-  BASE_URL: process.env.BASE_URL?.trim() || 'https://opendata.swiss/api/3/action',
+  BASE_URL,
   ENABLE_SQL: (process.env.ENABLE_SQL || 'false').toLowerCase() === 'true',
   TIMEOUT_MS: Number.isFinite(Number(process.env.TIMEOUT_MS))
     ? Number(process.env.TIMEOUT_MS)
@@ -27,4 +93,76 @@ export const CONFIG = {
   DEFAULT_ROWS: Number.isFinite(Number(process.env.DEFAULT_ROWS))
     ? Number(process.env.DEFAULT_ROWS)
     : 25,
+  TRANSPORT: (process.env.TRANSPORT || 'stdio').trim().toLowerCase(),
+  HTTP_HOST: process.env.HTTP_HOST?.trim() || '127.0.0.1',
+  HTTP_PORT: Number.isFinite(Number(process.env.HTTP_PORT))
+    ? Number(process.env.HTTP_PORT)
+    : 3000,
+  CACHE_ENABLED: (process.env.CACHE_ENABLED || 'true').toLowerCase() === 'true',
+  CACHE_MAX_ENTRIES: Number.isFinite(Number(process.env.CACHE_MAX_ENTRIES))
+    ? Number(process.env.CACHE_MAX_ENTRIES)
+    : 500,
+  CACHE_DIR: process.env.CACHE_DIR?.trim() || '',
+  CACHE_TTLS: process.env.CACHE_TTLS?.trim() || '',
+  RETRY_LIMIT: Number.isFinite(Number(process.env.RETRY_LIMIT))
+    ? Number(process.env.RETRY_LIMIT)
+    : 3,
+  RETRY_BASE_MS: Number.isFinite(Number(process.env.RETRY_BASE_MS))
+    ? Number(process.env.RETRY_BASE_MS)
+    : 500,
+  RETRY_MAX_MS: Number.isFinite(Number(process.env.RETRY_MAX_MS))
+    ? Number(process.env.RETRY_MAX_MS)
+    : 8000,
+  RETRY_DEADLINE_MS: Number.isFinite(Number(process.env.RETRY_DEADLINE_MS))
+    ? Number(process.env.RETRY_DEADLINE_MS)
+    : 60000,
+  CIRCUIT_FAILURE_THRESHOLD: Number.isFinite(Number(process.env.CIRCUIT_FAILURE_THRESHOLD))
+    ? Number(process.env.CIRCUIT_FAILURE_THRESHOLD)
+    : 5,
+  CIRCUIT_COOLDOWN_MS: Number.isFinite(Number(process.env.CIRCUIT_COOLDOWN_MS))
+    ? Number(process.env.CIRCUIT_COOLDOWN_MS)
+    : 30000,
+  PORTALS: parsePortals(BASE_URL.replace(/\/+$/, ''), process.env.PORTALS),
+  DEFAULT_PORTAL: process.env.DEFAULT_PORTAL?.trim() || 'opendata-swiss',
+  PREFERRED_LANGUAGES: (process.env.PREFERRED_LANGUAGES || 'en,de,fr,it')
+    .split(',')
+    .map((l) => l.trim().toLowerCase())
+    .filter(Boolean),
+  MAX_RESPONSE_CHARS: Number.isFinite(Number(process.env.MAX_RESPONSE_CHARS))
+    ? Number(process.env.MAX_RESPONSE_CHARS)
+    : 40000,
+  PREVIEW_MAX_BYTES: Number.isFinite(Number(process.env.PREVIEW_MAX_BYTES))
+    ? Number(process.env.PREVIEW_MAX_BYTES)
+    : 5 * 1024 * 1024,
+  PROFILE_MAX_BYTES: Number.isFinite(Number(process.env.PROFILE_MAX_BYTES))
+    ? Number(process.env.PROFILE_MAX_BYTES)
+    : 20 * 1024 * 1024,
+  DOWNLOAD_MAX_BYTES: Number.isFinite(Number(process.env.DOWNLOAD_MAX_BYTES))
+    ? Number(process.env.DOWNLOAD_MAX_BYTES)
+    : 500 * 1024 * 1024,
+  RESOURCE_CACHE_DIR:
+    process.env.RESOURCE_CACHE_DIR?.trim() || path.join(tmpdir(), 'schwaizer-opendata-mcp', 'resources'),
+  RESOURCE_CACHE_MAX_BYTES: Number.isFinite(Number(process.env.RESOURCE_CACHE_MAX_BYTES))
+    ? Number(process.env.RESOURCE_CACHE_MAX_BYTES)
+    : 2 * 1024 * 1024 * 1024,
+  EXPORT_DIR: process.env.EXPORT_DIR?.trim() || path.join(tmpdir(), 'schwaizer-opendata-mcp', 'exports'),
+  EXPORT_MAX_ROWS: Number.isFinite(Number(process.env.EXPORT_MAX_ROWS))
+    ? Number(process.env.EXPORT_MAX_ROWS)
+    : 1000000,
+  EXPORT_MAX_BYTES: Number.isFinite(Number(process.env.EXPORT_MAX_BYTES))
+    ? Number(process.env.EXPORT_MAX_BYTES)
+    : 500 * 1024 * 1024,
+  AGGREGATE_MAX_ROWS: Number.isFinite(Number(process.env.AGGREGATE_MAX_ROWS))
+    ? Number(process.env.AGGREGATE_MAX_ROWS)
+    : 100000,
+  SEARCH_ALL_MAX_RESULTS: Number.isFinite(Number(process.env.SEARCH_ALL_MAX_RESULTS))
+    ? Number(process.env.SEARCH_ALL_MAX_RESULTS)
+    : 10000,
+  LINK_CHECK_CONCURRENCY: Number.isFinite(Number(process.env.LINK_CHECK_CONCURRENCY))
+    ? Number(process.env.LINK_CHECK_CONCURRENCY)
+    : 8,
+  LINK_CHECK_TIMEOUT_MS: Number.isFinite(Number(process.env.LINK_CHECK_TIMEOUT_MS))
+    ? Number(process.env.LINK_CHECK_TIMEOUT_MS)
+    : 10000,
+  WATCH_DIR: process.env.WATCH_DIR?.trim() || path.join(tmpdir(), 'schwaizer-opendata-mcp', 'watches'),
 };
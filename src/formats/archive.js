@@ -0,0 +1,92 @@
+import { compressionRatio, isSafeEntryName } from '../utils/zip.js';
+import { PREVIEW_FORMATS } from './index.js';
+
+/**
+ * Description of the entries of resource archives (ZIP).
+ */
+
+/** Declared compression ratio above which an entry is treated as a zip bomb. */
+export const MAX_COMPRESSION_RATIO = 1000;
+
+const TYPES_BY_EXTENSION = {
+  csv: 'csv',
+  tsv: 'tsv',
+  tab: 'tsv',
+  txt: 'text',
+  json: 'json',
+  geojson: 'geojson',
+  xlsx: 'xlsx',
+  xls: 'xls',
+  ods: 'ods',
+  xml: 'xml',
+  gml: 'gml',
+  kml: 'kml',
+  kmz: 'kmz',
+  gpkg: 'geopackage',
+  shp: 'shapefile',
+  shx: 'shapefile',
+  dbf: 'shapefile',
+  prj: 'shapefile',
+  cpg: 'shapefile',
+  sbn: 'shapefile',
+  sbx: 'shapefile',
+  tif: 'geotiff',
+  tiff: 'geotiff',
+  pdf: 'pdf',
+  doc: 'word',
+  docx: 'word',
+  html: 'html',
+  htm: 'html',
+  md: 'text',
+  png: 'image',
+  jpg: 'image',
+  jpeg: 'image',
+  zip: 'zip',
+};
+
+/**
+ * Type of an archive entry from its file extension.
+ * @param {string} name
+ * @returns {string} e.g. "csv", "shapefile", "pdf"; "unknown" when not recognized
+ */
+export function entryType(name) {
+  const extension = name.match(/\.([a-z0-9]+)$/i)?.[1]?.toLowerCase();
+  return TYPES_BY_EXTENSION[extension] ?? 'unknown';
+}
+
+/**
+ * @typedef {Object} ArchiveEntry
+ * @property {string} name
+ * @property {number} size Uncompressed size (as declared by the archive)
+ * @property {number} compressed_size
+ * @property {string} type Detected type (see entryType)
+ * @property {boolean} previewable Whether resource_archive_extract can read it as a table
+ * @property {boolean} [directory]
+ * @property {boolean} [encrypted]
+ * @property {boolean} [unsafe_name] Absolute path or ".." segments; never extracted
+ * @property {boolean} [suspicious_ratio] Compression ratio above MAX_COMPRESSION_RATIO; never extracted
+ */
+
+/**
+ * Describe ZIP entries for listing.
+ * @param {import('../utils/zip.js').ZipEntry[]} entries
+ * @returns {ArchiveEntry[]}
+ */
+export function describeEntries(entries) {
+  return entries.map((e) => {
+    const type = e.directory ? 'directory' : entryType(e.name);
+    const unsafe = !isSafeEntryName(e.name);
+    const suspicious = compressionRatio(e) > MAX_COMPRESSION_RATIO;
+    return {
+      name: e.name,
+      size: e.size,
+      compressed_size: e.compressedSize,
+      type,
+      previewable: PREVIEW_FORMATS.includes(type) && !e.encrypted && !unsafe && !suspicious,
+      ...(e.directory ? { directory: true } : {}),
+      ...(e.encrypted ? { encrypted: true } : {}),
+      ...(unsafe ? { unsafe_name: true } : {}),
+      ...(suspicious ? { suspicious_ratio: true } : {}),
+    };
+  });
+}
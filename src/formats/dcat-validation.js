@@ -0,0 +1,359 @@
+import { LANGUAGES, languageMap } from '../utils/i18n.js';
+import { EU_FREQUENCIES, FREQUENCY_DAYS, LEGACY_FREQUENCIES } from './frequency.js';
+
+/**
+ * DCAT-AP CH conformance checks for CKAN datasets (opendata.swiss metadata).
+ * Mandatory properties are checked with severity "error", recommended ones
+ * with "warning"; the score weighs errors three times as much as warnings.
+ */
+
+const SEVERITY_WEIGHTS = { error: 3, warning: 1 };
+
+const EMAIL = /^(mailto:)?[^\s@]+@[^\s@]+\.[^\s@]+$/i;
+const MEDIA_TYPE = /^[a-z]+\/[\w.+-]+$/i;
+
+const isBlank = (value) =>
+  value === undefined || value === null || (typeof value === 'string' && !value.trim()) || (Array.isArray(value) && !value.length);
+const isUrl = (value) => typeof value === 'string' && /^https?:\/\/[^\s]+$/i.test(value.trim());
+const isDate = (value) => typeof value === 'number' || (!isBlank(value) && !Number.isNaN(Date.parse(value)));
+
+/**
+ * Languages of a multilingual field that hold a non-empty value.
+ * @param {any} value
+ * @returns {string[]|undefined} undefined when the field is not a language map
+ */
+function filledLanguages(value) {
+  const map = languageMap(value);
+  return map ? Object.keys(map).filter((l) => !isBlank(map[l])) : undefined;
+}
+
+/**
+ * Check for a multilingual property: present in at least one language (mandatory)
+ * or in every language (recommended).
+ * @param {(subject: any) => any} get
+ * @param {'any'|'all'} mode
+ * @returns {(subject: any) => string|undefined}
+ */
+function languagesCheck(get, mode) {
+  return (subject) => {
+    const value = get(subject);
+    const languages = filledLanguages(value);
+    if (mode === 'any') return (languages ? languages.length : !isBlank(value)) ? undefined : 'missing';
+    if (!languages) return isBlank(value) ? undefined : 'not multilingual';
+    const missing = LANGUAGES.filter((l) => !languages.includes(l));
+    return missing.length ? `missing in ${missing.join(', ')}` : undefined;
+  };
+}
+
+/**
+ * Parse the ckanext-switzerland publisher (a JSON string) or publishers list.
+ * @param {any} pkg
+ * @returns {any}
+ */
+function publisherOf(pkg) {
+  const value = pkg.publisher ?? pkg.publishers?.[0];
+  if (typeof value !== 'string' || !value.trim().startsWith('{')) return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * A validation rule. `check` returns undefined when the subject passes, else
+ * the problem (appended to the rule message).
+ * @typedef {Object} ValidationRule
+ * @property {string} id
+ * @property {'error'|'warning'} severity error: mandatory property, warning: recommended
+ * @property {'dataset'|'distribution'} scope
+ * @property {string} property DCAT-AP CH property
+ * @property {string} message
+ * @property {(subject: any, pkg: any) => string|undefined} check
+ */
+
+/** @type {ValidationRule[]} */
+export const VALIDATION_RULES = [
+  {
+    id: 'identifier',
+    severity: 'error',
+    scope: 'dataset',
+    property: 'dct:identifier',
+    message: 'Dataset identifier',
+    check: (pkg) => (isBlank(pkg.identifier) ? 'missing' : undefined),
+  },
+  {
+    id: 'identifier_format',
+    severity: 'warning',
+    scope: 'dataset',
+    property: 'dct:identifier',
+    message: 'Identifier should have the form <source id>@<organization slug>',
+    check: (pkg) => {
+      if (isBlank(pkg.identifier)) return undefined;
+      const [, org] = String(pkg.identifier).split('@');
+      if (!org) return `"${pkg.identifier}" has no @<organization>`;
+      const slug = pkg.organization?.name;
+      return slug && org !== slug ? `"@${org}" does not match organization "${slug}"` : undefined;
+    },
+  },
+  {
+    id: 'title',
+    severity: 'error',
+    scope: 'dataset',
+    property: 'dct:title',
+    message: 'Title',
+    check: languagesCheck((pkg) => pkg.title, 'any'),
+  },
+  {
+    id: 'title_languages',
+    severity: 'warning',
+    scope: 'dataset',
+    property: 'dct:title',
+    message: 'Title in all four languages',
+    check: languagesCheck((pkg) => pkg.title, 'all'),
+  },
+  {
+    id: 'description',
+    severity: 'error',
+    scope: 'dataset',
+    property: 'dct:description',
+    message: 'Description',
+    check: languagesCheck((pkg) => pkg.description ?? pkg.notes, 'any'),
+  },
+  {
+    id: 'description_languages',
+    severity: 'warning',
+    scope: 'dataset',
+    property: 'dct:description',
+    message: 'Description in all four languages',
+    check: languagesCheck((pkg) => pkg.description ?? pkg.notes, 'all'),
+  },
+  {
+    id: 'publisher',
+    severity: 'error',
+    scope: 'dataset',
+    property: 'dct:publisher',
+    message: 'Publisher with a name',
+    check: (pkg) => {
+      const publisher = publisherOf(pkg);
+      if (publisher && typeof publisher === 'object') {
+        return isBlank(publisher.name ?? publisher.label) ? 'has no name' : undefined;
+      }
+      return isBlank(publisher) ? 'missing' : undefined;
+    },
+  },
+  {
+    id: 'contact_point',
+    severity: 'error',
+    scope: 'dataset',
+    property: 'dcat:contactPoint',
+    message: 'Contact point with a valid email address',
+    check: (pkg) => {
+      const contacts = Array.isArray(pkg.contact_points) ? pkg.contact_points : [];
+      if (!contacts.length) return 'missing';
+      const invalid = contacts.filter((c) => !EMAIL.test(String(c?.email ?? '').trim()));
+      return invalid.length ? `invalid email: ${invalid.map((c) => JSON.stringify(c?.email ?? null)).join(', ')}` : undefined;
+    },
+  },
+  {
+    id: 'issued',
+    severity: 'error',
+    scope: 'dataset',
+    property: 'dct:issued',
+    message: 'Issued date',
+    check: (pkg) => (isBlank(pkg.issued) ? 'missing' : isDate(pkg.issued) ? undefined : `invalid date "${pkg.issued}"`),
+  },
+  {
+    id: 'modified',
+    severity: 'warning',
+    scope: 'dataset',
+    property: 'dct:modified',
+    message: 'Modification date',
+    check: (pkg) =>
+      isBlank(pkg.modified) ? 'missing' : isDate(pkg.modified) ? undefined : `invalid date "${pkg.modified}"`,
+  },
+  {
+    id: 'accrual_periodicity',
+    severity: 'error',
+    scope: 'dataset',
+    property: 'dct:accrualPeriodicity',
+    message: 'Accrual periodicity must be a URI of the EU frequency vocabulary',
+    check: (pkg) => {
+      const value = pkg.accrual_periodicity;
+      if (isBlank(value)) return undefined;
+      const uri = String(value).trim();
+      if (uri.startsWith(EU_FREQUENCIES) && uri.slice(EU_FREQUENCIES.length) in FREQUENCY_DAYS) return undefined;
+      if (uri.startsWith(LEGACY_FREQUENCIES)) return `"${uri}" is a DCAT-AP CH 1 frequency`;
+      return `"${uri}" is not in ${EU_FREQUENCIES}`;
+    },
+  },
+  {
+    id: 'accrual_periodicity_set',
+    severity: 'warning',
+    scope: 'dataset',
+    property: 'dct:accrualPeriodicity',
+    message: 'Accrual periodicity',
+    check: (pkg) => (isBlank(pkg.accrual_periodicity) ? 'missing' : undefined),
+  },
+  {
+    id: 'keywords',
+    severity: 'warning',
+    scope: 'dataset',
+    property: 'dcat:keyword',
+    message: 'Keywords',
+    check: (pkg) => {
+      const languages = filledLanguages(pkg.keywords);
+      if (languages) return languages.length ? undefined : 'missing';
+      return isBlank(pkg.keywords) && isBlank(pkg.tags) ? 'missing' : undefined;
+    },
+  },
+  {
+    id: 'theme',
+    severity: 'warning',
+    scope: 'dataset',
+    property: 'dcat:theme',
+    message: 'At least one theme (category)',
+    check: (pkg) => (isBlank(pkg.groups) ? 'missing' : undefined),
+  },
+  {
+    id: 'language',
+    severity: 'warning',
+    scope: 'dataset',
+    property: 'dct:language',
+    message: 'Languages of the data',
+    check: (pkg) => {
+      if (isBlank(pkg.language)) return 'missing';
+      const unknown = [].concat(pkg.language).filter((l) => !LANGUAGES.includes(l) && l !== 'rm');
+      return unknown.length ? `unknown language code(s): ${unknown.join(', ')}` : undefined;
+    },
+  },
+  {
+    id: 'landing_page',
+    severity: 'warning',
+    scope: 'dataset',
+    property: 'dcat:landingPage',
+    message: 'Landing page must be an http(s) URL',
+    check: (pkg) => (isBlank(pkg.url) || isUrl(pkg.url) ? undefined : `"${pkg.url}" is not a URL`),
+  },
+  {
+    id: 'temporal',
+    severity: 'error',
+    scope: 'dataset',
+    property: 'dct:temporal',
+    message: 'Temporal coverage must have valid start and end dates',
+    check: (pkg) => {
+      const periods = Array.isArray(pkg.temporals) ? pkg.temporals : [];
+      for (const { start_date: start, end_date: end } of periods) {
+        if (!isDate(start) || !isDate(end)) return `invalid period ${JSON.stringify({ start_date: start, end_date: end })}`;
+        const [from, to] = [start, end].map((d) => (typeof d === 'number' ? d * 1000 : Date.parse(d)));
+        if (from > to) return `start ${start} is after end ${end}`;
+      }
+      return undefined;
+    },
+  },
+  {
+    id: 'distributions',
+    severity: 'error',
+    scope: 'dataset',
+    property: 'dcat:distribution',
+    message: 'At least one distribution (resource)',
+    check: (pkg) => (isBlank(pkg.resources) ? 'missing' : undefined),
+  },
+  {
+    id: 'access_url',
+    severity: 'error',
+    scope: 'distribution',
+    property: 'dcat:accessURL',
+    message: 'Access URL',
+    check: (res) => (isBlank(res.url) ? 'missing' : isUrl(res.url) ? undefined : `"${res.url}" is not a URL`),
+  },
+  {
+    id: 'distribution_issued',
+    severity: 'error',
+    scope: 'distribution',
+    property: 'dct:issued',
+    message: 'Issued date',
+    check: (res) => (isBlank(res.issued) ? 'missing' : isDate(res.issued) ? undefined : `invalid date "${res.issued}"`),
+  },
+  {
+    id: 'license',
+    severity: 'error',
+    scope: 'distribution',
+    property: 'dct:license',
+    message: 'License (terms of use)',
+    check: (res, pkg) => (isBlank(res.license) && isBlank(res.rights) && isBlank(pkg.license_id) ? 'missing' : undefined),
+  },
+  {
+    id: 'format',
+    severity: 'warning',
+    scope: 'distribution',
+    property: 'dct:format',
+    message: 'Format',
+    check: (res) => (isBlank(res.format) ? 'missing' : undefined),
+  },
+  {
+    id: 'media_type',
+    severity: 'warning',
+    scope: 'distribution',
+    property: 'dcat:mediaType',
+    message: 'Media type (IANA, e.g. text/csv)',
+    check: (res) => {
+      const value = res.media_type ?? res.mimetype;
+      if (isBlank(value)) return 'missing';
+      return MEDIA_TYPE.test(String(value).trim()) ? undefined : `"${value}" is not a media type`;
+    },
+  },
+  {
+    id: 'distribution_title',
+    severity: 'warning',
+    scope: 'distribution',
+    property: 'dct:title',
+    message: 'Title',
+    check: languagesCheck((res) => res.title ?? res.name, 'any'),
+  },
+];
+
+/**
+ * @typedef {Object} ValidationCheck
+ * @property {string} rule
+ * @property {'error'|'warning'} severity
+ * @property {string} property
+ * @property {boolean} passed
+ * @property {string} message
+ * @property {string} [resource_id] Distribution checks: the resource checked
+ */
+
+/**
+ * Check a CKAN dataset against the DCAT-AP CH rules.
+ * @param {any} pkg - CKAN package as returned by package_show (multilingual fields not flattened)
+ * @returns {{ score: number, conformant: boolean, errors: number, warnings: number, checks: ValidationCheck[] }}
+ *   score: 0-100, weighted by severity; conformant: no failed error
+ */
+export function validateDataset(pkg) {
+  const checks = [];
+  const run = (rule, subject, extra) => {
+    const problem = rule.check(subject, pkg);
+    checks.push({
+      rule: rule.id,
+      severity: rule.severity,
+      property: rule.property,
+      passed: problem === undefined,
+      message: problem === undefined ? rule.message : `${rule.message}: ${problem}`,
+      ...extra,
+    });
+  };
+  for (const rule of VALIDATION_RULES) {
+    if (rule.scope === 'dataset') run(rule, pkg);
+    else for (const res of pkg.resources ?? []) run(rule, res, { resource_id: res.id });
+  }
+  const total = checks.reduce((sum, c) => sum + SEVERITY_WEIGHTS[c.severity], 0);
+  const passed = checks.filter((c) => c.passed).reduce((sum, c) => sum + SEVERITY_WEIGHTS[c.severity], 0);
+  const failed = checks.filter((c) => !c.passed);
+  return {
+    score: total ? Math.round((passed / total) * 100) : 100,
+    conformant: !failed.some((c) => c.severity === 'error'),
+    errors: failed.filter((c) => c.severity === 'error').length,
+    warnings: failed.filter((c) => c.severity === 'warning').length,
+    checks,
+  };
+}
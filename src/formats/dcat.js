@@ -0,0 +1,273 @@
+import { languageMap } from '../utils/i18n.js';
+import { createGraph, iri, literal } from './rdf.js';
+
+/**
+ * Mapping of CKAN datasets (as served by opendata.swiss, ckanext-switzerland)
+ * to DCAT-AP CH: dcat:Dataset with its dcat:Distribution resources, publisher,
+ * contact points, temporal and spatial coverage. Generic CKAN fields
+ * (notes, maintainer, tags, license_url) are used where the Swiss ones are missing.
+ */
+
+/** Theme vocabulary of DCAT-AP CH; opendata.swiss groups are its themes. */
+const THEMES = 'http://opendata.swiss/themes/';
+/** EU file-type authority table, the DCAT-AP vocabulary for dct:format. */
+const FILE_TYPES = 'http://publications.europa.eu/resource/authority/file-type/';
+const MEDIA_TYPES = 'https://www.iana.org/assignments/media-types/';
+
+const isUrl = (value) => typeof value === 'string' && /^https?:\/\/\S+$/i.test(value.trim());
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Literals for a multilingual field: one per non-empty language, or a single
+ * untagged literal for a plain string. Lists (keywords) give one literal per item.
+ * @param {any} value
+ * @returns {import('./rdf.js').Literal[]}
+ */
+function languageLiterals(value) {
+  const map = languageMap(value);
+  if (!map) {
+    return [].concat(value ?? []).filter((v) => !isBlank(v) && typeof v !== 'object').map((v) => literal(String(v).trim()));
+  }
+  return Object.entries(map).flatMap(([language, v]) =>
+    [].concat(v ?? []).filter((item) => !isBlank(item)).map((item) => literal(String(item).trim(), { language }))
+  );
+}
+
+/**
+ * Typed date literal: xsd:date for a calendar date, xsd:dateTime otherwise.
+ * Epoch seconds (older ckanext-switzerland records) are converted.
+ * @param {any} value
+ * @returns {import('./rdf.js').Literal|undefined}
+ */
+function dateLiteral(value) {
+  if (isBlank(value)) return undefined;
+  if (typeof value === 'number' || /^\d{9,}$/.test(String(value))) {
+    return literal(new Date(Number(value) * 1000).toISOString(), { datatype: 'xsd:dateTime' });
+  }
+  const text = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return literal(text, { datatype: 'xsd:date' });
+  if (Number.isNaN(Date.parse(text))) return literal(text);
+  return literal(text, { datatype: 'xsd:dateTime' });
+}
+
+/**
+ * Parse a field that may hold JSON (ckanext-switzerland stores publisher as a JSON string).
+ * @param {any} value
+ * @returns {any}
+ */
+function parseJsonField(value) {
+  if (typeof value !== 'string' || !value.trim().startsWith('{')) return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Add every term of a list for one predicate.
+ * @param {ReturnType<typeof createGraph>} graph
+ * @param {import('./rdf.js').NamedNode|import('./rdf.js').BlankNode} subject
+ * @param {string} predicate
+ * @param {Array<import('./rdf.js').Term|undefined>} objects
+ */
+function addAll(graph, subject, predicate, objects) {
+  for (const object of objects) graph.add(subject, predicate, object);
+}
+
+/**
+ * IRI of a dataset on the portal: the permalink of its DCAT identifier when
+ * there is one (as opendata.swiss publishes them), else its CKAN page.
+ * @param {any} pkg
+ * @param {string} siteUrl
+ * @returns {string}
+ */
+export function datasetIri(pkg, siteUrl) {
+  if (!isBlank(pkg.identifier)) return `${siteUrl}/perma/${encodeURIComponent(pkg.identifier)}`;
+  return `${siteUrl}/dataset/${encodeURIComponent(pkg.name ?? pkg.id)}`;
+}
+
+/**
+ * dct:publisher: the ckanext-switzerland publisher, else the organization.
+ * @param {ReturnType<typeof createGraph>} graph
+ * @param {any} pkg
+ * @param {string} siteUrl
+ * @returns {import('./rdf.js').NamedNode|import('./rdf.js').BlankNode|undefined}
+ */
+function addPublisher(graph, pkg, siteUrl) {
+  const publisher = parseJsonField(pkg.publisher) ?? pkg.publishers?.[0];
+  const org = pkg.organization;
+  let node;
+  let names;
+  if (publisher && typeof publisher === 'object') {
+    node = isUrl(publisher.url) ? iri(publisher.url.trim()) : graph.blank();
+    names = languageLiterals(publisher.name ?? publisher.label);
+  } else if (!isBlank(publisher)) {
+    node = graph.blank();
+    names = languageLiterals(publisher);
+  } else if (org?.name) {
+    node = iri(`${siteUrl}/organization/${encodeURIComponent(org.name)}`);
+    names = languageLiterals(org.title ?? org.display_name ?? org.name);
+  } else {
+    return undefined;
+  }
+  graph.add(node, 'rdf:type', iri('foaf:Organization'));
+  addAll(graph, node, 'foaf:name', names);
+  return node;
+}
+
+/**
+ * dcat:contactPoint entries: ckanext-switzerland contact_points, else the
+ * CKAN maintainer or author.
+ * @param {ReturnType<typeof createGraph>} graph
+ * @param {any} pkg
+ * @returns {import('./rdf.js').BlankNode[]}
+ */
+function addContactPoints(graph, pkg) {
+  let contacts = Array.isArray(pkg.contact_points) ? pkg.contact_points : [];
+  if (!contacts.length) {
+    contacts = [
+      { name: pkg.maintainer, email: pkg.maintainer_email },
+      { name: pkg.author, email: pkg.author_email },
+    ].filter((c) => !isBlank(c.name) || !isBlank(c.email)).slice(0, 1);
+  }
+  return contacts.map((contact) => {
+    const node = graph.blank();
+    graph.add(node, 'rdf:type', iri('vcard:Organization'));
+    addAll(graph, node, 'vcard:fn', languageLiterals(contact.name ?? contact.email));
+    if (!isBlank(contact.email)) {
+      const email = String(contact.email).trim();
+      graph.add(node, 'vcard:hasEmail', iri(email.startsWith('mailto:') ? email : `mailto:${email}`));
+    }
+    return node;
+  });
+}
+
+/**
+ * dct:temporal periods from ckanext-switzerland temporals.
+ * @param {ReturnType<typeof createGraph>} graph
+ * @param {any} pkg
+ * @returns {import('./rdf.js').BlankNode[]}
+ */
+function addTemporals(graph, pkg) {
+  return (Array.isArray(pkg.temporals) ? pkg.temporals : [])
+    .filter((t) => !isBlank(t?.start_date) || !isBlank(t?.end_date))
+    .map((t) => {
+      const node = graph.blank();
+      graph.add(node, 'rdf:type', iri('dct:PeriodOfTime'));
+      graph.add(node, 'dcat:startDate', dateLiteral(t.start_date));
+      graph.add(node, 'dcat:endDate', dateLiteral(t.end_date));
+      return node;
+    });
+}
+
+/**
+ * dct:format IRI from the EU file-type table, e.g. "CSV" -> .../file-type/CSV.
+ * @param {string} format
+ * @returns {import('./rdf.js').NamedNode|undefined}
+ */
+function formatIri(format) {
+  if (isBlank(format)) return undefined;
+  if (isUrl(format)) return iri(format.trim());
+  return iri(FILE_TYPES + String(format).trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_'));
+}
+
+/**
+ * Add a resource as dcat:Distribution.
+ * @param {ReturnType<typeof createGraph>} graph
+ * @param {any} resource
+ * @param {any} pkg
+ * @param {string} datasetId - IRI of the dataset
+ * @returns {import('./rdf.js').NamedNode}
+ */
+function addDistribution(graph, resource, pkg, datasetId) {
+  const node = iri(`${datasetId}/resource/${encodeURIComponent(resource.id)}`);
+  graph.add(node, 'rdf:type', iri('dcat:Distribution'));
+  graph.add(node, 'dct:identifier', literal(resource.identifier || resource.id));
+  addAll(graph, node, 'dct:title', languageLiterals(resource.title ?? resource.name));
+  addAll(graph, node, 'dct:description', languageLiterals(resource.description));
+  graph.add(node, 'dct:issued', dateLiteral(resource.issued ?? resource.created));
+  graph.add(node, 'dct:modified', dateLiteral(resource.modified ?? resource.last_modified));
+  if (isUrl(resource.url)) graph.add(node, 'dcat:accessURL', iri(resource.url.trim()));
+  if (isUrl(resource.download_url)) graph.add(node, 'dcat:downloadURL', iri(resource.download_url.trim()));
+  const size = Number(resource.byte_size ?? resource.size);
+  if (Number.isFinite(size) && size > 0) graph.add(node, 'dcat:byteSize', literal(size, { datatype: 'xsd:decimal' }));
+  const mediaType = resource.media_type ?? resource.mimetype;
+  if (!isBlank(mediaType)) graph.add(node, 'dcat:mediaType', iri(MEDIA_TYPES + String(mediaType).trim()));
+  graph.add(node, 'dct:format', formatIri(resource.format));
+  addAll(graph, node, 'dct:language', [].concat(resource.language ?? []).filter((l) => !isBlank(l)).map((l) => literal(l)));
+  const license = [resource.license, pkg.license_url].find(isUrl);
+  if (license) graph.add(node, 'dct:license', iri(license.trim()));
+  if (!isBlank(resource.rights)) graph.add(node, 'dct:rights', isUrl(resource.rights) ? iri(resource.rights.trim()) : literal(resource.rights));
+  return node;
+}
+
+/**
+ * Add a CKAN dataset to a graph as DCAT-AP CH dcat:Dataset.
+ * @param {ReturnType<typeof createGraph>} graph
+ * @param {any} pkg - CKAN package (package_show result, multilingual fields not flattened)
+ * @param {{ siteUrl: string }} options - siteUrl: public portal URL, base of the minted IRIs
+ * @returns {import('./rdf.js').NamedNode}
+ */
+export function addDataset(graph, pkg, { siteUrl }) {
+  const node = iri(datasetIri(pkg, siteUrl));
+  graph.add(node, 'rdf:type', iri('dcat:Dataset'));
+  graph.add(node, 'dct:identifier', literal(pkg.identifier || pkg.id));
+  addAll(graph, node, 'dct:title', languageLiterals(pkg.title));
+  addAll(graph, node, 'dct:description', languageLiterals(pkg.description ?? pkg.notes));
+  graph.add(node, 'dct:issued', dateLiteral(pkg.issued ?? pkg.metadata_created));
+  graph.add(node, 'dct:modified', dateLiteral(pkg.modified ?? pkg.metadata_modified));
+  graph.add(node, 'dct:publisher', addPublisher(graph, pkg, siteUrl));
+  addAll(graph, node, 'dcat:contactPoint', addContactPoints(graph, pkg));
+  addAll(graph, node, 'dcat:theme', (pkg.groups ?? []).filter((g) => g?.name).map((g) => iri(THEMES + g.name)));
+  const keywords = languageMap(pkg.keywords) ? pkg.keywords : (pkg.tags ?? []).map((t) => t.display_name ?? t.name);
+  addAll(graph, node, 'dcat:keyword', languageLiterals(keywords));
+  addAll(graph, node, 'dct:language', [].concat(pkg.language ?? []).filter((l) => !isBlank(l)).map((l) => literal(l)));
+  if (isUrl(pkg.url)) graph.add(node, 'dcat:landingPage', iri(pkg.url.trim()));
+  for (const relation of Array.isArray(pkg.relations) ? pkg.relations : []) {
+    if (!isUrl(relation?.url)) continue;
+    const target = iri(relation.url.trim());
+    graph.add(node, 'dct:relation', target);
+    addAll(graph, target, 'rdfs:label', languageLiterals(relation.label));
+  }
+  for (const seeAlso of Array.isArray(pkg.see_alsos) ? pkg.see_alsos : []) {
+    const id = seeAlso?.dataset_identifier ?? seeAlso;
+    if (!isBlank(id) && typeof id === 'string') graph.add(node, 'rdfs:seeAlso', literal(id));
+  }
+  addAll(graph, node, 'dct:temporal', addTemporals(graph, pkg));
+  if (!isBlank(pkg.spatial)) graph.add(node, 'dct:spatial', isUrl(pkg.spatial) ? iri(pkg.spatial.trim()) : literal(pkg.spatial));
+  if (!isBlank(pkg.coverage)) graph.add(node, 'dct:coverage', literal(pkg.coverage));
+  if (isUrl(pkg.accrual_periodicity)) graph.add(node, 'dct:accrualPeriodicity', iri(pkg.accrual_periodicity.trim()));
+  const datasetId = node.value;
+  addAll(graph, node, 'dcat:distribution', (pkg.resources ?? []).filter((r) => r?.id).map((r) => addDistribution(graph, r, pkg, datasetId)));
+  return node;
+}
+
+/**
+ * Graph of a single dataset.
+ * @param {any} pkg
+ * @param {{ siteUrl: string }} options
+ * @returns {ReturnType<typeof createGraph>}
+ */
+export function datasetGraph(pkg, options) {
+  const graph = createGraph();
+  addDataset(graph, pkg, options);
+  return graph;
+}
+
+/**
+ * Graph of a dcat:Catalog listing several datasets (e.g. a search result set).
+ * @param {any[]} packages
+ * @param {{ siteUrl: string, title: string, description?: string }} options
+ * @returns {ReturnType<typeof createGraph>}
+ */
+export function catalogGraph(packages, { siteUrl, title, description }) {
+  const graph = createGraph();
+  const catalog = iri(`${siteUrl}/`);
+  graph.add(catalog, 'rdf:type', iri('dcat:Catalog'));
+  graph.add(catalog, 'dct:title', literal(title));
+  if (description) graph.add(catalog, 'dct:description', literal(description));
+  if (isUrl(siteUrl)) graph.add(catalog, 'foaf:homepage', iri(siteUrl));
+  for (const pkg of packages) graph.add(catalog, 'dcat:dataset', addDataset(graph, pkg, { siteUrl }));
+  return graph;
+}
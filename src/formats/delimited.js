@@ -0,0 +1,169 @@
+/**
+ * Encoding and delimiter sniffing plus a quote-aware parser for CSV/TSV.
+ */
+
+const DELIMITERS = [',', ';', '\t', '|'];
+const SNIFF_LINES = 50;
+
+/**
+ * Decode bytes as text, detecting the encoding: a BOM (UTF-8/UTF-16) wins, then
+ * strict UTF-8, falling back to Windows-1252 (the superset of ISO-8859-1 used by
+ * most legacy exports).
+ * @param {Buffer} bytes
+ * @param {{ truncated?: boolean }} [options] - When the bytes are a prefix, the trailing partial line is dropped
+ * @returns {{ text: string, encoding: string }}
+ */
+export function decodeText(bytes, { truncated = false } = {}) {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    return { text: utf8Prefix(bytes.subarray(3), truncated), encoding: 'utf-8' };
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+    return { text: dropPartialLine(new TextDecoder('utf-16le').decode(bytes.subarray(2)), truncated), encoding: 'utf-16le' };
+  }
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return { text: dropPartialLine(new TextDecoder('utf-16be').decode(bytes.subarray(2)), truncated), encoding: 'utf-16be' };
+  }
+  try {
+    return { text: utf8Prefix(bytes, truncated, true), encoding: 'utf-8' };
+  } catch {
+    const text = new TextDecoder('windows-1252').decode(bytes);
+    return { text: dropPartialLine(text, truncated), encoding: 'windows-1252' };
+  }
+}
+
+/**
+ * Decode UTF-8; for a truncated prefix, cut at the last newline first so that a
+ * multi-byte sequence split by the cut does not fail strict decoding.
+ * @param {Buffer} bytes
+ * @param {boolean} truncated
+ * @param {boolean} [fatal]
+ * @returns {string}
+ */
+function utf8Prefix(bytes, truncated, fatal = false) {
+  let data = bytes;
+  if (truncated) {
+    const nl = bytes.lastIndexOf(0x0a);
+    if (nl >= 0) data = bytes.subarray(0, nl + 1);
+  }
+  return new TextDecoder('utf-8', { fatal }).decode(data);
+}
+
+/**
+ * @param {string} text
+ * @param {boolean} truncated
+ * @returns {string}
+ */
+function dropPartialLine(text, truncated) {
+  if (!truncated) return text;
+  const nl = text.lastIndexOf('\n');
+  return nl >= 0 ? text.slice(0, nl + 1) : text;
+}
+
+/**
+ * Count delimiter occurrences outside double quotes for each of the first lines.
+ * @param {string[]} lines
+ * @param {string} delimiter
+ * @returns {number[]}
+ */
+function countsPerLine(lines, delimiter) {
+  return lines.map((line) => {
+    let count = 0;
+    let quoted = false;
+    for (const ch of line) {
+      if (ch === '"') quoted = !quoted;
+      else if (ch === delimiter && !quoted) count += 1;
+    }
+    return count;
+  });
+}
+
+/**
+ * Guess the delimiter: the candidate that splits the first lines into the most
+ * consistent number of columns (ties go to more columns).
+ * @param {string} text
+ * @returns {string}
+ */
+export function sniffDelimiter(text) {
+  const lines = text.split(/\r?\n/, SNIFF_LINES + 1).slice(0, SNIFF_LINES).filter((l) => l.trim() !== '');
+  let best = { delimiter: ',', score: 0, columns: 0 };
+  for (const delimiter of DELIMITERS) {
+    const counts = countsPerLine(lines, delimiter);
+    const freq = new Map();
+    for (const c of counts) freq.set(c, (freq.get(c) || 0) + 1);
+    const [mode, hits] = [...freq.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0] ?? [0, 0];
+    if (mode === 0) continue;
+    const score = hits / counts.length;
+    if (score > best.score || (score === best.score && mode > best.columns)) {
+      best = { delimiter, score, columns: mode };
+    }
+  }
+  return best.delimiter;
+}
+
+/**
+ * Parse delimited text (RFC 4180 quoting, CRLF or LF line ends).
+ * Blank lines are skipped. Parsing stops after `maxRows` rows.
+ * @param {string} text
+ * @param {string} delimiter
+ * @param {{ maxRows?: number }} [options]
+ * @returns {{ rows: string[][], complete: boolean }} `complete` is false when parsing stopped at `maxRows`
+ */
+export function parseDelimited(text, delimiter, { maxRows = Infinity } = {}) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+  const endRow = () => {
+    row.push(field);
+    field = '';
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+  while (i < text.length) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else {
+          quoted = false;
+        }
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i += 1;
+      endRow();
+      if (rows.length >= maxRows) return { rows, complete: i + 1 >= text.length };
+    } else {
+      field += ch;
+    }
+    i += 1;
+  }
+  if (field !== '' || row.length > 0) endRow();
+  return { rows: rows.slice(0, maxRows), complete: rows.length <= maxRows };
+}
+
+/**
+ * Format one row of delimited text (RFC 4180): fields containing the delimiter,
+ * quotes or line breaks are quoted; null is written as an empty field and
+ * objects as JSON.
+ * @param {any[]} values
+ * @param {string} [delimiter]
+ * @returns {string} The row including its trailing newline
+ */
+export function formatDelimitedRow(values, delimiter = ',') {
+  const fields = values.map((v) => {
+    if (v === null || v === undefined) return '';
+    const text = typeof v === 'object' ? JSON.stringify(v) : String(v);
+    return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  });
+  return `${fields.join(delimiter)}\n`;
+}
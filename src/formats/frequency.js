@@ -0,0 +1,95 @@
+/**
+ * Update frequencies of DCAT dct:accrualPeriodicity: the EU frequency
+ * authority table (DCAT-AP CH 2) and the Dublin Core collection frequencies
+ * of older DCAT-AP CH 1 records.
+ */
+
+export const EU_FREQUENCIES = 'http://publications.europa.eu/resource/authority/frequency/';
+export const LEGACY_FREQUENCIES = 'http://purl.org/cld/freq/';
+
+const DAY = 1;
+const WEEK = 7;
+const MONTH = 365.25 / 12;
+const YEAR = 365.25;
+
+/**
+ * Nominal period in days of each EU frequency code; null for codes that
+ * declare no schedule (irregular, unknown, never, ...).
+ * @type {Record<string, number|null>}
+ */
+export const FREQUENCY_DAYS = {
+  UPDATE_CONT: DAY,
+  CONT: DAY,
+  '1MIN': DAY,
+  '5MIN': DAY,
+  '10MIN': DAY,
+  '15MIN': DAY,
+  '30MIN': DAY,
+  HOURLY: DAY,
+  BIHOURLY: DAY,
+  TRIHOURLY: DAY,
+  '12HRS': DAY,
+  DAILY: DAY,
+  DAILY_2: DAY,
+  WEEKLY: WEEK,
+  WEEKLY_2: WEEK,
+  WEEKLY_3: WEEK,
+  BIWEEKLY: 2 * WEEK,
+  MONTHLY: MONTH,
+  MONTHLY_2: MONTH,
+  MONTHLY_3: MONTH,
+  BIMONTHLY: 2 * MONTH,
+  QUARTERLY: 3 * MONTH,
+  ANNUAL: YEAR,
+  ANNUAL_2: YEAR,
+  ANNUAL_3: YEAR,
+  BIENNIAL: 2 * YEAR,
+  TRIENNIAL: 3 * YEAR,
+  QUADRENNIAL: 4 * YEAR,
+  QUINQUENNIAL: 5 * YEAR,
+  DECENNIAL: 10 * YEAR,
+  BIDECENNIAL: 20 * YEAR,
+  TRIDECENNIAL: 30 * YEAR,
+  IRREG: null,
+  UNKNOWN: null,
+  NEVER: null,
+  OTHER: null,
+  OP_DATPRO: null,
+};
+
+// Dublin Core collection frequencies (lower camel case) mapped to EU codes
+const LEGACY_CODES = {
+  continuous: 'CONT',
+  daily: 'DAILY',
+  threeTimesAWeek: 'WEEKLY_3',
+  semiweekly: 'WEEKLY_2',
+  weekly: 'WEEKLY',
+  threeTimesAMonth: 'MONTHLY_3',
+  semimonthly: 'MONTHLY_2',
+  biweekly: 'BIWEEKLY',
+  monthly: 'MONTHLY',
+  bimonthly: 'BIMONTHLY',
+  quarterly: 'QUARTERLY',
+  threeTimesAYear: 'ANNUAL_3',
+  semiannual: 'ANNUAL_2',
+  annual: 'ANNUAL',
+  biennial: 'BIENNIAL',
+  triennial: 'TRIENNIAL',
+  irregular: 'IRREG',
+};
+
+/**
+ * EU frequency code of an accrual_periodicity URI (EU or Dublin Core).
+ * @param {any} uri
+ * @returns {string|undefined} undefined for missing or unknown values
+ */
+export function frequencyCode(uri) {
+  if (typeof uri !== 'string') return undefined;
+  const value = uri.trim();
+  if (value.startsWith(EU_FREQUENCIES)) {
+    const code = value.slice(EU_FREQUENCIES.length);
+    return code in FREQUENCY_DAYS ? code : undefined;
+  }
+  if (value.startsWith(LEGACY_FREQUENCIES)) return LEGACY_CODES[value.slice(LEGACY_FREQUENCIES.length)];
+  return undefined;
+}
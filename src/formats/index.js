@@ -0,0 +1,200 @@
+import { buildTable } from './table.js';
+import { decodeText, sniffDelimiter, parseDelimited } from './delimited.js';
+import { readXlsx, readOds } from './spreadsheet.js';
+import { jsonToRows } from './json.js';
+import { isZip, listZipEntries } from '../utils/zip.js';
+
+/**
+ * Tabular previews of resource files (CSV, TSV, JSON, GeoJSON, XLSX, ODS).
+ */
+
+export const PREVIEW_FORMATS = ['csv', 'tsv', 'json', 'geojson', 'xlsx', 'ods'];
+
+// Formats that must be read completely (ZIP central directory / JSON document)
+const WHOLE_FILE_FORMATS = new Set(['json', 'geojson', 'xlsx', 'ods']);
+
+const FORMAT_ALIASES = {
+  csv: 'csv',
+  'text/csv': 'csv',
+  tsv: 'tsv',
+  tab: 'tsv',
+  'text/tab-separated-values': 'tsv',
+  json: 'json',
+  'application/json': 'json',
+  geojson: 'geojson',
+  'application/geo+json': 'geojson',
+  'application/vnd.geo+json': 'geojson',
+  xlsx: 'xlsx',
+  excel: 'xlsx',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  xls: 'xls',
+  'application/vnd.ms-excel': 'xls',
+  ods: 'ods',
+  'application/vnd.oasis.opendocument.spreadsheet': 'ods',
+};
+
+/**
+ * Normalize a CKAN format, file extension or media type to a preview format.
+ * @param {string|undefined} value
+ * @returns {string|undefined}
+ */
+function normalizeFormat(value) {
+  if (!value) return undefined;
+  const key = value.split(';')[0].trim().toLowerCase();
+  return FORMAT_ALIASES[key];
+}
+
+// Start of an OLE2 compound file, the container of XLS (BIFF) workbooks
+const OLE2_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+/**
+ * Whether bytes look like binary data (NUL bytes or a PDF header) rather than text.
+ * @param {Buffer} bytes
+ * @returns {boolean}
+ */
+function looksBinary(bytes) {
+  const head = bytes.subarray(0, 1024);
+  return head.includes(0) || head.subarray(0, 5).toString('latin1') === '%PDF-';
+}
+
+/**
+ * Detect the format of a resource, in order of reliability: explicit format,
+ * CKAN resource format, file extension (of `name` or the URL path), Content-Type,
+ * then content sniffing.
+ * @param {{ format?: string, resourceFormat?: string, name?: string, url?: string, contentType?: string, bytes?: Buffer }} hints
+ * @returns {string|undefined}
+ */
+export function detectFormat({ format, resourceFormat, name, url, contentType, bytes }) {
+  const file = name ?? (url ? new URL(url, 'http://x').pathname : '');
+  const extension = file.match(/\.([a-z0-9]+)$/i)?.[1];
+  const declared =
+    normalizeFormat(format) ??
+    normalizeFormat(resourceFormat) ??
+    normalizeFormat(extension) ??
+    normalizeFormat(contentType);
+  const ole2 = Boolean(bytes?.subarray(0, 8).equals(OLE2_SIGNATURE));
+  // Portals label both XLS and XLSX files "Excel"/"XLS"; the content tells them apart
+  if ((declared === 'xlsx' || declared === 'xls') && bytes?.length) {
+    if (isZip(bytes)) return 'xlsx';
+    if (ole2) return 'xls';
+  }
+  if (declared) return declared;
+  if (ole2) return 'xls';
+  if (bytes && isZip(bytes)) {
+    try {
+      const names = listZipEntries(bytes).map((e) => e.name);
+      if (names.includes('xl/workbook.xml')) return 'xlsx';
+      if (names.includes('content.xml')) return 'ods';
+    } catch {
+      // truncated archive; cannot tell
+    }
+    return undefined;
+  }
+  if (!bytes || looksBinary(bytes)) return undefined;
+  const head = bytes.subarray(0, 64).toString('utf8').trimStart();
+  if (head.startsWith('{') || head.startsWith('[')) return 'json';
+  return 'csv';
+}
+
+/**
+ * Whether a format can only be previewed from the complete file.
+ * @param {string} format
+ * @returns {boolean}
+ */
+export function needsWholeFile(format) {
+  return WHOLE_FILE_FORMATS.has(format);
+}
+
+/**
+ * @typedef {Object} RawRows
+ * @property {any[][]} rows Raw rows, including a possible header row
+ * @property {boolean} [header] True when the first row is known to hold the column names (JSON)
+ * @property {boolean} complete Whether all rows of the file were read
+ * @property {number} [total] Number of records, when known without reading them all (JSON)
+ * @property {{ format: string, encoding?: string, delimiter?: string, sheet?: string, sheets?: string[], path?: string }} details
+ */
+
+/**
+ * Read raw rows from resource bytes.
+ * @param {Buffer} bytes
+ * @param {{ format: string, maxRows: number, truncated?: boolean, sheet?: string|number }} options
+ *   `maxRows` raw rows (including a header row); `truncated` tells that `bytes` is only a prefix of the resource
+ * @returns {RawRows}
+ * @throws {Error} For unsupported formats, unparseable content or a truncated file that must be read whole
+ */
+export function readRows(bytes, { format, maxRows, truncated = false, sheet }) {
+  if (truncated && needsWholeFile(format)) {
+    throw new Error(`${format.toUpperCase()} resources can only be read in full; increase max_bytes`);
+  }
+  switch (format) {
+    case 'csv':
+    case 'tsv': {
+      const { text, encoding } = decodeText(bytes, { truncated });
+      const delimiter = format === 'tsv' ? '\t' : sniffDelimiter(text);
+      const parsed = parseDelimited(text, delimiter, { maxRows });
+      return { rows: parsed.rows, complete: parsed.complete && !truncated, details: { format, encoding, delimiter } };
+    }
+    case 'json':
+    case 'geojson': {
+      const { text } = decodeText(bytes);
+      let doc;
+      try {
+        doc = JSON.parse(text);
+      } catch (e) {
+        throw new Error(`Invalid JSON: ${e.message}`);
+      }
+      const parsed = jsonToRows(doc, { geojson: format === 'geojson' ? true : undefined });
+      return {
+        rows: parsed.rows.slice(0, maxRows),
+        header: true,
+        complete: parsed.rows.length <= maxRows,
+        total: parsed.total,
+        details: { format: parsed.geojson ? 'geojson' : 'json', ...(parsed.path ? { path: parsed.path } : {}) },
+      };
+    }
+    case 'xlsx':
+    case 'ods': {
+      const read = format === 'xlsx' ? readXlsx : readOds;
+      const parsed = read(bytes, { sheet, maxRows });
+      return { rows: parsed.rows, complete: parsed.complete, details: { format, sheet: parsed.sheet, sheets: parsed.sheets } };
+    }
+    case 'xls':
+      throw new Error('XLS (BIFF) is not supported; use an XLSX/CSV distribution');
+    default:
+      throw new Error(`Unsupported format "${format}" (supported: ${PREVIEW_FORMATS.join(', ')})`);
+  }
+}
+
+/**
+ * @typedef {Object} TablePreview
+ * @property {string} format
+ * @property {string} [encoding] Detected text encoding (CSV/TSV)
+ * @property {string} [delimiter] Detected delimiter (CSV/TSV)
+ * @property {string} [sheet] Previewed sheet (XLSX/ODS)
+ * @property {string[]} [sheets] All sheets (XLSX/ODS)
+ * @property {string} [path] Location of the records in a JSON document
+ * @property {boolean} header Whether the first row was used as column names
+ * @property {Array<{name: string, type: string}>} columns
+ * @property {any[][]} rows
+ * @property {number} [total_rows] Total rows, when known
+ * @property {boolean} truncated Whether more rows exist than returned
+ */
+
+/**
+ * Build a typed table preview from resource bytes.
+ * @param {Buffer} bytes
+ * @param {{ format: string, rows: number, truncated?: boolean, sheet?: string|number }} options
+ *   `truncated` tells that `bytes` is only a prefix of the resource
+ * @returns {TablePreview}
+ */
+export function previewTable(bytes, { format, rows, truncated = false, sheet }) {
+  // One extra raw row for the header (or to tell that more rows follow)
+  const raw = readRows(bytes, { format, maxRows: rows + 1, truncated, sheet });
+  const { more, ...table } = buildTable(raw.rows, { header: raw.header, maxRows: rows });
+  return {
+    ...raw.details,
+    ...table,
+    ...(raw.total !== undefined ? { total_rows: raw.total } : {}),
+    truncated: more || !raw.complete,
+  };
+}
@@ -0,0 +1,74 @@
+/**
+ * Turn JSON and GeoJSON documents into records for tabular previews.
+ */
+
+const MAX_SEARCH_DEPTH = 3;
+
+const isRecord = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+/**
+ * Find the first array of objects in a document, breadth-first up to a small depth
+ * (e.g. {"data": [...]} or {"result": {"records": [...]}}).
+ * @param {any} doc
+ * @returns {{ path: string, items: any[] }|undefined}
+ */
+function findRecords(doc) {
+  let level = [{ path: '', value: doc }];
+  for (let depth = 0; depth <= MAX_SEARCH_DEPTH && level.length; depth += 1) {
+    const next = [];
+    for (const { path, value } of level) {
+      if (Array.isArray(value) && (value.length === 0 || value.some(isRecord))) return { path, items: value };
+      if (isRecord(value)) {
+        for (const [k, v] of Object.entries(value)) next.push({ path: path ? `${path}.${k}` : k, value: v });
+      }
+    }
+    level = next;
+  }
+  return undefined;
+}
+
+/**
+ * GeoJSON features as records: feature properties plus the geometry type.
+ * @param {object} doc
+ * @returns {object[]|undefined} Undefined when the document is not GeoJSON
+ */
+function geoJsonRecords(doc) {
+  const features =
+    doc?.type === 'FeatureCollection' ? doc.features : doc?.type === 'Feature' ? [doc] : undefined;
+  if (!Array.isArray(features)) return undefined;
+  return features.map((f) => ({ ...(f?.properties ?? {}), geometry: f?.geometry?.type ?? null }));
+}
+
+/**
+ * Convert a parsed JSON/GeoJSON document into raw table rows with a header row.
+ * @param {any} doc
+ * @param {{ geojson?: boolean }} [options] - Treat the document as GeoJSON
+ * @returns {{ rows: any[][], total: number, path?: string, geojson: boolean }}
+ * @throws {Error} If the document holds no list of records
+ */
+export function jsonToRows(doc, { geojson } = {}) {
+  const features = geojson !== false ? geoJsonRecords(doc) : undefined;
+  if (geojson && !features) throw new Error('Not a GeoJSON Feature or FeatureCollection');
+
+  let records = features;
+  let path;
+  if (!records) {
+    const found = findRecords(doc);
+    if (!found) throw new Error('JSON document contains no list of records to preview');
+    records = found.items.map((item) => (isRecord(item) ? item : { value: item }));
+    path = found.path || undefined;
+  }
+
+  const names = [];
+  const seen = new Set();
+  for (const record of records) {
+    for (const key of Object.keys(record)) {
+      if (!seen.has(key)) {
+        seen.add(key);
+        names.push(key);
+      }
+    }
+  }
+  const rows = [names, ...records.map((r) => names.map((n) => r[n] ?? null))];
+  return { rows, total: records.length, path, geojson: Boolean(features) };
+}
@@ -0,0 +1,281 @@
+import { open } from 'node:fs/promises';
+
+/**
+ * Minimal Parquet writer: flat schema of optional columns, PLAIN encoding,
+ * uncompressed data pages (format v1), one page per column chunk. Enough for
+ * exporting datastore tables without a native dependency.
+ */
+
+const MAGIC = Buffer.from('PAR1');
+
+// parquet.thrift enums
+const PARQUET_TYPES = { boolean: 0, int64: 2, double: 5, string: 6 };
+const REPETITION_OPTIONAL = 1;
+const CONVERTED_UTF8 = 0;
+const ENCODING_PLAIN = 0;
+const ENCODING_RLE = 3;
+const CODEC_UNCOMPRESSED = 0;
+const PAGE_DATA = 0;
+
+// Thrift compact protocol field types
+const T_I32 = 5;
+const T_I64 = 6;
+const T_BINARY = 8;
+const T_LIST = 9;
+const T_STRUCT = 12;
+
+/**
+ * @typedef {'string'|'int64'|'double'|'boolean'} ParquetColumnType
+ */
+
+/**
+ * Encoder for the Thrift compact protocol, the serialization of Parquet metadata.
+ * Structs are written as arrays of [fieldId, type, value] triples in field order.
+ */
+class CompactWriter {
+  constructor() {
+    /** @type {number[]} */
+    this.bytes = [];
+  }
+
+  varint(n) {
+    let v = BigInt(n);
+    while (v >= 0x80n) {
+      this.bytes.push(Number((v & 0x7fn) | 0x80n));
+      v >>= 7n;
+    }
+    this.bytes.push(Number(v));
+  }
+
+  zigzag(n) {
+    const v = BigInt(n);
+    this.varint(v >= 0n ? v << 1n : (-v << 1n) - 1n);
+  }
+
+  value(type, value) {
+    if (type === T_I32 || type === T_I64) this.zigzag(value);
+    else if (type === T_BINARY) {
+      const data = Buffer.from(value);
+      this.varint(data.length);
+      this.bytes.push(...data);
+    } else if (type === T_LIST) {
+      const [elementType, items] = value;
+      if (items.length < 15) this.bytes.push((items.length << 4) | elementType);
+      else {
+        this.bytes.push(0xf0 | elementType);
+        this.varint(items.length);
+      }
+      for (const item of items) this.value(elementType, item);
+    } else if (type === T_STRUCT) this.struct(value);
+  }
+
+  struct(fields) {
+    let last = 0;
+    for (const [id, type, value] of fields) {
+      if (value === undefined) continue;
+      this.bytes.push(((id - last) << 4) | type);
+      last = id;
+      this.value(type, value);
+    }
+    this.bytes.push(0);
+  }
+
+  toBuffer() {
+    return Buffer.from(this.bytes);
+  }
+}
+
+/**
+ * Serialize a Thrift struct with the compact protocol.
+ * @param {Array<[number, number, any]>} fields
+ * @returns {Buffer}
+ */
+function thriftStruct(fields) {
+  const writer = new CompactWriter();
+  writer.struct(fields);
+  return writer.toBuffer();
+}
+
+/**
+ * Convert a value to the column type; values that do not fit are written as null.
+ * @param {any} value
+ * @param {ParquetColumnType} type
+ * @returns {any}
+ */
+function toColumnValue(value, type) {
+  if (value === null || value === undefined || value === '') return null;
+  switch (type) {
+    case 'int64':
+      if (typeof value === 'string' && /^-?\d+$/.test(value.trim())) return BigInt(value.trim());
+      return Number.isFinite(Number(value)) ? BigInt(Math.trunc(Number(value))) : null;
+    case 'double':
+      return Number.isFinite(Number(value)) ? Number(value) : null;
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (/^(true|t|1|yes)$/i.test(String(value))) return true;
+      return /^(false|f|0|no)$/i.test(String(value)) ? false : null;
+    default:
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+}
+
+/**
+ * Definition levels (1 = present, 0 = null) as an RLE run sequence with bit width 1,
+ * prefixed by its byte length.
+ * @param {boolean[]} present
+ * @returns {Buffer}
+ */
+function encodeDefinitionLevels(present) {
+  const writer = new CompactWriter();
+  let i = 0;
+  while (i < present.length) {
+    let run = 1;
+    while (i + run < present.length && present[i + run] === present[i]) run += 1;
+    writer.varint(run << 1);
+    writer.bytes.push(present[i] ? 1 : 0);
+    i += run;
+  }
+  const levels = writer.toBuffer();
+  const length = Buffer.alloc(4);
+  length.writeUInt32LE(levels.length);
+  return Buffer.concat([length, levels]);
+}
+
+/**
+ * PLAIN encoding of the non-null values of a column.
+ * @param {any[]} values
+ * @param {ParquetColumnType} type
+ * @returns {Buffer}
+ */
+function encodePlain(values, type) {
+  if (type === 'boolean') {
+    const out = Buffer.alloc(Math.ceil(values.length / 8));
+    values.forEach((v, i) => {
+      if (v) out[i >> 3] |= 1 << (i & 7);
+    });
+    return out;
+  }
+  if (type === 'int64' || type === 'double') {
+    const out = Buffer.alloc(values.length * 8);
+    values.forEach((v, i) => (type === 'int64' ? out.writeBigInt64LE(BigInt.asIntN(64, v), i * 8) : out.writeDoubleLE(v, i * 8)));
+    return out;
+  }
+  const parts = [];
+  for (const v of values) {
+    const data = Buffer.from(v, 'utf8');
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(data.length);
+    parts.push(length, data);
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Create a Parquet file and write it row group by row group.
+ * @param {string} filePath
+ * @param {Array<{ name: string, type: ParquetColumnType }>} columns
+ * @returns {Promise<{ writeRowGroup: (rows: any[][]) => Promise<void>, close: () => Promise<number> }>}
+ *   `close` writes the footer and returns the file size
+ */
+export async function createParquetWriter(filePath, columns) {
+  const handle = await open(filePath, 'w');
+  await handle.write(MAGIC);
+  let offset = MAGIC.length;
+  let totalRows = 0;
+  const rowGroups = [];
+
+  return {
+    async writeRowGroup(rows) {
+      if (!rows.length) return;
+      const chunks = [];
+      let groupBytes = 0;
+      for (const [index, column] of columns.entries()) {
+        const values = rows.map((row) => toColumnValue(row[index], column.type));
+        const body = Buffer.concat([
+          encodeDefinitionLevels(values.map((v) => v !== null)),
+          encodePlain(
+            values.filter((v) => v !== null),
+            column.type
+          ),
+        ]);
+        const header = thriftStruct([
+          [1, T_I32, PAGE_DATA],
+          [2, T_I32, body.length],
+          [3, T_I32, body.length],
+          [
+            5,
+            T_STRUCT,
+            [
+              [1, T_I32, rows.length],
+              [2, T_I32, ENCODING_PLAIN],
+              [3, T_I32, ENCODING_RLE],
+              [4, T_I32, ENCODING_RLE],
+            ],
+          ],
+        ]);
+        const size = header.length + body.length;
+        await handle.write(Buffer.concat([header, body]));
+        chunks.push({ column, offset, size, count: rows.length });
+        offset += size;
+        groupBytes += size;
+      }
+      rowGroups.push({ chunks, bytes: groupBytes, rows: rows.length });
+      totalRows += rows.length;
+    },
+
+    async close() {
+      const schema = [
+        [
+          [4, T_BINARY, 'schema'],
+          [5, T_I32, columns.length],
+        ],
+        ...columns.map((c) => [
+          [1, T_I32, PARQUET_TYPES[c.type]],
+          [3, T_I32, REPETITION_OPTIONAL],
+          [4, T_BINARY, c.name],
+          [6, T_I32, c.type === 'string' ? CONVERTED_UTF8 : undefined],
+        ]),
+      ];
+      const groups = rowGroups.map((g) => [
+        [
+          1,
+          T_LIST,
+          [
+            T_STRUCT,
+            g.chunks.map((chunk) => [
+              [2, T_I64, chunk.offset],
+              [
+                3,
+                T_STRUCT,
+                [
+                  [1, T_I32, PARQUET_TYPES[chunk.column.type]],
+                  [2, T_LIST, [T_I32, [ENCODING_PLAIN, ENCODING_RLE]]],
+                  [3, T_LIST, [T_BINARY, [chunk.column.name]]],
+                  [4, T_I32, CODEC_UNCOMPRESSED],
+                  [5, T_I64, chunk.count],
+                  [6, T_I64, chunk.size],
+                  [7, T_I64, chunk.size],
+                  [9, T_I64, chunk.offset],
+                ],
+              ],
+            ]),
+          ],
+        ],
+        [2, T_I64, g.bytes],
+        [3, T_I64, g.rows],
+      ]);
+      const footer = thriftStruct([
+        [1, T_I32, 1],
+        [2, T_LIST, [T_STRUCT, schema]],
+        [3, T_I64, totalRows],
+        [4, T_LIST, [T_STRUCT, groups]],
+        [6, T_BINARY, 'schwaizer-opendata-mcp'],
+      ]);
+      const length = Buffer.alloc(4);
+      length.writeUInt32LE(footer.length);
+      await handle.write(Buffer.concat([footer, length, MAGIC]));
+      await handle.close();
+      return offset + footer.length + 8;
+    },
+  };
+}
@@ -0,0 +1,140 @@
+import { valueType, widenTypes, coerce } from './table.js';
+
+/**
+ * Column profiles (types, null rate, distinct values, ranges) for tabular data.
+ */
+
+/** Official two-letter canton abbreviations. */
+export const CANTON_CODES = new Set([
+  'ZH', 'BE', 'LU', 'UR', 'SZ', 'OW', 'NW', 'GL', 'ZG', 'FR', 'SO', 'BS', 'BL',
+  'SH', 'AR', 'AI', 'SG', 'GR', 'AG', 'TG', 'TI', 'VD', 'VS', 'NE', 'GE', 'JU',
+]);
+
+// Column names that identify municipality numbers (BFS-Nr./No OFS) and postal codes;
+// the values alone (small integers) are not specific enough
+const MUNICIPALITY_NAME = /bfs|ofs|gde_?nr|gmde|gem(einde)?_?(nr|nummer|id|code)|no_?com|num_?com|commune_?(id|nr|no|num|code)|municipality_?(id|nr|no|num|code)/i;
+const POSTAL_NAME = /^(plz|npa|cap|zip)|postal|postleitzahl/i;
+
+// Distinct values tracked per column before the count becomes a lower bound
+const MAX_TRACKED_VALUES = 10000;
+
+/**
+ * @typedef {Object} ColumnProfile
+ * @property {string} name
+ * @property {string} type Value type (see COLUMN_TYPES in ./table.js)
+ * @property {string} [semantic_type] canton_code, swiss_municipality_number or postal_code
+ * @property {string} [source_type] Type declared by the source (datastore field type)
+ * @property {number} null_count
+ * @property {number} null_rate Share of empty values (0..1)
+ * @property {number} distinct Number of distinct non-empty values
+ * @property {boolean} [distinct_is_lower_bound] True when there were too many values to count exactly
+ * @property {number|string} [min] Smallest value (numbers, dates)
+ * @property {number|string} [max] Largest value (numbers, dates)
+ * @property {number} [min_length] Shortest text (strings)
+ * @property {number} [max_length] Longest text (strings)
+ * @property {Array<{value: any, count: number}>} top_values Most frequent values
+ */
+
+/**
+ * Sortable form of a date value (dd.mm.yyyy becomes yyyy-mm-dd).
+ * @param {string} value
+ * @returns {string}
+ */
+function sortableDate(value) {
+  const m = value.trim().match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/);
+  return m ? `${m[3]}-${m[2].padStart(2, '0')}-${m[1].padStart(2, '0')}` : value.trim();
+}
+
+/**
+ * Semantic type of a column from its name and values.
+ * @param {string} name
+ * @param {string} type
+ * @param {any[]} values - Non-empty values
+ * @returns {string|undefined}
+ */
+function semanticType(name, type, values) {
+  if (values.length === 0) return undefined;
+  if (type === 'string' && values.every((v) => CANTON_CODES.has(String(v).trim()))) return 'canton_code';
+  if (type !== 'integer') return undefined;
+  const numbers = values.map(Number);
+  if (MUNICIPALITY_NAME.test(name) && numbers.every((n) => n >= 1 && n <= 9999)) return 'swiss_municipality_number';
+  if (POSTAL_NAME.test(name) && numbers.every((n) => n >= 1000 && n <= 9999)) return 'postal_code';
+  return undefined;
+}
+
+/**
+ * Profile one column.
+ * @param {string} name
+ * @param {any[]} cells - Raw cell values
+ * @param {{ top: number }} options
+ * @returns {ColumnProfile}
+ */
+function profileColumn(name, cells, { top }) {
+  const values = [];
+  const types = new Set();
+  for (const cell of cells) {
+    const t = valueType(cell);
+    if (!t) continue;
+    types.add(t);
+    values.push(cell);
+  }
+  const type = widenTypes(types);
+  const nullCount = cells.length - values.length;
+
+  const counts = new Map();
+  let lowerBound = false;
+  for (const v of values) {
+    const key = typeof v === 'object' ? JSON.stringify(v) : coerce(v, type);
+    if (counts.has(key)) counts.set(key, counts.get(key) + 1);
+    else if (counts.size < MAX_TRACKED_VALUES) counts.set(key, 1);
+    else lowerBound = true;
+  }
+
+  const semantic = semanticType(name, type, values);
+  const profile = {
+    name,
+    type,
+    ...(semantic ? { semantic_type: semantic } : {}),
+    null_count: nullCount,
+    null_rate: cells.length ? Number((nullCount / cells.length).toFixed(4)) : 0,
+    distinct: counts.size,
+    ...(lowerBound ? { distinct_is_lower_bound: true } : {}),
+  };
+
+  if (values.length && (type === 'integer' || type === 'number')) {
+    const numbers = values.map((v) => coerce(v, type));
+    profile.min = numbers.reduce((a, b) => (b < a ? b : a));
+    profile.max = numbers.reduce((a, b) => (b > a ? b : a));
+  } else if (values.length && (type === 'date' || type === 'datetime')) {
+    const dates = values.map((v) => sortableDate(String(v)));
+    profile.min = dates.reduce((a, b) => (b < a ? b : a));
+    profile.max = dates.reduce((a, b) => (b > a ? b : a));
+  } else if (values.length && type === 'string') {
+    const lengths = values.map((v) => String(v).length);
+    profile.min_length = lengths.reduce((a, b) => Math.min(a, b));
+    profile.max_length = lengths.reduce((a, b) => Math.max(a, b));
+  }
+
+  profile.top_values = [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, top)
+    .map(([value, count]) => ({ value, count }));
+  return profile;
+}
+
+/**
+ * Profile the columns of a table.
+ * @param {string[]} names - Column names
+ * @param {any[][]} rows - Data rows (raw values)
+ * @param {{ top?: number, samples?: number, sourceTypes?: Record<string, string> }} [options]
+ *   `top` most frequent values per column, `samples` example rows, `sourceTypes` declared types by column name
+ * @returns {{ columns: ColumnProfile[], sample_rows: any[][] }}
+ */
+export function profileTable(names, rows, { top = 5, samples = 5, sourceTypes = {} } = {}) {
+  const columns = names.map((name, i) => {
+    const profile = profileColumn(name, rows.map((r) => r[i]), { top });
+    return sourceTypes[name] ? { ...profile, source_type: sourceTypes[name] } : profile;
+  });
+  const sampleRows = rows.slice(0, samples).map((r) => columns.map((c, i) => coerce(r[i], c.type)));
+  return { columns, sample_rows: sampleRows };
+}
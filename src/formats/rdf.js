@@ -0,0 +1,255 @@
+/**
+ * Minimal RDF graph with Turtle, JSON-LD and RDF/XML serializers. Covers what
+ * the DCAT export needs (IRIs, blank nodes, language-tagged and typed
+ * literals) without an RDF library.
+ */
+
+/** Namespaces used by the serializations, by prefix. */
+export const PREFIXES = {
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+  xsd: 'http://www.w3.org/2001/XMLSchema#',
+  dcat: 'http://www.w3.org/ns/dcat#',
+  dct: 'http://purl.org/dc/terms/',
+  foaf: 'http://xmlns.com/foaf/0.1/',
+  vcard: 'http://www.w3.org/2006/vcard/ns#',
+};
+
+/** Serialization formats and their media types. */
+export const RDF_MEDIA_TYPES = {
+  turtle: 'text/turtle',
+  jsonld: 'application/ld+json',
+  rdfxml: 'application/rdf+xml',
+};
+
+const RDF_TYPE = `${PREFIXES.rdf}type`;
+
+/**
+ * @typedef {{ termType: 'NamedNode', value: string }} NamedNode
+ * @typedef {{ termType: 'BlankNode', value: string }} BlankNode
+ * @typedef {{ termType: 'Literal', value: string, language?: string, datatype?: string }} Literal
+ * @typedef {NamedNode|BlankNode|Literal} Term
+ */
+
+/**
+ * Named node; `prefix:local` names are expanded with PREFIXES.
+ * @param {string} value
+ * @returns {NamedNode}
+ */
+export function iri(value) {
+  const match = /^([a-z]+):([A-Za-z_][\w-]*)$/.exec(value);
+  return { termType: 'NamedNode', value: match && PREFIXES[match[1]] ? PREFIXES[match[1]] + match[2] : value };
+}
+
+/**
+ * Literal with an optional language tag or datatype (`xsd:date`, or a full IRI).
+ * @param {string|number|boolean} value
+ * @param {{ language?: string, datatype?: string }} [options]
+ * @returns {Literal}
+ */
+export function literal(value, { language, datatype } = {}) {
+  return {
+    termType: 'Literal',
+    value: String(value),
+    ...(language ? { language } : {}),
+    ...(datatype ? { datatype: iri(datatype).value } : {}),
+  };
+}
+
+/**
+ * A graph: triples in insertion order (without duplicates), plus a blank node factory.
+ * @returns {{ triples: Array<[NamedNode|BlankNode, NamedNode, Term]>, add: (s: NamedNode|BlankNode, p: string, o: Term|undefined) => void, blank: () => BlankNode }}
+ */
+export function createGraph() {
+  let blanks = 0;
+  const triples = [];
+  const seen = new Set();
+  return {
+    triples,
+    add(subject, predicate, object) {
+      if (!object) return;
+      const triple = [subject, iri(predicate), object];
+      const key = JSON.stringify(triple);
+      if (seen.has(key)) return;
+      seen.add(key);
+      triples.push(triple);
+    },
+    blank() {
+      blanks += 1;
+      return { termType: 'BlankNode', value: `b${blanks}` };
+    },
+  };
+}
+
+/**
+ * Triples grouped by subject, keeping the order subjects first appear in.
+ * @param {ReturnType<typeof createGraph>} graph
+ * @returns {Array<{ subject: NamedNode|BlankNode, properties: Map<string, Term[]> }>}
+ */
+function subjects(graph) {
+  const bySubject = new Map();
+  for (const [s, p, o] of graph.triples) {
+    const key = `${s.termType}:${s.value}`;
+    if (!bySubject.has(key)) bySubject.set(key, { subject: s, properties: new Map() });
+    const { properties } = bySubject.get(key);
+    if (!properties.has(p.value)) properties.set(p.value, []);
+    properties.get(p.value).push(o);
+  }
+  return [...bySubject.values()];
+}
+
+/**
+ * Split an IRI into a known prefix and a local name, if it has one.
+ * @param {string} value
+ * @returns {[string, string]|undefined}
+ */
+function qname(value) {
+  for (const [prefix, ns] of Object.entries(PREFIXES)) {
+    if (!value.startsWith(ns)) continue;
+    const local = value.slice(ns.length);
+    if (/^[A-Za-z_][\w-]*$/.test(local)) return [prefix, local];
+  }
+  return undefined;
+}
+
+// Turtle
+
+const escapeTurtleString = (value) =>
+  value.replace(/[\\"\n\r\t]/g, (c) => ({ '\\': '\\\\', '"': '\\"', '\n': '\\n', '\r': '\\r', '\t': '\\t' })[c]);
+
+const escapeTurtleIri = (value) =>
+  value.replace(/[\x00-\x20<>"{}|^`\\]/g, (c) => `\\u${c.charCodeAt(0).toString(16).padStart(4, '0')}`);
+
+/**
+ * @param {Term} term
+ * @returns {string}
+ */
+function turtleTerm(term) {
+  if (term.termType === 'BlankNode') return `_:${term.value}`;
+  if (term.termType === 'NamedNode') {
+    const name = qname(term.value);
+    return name ? name.join(':') : `<${escapeTurtleIri(term.value)}>`;
+  }
+  const text = `"${escapeTurtleString(term.value)}"`;
+  if (term.language) return `${text}@${term.language}`;
+  return term.datatype ? `${text}^^${turtleTerm(iri(term.datatype))}` : text;
+}
+
+/**
+ * Serialize a graph as Turtle, one subject block per resource.
+ * @param {ReturnType<typeof createGraph>} graph
+ * @returns {string}
+ */
+export function toTurtle(graph) {
+  const lines = Object.entries(PREFIXES).map(([prefix, ns]) => `@prefix ${prefix}: <${ns}> .`);
+  for (const { subject, properties } of subjects(graph)) {
+    const predicates = [...properties].map(([p, objects]) => {
+      const predicate = p === RDF_TYPE ? 'a' : turtleTerm(iri(p));
+      return `    ${predicate} ${objects.map(turtleTerm).join(', ')}`;
+    });
+    lines.push('', `${turtleTerm(subject)}\n${predicates.join(' ;\n')} .`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// JSON-LD
+
+/**
+ * Compact IRI (prefix:local) where possible.
+ * @param {string} value
+ * @returns {string}
+ */
+function compactIri(value) {
+  const name = qname(value);
+  return name ? name.join(':') : value;
+}
+
+/**
+ * @param {Term} term
+ * @returns {string|object}
+ */
+function jsonLdValue(term) {
+  if (term.termType === 'BlankNode') return { '@id': `_:${term.value}` };
+  if (term.termType === 'NamedNode') return { '@id': term.value };
+  if (term.language) return { '@value': term.value, '@language': term.language };
+  if (term.datatype) return { '@value': term.value, '@type': compactIri(term.datatype) };
+  return term.value;
+}
+
+/**
+ * Serialize a graph as a JSON-LD document: one node object per subject in
+ * `@graph`, with the prefixes as `@context`.
+ * @param {ReturnType<typeof createGraph>} graph
+ * @returns {string}
+ */
+export function toJsonLd(graph) {
+  const nodes = subjects(graph).map(({ subject, properties }) => {
+    const node = { '@id': subject.termType === 'BlankNode' ? `_:${subject.value}` : subject.value };
+    for (const [p, objects] of properties) {
+      if (p === RDF_TYPE) {
+        const types = objects.map((o) => compactIri(o.value));
+        node['@type'] = types.length === 1 ? types[0] : types;
+        continue;
+      }
+      const values = objects.map(jsonLdValue);
+      node[compactIri(p)] = values.length === 1 ? values[0] : values;
+    }
+    return node;
+  });
+  return `${JSON.stringify({ '@context': PREFIXES, '@graph': nodes }, null, 2)}\n`;
+}
+
+// RDF/XML
+
+const escapeXml = (value) =>
+  value
+    // Characters XML 1.0 cannot represent at all
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f\ufffe\uffff]/g, '')
+    .replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+/**
+ * Serialize a graph as RDF/XML, one rdf:Description per subject.
+ * @param {ReturnType<typeof createGraph>} graph
+ * @returns {string}
+ * @throws {Error} If a predicate has no prefixed name (RDF/XML needs one)
+ */
+export function toRdfXml(graph) {
+  const namespaces = Object.entries(PREFIXES).map(([prefix, ns]) => `xmlns:${prefix}="${ns}"`);
+  const lines = ['<?xml version="1.0" encoding="utf-8"?>', `<rdf:RDF\n  ${namespaces.join('\n  ')}>`];
+  for (const { subject, properties } of subjects(graph)) {
+    const ref = subject.termType === 'BlankNode' ? `rdf:nodeID="${subject.value}"` : `rdf:about="${escapeXml(subject.value)}"`;
+    lines.push(`  <rdf:Description ${ref}>`);
+    for (const [p, objects] of properties) {
+      const name = qname(p);
+      if (!name) throw new Error(`Predicate <${p}> cannot be written as RDF/XML`);
+      const tag = name.join(':');
+      for (const o of objects) {
+        if (o.termType === 'NamedNode') lines.push(`    <${tag} rdf:resource="${escapeXml(o.value)}"/>`);
+        else if (o.termType === 'BlankNode') lines.push(`    <${tag} rdf:nodeID="${o.value}"/>`);
+        else {
+          const attr = o.language
+            ? ` xml:lang="${o.language}"`
+            : o.datatype
+              ? ` rdf:datatype="${escapeXml(o.datatype)}"`
+              : '';
+          lines.push(`    <${tag}${attr}>${escapeXml(o.value)}</${tag}>`);
+        }
+      }
+    }
+    lines.push('  </rdf:Description>');
+  }
+  lines.push('</rdf:RDF>');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Serialize a graph in one of the RDF_MEDIA_TYPES formats.
+ * @param {ReturnType<typeof createGraph>} graph
+ * @param {'turtle'|'jsonld'|'rdfxml'} format
+ * @returns {string}
+ */
+export function serializeRdf(graph, format) {
+  if (format === 'jsonld') return toJsonLd(graph);
+  if (format === 'rdfxml') return toRdfXml(graph);
+  return toTurtle(graph);
+}
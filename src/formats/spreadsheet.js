@@ -0,0 +1,249 @@
+import { listZipEntries, readZipText } from '../utils/zip.js';
+
+/**
+ * XLSX (Office Open XML) and ODS (OpenDocument) sheet readers.
+ * Both are ZIP containers of XML parts; only the cell values of one sheet are
+ * extracted, which a light regex-based scan of the XML handles well.
+ */
+
+// Inflate limit per XML part, against ZIP bombs disguised as workbooks
+const MAX_PART_BYTES = 64 * 1024 * 1024;
+// Cap for ODS repeated empty columns/rows (sheets often "repeat" blank cells to the sheet edge)
+const MAX_REPEAT = 1000;
+
+/**
+ * Decode XML character entities.
+ * @param {string} s
+ * @returns {string}
+ */
+function unescapeXml(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (_, e) => {
+    if (e[0] === '#') return String.fromCodePoint(e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : Number(e.slice(1)));
+    return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[e.toLowerCase()];
+  });
+}
+
+/**
+ * Parse the attributes of an XML start tag.
+ * @param {string} s - Attribute source, e.g. ' r="A1" t="s"'
+ * @returns {Record<string, string>}
+ */
+function attributes(s) {
+  const out = {};
+  for (const m of s.matchAll(/([\w:.-]+)\s*=\s*"([^"]*)"/g)) out[m[1]] = unescapeXml(m[2]);
+  return out;
+}
+
+/**
+ * Text content of an XML fragment (tags removed).
+ * @param {string} s
+ * @returns {string}
+ */
+function textContent(s) {
+  return unescapeXml(s.replace(/<[^>]+>/g, ''));
+}
+
+/**
+ * Pick a sheet by name or 1-based position; the first sheet by default.
+ * @template {{name: string}} T
+ * @param {T[]} sheets
+ * @param {string|number|undefined} wanted
+ * @returns {T}
+ */
+function selectSheet(sheets, wanted) {
+  if (sheets.length === 0) throw new Error('Workbook has no sheets');
+  if (wanted === undefined) return sheets[0];
+  const byName = sheets.find((s) => s.name === String(wanted));
+  const byIndex = /^\d+$/.test(String(wanted)) ? sheets[Number(wanted) - 1] : undefined;
+  const sheet = byName ?? byIndex;
+  if (!sheet) {
+    throw new Error(`Sheet "${wanted}" not found (sheets: ${sheets.map((s) => s.name).join(', ')})`);
+  }
+  return sheet;
+}
+
+// Built-in Excel number formats that display dates/times
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+/**
+ * Indexes of cell styles (cellXfs) that format numbers as dates.
+ * @param {string|undefined} stylesXml
+ * @returns {Set<number>}
+ */
+function dateStyles(stylesXml) {
+  const out = new Set();
+  if (!stylesXml) return out;
+  const custom = new Map();
+  for (const m of stylesXml.matchAll(/<numFmt\b([^>]*)\/?>/g)) {
+    const a = attributes(m[1]);
+    custom.set(Number(a.numFmtId), a.formatCode || '');
+  }
+  const xfs = stylesXml.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/)?.[1] ?? '';
+  let index = 0;
+  for (const m of xfs.matchAll(/<xf\b([^>]*?)(?:\/>|>)/g)) {
+    const id = Number(attributes(m[1]).numFmtId);
+    // Strip quoted literals and [color]/[locale] sections before looking for date tokens
+    const code = (custom.get(id) || '').replace(/"[^"]*"|\[[^\]]*\]/g, '');
+    if (DATE_FORMAT_IDS.has(id) || /[dy]|m{3,}|h.*m|m.*s/i.test(code)) out.add(index);
+    index += 1;
+  }
+  return out;
+}
+
+/**
+ * Convert an Excel serial date (days since 1899-12-30) to an ISO date or date-time.
+ * @param {number} serial
+ * @returns {string}
+ */
+function excelDate(serial) {
+  const ms = Math.round(serial * 86400000) + Date.UTC(1899, 11, 30);
+  const iso = new Date(ms).toISOString();
+  return Number.isInteger(serial) ? iso.slice(0, 10) : iso.slice(0, 19);
+}
+
+/**
+ * Zero-based column index from a cell reference such as "AB12".
+ * @param {string} ref
+ * @returns {number}
+ */
+function columnIndex(ref) {
+  let n = 0;
+  for (const ch of ref.match(/^[A-Z]+/)?.[0] ?? '') n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+/**
+ * Read rows from an XLSX workbook.
+ * @param {Buffer} buffer - Complete .xlsx file
+ * @param {{ sheet?: string|number, maxRows: number }} options - `maxRows` raw rows (including a header)
+ * @returns {{ sheet: string, sheets: string[], rows: any[][], complete: boolean }}
+ */
+export function readXlsx(buffer, { sheet, maxRows }) {
+  const entries = listZipEntries(buffer);
+  const read = (name) => readZipText(buffer, entries, name, { maxBytes: MAX_PART_BYTES });
+  const workbook = read('xl/workbook.xml');
+  if (!workbook) throw new Error('Not an XLSX workbook (xl/workbook.xml missing)');
+
+  const rels = new Map();
+  for (const m of (read('xl/_rels/workbook.xml.rels') ?? '').matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+    const a = attributes(m[1]);
+    rels.set(a.Id, a.Target.startsWith('/') ? a.Target.slice(1) : `xl/${a.Target}`);
+  }
+  const sheets = [...workbook.matchAll(/<sheet\b([^>]*)\/?>/g)].map((m) => {
+    const a = attributes(m[1]);
+    return { name: a.name, path: rels.get(a['r:id']) };
+  });
+  const selected = selectSheet(sheets, sheet);
+
+  const shared = [...(read('xl/sharedStrings.xml') ?? '').matchAll(/<si>([\s\S]*?)<\/si>/g)].map((m) =>
+    // Rich text runs are concatenated; phonetic hints (rPh) are not part of the value
+    [...m[1].replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)]
+      .map((t) => unescapeXml(t[1]))
+      .join('')
+  );
+  const dates = dateStyles(read('xl/styles.xml'));
+
+  const xml = selected.path && read(selected.path);
+  if (!xml) throw new Error(`Sheet "${selected.name}" not found in workbook`);
+
+  const rows = [];
+  let complete = true;
+  for (const rowMatch of xml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+    if (rows.length >= maxRows) {
+      complete = false;
+      break;
+    }
+    const row = [];
+    for (const c of rowMatch[1].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const a = attributes(c[1]);
+      const body = c[2] ?? '';
+      const v = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+      let value = null;
+      if (a.t === 's') value = v === undefined ? null : shared[Number(v)] ?? null;
+      else if (a.t === 'inlineStr') value = textContent(body.match(/<is>([\s\S]*?)<\/is>/)?.[1] ?? '');
+      else if (a.t === 'b') value = v === '1';
+      else if (a.t === 'str' || a.t === 'e' || a.t === 'd') value = v === undefined ? null : unescapeXml(v);
+      else if (v !== undefined) {
+        const n = Number(v);
+        value = dates.has(Number(a.s)) ? excelDate(n) : n;
+      }
+      const index = a.r ? columnIndex(a.r) : row.length;
+      while (row.length < index) row.push(null);
+      row[index] = value;
+    }
+    if (row.some((v) => v !== null && v !== '')) rows.push(row);
+  }
+  return { sheet: selected.name, sheets: sheets.map((s) => s.name), rows, complete };
+}
+
+/**
+ * Value of an ODS table cell from its attributes and content.
+ * @param {Record<string, string>} a
+ * @param {string} body
+ * @returns {any}
+ */
+function odsCellValue(a, body) {
+  switch (a['office:value-type']) {
+    case 'float':
+    case 'percentage':
+    case 'currency':
+      return Number(a['office:value']);
+    case 'date':
+      return a['office:date-value'];
+    case 'time':
+      return a['office:time-value'];
+    case 'boolean':
+      return a['office:boolean-value'] === 'true';
+    default: {
+      const paragraphs = [...body.matchAll(/<text:p\b[^>]*>([\s\S]*?)<\/text:p>/g)].map((p) =>
+        textContent(p[1].replace(/<text:s\b[^>]*\/>/g, ' ').replace(/<text:line-break\/>/g, '\n'))
+      );
+      return paragraphs.length ? paragraphs.join('\n') : null;
+    }
+  }
+}
+
+/**
+ * Read rows from an ODS spreadsheet.
+ * @param {Buffer} buffer - Complete .ods file
+ * @param {{ sheet?: string|number, maxRows: number }} options - `maxRows` raw rows (including a header)
+ * @returns {{ sheet: string, sheets: string[], rows: any[][], complete: boolean }}
+ */
+export function readOds(buffer, { sheet, maxRows }) {
+  const entries = listZipEntries(buffer);
+  const content = readZipText(buffer, entries, 'content.xml', { maxBytes: MAX_PART_BYTES });
+  if (!content) throw new Error('Not an ODS spreadsheet (content.xml missing)');
+
+  const tables = [...content.matchAll(/<table:table\b([^>]*)>([\s\S]*?)<\/table:table>/g)].map((m) => ({
+    name: attributes(m[1])['table:name'],
+    xml: m[2],
+  }));
+  const selected = selectSheet(tables, sheet);
+
+  const rows = [];
+  let complete = true;
+  const rowPattern = /<table:table-row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/table:table-row>)/g;
+  const cellPattern =
+    /<table:(?:covered-)?table-cell\b([^>]*?)(?:\/>|>([\s\S]*?)<\/table:(?:covered-)?table-cell>)/g;
+  for (const rowMatch of selected.xml.matchAll(rowPattern)) {
+    const row = [];
+    for (const c of (rowMatch[2] ?? '').matchAll(cellPattern)) {
+      const a = attributes(c[1]);
+      const value = odsCellValue(a, c[2] ?? '');
+      const repeat = Math.min(Number(a['table:number-columns-repeated'] || 1), MAX_REPEAT);
+      for (let i = 0; i < repeat; i += 1) row.push(value);
+    }
+    while (row.length && (row[row.length - 1] === null || row[row.length - 1] === '')) row.pop();
+    if (row.length === 0) continue;
+    const repeat = Math.min(Number(attributes(rowMatch[1])['table:number-rows-repeated'] || 1), MAX_REPEAT);
+    for (let i = 0; i < repeat; i += 1) {
+      if (rows.length >= maxRows) {
+        complete = false;
+        break;
+      }
+      rows.push(row);
+    }
+    if (!complete) break;
+  }
+  return { sheet: selected.name, sheets: tables.map((t) => t.name), rows, complete };
+}
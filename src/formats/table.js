@@ -0,0 +1,123 @@
+/**
+ * Column typing and header detection shared by the tabular format parsers.
+ */
+
+const INTEGER = /^[-+]?(0|[1-9]\d*)$/;
+const NUMBER = /^[-+]?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?$/;
+const BOOLEAN = /^(true|false)$/i;
+const DATE = /^(\d{4}-\d{2}-\d{2}|\d{1,2}\.\d{1,2}\.\d{4})$/;
+const DATETIME = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+/** Column types reported by the previews, from most to least specific. */
+export const COLUMN_TYPES = ['integer', 'number', 'boolean', 'date', 'datetime', 'string', 'json'];
+
+const isEmpty = (v) => v === null || v === undefined || v === '';
+
+/**
+ * Type of a single cell value. Strings are classified by their content;
+ * integers with leading zeros (postal codes, identifiers) stay strings.
+ * @param {any} value
+ * @returns {string|undefined} Undefined for empty cells
+ */
+export function valueType(value) {
+  if (isEmpty(value)) return undefined;
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'object') return 'json';
+  const s = String(value).trim();
+  if (INTEGER.test(s)) return 'integer';
+  if (NUMBER.test(s) && !/^[-+]?0\d/.test(s)) return 'number';
+  if (BOOLEAN.test(s)) return 'boolean';
+  if (DATE.test(s)) return 'date';
+  if (DATETIME.test(s)) return 'datetime';
+  return 'string';
+}
+
+/**
+ * Common type of a column's values; mixed integer/number widen to number,
+ * mixed date/datetime to datetime, anything else mixed to string.
+ * @param {any[]} values
+ * @returns {string}
+ */
+export function columnType(values) {
+  return widenTypes(new Set(values.map(valueType).filter(Boolean)));
+}
+
+/**
+ * Common type of a set of value types (see {@link columnType}).
+ * @param {Set<string>} types
+ * @returns {string}
+ */
+export function widenTypes(types) {
+  if (types.size === 0) return 'string';
+  if (types.size === 1) return [...types][0];
+  if ([...types].every((t) => t === 'integer' || t === 'number')) return 'number';
+  if ([...types].every((t) => t === 'date' || t === 'datetime')) return 'datetime';
+  return 'string';
+}
+
+/**
+ * Convert a raw cell to the column type (numbers and booleans; other types keep their text).
+ * @param {any} value
+ * @param {string} type
+ * @returns {any}
+ */
+export function coerce(value, type) {
+  if (isEmpty(value)) return null;
+  if (typeof value !== 'string') return value;
+  const s = value.trim();
+  if (type === 'integer' || type === 'number') return Number(s);
+  if (type === 'boolean') return s.toLowerCase() === 'true';
+  return value;
+}
+
+/**
+ * Whether the first row looks like a header: every cell is non-empty text
+ * (not a number, boolean or date) and the names are distinct.
+ * @param {any[][]} rows
+ * @returns {boolean}
+ */
+export function looksLikeHeader(rows) {
+  const first = rows[0];
+  if (!first || first.length === 0) return false;
+  const names = first.map((v) => (isEmpty(v) ? '' : String(v).trim()));
+  if (names.some((n) => n === '' || valueType(n) !== 'string')) return false;
+  return new Set(names).size === names.length;
+}
+
+/**
+ * Separate the header row (when present or detected) from the data rows and name
+ * the columns; columns without a name become column_1, column_2, ...
+ * @param {any[][]} rawRows - Rows including a possible header row
+ * @param {boolean} [header] - Force header detection on/off
+ * @returns {{ header: boolean, names: string[], body: any[][] }}
+ */
+export function splitHeader(rawRows, header) {
+  const hasHeader = header ?? looksLikeHeader(rawRows);
+  const body = hasHeader ? rawRows.slice(1) : rawRows;
+  const width = body.reduce((w, r) => Math.max(w, r.length), hasHeader ? rawRows[0].length : 0);
+  const names = Array.from({ length: width }, (_, i) => {
+    const name = hasHeader ? rawRows[0][i] : undefined;
+    return isEmpty(name) ? `column_${i + 1}` : String(name).trim();
+  });
+  return { header: hasHeader, names, body };
+}
+
+/**
+ * Build a typed table from raw rows.
+ * @param {any[][]} rawRows - Rows including a possible header row
+ * @param {{ header?: boolean, maxRows: number }} options - `header` forces header detection on/off
+ * @returns {{ header: boolean, columns: Array<{name: string, type: string}>, rows: any[][], more: boolean }}
+ *   `more` is true when rows beyond `maxRows` were available
+ */
+export function buildTable(rawRows, { header, maxRows }) {
+  const split = splitHeader(rawRows, header);
+  const rows = split.body.slice(0, maxRows);
+  const columns = split.names.map((name, i) => ({ name, type: columnType(rows.map((r) => r[i])) }));
+  return {
+    header: split.header,
+    columns,
+    rows: rows.map((r) => columns.map((c, i) => coerce(r[i], c.type))),
+    more: split.body.length > maxRows,
+  };
+}
@@ -1,126 +1,77 @@
 /**
  * MCP server entry point for schwaizer-opendata-mcp.
  * - Bootstraps configuration and logging
- * - Registers tool definitions and request handlers
- * - Starts the stdio transport and wires graceful shutdown
+ * - Selects the transport (stdio, Streamable HTTP or legacy SSE) from env/CLI flags
+ * - Wires graceful shutdown
  *
  * This file uses JSDoc to document the public surface and lifecycle hooks.
  */
 import 'dotenv/config.js';
-import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { parseArgs } from 'node:util';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import {
-  CallToolRequestSchema,
-  ListToolsRequestSchema,
-} from '@modelcontextprotocol/sdk/types.js';
 
 import { logger } from './utils/logger.js';
-import './config.js'; // ensure env/config side-effects are loaded
+import { CONFIG } from './config.js';
+import { createServer } from './server.js';
+import { startHttpServer } from './transports/http.js';
 
-// Tool modules
-import { getCatalogTools, getCatalogHandlers } from './tools/catalog.js';
-import { getOrgTaxonomyTools, getOrgTaxonomyHandlers } from './tools/org-taxonomy.js';
-import { getStatusTools, getStatusHandlers } from './tools/status.js';
-import { getDatastoreTools, getDatastoreHandlers } from './tools/datastore.js';
-import { getResourcesTools, getResourcesHandlers } from './tools/resources.js';
-
-// Aggregate tool definitions and handlers
-const toolDefs = [
-  ...getCatalogTools(),
-  ...getOrgTaxonomyTools(),
-  ...getDatastoreTools(),
-  ...getResourcesTools(),
-  ...getStatusTools(),
-];
-
-const handlers = {
-  ...getCatalogHandlers(),
-  ...getOrgTaxonomyHandlers(),
-  ...getDatastoreHandlers(),
-  ...getResourcesHandlers(),
-  ...getStatusHandlers(),
-};
-
-// Create MCP server
-const server = new Server(
-  {
-    name: 'schwaizer-opendata-mcp',
-    version: '0.1.0',
-  },
-  {
-    capabilities: {
-      tools: {},
-      // resources: {} // reserved for future resource templates
-    },
-  }
-);
+const TRANSPORTS = ['stdio', 'http', 'sse'];
 
 /**
- * ListTools handler.
- * Returns the list of MCP tools exposed by this server.
- * @returns {{ tools: Array<object> }} A response object with the tool descriptors.
+ * Resolve transport options from CLI flags, falling back to CONFIG (env).
+ * Supported flags: --transport <stdio|http|sse>, --host <host>, --port <port>
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {{ transport: 'stdio'|'http'|'sse', host: string, port: number }}
  */
- // List tools handler
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  try {
-    logger.info({ count: toolDefs.length }, 'ListTools');
-    return { tools: toolDefs };
-  } catch (err) {
-    logger.error({ err }, 'ListTools failed');
-    // As per MCP spec, errors are propagated via exceptions in request handlers
-    throw new Error(`Failed to list tools: ${String(err)}`);
-  }
-});
-
-/**
- * CallTool handler.
- * Dispatches a tool invocation by name to the registered handler.
- * @param {{ params: { name: string, arguments?: object } }} req - MCP request with tool name and arguments.
- * @returns {Promise<{content: Array<{type: string, text: string}>, isError?: boolean}>} Tool execution result.
- */
- // Call tool handler
-server.setRequestHandler(CallToolRequestSchema, async (req) => {
-  const name = req.params.name;
-  const args = req.params.arguments ?? {};
-  const handler = handlers[name];
-
-  logger.info({ name, args }, 'CallTool request');
-
-  if (!handler || typeof handler !== 'function') {
-    const msg = `Tool not found: ${name}`;
-    logger.warn({ name }, msg);
-    return {
-      isError: true,
-      content: [{ type: 'text', text: msg }],
-    };
+function resolveOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      transport: { type: 'string' },
+      host: { type: 'string' },
+      port: { type: 'string' },
+    },
+    strict: true,
+  });
+  const transport = (values.transport || CONFIG.TRANSPORT).toLowerCase();
+  if (!TRANSPORTS.includes(transport)) {
+    throw new Error(`Unknown transport "${transport}" (expected one of: ${TRANSPORTS.join(', ')})`);
   }
-
-  try {
-    const result = await handler(args);
-    // Handlers already return { content, isError? }. Ensure shape.
-    if (!result || !Array.isArray(result.content)) {
-      const msg = `Tool "${name}" returned invalid result`;
-      logger.error({ name, result }, msg);
-      return { isError: true, content: [{ type: 'text', text: msg }] };
-    }
-    logger.info({ name, isError: !!result.isError }, 'CallTool response');
-    return result;
-  } catch (err) {
-    logger.error({ name, err }, 'CallTool handler error');
-    return {
-      isError: true,
-      content: [{ type: 'text', text: `Tool "${name}" failed: ${String(err)}` }],
-    };
+  const port = values.port !== undefined ? Number(values.port) : CONFIG.HTTP_PORT;
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port "${values.port}"`);
   }
-});
+  return { transport, host: values.host || CONFIG.HTTP_HOST, port };
+}
 
 // Transport lifecycle
 /**
- * Starts the MCP server over stdio transport and wires process signal handlers.
+ * Starts the MCP server over the selected transport and wires process signal handlers.
  * @returns {Promise<void>}
  */
 async function main() {
-  const transport = new StdioServerTransport();
+  const options = resolveOptions(process.argv.slice(2));
+
+  /** @type {() => Promise<void>} */
+  let closeTransport;
+  if (options.transport === 'stdio') {
+    const transport = new StdioServerTransport();
+    await createServer().connect(transport);
+    closeTransport = async () => transport.close?.();
+    logger.info('schwaizer-opendata-mcp server started (stdio transport)');
+  } else {
+    const httpServer = await startHttpServer({
+      createServer,
+      mode: options.transport,
+      host: options.host,
+      port: options.port,
+    });
+    closeTransport = httpServer.close;
+    logger.info(
+      { host: options.host, port: httpServer.port },
+      `schwaizer-opendata-mcp server started (${options.transport} transport)`
+    );
+  }
 
   // Graceful shutdown
   /**
@@ -131,7 +82,7 @@ async function main() {
   const shutdown = async (signal) => {
     try {
       logger.info({ signal }, 'Shutting down MCP server');
-      await transport.close?.();
+      await closeTransport();
     } catch (err) {
       logger.error({ err }, 'Error during shutdown');
     } finally {
@@ -147,9 +98,6 @@ async function main() {
   process.on('unhandledRejection', (reason) => {
     logger.error({ reason }, 'Unhandled rejection');
   });
-
-  await server.connect(transport);
-  logger.info('schwaizer-opendata-mcp server started (stdio transport)');
 }
 
 // Execute if run as CLI
@@ -0,0 +1,191 @@
+import { z } from 'zod';
+
+/**
+ * Prompt templates for common opendata.swiss research workflows.
+ * MCP prompt arguments are transported as strings; each template validates and
+ * coerces them with Zod before rendering the instructions.
+ */
+
+const FindDatasetSchema = z.object({
+  topic: z.string().min(1).describe('Subject to search for, e.g. "air quality"'),
+  organization: z
+    .string()
+    .optional()
+    .describe('Organization slug to restrict to, e.g. "bundesamt-fur-statistik-bfs"'),
+  canton: z.string().optional().describe('Canton name or code, e.g. "ZH" or "Zürich"'),
+  language: z.enum(['de', 'fr', 'it', 'en']).optional().describe('Preferred metadata language'),
+});
+
+const ExploreResourceSchema = z.object({
+  resource_id: z.string().min(1).describe('Resource id to inspect'),
+  question: z.string().optional().describe('What you want to learn from the data'),
+  sample_rows: z.coerce
+    .number()
+    .int()
+    .positive()
+    .max(100)
+    .optional()
+    .describe('Number of sample rows to fetch (default 10)'),
+});
+
+const CompareOrganizationsSchema = z.object({
+  organizations: z
+    .string()
+    .min(1)
+    .describe('Comma-separated organization slugs, e.g. "stadt-zurich,kanton-zurich"'),
+  topic: z.string().optional().describe('Optional topic to compare coverage on'),
+});
+
+const DatasetFreshnessReportSchema = z.object({
+  organization: z.string().min(1).describe('Organization slug to report on'),
+  max_age_days: z.coerce
+    .number()
+    .int()
+    .positive()
+    .optional()
+    .describe('Flag datasets not modified within this many days (default 365)'),
+});
+
+/**
+ * Tool arguments as a JSON snippet for the instructions. Values are escaped with
+ * JSON.stringify, so quotes in prompt arguments cannot break the snippet.
+ * @param {Record<string, any>} args - Undefined values are left out
+ * @returns {string} e.g. `{"q": "air quality", "rows": 10}`
+ */
+function jsonArgs(args) {
+  const entries = Object.entries(args).filter(([, value]) => value !== undefined);
+  return `{${entries.map(([key, value]) => `${JSON.stringify(key)}: ${JSON.stringify(value)}`).join(', ')}}`;
+}
+
+const PROMPTS = [
+  {
+    name: 'find_dataset',
+    description: 'Find datasets about a topic, optionally from one organization or canton, and pick the best resource.',
+    schema: FindDatasetSchema,
+    render: ({ topic, organization, canton, language }) => {
+      const search = jsonArgs({
+        q: canton ? `${topic} ${canton}` : topic,
+        // The structured filter is escaped into fq by package_search
+        organization,
+        rows: 10,
+      });
+      const lines = [
+        `Find open datasets on opendata.swiss about "${topic}"${canton ? ` for canton ${canton}` : ''}.`,
+        '',
+        `1. Call \`package_search\` with ${search}.`,
+        '   If there are few hits, retry with synonyms in German, French and Italian.',
+        '2. For the 3 most relevant results, call `package_show` and compare title, description, organization, update frequency and resources.',
+        '3. Pick the best resource (prefer CSV/JSON and resources with `datastore_active: true`).',
+        '4. If it is datastore-backed, call `datastore_info` with its id to list the columns.',
+        '',
+        'Summarise the candidates in a short table (dataset, organization, last modified, formats) and recommend one.',
+      ];
+      if (language) lines.push(`Answer in language "${language}" and prefer metadata in that language.`);
+      return lines.join('\n');
+    },
+  },
+  {
+    name: 'explore_resource',
+    description: 'Inspect a resource: metadata, datastore schema and a sample of rows.',
+    schema: ExploreResourceSchema,
+    render: ({ resource_id, question, sample_rows = 10 }) =>
+      [
+        `Explore the opendata.swiss resource "${resource_id}".`,
+        '',
+        `1. Call \`resource_show\` with ${jsonArgs({ id: resource_id })} and note format, size, last modified and the parent dataset.`,
+        `2. If \`datastore_active\` is true, call \`datastore_info\` with ${jsonArgs({ id: resource_id })} to get column names and types.`,
+        `3. Call \`datastore_search\` with ${jsonArgs({ resource_id, limit: sample_rows, include_total: true })} to fetch sample rows and the row count.`,
+        '4. Describe each column (meaning, type, example values) and any data quality issues you notice.',
+        question ? `\nThen answer this question using the data: ${question}` : '',
+      ]
+        .join('\n')
+        .trimEnd(),
+  },
+  {
+    name: 'compare_organizations',
+    description: 'Compare the publishing activity and coverage of several organizations.',
+    schema: CompareOrganizationsSchema,
+    render: ({ organizations, topic }) => {
+      const orgs = organizations
+        .split(',')
+        .map((o) => o.trim())
+        .filter(Boolean);
+      return [
+        `Compare these opendata.swiss organizations: ${orgs.join(', ')}.`,
+        '',
+        '1. For each organization call `organization_show` to get its title and description.',
+        `2. For each organization call \`package_search\` with ${jsonArgs({ q: topic || '*:*', organization: '<slug>', rows: 0, facetField: ['res_format', 'groups'] })} to get dataset counts and facets.`,
+        '3. For each organization call `package_search` sorted by "metadata_modified desc" with "rows": 5 to see recent activity.',
+        '',
+        'Present a side-by-side table (datasets, top formats, top groups, most recent update) and summarise the differences.',
+      ].join('\n');
+    },
+  },
+  {
+    name: 'dataset_freshness_report',
+    description: 'Report which datasets of an organization have not been updated recently.',
+    schema: DatasetFreshnessReportSchema,
+    render: ({ organization, max_age_days = 365 }) =>
+      [
+        `Build a freshness report for datasets published by "${organization}".`,
+        '',
+        `1. Call \`freshness_report\` with ${jsonArgs({ organization, max_age_days })}. It ranks the datasets that are overdue relative to their declared \`accrual_periodicity\`, and flags datasets without a schedule that were not updated within ${max_age_days} days.`,
+        '2. If `complete` is false, repeat with a higher "max_results".',
+        '3. For overdue datasets without `last_activity`, call `package_activity_list` with {"id": "<dataset>", "limit": 1} to confirm the last activity.',
+        '',
+        'Return a table ordered by days overdue (dataset, last updated, declared frequency, days overdue, last activity).',
+      ].join('\n'),
+  },
+];
+
+/**
+ * Derive MCP prompt argument descriptors from a Zod object schema.
+ * @param {import('zod').ZodObject<any>} schema
+ * @returns {Array<{name: string, description?: string, required: boolean}>}
+ */
+function promptArguments(schema) {
+  return Object.entries(schema.shape).map(([name, field]) => ({
+    name,
+    description: field.description,
+    required: !field.isOptional(),
+  }));
+}
+
+/**
+ * Get prompt descriptors for prompts/list.
+ * @returns {Array<{name: string, description: string, arguments: Array<object>}>}
+ */
+export function getPrompts() {
+  return PROMPTS.map(({ name, description, schema }) => ({
+    name,
+    description,
+    arguments: promptArguments(schema),
+  }));
+}
+
+/**
+ * Render a prompt for prompts/get.
+ * @param {string} name - Prompt name
+ * @param {Record<string, string>} [args] - Prompt arguments (strings, coerced by the schema)
+ * @returns {{ description: string, messages: Array<{role: 'user', content: {type: 'text', text: string}}> }}
+ * @throws {Error} If the prompt is unknown or the arguments are invalid
+ */
+export function getPrompt(name, args = {}) {
+  const prompt = PROMPTS.find((p) => p.name === name);
+  if (!prompt) {
+    throw new Error(`Prompt not found: ${name}`);
+  }
+  const parsed = prompt.schema.safeParse(args);
+  if (!parsed.success) {
+    throw new Error(`Invalid arguments for prompt ${name}: ${parsed.error.message}`);
+  }
+  return {
+    description: prompt.description,
+    messages: [
+      {
+        role: 'user',
+        content: { type: 'text', text: prompt.render(parsed.data) },
+      },
+    ],
+  };
+}
@@ -0,0 +1,100 @@
+import { UriTemplate } from '@modelcontextprotocol/sdk/shared/uriTemplate.js';
+import {
+  packageShow,
+  resourceShow,
+  organizationShow,
+  organizationList,
+  groupShow,
+} from '../api/ckan-client.js';
+
+/**
+ * Resource templates exposed over MCP resources/templates/list.
+ * Each entry maps a URI template to the CKAN client call that backs it.
+ */
+const TEMPLATES = [
+  {
+    uriTemplate: 'opendata://dataset/{name}',
+    name: 'dataset',
+    description: 'Dataset metadata by id or name (CKAN package_show).',
+    load: ({ name }) => packageShow(name),
+  },
+  {
+    uriTemplate: 'opendata://resource/{id}',
+    name: 'resource',
+    description: 'Resource metadata by id (CKAN resource_show).',
+    load: ({ id }) => resourceShow(id),
+  },
+  {
+    uriTemplate: 'opendata://organization/{name}',
+    name: 'organization',
+    description: 'Organization metadata by id or name (CKAN organization_show).',
+    load: ({ name }) => organizationShow(name),
+  },
+  {
+    uriTemplate: 'opendata://group/{name}',
+    name: 'group',
+    description: 'Group (theme) metadata by id or name (CKAN group_show).',
+    load: ({ name }) => groupShow(name),
+  },
+].map((t) => ({ ...t, matcher: new UriTemplate(t.uriTemplate) }));
+
+const MIME_TYPE = 'application/json';
+
+/**
+ * Get resource template descriptors for resources/templates/list.
+ * @returns {Array<{uriTemplate: string, name: string, description: string, mimeType: string}>}
+ */
+export function getResourceTemplates() {
+  return TEMPLATES.map(({ uriTemplate, name, description }) => ({
+    uriTemplate,
+    name,
+    description,
+    mimeType: MIME_TYPE,
+  }));
+}
+
+/**
+ * List concrete resources for resources/list.
+ * Datasets and resources are too numerous to enumerate, so only organizations
+ * are listed; datasets and resources are reachable through the templates.
+ * @returns {Promise<Array<{uri: string, name: string, mimeType: string}>>}
+ */
+export async function listResources() {
+  const data = await organizationList();
+  const names = Array.isArray(data?.result) ? data.result : [];
+  return names
+    .map((org) => (typeof org === 'string' ? org : org?.name))
+    .filter(Boolean)
+    .map((name) => ({
+      uri: `opendata://organization/${encodeURIComponent(name)}`,
+      name: `organization: ${name}`,
+      mimeType: MIME_TYPE,
+    }));
+}
+
+/**
+ * Resolve a URI against the templates and read it from CKAN.
+ * @param {string} uri - e.g. "opendata://dataset/my-dataset"
+ * @returns {Promise<{contents: Array<{uri: string, mimeType: string, text: string}>}>}
+ * @throws {Error} If the URI matches no template
+ */
+export async function readResource(uri) {
+  for (const template of TEMPLATES) {
+    const vars = template.matcher.match(uri);
+    if (!vars) continue;
+    const decoded = Object.fromEntries(
+      Object.entries(vars).map(([k, v]) => [k, decodeURIComponent(String(v))])
+    );
+    const data = await template.load(decoded);
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: MIME_TYPE,
+          text: JSON.stringify(data?.result ?? data, null, 2),
+        },
+      ],
+    };
+  }
+  throw new Error(`Unknown resource URI: ${uri}`);
+}
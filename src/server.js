@@ -0,0 +1,344 @@
+/**
+ * MCP server factory for schwaizer-opendata-mcp.
+ * - Aggregates tool definitions and handlers
+ * - Registers the MCP tool, resource, prompt and completion handlers on a fresh Server instance
+ *
+ * A new Server is created per transport connection so that the HTTP transports
+ * can host several concurrent sessions sharing the same handlers.
+ */
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  CompleteRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+} from '@modelcontextprotocol/sdk/types.js';
+
+import { logger } from './utils/logger.js';
+
+// Tool registry
+import { TOOLS } from './tools/index.js';
+import { toolDescriptors, toolHandlers } from './tools/registry.js';
+import { withPortal } from './api/ckan-client.js';
+import { CONFIG } from './config.js';
+import { SHAPING_JSON_PROPERTIES, ShapingArgsSchema, shapeToolResult } from './utils/shape.js';
+
+// MCP resources
+import { getResourceTemplates, listResources, readResource } from './resources/opendata.js';
+
+// MCP prompts
+import { getPrompts, getPrompt } from './prompts/workflows.js';
+
+// Argument completion
+import { complete } from './completions/identifiers.js';
+
+// Tools that do not target a single CKAN portal and therefore take no "portal" argument
+const PORTAL_INDEPENDENT_TOOLS = new Set(TOOLS.filter((tool) => tool.portal === false).map((tool) => tool.name));
+
+/**
+ * Add the optional "portal" argument to a tool's inputSchema.
+ * @param {{name: string, inputSchema: object}} def
+ * @returns {{name: string, inputSchema: object}}
+ */
+function withPortalArgument(def) {
+  if (PORTAL_INDEPENDENT_TOOLS.has(def.name)) return def;
+  return {
+    ...def,
+    inputSchema: {
+      ...def.inputSchema,
+      properties: {
+        ...def.inputSchema.properties,
+        portal: {
+          type: 'string',
+          description: `CKAN portal to query (see portal_list). Defaults to "${CONFIG.DEFAULT_PORTAL}".`,
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Add the response-shaping arguments (detail, fields, max_chars) to a tool's inputSchema.
+ * Arguments a tool already declares itself (e.g. datastore_search "fields") are left to the tool.
+ * @param {{name: string, inputSchema: object}} def
+ * @returns {{name: string, inputSchema: object}}
+ */
+function withShapingArguments(def) {
+  const own = def.inputSchema.properties ?? {};
+  const shaping = Object.fromEntries(
+    Object.entries(SHAPING_JSON_PROPERTIES).filter(([key]) => !(key in own))
+  );
+  return { ...def, inputSchema: { ...def.inputSchema, properties: { ...own, ...shaping } } };
+}
+
+/**
+ * Split tool arguments into the tool's own arguments and the shaping options.
+ * @param {object} def - Tool descriptor (before the shared arguments were added)
+ * @param {object} args
+ * @returns {{ toolArgs: object, shaping: object, paging: { pageParam?: string, pageStart?: number } }}
+ */
+function splitShapingArguments(def, args) {
+  const own = def?.inputSchema.properties ?? {};
+  const toolArgs = { ...args };
+  const shaping = {};
+  for (const key of Object.keys(SHAPING_JSON_PROPERTIES)) {
+    if (key in own || !(key in toolArgs)) continue;
+    shaping[key] = toolArgs[key];
+    delete toolArgs[key];
+  }
+  const pageParam = ['start', 'offset'].find((key) => key in own);
+  return { toolArgs, shaping, paging: { pageParam, pageStart: pageParam ? (args[pageParam] ?? 0) : 0 } };
+}
+
+/**
+ * Tool context for a CallTool request: progress notifications go to the
+ * requesting client when it sent a progressToken, resource updates when it
+ * subscribed to the URI; cancellation arrives as the signal.
+ * @param {{ params: { _meta?: { progressToken?: string|number } } }} req
+ * @param {{ signal: AbortSignal, sendNotification: (notification: object) => Promise<void> }} extra
+ * @param {Set<string>} subscriptions - Resource URIs the client subscribed to
+ * @returns {import('./tools/registry.js').ToolContext}
+ */
+function toolContext(req, extra, subscriptions) {
+  const progressToken = req.params._meta?.progressToken;
+  return {
+    signal: extra?.signal,
+    async progress(progress, total, message) {
+      if (progressToken === undefined || !extra?.sendNotification) return;
+      try {
+        await extra.sendNotification({
+          method: 'notifications/progress',
+          params: { progressToken, progress, total, message },
+        });
+      } catch (err) {
+        logger.debug({ err }, 'Progress notification failed');
+      }
+    },
+    async resourceUpdated(uri) {
+      if (!subscriptions.has(uri) || !extra?.sendNotification) return;
+      try {
+        await extra.sendNotification({ method: 'notifications/resources/updated', params: { uri } });
+      } catch (err) {
+        logger.debug({ err, uri }, 'Resource update notification failed');
+      }
+    },
+  };
+}
+
+// Tool descriptors and handlers derived from the registry
+const ownToolDefs = toolDescriptors(TOOLS);
+const ownToolDefsByName = new Map(ownToolDefs.map((def) => [def.name, def]));
+const toolDefs = ownToolDefs.map(withPortalArgument).map(withShapingArguments);
+
+const handlers = toolHandlers(TOOLS);
+
+/**
+ * Create an MCP server instance with all tool handlers registered.
+ * @returns {Server} A server ready to be connected to a transport.
+ */
+export function createServer() {
+  const server = new Server(
+    {
+      name: 'schwaizer-opendata-mcp',
+      version: '0.1.0',
+    },
+    {
+      capabilities: {
+        tools: {},
+        resources: { subscribe: true },
+        prompts: {},
+        completions: {},
+      },
+    }
+  );
+
+  // Resource URIs this client subscribed to (resources/subscribe)
+  const subscriptions = new Set();
+
+  /**
+   * ListTools handler.
+   * Returns the list of MCP tools exposed by this server.
+   * @returns {{ tools: Array<object> }} A response object with the tool descriptors.
+   */
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    try {
+      logger.info({ count: toolDefs.length }, 'ListTools');
+      return { tools: toolDefs };
+    } catch (err) {
+      logger.error({ err }, 'ListTools failed');
+      // As per MCP spec, errors are propagated via exceptions in request handlers
+      throw new Error(`Failed to list tools: ${String(err)}`);
+    }
+  });
+
+  /**
+   * CallTool handler.
+   * Dispatches a tool invocation by name to the registered handler. The optional
+   * "portal" argument is consumed here and selects the CKAN portal for the call;
+   * the shaping arguments (detail, fields, max_chars) are applied to the result.
+   * @param {{ params: { name: string, arguments?: object } }} req - MCP request with tool name and arguments.
+   * @param {object} extra - Request extras from the SDK (cancellation signal, notification sender).
+   * @returns {Promise<{content: Array<{type: string, text: string}>, isError?: boolean}>} Tool execution result.
+   */
+  server.setRequestHandler(CallToolRequestSchema, async (req, extra) => {
+    const name = req.params.name;
+    const args = req.params.arguments ?? {};
+    const handler = handlers[name];
+
+    logger.info({ name, args }, 'CallTool request');
+
+    if (!handler || typeof handler !== 'function') {
+      const msg = `Tool not found: ${name}`;
+      logger.warn({ name }, msg);
+      return {
+        isError: true,
+        content: [{ type: 'text', text: msg }],
+      };
+    }
+
+    try {
+      const { toolArgs, shaping, paging } = splitShapingArguments(ownToolDefsByName.get(name), args);
+      const shapingParsed = ShapingArgsSchema.safeParse(shaping);
+      if (!shapingParsed.success) {
+        return {
+          isError: true,
+          content: [{ type: 'text', text: `Invalid arguments for ${name}: ${shapingParsed.error.message}` }],
+        };
+      }
+      const { portal, ...portalArgs } = toolArgs;
+      const context = toolContext(req, extra, subscriptions);
+      const result = PORTAL_INDEPENDENT_TOOLS.has(name)
+        ? await handler(toolArgs, context)
+        : await withPortal(portal, () => handler(portalArgs, context));
+      // Handlers already return { content, isError? }. Ensure shape.
+      if (!result || !Array.isArray(result.content)) {
+        const msg = `Tool "${name}" returned invalid result`;
+        logger.error({ name, result }, msg);
+        return { isError: true, content: [{ type: 'text', text: msg }] };
+      }
+      logger.info({ name, isError: !!result.isError }, 'CallTool response');
+      return shapeToolResult(result, shapingParsed.data, paging);
+    } catch (err) {
+      logger.error({ name, err }, 'CallTool handler error');
+      return {
+        isError: true,
+        content: [{ type: 'text', text: `Tool "${name}" failed: ${String(err)}` }],
+      };
+    }
+  });
+
+  /**
+   * ListResources handler.
+   * Returns concrete resources (organizations); datasets and resources are exposed via templates.
+   * @returns {Promise<{ resources: Array<object> }>}
+   */
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    try {
+      const resources = await listResources();
+      logger.info({ count: resources.length }, 'ListResources');
+      return { resources };
+    } catch (err) {
+      logger.error({ err }, 'ListResources failed');
+      throw new Error(`Failed to list resources: ${String(err)}`);
+    }
+  });
+
+  /**
+   * ListResourceTemplates handler.
+   * @returns {{ resourceTemplates: Array<object> }}
+   */
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    const resourceTemplates = getResourceTemplates();
+    logger.info({ count: resourceTemplates.length }, 'ListResourceTemplates');
+    return { resourceTemplates };
+  });
+
+  /**
+   * ReadResource handler.
+   * Resolves an opendata:// URI against the templates and returns the CKAN metadata as JSON.
+   * @param {{ params: { uri: string } }} req
+   * @returns {Promise<{ contents: Array<{uri: string, mimeType: string, text: string}> }>}
+   */
+  server.setRequestHandler(ReadResourceRequestSchema, async (req) => {
+    const uri = req.params.uri;
+    logger.info({ uri }, 'ReadResource request');
+    try {
+      return await readResource(uri);
+    } catch (err) {
+      logger.error({ uri, err }, 'ReadResource failed');
+      throw new Error(`Failed to read resource ${uri}: ${String(err)}`);
+    }
+  });
+
+  /**
+   * Subscribe handler.
+   * Tools such as watch_check send notifications/resources/updated for subscribed URIs.
+   * @param {{ params: { uri: string } }} req
+   * @returns {{}}
+   */
+  server.setRequestHandler(SubscribeRequestSchema, async (req) => {
+    subscriptions.add(req.params.uri);
+    logger.info({ uri: req.params.uri }, 'Subscribe');
+    return {};
+  });
+
+  /**
+   * Unsubscribe handler.
+   * @param {{ params: { uri: string } }} req
+   * @returns {{}}
+   */
+  server.setRequestHandler(UnsubscribeRequestSchema, async (req) => {
+    subscriptions.delete(req.params.uri);
+    logger.info({ uri: req.params.uri }, 'Unsubscribe');
+    return {};
+  });
+
+  /**
+   * ListPrompts handler.
+   * @returns {{ prompts: Array<object> }}
+   */
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    const prompts = getPrompts();
+    logger.info({ count: prompts.length }, 'ListPrompts');
+    return { prompts };
+  });
+
+  /**
+   * GetPrompt handler.
+   * Renders a research workflow prompt with the given arguments.
+   * @param {{ params: { name: string, arguments?: Record<string, string> } }} req
+   * @returns {Promise<{ description: string, messages: Array<object> }>}
+   */
+  server.setRequestHandler(GetPromptRequestSchema, async (req) => {
+    const { name, arguments: args } = req.params;
+    logger.info({ name, args }, 'GetPrompt request');
+    try {
+      return getPrompt(name, args ?? {});
+    } catch (err) {
+      logger.warn({ name, err }, 'GetPrompt failed');
+      throw err;
+    }
+  });
+
+  /**
+   * Complete handler.
+   * Suggests dataset, organization, group and tag identifiers for prompt arguments
+   * and resource-template variables.
+   * @param {{ params: { ref: object, argument: { name: string, value: string } } }} req
+   * @returns {Promise<{ completion: { values: string[], total: number, hasMore: boolean } }>}
+   */
+  server.setRequestHandler(CompleteRequestSchema, async (req) => {
+    const { ref, argument } = req.params;
+    const completion = await complete(ref, argument);
+    logger.debug({ ref, argument: argument.name, count: completion.values.length }, 'Complete');
+    return { completion };
+  });
+
+  return server;
+}
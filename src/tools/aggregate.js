@@ -0,0 +1,352 @@
+import { z } from 'zod';
+import { datastoreInfo, datastoreSearch, datastoreSearchSql } from '../api/ckan-client.js';
+import { CONFIG } from '../config.js';
+import { filterConditions, quoteIdentifier } from '../utils/sql.js';
+import { defineTool, toolDescriptors, toolHandlers, READ_ONLY_CKAN } from './registry.js';
+
+const METRIC_OPS = ['count', 'sum', 'avg', 'min', 'max', 'count_distinct'];
+const NUMERIC_TYPES = /^(int|int2|int4|int8|integer|bigint|smallint|numeric|float|float4|float8|real|double precision)$/i;
+const TEXT_TYPES = /^(text|varchar|character varying)$/i;
+// Text that both paths read as a number; the SQL path uses the same pattern
+const NUMERIC_TEXT = /^[-+]?[0-9]*\.?[0-9]+$/;
+const NUMERIC_TEXT_SQL = `'${NUMERIC_TEXT.source}'`;
+
+const MetricSchema = z
+  .object({
+    op: z.enum(METRIC_OPS).describe('Aggregate function'),
+    field: z.string().describe('Column to aggregate (not needed for count)').optional(),
+    as: z.string().describe('Name of the result column (default e.g. "sum_einwohner")').optional(),
+  })
+  .strict();
+
+const DatastoreAggregateSchema = z.object({
+  resource_id: z.string().describe('Resource id'),
+  group_by: z.array(z.string()).max(10).describe('Columns to group by (none: one row for the whole table)').optional(),
+  metrics: z.array(MetricSchema).min(1).max(20).describe('Aggregates to compute, e.g. [{"op": "sum", "field": "einwohner"}]'),
+  filters: z
+    .record(z.any())
+    .describe('Exact-match filters applied before aggregating; a list matches any of its values')
+    .optional(),
+  order_by: z
+    .array(
+      z
+        .object({
+          field: z.string().describe('A group_by column or a metric name'),
+          direction: z.enum(['asc', 'desc']).optional(),
+        })
+        .strict()
+    )
+    .describe('Sort of the result (default: by the group_by columns)')
+    .optional(),
+  limit: z.number().int().positive().max(1000).describe('Maximum result rows (default 100)').optional(),
+  max_rows: z
+    .number()
+    .int()
+    .positive()
+    .describe('Without SQL: maximum table rows scanned (capped by AGGREGATE_MAX_ROWS)')
+    .optional(),
+});
+
+const DatastoreAggregateOutput = z
+  .object({
+    resource_id: z.string().optional(),
+    method: z.enum(['sql', 'scan']).optional(),
+    sql: z.string().optional(),
+    group_by: z.array(z.string()).optional(),
+    metrics: z.array(z.object({ name: z.string(), op: z.string(), field: z.string().optional() })).optional(),
+    rows: z.array(z.record(z.any())).optional(),
+    groups: z.number().optional(),
+    rows_scanned: z.number().optional(),
+    complete: z.boolean().optional(),
+    truncated: z.boolean().optional(),
+  })
+  .passthrough();
+
+/**
+ * @typedef {Object} Metric
+ * @property {string} name Result column
+ * @property {string} op
+ * @property {string} [field]
+ */
+
+/**
+ * Validate the spec against the table fields and name the metrics.
+ * @param {z.infer<typeof DatastoreAggregateSchema>} args
+ * @param {Array<{ id: string, type: string }>} fields
+ * @returns {{ groupBy: string[], metrics: Metric[], order: Array<{ field: string, direction: 'asc'|'desc' }> }}
+ * @throws {Error} On unknown fields, missing metric fields or duplicate names
+ */
+function resolveSpec(args, fields) {
+  const known = new Set(fields.map((f) => f.id));
+  const groupBy = args.group_by ?? [];
+  const referenced = [...groupBy, ...Object.keys(args.filters ?? {}), ...args.metrics.map((m) => m.field).filter(Boolean)];
+  const unknown = [...new Set(referenced.filter((name) => !known.has(name)))];
+  if (unknown.length) throw new Error(`Unknown field(s) for resource ${args.resource_id}: ${unknown.join(', ')}`);
+
+  const metrics = args.metrics.map(({ op, field, as }) => {
+    if (op !== 'count' && !field) throw new Error(`Metric "${op}" needs a field`);
+    return { name: as ?? (field ? `${op}_${field}` : op), op, ...(field ? { field } : {}) };
+  });
+  const names = [...groupBy, ...metrics.map((m) => m.name)];
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  if (duplicate) throw new Error(`Duplicate result column "${duplicate}"; name metrics with "as"`);
+
+  const order = (args.order_by ?? groupBy.map((field) => ({ field }))).map(({ field, direction = 'asc' }) => {
+    if (!names.includes(field)) throw new Error(`Cannot order by "${field}": not a group_by column or metric`);
+    return { field, direction };
+  });
+  return { groupBy, metrics, order };
+}
+
+/**
+ * SQL expression of a metric. Datastores loaded without type guessing store
+ * numbers as text, so sum/avg of a non-numeric column cast the values that
+ * match NUMERIC_TEXT and skip the rest. min/max of a text column compare
+ * numerically when every value of the group is a number, otherwise as text.
+ * @param {Metric} metric
+ * @param {Map<string, string>} types
+ * @returns {string}
+ */
+function metricSql({ op, field }, types) {
+  if (op === 'count') return field ? `COUNT(${quoteIdentifier(field)})` : 'COUNT(*)';
+  const column = quoteIdentifier(field);
+  if (op === 'count_distinct') return `COUNT(DISTINCT ${column})`;
+  const type = types.get(field) ?? '';
+  const text = `TRIM(${column}::text)`;
+  const number = `CASE WHEN ${text} ~ ${NUMERIC_TEXT_SQL} THEN ${text}::numeric END`;
+  const fn = op.toUpperCase();
+  if (op === 'sum' || op === 'avg') return `${fn}(${NUMERIC_TYPES.test(type) ? column : number})`;
+  if (TEXT_TYPES.test(type)) return `CASE WHEN BOOL_AND(${text} ~ ${NUMERIC_TEXT_SQL}) THEN ${fn}(${number})::text ELSE ${fn}(${column}) END`;
+  return `${fn}(${column})`;
+}
+
+/**
+ * Compile the spec to a datastore_search_sql query.
+ * @param {string} resourceId
+ * @param {ReturnType<typeof resolveSpec>} spec
+ * @param {Record<string, any>|undefined} filters
+ * @param {Map<string, string>} types
+ * @param {number} limit
+ * @returns {string}
+ */
+function compileSql(resourceId, { groupBy, metrics, order }, filters, types, limit) {
+  const select = [
+    ...groupBy.map(quoteIdentifier),
+    ...metrics.map((m) => `${metricSql(m, types)} AS ${quoteIdentifier(m.name)}`),
+  ];
+  const where = filterConditions(filters);
+  return [
+    `SELECT ${select.join(', ')} FROM ${quoteIdentifier(resourceId)}`,
+    where.length ? `WHERE ${where.join(' AND ')}` : '',
+    groupBy.length ? `GROUP BY ${groupBy.map(quoteIdentifier).join(', ')}` : '',
+    order.length ? `ORDER BY ${order.map((o) => `${quoteIdentifier(o.field)} ${o.direction.toUpperCase()}`).join(', ')}` : '',
+    `LIMIT ${limit}`,
+  ]
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Number value of a cell, or undefined for empty and non-numeric values. Text
+ * counts as a number when it matches NUMERIC_TEXT, as in the SQL path.
+ * @param {any} value
+ * @returns {number|undefined}
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+  if (typeof value !== 'string' || !NUMERIC_TEXT.test(value.trim())) return undefined;
+  return Number(value.trim());
+}
+
+/**
+ * Order two values the way PostgreSQL does for a column: numerically when both
+ * are numbers, otherwise as text; nulls sort last.
+ * @param {any} a
+ * @param {any} b
+ * @returns {number}
+ */
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  const x = toNumber(a);
+  const y = toNumber(b);
+  if (x !== undefined && y !== undefined) return x - y;
+  return String(a) < String(b) ? -1 : 1;
+}
+
+/**
+ * Aggregate records in process with the semantics of metricSql: count counts
+ * rows (or non-null values of a field), the other aggregates ignore nulls and
+ * are null for groups without values; sum and avg ignore non-numeric values,
+ * and min/max of a text column compare as numbers only when all values are.
+ * @param {object[]} records
+ * @param {ReturnType<typeof resolveSpec>} spec
+ * @param {Map<string, string>} types
+ * @returns {object[]} One row per group
+ */
+function aggregateRecords(records, { groupBy, metrics }, types) {
+  const isText = metrics.map((m) => TEXT_TYPES.test(types.get(m.field) ?? ''));
+  const newGroup = (keyValues) => ({
+    keyValues,
+    acc: metrics.map(() => ({ count: 0, sum: 0, n: 0, value: null, number: null, numeric: true, seen: new Set() })),
+  });
+  const groups = new Map();
+  // Without GROUP BY, SQL returns one row even for an empty table
+  if (!groupBy.length) groups.set('[]', newGroup([]));
+  for (const record of records) {
+    const keyValues = groupBy.map((g) => record[g] ?? null);
+    const key = JSON.stringify(keyValues);
+    let group = groups.get(key);
+    if (!group) {
+      group = newGroup(keyValues);
+      groups.set(key, group);
+    }
+    metrics.forEach((m, i) => {
+      const acc = group.acc[i];
+      const value = m.field ? (record[m.field] ?? null) : undefined;
+      if (m.op === 'count') {
+        if (!m.field || value !== null) acc.count += 1;
+      } else if (value === null) {
+        // aggregates skip nulls
+      } else if (m.op === 'sum' || m.op === 'avg') {
+        const n = toNumber(value);
+        if (n !== undefined) {
+          acc.sum += n;
+          acc.n += 1;
+        }
+      } else if (m.op === 'count_distinct') {
+        acc.seen.add(typeof value === 'object' ? JSON.stringify(value) : value);
+      } else if (isText[i]) {
+        const sign = m.op === 'min' ? -1 : 1;
+        const n = toNumber(value);
+        if (n === undefined) acc.numeric = false;
+        else if (acc.number === null || (n - toNumber(acc.number)) * sign > 0) acc.number = String(value).trim();
+        if (acc.value === null || (String(value) < String(acc.value) ? -1 : 1) * sign > 0) acc.value = value;
+      } else if (acc.value === null || compareValues(value, acc.value) * (m.op === 'min' ? -1 : 1) > 0) {
+        acc.value = value;
+      }
+    });
+  }
+  return [...groups.values()].map(({ keyValues, acc }) => {
+    const row = Object.fromEntries(groupBy.map((g, i) => [g, keyValues[i]]));
+    metrics.forEach((m, i) => {
+      const a = acc[i];
+      if (m.op === 'count') row[m.name] = a.count;
+      else if (m.op === 'count_distinct') row[m.name] = a.seen.size;
+      else if (m.op === 'sum') row[m.name] = a.n ? a.sum : null;
+      else if (m.op === 'avg') row[m.name] = a.n ? a.sum / a.n : null;
+      else row[m.name] = isText[i] && a.numeric ? a.number : a.value;
+    });
+    return row;
+  });
+}
+
+/**
+ * Page through the filtered table (sorted by _id) up to `maxRows` rows. Paging
+ * ends on an empty page, since CKAN may return fewer rows than asked for.
+ * @param {string} resourceId
+ * @param {string[]} fields
+ * @param {Record<string, any>|undefined} filters
+ * @param {number} maxRows
+ * @returns {Promise<{ records: object[], complete: boolean }>}
+ */
+async function scanRecords(resourceId, fields, filters, maxRows) {
+  const records = [];
+  for (;;) {
+    const limit = Math.min(CONFIG.MAX_ROWS, maxRows - records.length);
+    if (limit <= 0) return { records, complete: false };
+    const { result } = await datastoreSearch({
+      resource_id: resourceId,
+      filters,
+      fields: fields.length ? fields : ['_id'],
+      sort: '_id',
+      limit,
+      offset: records.length,
+    });
+    const page = result?.records ?? [];
+    if (!page.length) return { records, complete: true };
+    records.push(...page);
+  }
+}
+
+/**
+ * Group and aggregate a datastore table: compiled to SQL when datastore_search_sql
+ * is enabled, otherwise computed from scanned rows.
+ * @param {z.infer<typeof DatastoreAggregateSchema>} args
+ * @returns {Promise<object>}
+ */
+async function datastoreAggregate(args) {
+  const { resource_id, filters, limit = 100 } = args;
+  const { result: info } = await datastoreInfo(resource_id);
+  const fields = info?.fields ?? Object.entries(info?.schema ?? {}).map(([id, type]) => ({ id, type }));
+  const spec = resolveSpec(args, fields);
+  const summary = {
+    resource_id,
+    group_by: spec.groupBy,
+    metrics: spec.metrics,
+  };
+
+  const types = new Map(fields.map((f) => [f.id, f.type]));
+  if (CONFIG.ENABLE_SQL && filterConditions(filters)) {
+    // One row more than returned tells whether the result was cut; queries are
+    // capped at MAX_ROWS rows, so that extra row must fit below the cap
+    const rowLimit = Math.max(1, Math.min(limit, CONFIG.MAX_ROWS - 1));
+    const sql = compileSql(resource_id, spec, filters, types, rowLimit + 1);
+    const { result } = await datastoreSearchSql(sql);
+    const rows = result?.records ?? [];
+    return { ...summary, method: 'sql', sql, rows: rows.slice(0, rowLimit), truncated: rows.length > rowLimit };
+  }
+
+  const maxRows = Math.min(args.max_rows ?? CONFIG.AGGREGATE_MAX_ROWS, CONFIG.AGGREGATE_MAX_ROWS);
+  const columns = [...new Set([...spec.groupBy, ...spec.metrics.map((m) => m.field).filter(Boolean)])];
+  const { records, complete } = await scanRecords(resource_id, columns, filters, maxRows);
+  const rows = aggregateRecords(records, spec, types).sort((a, b) => {
+    for (const { field, direction } of spec.order) {
+      const c = compareValues(a[field], b[field]);
+      if (c) return direction === 'desc' ? -c : c;
+    }
+    return 0;
+  });
+  return {
+    ...summary,
+    method: 'scan',
+    rows: rows.slice(0, limit),
+    groups: rows.length,
+    truncated: rows.length > limit,
+    rows_scanned: records.length,
+    complete,
+  };
+}
+
+/**
+ * Datastore aggregation tool definitions.
+ * @type {import('./registry.js').ToolDefinition[]}
+ */
+export const aggregateTools = [
+  defineTool({
+    name: 'datastore_aggregate',
+    description:
+      'Group and aggregate a datastore table without writing SQL, e.g. sum of a column by canton and year. Metrics: count, sum, avg, min, max, count_distinct. Runs as a quoted datastore_search_sql query when SQL is enabled, otherwise scans up to max_rows rows (complete: false when the table is larger). truncated: true when there were more than limit result rows.',
+    input: DatastoreAggregateSchema,
+    output: DatastoreAggregateOutput,
+    annotations: READ_ONLY_CKAN,
+    handler: datastoreAggregate,
+  }),
+];
+
+/**
+ * Get tool descriptors for datastore aggregation.
+ * @returns {Array<{name: string, description: string, inputSchema: object, outputSchema: object}>}
+ */
+export function getAggregateTools() {
+  return toolDescriptors(aggregateTools);
+}
+
+/**
+ * Get handler implementations for datastore aggregation.
+ * @returns {{[key: string]: (args?: object) => Promise<{content: Array<{type: 'text', text: string}>, isError?: boolean}>}}
+ */
+export function getAggregateHandlers() {
+  return toolHandlers(aggregateTools);
+}
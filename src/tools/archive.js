@@ -0,0 +1,198 @@
+import { open } from 'node:fs/promises';
+import { z } from 'zod';
+import { resourceShow, downloadResourceFile } from '../api/ckan-client.js';
+import { CONFIG } from '../config.js';
+import { MAX_COMPRESSION_RATIO, describeEntries, entryType } from '../formats/archive.js';
+import { detectFormat, previewTable, PREVIEW_FORMATS } from '../formats/index.js';
+import { isSafeEntryName, isZipFile, listZipFileEntries, readZipFileEntryPrefix } from '../utils/zip.js';
+import { Truncation } from './ckan-entities.js';
+import { ResourcePreviewOutput, ResourceRefOutput, resourceRef } from './preview.js';
+import { ResourceProfileOutput, profileBytes } from './profile.js';
+import { defineTool, toolDescriptors, toolHandlers, READ_ONLY_CKAN } from './registry.js';
+
+// Entry types that are read as text when no tabular format is recognized
+const TEXT_TYPES = new Set(['text', 'unknown']);
+
+const ArchiveListSchema = z.object({
+  id: z.string().describe('Resource id of a ZIP archive'),
+});
+
+const ArchiveExtractSchema = z.object({
+  id: z.string().describe('Resource id of a ZIP archive'),
+  entry: z.string().min(1).describe('Entry name as returned by resource_archive_list'),
+  mode: z
+    .enum(['preview', 'profile'])
+    .describe('preview returns the first rows (like resource_preview), profile the column profile (like resource_profile)')
+    .optional(),
+  rows: z.number().int().positive().max(500).describe('preview: data rows to return (default 20)').optional(),
+  sample_rows: z.number().int().positive().max(100000).describe('profile: rows to profile (default 5000)').optional(),
+  top: z.number().int().min(1).max(20).describe('profile: most frequent values per column (default 5)').optional(),
+  max_bytes: z
+    .number()
+    .int()
+    .positive()
+    .describe('Maximum bytes to extract from the entry (capped by PREVIEW_MAX_BYTES or PROFILE_MAX_BYTES)')
+    .optional(),
+  format: z.enum(PREVIEW_FORMATS).describe('Override the format detected from the entry name or content').optional(),
+  sheet: z
+    .union([z.string(), z.number().int().positive()])
+    .describe('XLSX/ODS sheet name or 1-based position (default: first sheet)')
+    .optional(),
+});
+
+const ArchiveEntryOutput = z
+  .object({
+    name: z.string(),
+    size: z.number().optional(),
+    compressed_size: z.number().optional(),
+    type: z.string().optional(),
+    previewable: z.boolean().optional(),
+    directory: z.boolean().optional(),
+    encrypted: z.boolean().optional(),
+    unsafe_name: z.boolean().optional(),
+    suspicious_ratio: z.boolean().optional(),
+  })
+  .passthrough();
+
+const ArchiveListOutput = z
+  .object({
+    resource: ResourceRefOutput,
+    archive: z
+      .object({
+        size: z.number().optional(),
+        sha256: z.string().optional(),
+        entry_count: z.number().optional(),
+        uncompressed_size: z.number().optional(),
+      })
+      .optional(),
+    entries: z.array(ArchiveEntryOutput).optional(),
+    _truncated: Truncation,
+  })
+  .passthrough();
+
+const ArchiveExtractOutput = ResourcePreviewOutput.merge(ResourceProfileOutput).extend({
+  mode: z.enum(['preview', 'profile']).optional(),
+  entry: ArchiveEntryOutput.optional(),
+});
+
+/**
+ * Download a resource (through the resource cache) and read its ZIP directory
+ * from the downloaded file. The archive is never loaded whole: `read` gets the
+ * open file, which is closed when it returns.
+ * @template T
+ * @param {string} id
+ * @param {(archive: { resource: object, file: object, handle: import('node:fs/promises').FileHandle, entries: import('../utils/zip.js').ZipEntry[] }) => Promise<T>} read
+ * @returns {Promise<T>}
+ * @throws {Error} If the resource has no URL or is not a ZIP archive
+ */
+async function withArchive(id, read) {
+  const { result: resource } = await resourceShow(id);
+  if (!resource?.url) throw new Error(`Resource ${id} has no URL to download`);
+  const file = await downloadResourceFile(resource, { maxBytes: CONFIG.DOWNLOAD_MAX_BYTES });
+  const handle = await open(file.path);
+  try {
+    if (!(await isZipFile(handle))) throw new Error(`Resource ${id} is not a ZIP archive (${file.content_type})`);
+    return await read({ resource, file, handle, entries: await listZipFileEntries(handle) });
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * List the entries of an archive resource.
+ * @param {z.infer<typeof ArchiveListSchema>} args
+ * @returns {Promise<object>}
+ */
+async function resourceArchiveList({ id }) {
+  return withArchive(id, async ({ resource, file, entries }) => ({
+    resource: resourceRef(resource),
+    archive: {
+      size: file.size,
+      sha256: file.sha256,
+      entry_count: entries.length,
+      uncompressed_size: entries.reduce((sum, e) => sum + e.size, 0),
+    },
+    entries: describeEntries(entries),
+  }));
+}
+
+/**
+ * Preview or profile one entry of an archive resource.
+ * @param {z.infer<typeof ArchiveExtractSchema>} args
+ * @returns {Promise<object>}
+ */
+async function resourceArchiveExtract(args) {
+  const { id, mode = 'preview', rows = 20, sample_rows = 5000, top = 5, max_bytes, format, sheet } = args;
+  const limit = mode === 'profile' ? CONFIG.PROFILE_MAX_BYTES : CONFIG.PREVIEW_MAX_BYTES;
+  const { resource, entry, bytes, truncated } = await withArchive(id, async ({ resource, handle, entries }) => {
+    const entry = entries.find((e) => e.name === args.entry);
+    if (!entry) throw new Error(`Entry "${args.entry}" not found in archive (see resource_archive_list)`);
+    if (!isSafeEntryName(entry.name)) throw new Error(`Refusing to extract entry with unsafe path "${entry.name}"`);
+    if (entry.directory) throw new Error(`Entry "${entry.name}" is a directory`);
+
+    const type = entryType(entry.name);
+    if (!format && !PREVIEW_FORMATS.includes(type) && !TEXT_TYPES.has(type)) {
+      throw new Error(`Entry "${entry.name}" is a ${type} file; only ${PREVIEW_FORMATS.join(', ')} can be read`);
+    }
+    const prefix = await readZipFileEntryPrefix(handle, entry, {
+      maxBytes: Math.min(max_bytes ?? limit, limit),
+      maxRatio: MAX_COMPRESSION_RATIO,
+    });
+    return { resource, entry, ...prefix };
+  });
+  const detected = detectFormat({ format, name: entry.name, bytes });
+  if (!detected) throw new Error(`Cannot read entry "${entry.name}" as a table`);
+
+  const table =
+    mode === 'profile'
+      ? profileBytes(bytes, { format: detected, truncated, sampleRows: sample_rows, top, sheet })
+      : previewTable(bytes, { format: detected, rows, truncated, sheet });
+  return {
+    resource: resourceRef(resource),
+    entry: describeEntries([entry])[0],
+    mode,
+    bytes_read: bytes.length,
+    ...table,
+  };
+}
+
+/**
+ * Archive inspection tool definitions.
+ * @type {import('./registry.js').ToolDefinition[]}
+ */
+export const archiveTools = [
+  defineTool({
+    name: 'resource_archive_list',
+    description:
+      'List the entries of a ZIP resource: name, size, compressed size and detected type (csv, shapefile, pdf, ...). Entries with unsafe paths or zip-bomb compression ratios are flagged.',
+    input: ArchiveListSchema,
+    output: ArchiveListOutput,
+    annotations: READ_ONLY_CKAN,
+    handler: resourceArchiveList,
+  }),
+  defineTool({
+    name: 'resource_archive_extract',
+    description:
+      'Preview (first rows) or profile (column types and statistics) one CSV, TSV, JSON, GeoJSON, XLSX or ODS entry of a ZIP resource, without unpacking the archive.',
+    input: ArchiveExtractSchema,
+    output: ArchiveExtractOutput,
+    annotations: READ_ONLY_CKAN,
+    handler: resourceArchiveExtract,
+  }),
+];
+
+/**
+ * Get tool descriptors for archive inspection.
+ * @returns {Array<{name: string, description: string, inputSchema: object, outputSchema: object}>}
+ */
+export function getArchiveTools() {
+  return toolDescriptors(archiveTools);
+}
+
+/**
+ * Get handler implementations for archive inspection.
+ * @returns {{[key: string]: (args?: object) => Promise<{content: Array<{type: 'text', text: string}>, isError?: boolean}>}}
+ */
+export function getArchiveHandlers() {
+  return toolHandlers(archiveTools);
+}
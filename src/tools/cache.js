@@ -0,0 +1,51 @@
+import { z } from 'zod';
+import { cacheStats, cacheClear } from '../api/ckan-client.js';
+import { defineTool, toolDescriptors, toolHandlers } from './registry.js';
+
+const CacheStatsSchema = z.object({});
+
+const CacheClearSchema = z.object({
+  action: z
+    .string()
+    .describe('Only clear entries for this CKAN action, e.g. "organization_list". Clears everything when omitted.')
+    .optional(),
+});
+
+/**
+ * Response cache tool definitions.
+ * @type {import('./registry.js').ToolDefinition[]}
+ */
+export const cacheTools = [
+  defineTool({
+    name: 'cache_stats',
+    description: 'Show response cache statistics (hits, misses, revalidations, entries, TTLs per action) and the size of the resource download cache.',
+    input: CacheStatsSchema,
+    annotations: { readOnlyHint: true, openWorldHint: false },
+    portal: false,
+    handler: () => cacheStats(),
+  }),
+  defineTool({
+    name: 'cache_clear',
+    description: 'Clear cached CKAN responses, optionally for a single action.',
+    input: CacheClearSchema,
+    annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: false },
+    portal: false,
+    handler: (args) => cacheClear(args.action),
+  }),
+];
+
+/**
+ * Get tool descriptors for the CKAN response cache.
+ * @returns {Array<{name: string, description: string, inputSchema: object}>}
+ */
+export function getCacheTools() {
+  return toolDescriptors(cacheTools);
+}
+
+/**
+ * Get handler implementations for cache admin tools.
+ * @returns {{[key: string]: (args?: object) => Promise<{content: Array<{type: 'text', text: string}>, isError?: boolean}>}}
+ */
+export function getCacheHandlers() {
+  return toolHandlers(cacheTools);
+}
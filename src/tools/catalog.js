@@ -1,6 +1,12 @@
+import { randomUUID } from 'node:crypto';
+import { createWriteStream } from 'node:fs';
+import { mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { finished } from 'node:stream/promises';
 import { z } from 'zod';
 import {
   packageSearch,
+  packageSearchFederated,
   packageShow,
   packageList,
   currentPackageListWithResources,
@@ -8,341 +14,378 @@ import {
   packageActivityList,
   recentlyChangedPackagesActivityList,
 } from '../api/ckan-client.js';
+import { CONFIG } from '../config.js';
+import { LanguageArgs, applyLanguage } from '../utils/i18n.js';
+import { FilterArgs, buildFq, normalizeFq, normalizeQ } from '../utils/solr.js';
+import { DatasetEntity, ActivityEntity, Truncation, listOutput } from './ckan-entities.js';
+import { defineTool, toolDescriptors, toolHandlers, READ_ONLY_CKAN, WRITES_LOCAL_FILES } from './registry.js';
 
 const PackageSearchSchema = z.object({
-  q: z.string().optional(),
-  fq: z.union([z.string(), z.array(z.string())]).optional(),
-  sort: z.string().optional(),
-  rows: z.number().int().positive().optional(),
-  start: z.number().int().nonnegative().optional(),
-  facetField: z.array(z.string()).optional(),
-  facetLimit: z.number().int().positive().optional(),
+  q: z.string().describe('Free text query').optional(),
+  fq: z
+    .union([z.string(), z.array(z.string())])
+    .describe(
+      'Raw filter query (CKAN fq). Accepts string or array of strings. Examples: "language:de", "organization:bundesamt-fur-statistik-bfs". Combined with AND with the structured filters (organization, groups, res_format, ...), which are easier to get right.'
+    )
+    .optional(),
+  ...FilterArgs,
+  sort: z.string().describe('Sort expression, e.g. "score desc, metadata_created desc"').optional(),
+  rows: z.number().int().positive().describe('Number of results per page').optional(),
+  start: z.number().int().nonnegative().describe('Starting offset for results').optional(),
+  facetField: z
+    .array(z.string())
+    .describe('Facet fields to aggregate (CKAN facet.field), e.g. ["tags","keywords"]')
+    .optional(),
+  facetLimit: z.number().int().positive().describe('Max facet values per field (CKAN facet.limit)').optional(),
+  portals: z
+    .array(z.string())
+    .min(1)
+    .describe(
+      'Federated search: query these portals (see portal_list) in parallel and merge the results, each tagged with source_portal. rows/start apply per portal.'
+    )
+    .optional(),
+  ...LanguageArgs,
+});
+
+/**
+ * Zod fields of a package_search_all query, shared with tools that walk whole result sets.
+ */
+export const SearchAllArgs = {
+  q: PackageSearchSchema.shape.q,
+  fq: PackageSearchSchema.shape.fq,
+  ...FilterArgs,
+  sort: z
+    .string()
+    .describe('Sort expression (default "name asc"); "name asc" is appended as a tie-breaker so that paging is stable')
+    .optional(),
+  max_results: z
+    .number()
+    .int()
+    .positive()
+    .describe('Stop after this many distinct datasets (capped by SEARCH_ALL_MAX_RESULTS)')
+    .optional(),
+};
+
+const PackageSearchAllSchema = z.object({
+  ...SearchAllArgs,
+  output_file: z
+    .boolean()
+    .describe('Write the listing to a JSON Lines file in EXPORT_DIR and return its path instead of the results')
+    .optional(),
+  ...LanguageArgs,
 });
 
 const PackageShowSchema = z.object({
-  id: z.string(),
+  id: z.string().describe('Dataset id or name'),
+  ...LanguageArgs,
 });
 
 const PackageListSchema = z.object({
-  offset: z.number().int().nonnegative().optional(),
-  limit: z.number().int().positive().optional(),
-  since: z.string().optional(),
+  offset: z.number().int().nonnegative().describe('Starting offset').optional(),
+  limit: z.number().int().positive().describe('Max items to return').optional(),
+  since: z.string().describe('ISO time or CKAN since parameter').optional(),
 });
 
 const CurrentPackageListWithResourcesSchema = z.object({
-  offset: z.number().int().nonnegative().optional(),
-  limit: z.number().int().positive().optional(),
+  offset: z.number().int().nonnegative().describe('Starting offset').optional(),
+  limit: z.number().int().positive().describe('Max items to return').optional(),
 });
 
 const PackageAutocompleteSchema = z.object({
-  q: z.string(),
-  limit: z.number().int().positive().optional(),
+  q: z.string().describe('Query prefix'),
+  limit: z.number().int().positive().describe('Max items to return').optional(),
 });
 
 const PackageActivityListSchema = z.object({
-  id: z.string(),
+  id: z.string().describe('Dataset id or name'),
   limit: z.number().int().positive().optional(),
   offset: z.number().int().nonnegative().optional(),
 });
 
 const RecentlyChangedPackagesActivityListSchema = z.object({
-  since_time: z.string().optional(),
+  since_time: z.string().describe('ISO timestamp filter').optional(),
   limit: z.number().int().positive().optional(),
   offset: z.number().int().nonnegative().optional(),
 });
 
+// Output schemas (structuredContent): the CKAN result without the help/success envelope
+const PackageSearchOutput = z
+  .object({
+    count: z.number().optional(),
+    results: z.array(DatasetEntity).optional(),
+    facets: z.record(z.any()).optional(),
+    search_facets: z.record(z.any()).optional(),
+    sort: z.string().optional(),
+    query: z
+      .object({ q: z.string(), fq: z.union([z.string(), z.array(z.string())]).optional() })
+      .describe('The q and fq sent to CKAN, with the structured filters compiled into fq')
+      .optional(),
+    counts: z.record(z.number()).describe('Federated search: result count per portal').optional(),
+    errors: z.record(z.string()).describe('Federated search: error per failed portal').optional(),
+    _truncated: Truncation,
+  })
+  .passthrough();
+
+const DatasetListing = z.object({
+  id: z.string(),
+  name: z.string().optional(),
+  title: z.any().optional(),
+  organization: z.string().optional(),
+  modified: z.string().optional(),
+  formats: z.array(z.string()),
+});
+
+const PackageSearchAllOutput = z
+  .object({
+    count: z.number().describe('Matches reported by CKAN'),
+    returned: z.number().describe('Distinct datasets listed'),
+    duplicates: z.number().describe('Results skipped because their id was already listed'),
+    pages: z.number(),
+    complete: z.boolean().describe('False when max_results stopped the listing early'),
+    query: PackageSearchOutput.shape.query,
+    path: z.string().describe('JSON Lines file with the listing (output_file)').optional(),
+    results: z.array(DatasetListing).optional(),
+  })
+  .passthrough();
+
+const PackageShowOutput = DatasetEntity;
+
+const PackageListOutput = listOutput(z.string());
+
+const CurrentPackageListWithResourcesOutput = listOutput(DatasetEntity);
+
+const PackageAutocompleteOutput = listOutput(
+  z
+    .object({
+      name: z.string().optional(),
+      title: z.string().optional(),
+      match_field: z.string().optional(),
+      match_displayed: z.string().optional(),
+    })
+    .passthrough()
+);
+
+const ActivityListOutput = listOutput(ActivityEntity);
+
 /**
- * Convert a Zod schema to a minimal JSON Schema object for MCP inputSchema.
- * Keep this mapping in sync with the Zod definitions above.
- * @param {import('zod').ZodTypeAny} zodSchema
- * @returns {object} JSON Schema compatible object
+ * Split package_search arguments into the CKAN search parameters and the
+ * structured filters, compiled into fq.
+ * @param {Record<string, any>} args
+ * @returns {Record<string, any>}
  */
-function toJsonSchema(zodSchema) {
-  // Minimal hand-written JSON Schemas matching the Zod above to avoid extra deps.
-  // Keep in sync with the Zod definitions.
-  if (zodSchema === PackageSearchSchema) {
-    return {
-      type: 'object',
-      properties: {
-        q: { type: 'string', description: 'Free text query' },
-        fq: {
-          anyOf: [
-            { type: 'string' },
-            { type: 'array', items: { type: 'string' } },
-          ],
-          description:
-            'Filter query (CKAN fq). Accepts string or array of strings. Examples: "language:de", "organization:bundesamt-fur-statistik-bfs"',
-        },
-        sort: {
-          type: 'string',
-          description: 'Sort expression, e.g. "score desc, metadata_created desc"',
-        },
-        rows: { type: 'number', description: 'Number of results per page' },
-        start: { type: 'number', description: 'Starting offset for results' },
-        facetField: {
-          type: 'array',
-          items: { type: 'string' },
-          description:
-            'Facet fields to aggregate (CKAN facet.field), e.g. ["tags","keywords"]',
-        },
-        facetLimit: {
-          type: 'number',
-          description: 'Max facet values per field (CKAN facet.limit)',
-        },
-      },
-      additionalProperties: false,
-    };
+function searchParams(args) {
+  const filters = {};
+  const params = {};
+  for (const [key, value] of Object.entries(args)) {
+    (key in FilterArgs ? filters : params)[key] = value;
   }
-  if (zodSchema === PackageShowSchema) {
-    return {
-      type: 'object',
-      properties: {
-        id: { type: 'string', description: 'Dataset id or name' },
-      },
-      required: ['id'],
-      additionalProperties: false,
-    };
-  }
-  if (zodSchema === PackageListSchema) {
-    return {
-      type: 'object',
-      properties: {
-        offset: { type: 'number', description: 'Starting offset' },
-        limit: { type: 'number', description: 'Max items to return' },
-        since: { type: 'string', description: 'ISO time or CKAN since parameter' },
-      },
-      additionalProperties: false,
-    };
-  }
-  if (zodSchema === CurrentPackageListWithResourcesSchema) {
-    return {
-      type: 'object',
-      properties: {
-        offset: { type: 'number', description: 'Starting offset' },
-        limit: { type: 'number', description: 'Max items to return' },
-      },
-      additionalProperties: false,
-    };
-  }
-  if (zodSchema === PackageAutocompleteSchema) {
-    return {
-      type: 'object',
-      properties: {
-        q: { type: 'string', description: 'Query prefix' },
-        limit: { type: 'number', description: 'Max items to return' },
-      },
-      required: ['q'],
-      additionalProperties: false,
-    };
-  }
-  if (zodSchema === PackageActivityListSchema) {
-    return {
-      type: 'object',
-      properties: {
-        id: { type: 'string', description: 'Dataset id or name' },
-        limit: { type: 'number' },
-        offset: { type: 'number' },
-      },
-      required: ['id'],
-      additionalProperties: false,
-    };
-  }
-  if (zodSchema === RecentlyChangedPackagesActivityListSchema) {
-    return {
-      type: 'object',
-      properties: {
-        since_time: { type: 'string', description: 'ISO timestamp filter' },
-        limit: { type: 'number' },
-        offset: { type: 'number' },
-      },
-      additionalProperties: false,
-    };
-  }
-  return { type: 'object' };
+  params.fq = buildFq(filters, params.fq);
+  return params;
 }
 
 /**
- * Get tool descriptors for CKAN catalog endpoints.
- * @returns {Array<{name: string, description: string, inputSchema: object}>}
+ * Sort with a unique tie-breaker, so that offset paging neither skips nor repeats datasets.
+ * @param {string} [sort]
+ * @returns {string}
  */
-export function getCatalogTools() {
-  return [
-    {
-      name: 'package_search',
-      description:
-        'Search datasets on opendata.swiss (CKAN package_search). Supports q, fq, sorting, pagination and facets.',
-      inputSchema: toJsonSchema(PackageSearchSchema),
-    },
-    {
-      name: 'package_show',
-      description: 'Get a dataset (package) by id or name (CKAN package_show).',
-      inputSchema: toJsonSchema(PackageShowSchema),
-    },
-    {
-      name: 'package_list',
-      description: 'List dataset ids (CKAN package_list).',
-      inputSchema: toJsonSchema(PackageListSchema),
-    },
-    {
-      name: 'current_package_list_with_resources',
-      description: 'List datasets with embedded resources (CKAN current_package_list_with_resources).',
-      inputSchema: toJsonSchema(CurrentPackageListWithResourcesSchema),
-    },
-    {
-      name: 'package_autocomplete',
-      description: 'Autocomplete dataset names (CKAN package_autocomplete).',
-      inputSchema: toJsonSchema(PackageAutocompleteSchema),
-    },
-    {
-      name: 'package_activity_list',
-      description: 'Activity stream for a dataset (CKAN package_activity_list).',
-      inputSchema: toJsonSchema(PackageActivityListSchema),
-    },
-    {
-      name: 'recently_changed_packages_activity_list',
-      description: 'Global activity feed for recently changed datasets (CKAN recently_changed_packages_activity_list).',
-      inputSchema: toJsonSchema(RecentlyChangedPackagesActivityListSchema),
-    },
-  ];
+function stableSort(sort) {
+  if (!sort?.trim()) return 'name asc';
+  return /\b(name|id)\s+(asc|desc)\b/.test(sort) ? sort : `${sort}, name asc`;
 }
 
 /**
- * Get handler implementations for CKAN catalog tools.
- * Each handler validates args with Zod and returns MCP-compatible content.
- * @returns {{[key: string]: (args?: object) => Promise<{content: Array<{type: 'text', text: string}>, isError?: boolean}>}}
+ * Compact listing entry for a dataset.
+ * @param {any} dataset - CKAN package
+ * @returns {z.infer<typeof DatasetListing>}
  */
-export function getCatalogHandlers() {
+function listingEntry(dataset) {
+  const formats = (dataset.resources ?? []).map((r) => r.format?.trim()).filter(Boolean);
   return {
-    async package_search(args) {
-      const parsed = PackageSearchSchema.safeParse(args || {});
-      if (!parsed.success) {
-        return {
-          isError: true,
-          content: [
-            {
-              type: 'text',
-              text: `Invalid arguments for package_search: ${parsed.error.message}`,
-            },
-          ],
-        };
-      }
-      try {
-        const data = await packageSearch(parsed.data);
-        return {
-          content: [{ type: 'text', text: JSON.stringify(data, null, 2) }],
-        };
-      } catch (e) {
-        return {
-          isError: true,
-          content: [{ type: 'text', text: String(e) }],
-        };
-      }
-    },
+    id: dataset.id,
+    name: dataset.name,
+    title: dataset.title,
+    organization: dataset.organization?.name,
+    modified: dataset.metadata_modified,
+    formats: [...new Set(formats)],
+  };
+}
 
-    async package_show(args) {
-      const parsed = PackageShowSchema.safeParse(args || {});
-      if (!parsed.success) {
-        return {
-          isError: true,
-          content: [
-            {
-              type: 'text',
-              text: `Invalid arguments for package_show: ${parsed.error.message}`,
-            },
-          ],
-        };
+/**
+ * Page through all package_search results with a stable sort, calling
+ * `onDataset` once per distinct dataset id, until the results or `limit` run out.
+ * @param {Record<string, any>} args - q, fq, structured filters and sort
+ * @param {{ limit: number, onDataset: (dataset: any) => void, progress?: import('./registry.js').ToolContext['progress'], signal?: AbortSignal }} options
+ * @returns {Promise<{ count: number, returned: number, duplicates: number, pages: number, complete: boolean, query: { q: string, fq?: string|string[] } }>}
+ */
+export async function searchAll(args, { limit, onDataset, progress, signal }) {
+  const params = { ...searchParams(args), sort: stableSort(args.sort) };
+  const rows = Math.min(CONFIG.MAX_ROWS, limit);
+  const seen = new Set();
+  let count = 0;
+  let start = 0;
+  let pages = 0;
+  let duplicates = 0;
+  let exhausted = false;
+  while (!exhausted && seen.size < limit) {
+    signal?.throwIfAborted();
+    const { result } = await packageSearch({ ...params, rows, start });
+    const page = result?.results ?? [];
+    count = result?.count ?? count;
+    pages += 1;
+    start += page.length;
+    exhausted = !page.length || start >= count;
+    for (const dataset of page) {
+      if (seen.size >= limit) {
+        exhausted = false;
+        break;
       }
-      try {
-        const data = await packageShow(parsed.data.id);
-        return {
-          content: [{ type: 'text', text: JSON.stringify(data, null, 2) }],
-        };
-      } catch (e) {
-        return {
-          isError: true,
-          content: [{ type: 'text', text: String(e) }],
-        };
+      if (seen.has(dataset.id)) {
+        duplicates += 1;
+        continue;
       }
-    },
+      seen.add(dataset.id);
+      onDataset(dataset);
+    }
+    await progress?.(seen.size, Math.min(count, limit), `${seen.size} of ${count} datasets`);
+  }
+  return {
+    count,
+    returned: seen.size,
+    duplicates,
+    pages,
+    complete: exhausted,
+    query: { q: normalizeQ(params.q), fq: normalizeFq(params.fq) },
+  };
+}
 
-    async package_list(args) {
-      const parsed = PackageListSchema.safeParse(args || {});
-      if (!parsed.success) {
-        return {
-          isError: true,
-          content: [{ type: 'text', text: `Invalid arguments for package_list: ${parsed.error.message}` }],
-        };
-      }
-      try {
-        const data = await packageList(parsed.data);
-        return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
-      } catch (e) {
-        return { isError: true, content: [{ type: 'text', text: String(e) }] };
-      }
-    },
+/**
+ * List all package_search results (up to max_results), deduplicated by id.
+ * @param {z.infer<typeof PackageSearchAllSchema>} args
+ * @param {import('./registry.js').ToolContext} context
+ * @returns {Promise<object>}
+ */
+async function packageSearchAll({ max_results, output_file, lang, all_languages, ...args }, { progress, signal }) {
+  const limit = Math.min(max_results ?? CONFIG.SEARCH_ALL_MAX_RESULTS, CONFIG.SEARCH_ALL_MAX_RESULTS);
+  const file = output_file ? path.join(CONFIG.EXPORT_DIR, `search-${randomUUID()}.jsonl`) : undefined;
+  let out;
+  if (file) {
+    await mkdir(CONFIG.EXPORT_DIR, { recursive: true });
+    out = createWriteStream(file);
+  }
 
-    async current_package_list_with_resources(args) {
-      const parsed = CurrentPackageListWithResourcesSchema.safeParse(args || {});
-      if (!parsed.success) {
-        return {
-          isError: true,
-          content: [{ type: 'text', text: `Invalid arguments for current_package_list_with_resources: ${parsed.error.message}` }],
-        };
-      }
-      try {
-        const data = await currentPackageListWithResources(parsed.data);
-        return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
-      } catch (e) {
-        return { isError: true, content: [{ type: 'text', text: String(e) }] };
-      }
-    },
+  const results = [];
+  const onDataset = (dataset) => {
+    const entry = applyLanguage(listingEntry(dataset), { lang, all_languages });
+    if (out) out.write(`${JSON.stringify(entry)}\n`);
+    else results.push(entry);
+  };
+  let summary;
+  try {
+    summary = await searchAll(args, { limit, onDataset, progress, signal });
+  } finally {
+    if (out) {
+      out.end();
+      await finished(out);
+    }
+  }
+  return { success: true, result: { ...summary, ...(file ? { path: file } : { results }) } };
+}
 
-    async package_autocomplete(args) {
-      const parsed = PackageAutocompleteSchema.safeParse(args || {});
-      if (!parsed.success) {
-        return {
-          isError: true,
-          content: [{ type: 'text', text: `Invalid arguments for package_autocomplete: ${parsed.error.message}` }],
-        };
-      }
-      try {
-        const data = await packageAutocomplete(parsed.data.q, parsed.data.limit);
-        return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
-      } catch (e) {
-        return { isError: true, content: [{ type: 'text', text: String(e) }] };
-      }
+/**
+ * Catalog tool definitions.
+ * @type {import('./registry.js').ToolDefinition[]}
+ */
+export const catalogTools = [
+  defineTool({
+    name: 'package_search',
+    description:
+      'Search datasets on opendata.swiss (CKAN package_search). Supports q, structured filters (organization, groups, res_format, license_id, tags, keywords_<lang>, political_level, modified_after/modified_before) or a raw fq, sorting, pagination and facets. The q/fq sent to CKAN is returned as "query". Pass "portals" to search several CKAN portals at once.',
+    input: PackageSearchSchema,
+    output: PackageSearchOutput,
+    annotations: READ_ONLY_CKAN,
+    async handler({ portals, lang, all_languages, ...args }) {
+      const searchArgs = searchParams(args);
+      const data = portals
+        ? await packageSearchFederated(searchArgs, portals)
+        : await packageSearch(searchArgs);
+      const query = { q: normalizeQ(searchArgs.q), fq: normalizeFq(searchArgs.fq) };
+      return applyLanguage({ ...data, result: { ...data.result, query } }, { lang, all_languages });
     },
-
-    async package_activity_list(args) {
-      const parsed = PackageActivityListSchema.safeParse(args || {});
-      if (!parsed.success) {
-        return {
-          isError: true,
-          content: [{ type: 'text', text: `Invalid arguments for package_activity_list: ${parsed.error.message}` }],
-        };
-      }
-      try {
-        const data = await packageActivityList(parsed.data);
-        return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
-      } catch (e) {
-        return { isError: true, content: [{ type: 'text', text: String(e) }] };
-      }
+  }),
+  defineTool({
+    name: 'package_search_all',
+    description:
+      'List every dataset matching a search (same q, fq and structured filters as package_search), paging through package_search with a stable sort and deduplicating by id. Returns a compact listing (id, name, title, organization, modified, formats), or writes it to a JSON Lines file with output_file. Stops at max_results; reports progress when the client sends a progressToken.',
+    input: PackageSearchAllSchema,
+    output: PackageSearchAllOutput,
+    annotations: WRITES_LOCAL_FILES,
+    handler: packageSearchAll,
+  }),
+  defineTool({
+    name: 'package_show',
+    description: 'Get a dataset (package) by id or name (CKAN package_show).',
+    input: PackageShowSchema,
+    output: PackageShowOutput,
+    annotations: READ_ONLY_CKAN,
+    async handler(args) {
+      return applyLanguage(await packageShow(args.id), args);
     },
+  }),
+  defineTool({
+    name: 'package_list',
+    description: 'List dataset ids (CKAN package_list).',
+    input: PackageListSchema,
+    output: PackageListOutput,
+    annotations: READ_ONLY_CKAN,
+    handler: (args) => packageList(args),
+  }),
+  defineTool({
+    name: 'current_package_list_with_resources',
+    description: 'List datasets with embedded resources (CKAN current_package_list_with_resources).',
+    input: CurrentPackageListWithResourcesSchema,
+    output: CurrentPackageListWithResourcesOutput,
+    annotations: READ_ONLY_CKAN,
+    handler: (args) => currentPackageListWithResources(args),
+  }),
+  defineTool({
+    name: 'package_autocomplete',
+    description: 'Autocomplete dataset names (CKAN package_autocomplete).',
+    input: PackageAutocompleteSchema,
+    output: PackageAutocompleteOutput,
+    annotations: READ_ONLY_CKAN,
+    handler: (args) => packageAutocomplete(args.q, args.limit),
+  }),
+  defineTool({
+    name: 'package_activity_list',
+    description: 'Activity stream for a dataset (CKAN package_activity_list).',
+    input: PackageActivityListSchema,
+    output: ActivityListOutput,
+    annotations: READ_ONLY_CKAN,
+    handler: (args) => packageActivityList(args),
+  }),
+  defineTool({
+    name: 'recently_changed_packages_activity_list',
+    description: 'Global activity feed for recently changed datasets (CKAN recently_changed_packages_activity_list).',
+    input: RecentlyChangedPackagesActivityListSchema,
+    output: ActivityListOutput,
+    annotations: READ_ONLY_CKAN,
+    handler: (args) => recentlyChangedPackagesActivityList(args),
+  }),
+];
 
-    async recently_changed_packages_activity_list(args) {
-      const parsed = RecentlyChangedPackagesActivityListSchema.safeParse(args || {});
-      if (!parsed.success) {
-        return {
-          isError: true,
-          content: [{ type: 'text', text: `Invalid arguments for recently_changed_packages_activity_list: ${parsed.error.message}` }],
-        };
-      }
-      try {
-        const data = await recentlyChangedPackagesActivityList(parsed.data);
-        return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
-      } catch (e) {
-        return { isError: true, content: [{ type: 'text', text: String(e) }] };
-      }
-    },
-  };
+/**
+ * Get tool descriptors for CKAN catalog endpoints.
+ * @returns {Array<{name: string, description: string, inputSchema: object, outputSchema: object}>}
+ */
+export function getCatalogTools() {
+  return toolDescriptors(catalogTools);
+}
+
+/**
+ * Get handler implementations for CKAN catalog tools.
+ * Each handler validates args with Zod and returns MCP-compatible content.
+ * @returns {{[key: string]: (args?: object) => Promise<{content: Array<{type: 'text', text: string}>, isError?: boolean}>}}
+ */
+export function getCatalogHandlers() {
+  return toolHandlers(catalogTools);
 }
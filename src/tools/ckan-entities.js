@@ -0,0 +1,116 @@
+import { z } from 'zod';
+
+/**
+ * Zod schemas for CKAN entities shared by the tool output schemas.
+ *
+ * Every field is optional and unknown keys pass through: CKAN instances add
+ * their own fields, and the response-shaping arguments (detail, fields)
+ * can drop any of them.
+ */
+
+/** A multilingual field: flattened to a string, or the {de, fr, it, en} map with all_languages. */
+export const Localized = z.union([z.string(), z.record(z.any())]);
+
+/** Reference to another entity; collapsed to its name at detail=summary. */
+const EntityRef = z.union([z.string(), z.object({}).passthrough()]);
+
+export const ResourceEntity = z
+  .object({
+    id: z.string().optional(),
+    package_id: z.string().optional(),
+    name: Localized.optional(),
+    title: Localized.optional(),
+    description: Localized.optional(),
+    format: z.string().optional(),
+    media_type: z.string().optional(),
+    url: z.string().optional(),
+    download_url: z.string().optional(),
+    byte_size: z.union([z.number(), z.string()]).optional(),
+    datastore_active: z.boolean().optional(),
+    last_modified: z.string().optional(),
+    created: z.string().optional(),
+  })
+  .passthrough();
+
+export const TagEntity = z
+  .object({
+    id: z.string().optional(),
+    name: z.string().optional(),
+    display_name: Localized.optional(),
+    vocabulary_id: z.string().optional(),
+  })
+  .passthrough();
+
+export const DatasetEntity = z
+  .object({
+    id: z.string().optional(),
+    name: z.string().optional(),
+    title: Localized.optional(),
+    description: Localized.optional(),
+    notes: Localized.optional(),
+    keywords: z.union([z.array(z.string()), z.record(z.any())]).optional(),
+    organization: EntityRef.optional(),
+    groups: z.array(EntityRef).optional(),
+    tags: z.array(TagEntity).optional(),
+    resources: z.array(ResourceEntity).optional(),
+    formats: z.array(z.string()).optional(),
+    num_resources: z.number().optional(),
+    license_id: z.string().optional(),
+    issued: z.string().optional(),
+    modified: z.string().optional(),
+    metadata_created: z.string().optional(),
+    metadata_modified: z.string().optional(),
+    source_portal: z.object({ name: z.string(), title: z.string() }).optional(),
+  })
+  .passthrough();
+
+export const OrganizationEntity = z
+  .object({
+    id: z.string().optional(),
+    name: z.string().optional(),
+    title: Localized.optional(),
+    display_name: Localized.optional(),
+    description: Localized.optional(),
+    image_url: z.string().optional(),
+    package_count: z.number().optional(),
+    type: z.string().optional(),
+    packages: z.array(DatasetEntity).optional(),
+  })
+  .passthrough();
+
+export const ActivityEntity = z
+  .object({
+    id: z.string().optional(),
+    timestamp: z.string().optional(),
+    activity_type: z.string().optional(),
+    user_id: z.string().optional(),
+    object_id: z.string().optional(),
+    data: z.object({}).passthrough().optional(),
+  })
+  .passthrough();
+
+export const DatastoreFieldEntity = z
+  .object({
+    id: z.string().optional(),
+    type: z.string().optional(),
+    info: z.object({}).passthrough().optional(),
+  })
+  .passthrough();
+
+/** Annotation added when a list was cut to the response budget (see utils/shape.js). */
+export const Truncation = z
+  .object({
+    returned: z.number(),
+    of: z.number(),
+    hint: z.string(),
+  })
+  .optional();
+
+/**
+ * Output schema for a CKAN list result, exposed as { items }.
+ * @param {import('zod').ZodTypeAny} item
+ * @returns {import('zod').ZodTypeAny}
+ */
+export function listOutput(item) {
+  return z.object({ items: z.array(item), _truncated: Truncation });
+}
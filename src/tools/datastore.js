@@ -4,6 +4,8 @@ import {
   datastoreSearch,
   datastoreSearchSql,
 } from '../api/ckan-client.js';
+import { DatastoreFieldEntity, Truncation } from './ckan-entities.js';
+import { defineTool, toolDescriptors, toolHandlers, READ_ONLY_CKAN } from './registry.js';
 
 const DatastoreInfoSchema = z.object({
   id: z.string().describe('Resource id'),
@@ -12,182 +14,105 @@ const DatastoreInfoSchema = z.object({
 
 const DatastoreSearchSchema = z.object({
   resource_id: z.string().describe('Resource id'),
-  q: z.union([z.string(), z.record(z.any())]).optional(),
-  filters: z.record(z.any()).optional(),
-  fields: z.array(z.string()).optional(),
-  sort: z.string().optional(),
-  language: z.string().optional(),
-  include_total: z.boolean().optional(),
-  limit: z.number().int().positive().optional(),
-  offset: z.number().int().nonnegative().optional(),
+  q: z
+    .union([z.string(), z.record(z.any())])
+    .describe('Query string or object (CKAN supports object for advanced search).')
+    .optional(),
+  filters: z.record(z.any()).describe('Filters object to match exact values on fields.').optional(),
+  fields: z.array(z.string()).describe('Subset of fields to return.').optional(),
+  sort: z.string().describe('Sort expression (e.g., "date desc")').optional(),
+  language: z.string().describe('Language hint').optional(),
+  include_total: z.boolean().describe('Include total count (default false for performance)').optional(),
+  limit: z.number().int().positive().describe('Row limit (server clamps to max)').optional(),
+  offset: z.number().int().nonnegative().describe('Offset for pagination').optional(),
   distinct: z.boolean().optional(),
   plain: z.boolean().optional(),
   full_text: z.boolean().optional(),
 });
 
 const DatastoreSearchSqlSchema = z.object({
-  sql: z.string().min(1),
+  sql: z.string().min(1).describe('SQL query for CKAN datastore'),
 });
 
+// Output schemas (structuredContent): the CKAN result without the help/success envelope
+const DatastoreInfoOutput = z
+  .object({
+    meta: z.object({}).passthrough().optional(),
+    fields: z.array(DatastoreFieldEntity).optional(),
+    schema: z.record(z.any()).optional(),
+  })
+  .passthrough();
+
+const DatastoreSearchOutput = z
+  .object({
+    resource_id: z.string().optional(),
+    fields: z.array(DatastoreFieldEntity).optional(),
+    records: z.array(z.record(z.any())).optional(),
+    total: z.number().optional(),
+    total_was_estimated: z.boolean().optional(),
+    limit: z.number().optional(),
+    offset: z.number().optional(),
+    _links: z.record(z.string()).optional(),
+    _truncated: Truncation,
+  })
+  .passthrough();
+
+const DatastoreSearchSqlOutput = z
+  .object({
+    sql: z.string().optional(),
+    fields: z.array(DatastoreFieldEntity).optional(),
+    records: z.array(z.record(z.any())).optional(),
+    records_truncated: z.boolean().optional(),
+    _truncated: Truncation,
+  })
+  .passthrough();
+
 /**
- * Convert a Zod schema to a minimal JSON Schema object for MCP inputSchema.
- * Keep this mapping in sync with the Zod definitions above.
- * @param {import('zod').ZodTypeAny} schema
- * @returns {object} JSON Schema compatible object
+ * Datastore tool definitions.
+ * @type {import('./registry.js').ToolDefinition[]}
  */
-function jsonSchema(schema) {
-  if (schema === DatastoreInfoSchema) {
-    return {
-      type: 'object',
-      properties: {
-        id: { type: 'string', description: 'Resource id' },
-        include_private: { type: 'boolean' },
-      },
-      required: ['id'],
-      additionalProperties: false,
-    };
-  }
-  if (schema === DatastoreSearchSchema) {
-    return {
-      type: 'object',
-      properties: {
-        resource_id: { type: 'string', description: 'Resource id' },
-        q: {
-          anyOf: [{ type: 'string' }, { type: 'object' }],
-          description:
-            'Query string or object (CKAN supports object for advanced search).',
-        },
-        filters: {
-          type: 'object',
-          description: 'Filters object to match exact values on fields.',
-        },
-        fields: {
-          type: 'array',
-          items: { type: 'string' },
-          description: 'Subset of fields to return.',
-        },
-        sort: { type: 'string', description: 'Sort expression (e.g., "date desc")' },
-        language: { type: 'string', description: 'Language hint' },
-        include_total: {
-          type: 'boolean',
-          description: 'Include total count (default false for performance)',
-        },
-        limit: { type: 'number', description: 'Row limit (server clamps to max)' },
-        offset: { type: 'number', description: 'Offset for pagination' },
-        distinct: { type: 'boolean' },
-        plain: { type: 'boolean' },
-        full_text: { type: 'boolean' },
-      },
-      required: ['resource_id'],
-      additionalProperties: false,
-    };
-  }
-  if (schema === DatastoreSearchSqlSchema) {
-    return {
-      type: 'object',
-      properties: {
-        sql: { type: 'string', description: 'SQL query for CKAN datastore' },
-      },
-      required: ['sql'],
-      additionalProperties: false,
-    };
-  }
-  return { type: 'object' };
-}
+export const datastoreTools = [
+  defineTool({
+    name: 'datastore_info',
+    description: 'Get datastore info for a resource (CKAN datastore_info).',
+    input: DatastoreInfoSchema,
+    output: DatastoreInfoOutput,
+    annotations: READ_ONLY_CKAN,
+    handler: (args) => datastoreInfo(args.id, args.include_private),
+  }),
+  defineTool({
+    name: 'datastore_search',
+    description:
+      'Search rows in CKAN datastore (CKAN datastore_search). Supports q, filters, fields, sort, pagination.',
+    input: DatastoreSearchSchema,
+    output: DatastoreSearchOutput,
+    annotations: READ_ONLY_CKAN,
+    handler: (args) => datastoreSearch(args),
+  }),
+  defineTool({
+    name: 'datastore_search_sql',
+    description:
+      'Execute SQL against CKAN datastore (CKAN datastore_search_sql). Disabled by default by server config. Only single read-only SELECT/WITH queries over resource-id tables are accepted; LIMIT is clamped to MAX_ROWS.',
+    input: DatastoreSearchSqlSchema,
+    output: DatastoreSearchSqlOutput,
+    annotations: READ_ONLY_CKAN,
+    handler: (args) => datastoreSearchSql(args.sql),
+  }),
+];
 
 /**
  * Get tool descriptors for CKAN datastore endpoints.
- * @returns {Array<{name: string, description: string, inputSchema: object}>}
+ * @returns {Array<{name: string, description: string, inputSchema: object, outputSchema: object}>}
  */
 export function getDatastoreTools() {
-  return [
-    {
-      name: 'datastore_info',
-      description: 'Get datastore info for a resource (CKAN datastore_info).',
-      inputSchema: jsonSchema(DatastoreInfoSchema),
-    },
-    {
-      name: 'datastore_search',
-      description:
-        'Search rows in CKAN datastore (CKAN datastore_search). Supports q, filters, fields, sort, pagination.',
-      inputSchema: jsonSchema(DatastoreSearchSchema),
-    },
-    {
-      name: 'datastore_search_sql',
-      description:
-        'Execute SQL against CKAN datastore (CKAN datastore_search_sql). Disabled by default by server config.',
-      inputSchema: jsonSchema(DatastoreSearchSqlSchema),
-    },
-  ];
+  return toolDescriptors(datastoreTools);
 }
 
 /**
  * Get handler implementations for CKAN datastore tools.
  * Each handler validates args with Zod and returns MCP-compatible content.
- * @returns {{
- *   datastore_info: (args?: object) => Promise<{content: Array<{type: 'text', text: string}>, isError?: boolean}>
- *   datastore_search: (args?: object) => Promise<{content: Array<{type: 'text', text: string}>, isError?: boolean}>
- *   datastore_search_sql: (args?: object) => Promise<{content: Array<{type: 'text', text: string}>, isError?: boolean}>
- * }}
+ * @returns {{[key: string]: (args?: object) => Promise<{content: Array<{type: 'text', text: string}>, isError?: boolean}>}}
  */
 export function getDatastoreHandlers() {
-  return {
-    /**
-     * Return datastore metadata (fields, etc.) for a resource.
-     * @param {{ id: string, include_private?: boolean }} args
-     * @returns {Promise<{content: Array<{type: 'text', text: string}>, isError?: boolean}>}
-     */
-    async datastore_info(args) {
-      const parsed = DatastoreInfoSchema.safeParse(args || {});
-      if (!parsed.success) {
-        return { isError: true, content: [{ type: 'text', text: parsed.error.message }] };
-      }
-      try {
-        const data = await datastoreInfo(parsed.data.id, parsed.data.include_private);
-        return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
-      } catch (e) {
-        return { isError: true, content: [{ type: 'text', text: String(e) }] };
-      }
-    },
-
-    /**
-     * Query CKAN datastore with filters, field selection, sorting and pagination.
-     * @param {{
-     *   resource_id: string, q?: string|Record<string, any>, filters?: Record<string, any>,
-     *   fields?: string[], sort?: string, language?: string, include_total?: boolean,
-     *   limit?: number, offset?: number, distinct?: boolean, plain?: boolean, full_text?: boolean
-     * }} args
-     * @returns {Promise<{content: Array<{type: 'text', text: string}>, isError?: boolean}>}
-     */
-    async datastore_search(args) {
-      const parsed = DatastoreSearchSchema.safeParse(args || {});
-      if (!parsed.success) {
-        return { isError: true, content: [{ type: 'text', text: parsed.error.message }] };
-      }
-      try {
-        const data = await datastoreSearch(parsed.data);
-        return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
-      } catch (e) {
-        return { isError: true, content: [{ type: 'text', text: String(e) }] };
-      }
-    },
-
-    /**
-     * Execute a SQL query against CKAN datastore (if enabled by server config).
-     * @param {{ sql: string }} args
-     * @returns {Promise<{content: Array<{type: 'text', text: string}>, isError?: boolean}>}
-     */
-    async datastore_search_sql(args) {
-      const parsed = DatastoreSearchSqlSchema.safeParse(args || {});
-      if (!parsed.success) {
-        return { isError: true, content: [{ type: 'text', text: parsed.error.message }] };
-      }
-      try {
-        const data = await datastoreSearchSql(parsed.data.sql);
-        return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
-      } catch (e) {
-        return { isError: true, content: [{ type: 'text', text: String(e) }] };
-      }
-    },
-  };
+  return toolHandlers(datastoreTools);
 }
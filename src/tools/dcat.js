@@ -0,0 +1,198 @@
+import { randomUUID } from 'node:crypto';
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { z } from 'zod';
+import { packageShow, portalSite } from '../api/ckan-client.js';
+import { CONFIG } from '../config.js';
+import { catalogGraph, datasetGraph } from '../formats/dcat.js';
+import { validateDataset } from '../formats/dcat-validation.js';
+import { RDF_MEDIA_TYPES, serializeRdf } from '../formats/rdf.js';
+import { SearchAllArgs, searchAll } from './catalog.js';
+import { defineTool, toolDescriptors, toolHandlers, READ_ONLY_CKAN } from './registry.js';
+
+const RDF_FORMATS = ['turtle', 'jsonld', 'rdfxml'];
+const EXTENSIONS = { turtle: 'ttl', jsonld: 'jsonld', rdfxml: 'rdf' };
+// Datasets in an inline catalog when max_results is not given; files take up to SEARCH_ALL_MAX_RESULTS
+const INLINE_CATALOG_DATASETS = 100;
+
+const PackageExportSchema = z.object({
+  id: z
+    .string()
+    .describe('Dataset id or name to export. Without id, the datasets matching the search arguments are exported as one dcat:Catalog')
+    .optional(),
+  format: z.enum(RDF_FORMATS).describe('RDF serialization (default turtle)').optional(),
+  ...SearchAllArgs,
+  output_file: z
+    .boolean()
+    .describe('Write the RDF to a file in EXPORT_DIR and return its path instead of the content')
+    .optional(),
+});
+
+const PackageExportOutput = z
+  .object({
+    format: z.enum(RDF_FORMATS),
+    media_type: z.string(),
+    datasets: z.number().describe('Datasets in the graph'),
+    triples: z.number(),
+    content: z.string().describe('The serialized RDF (unless output_file)').optional(),
+    path: z.string().describe('File with the serialized RDF (output_file)').optional(),
+    complete: z.boolean().describe('Catalog export: false when max_results left matching datasets out').optional(),
+    count: z.number().describe('Catalog export: datasets matching the search').optional(),
+    query: z.object({ q: z.string(), fq: z.union([z.string(), z.array(z.string())]).optional() }).optional(),
+  })
+  .passthrough();
+
+const PackageValidateSchema = z.object({
+  id: z.string().describe('Dataset id or name to fetch and validate').optional(),
+  metadata: z
+    .union([z.record(z.any()), z.string()])
+    .describe('Dataset metadata to validate instead of fetching it: a package_show result (or its JSON text)')
+    .optional(),
+  only_failed: z.boolean().describe('List only the failed checks (default false)').optional(),
+});
+
+const PackageValidateOutput = z
+  .object({
+    dataset: z.object({ id: z.string().optional(), name: z.string().optional(), identifier: z.string().optional() }),
+    score: z.number().describe('0-100, failed errors weigh three times as much as failed warnings'),
+    conformant: z.boolean().describe('True when no mandatory (error) check failed'),
+    errors: z.number(),
+    warnings: z.number(),
+    checks: z.array(
+      z.object({
+        rule: z.string(),
+        severity: z.enum(['error', 'warning']),
+        property: z.string(),
+        passed: z.boolean(),
+        message: z.string(),
+        resource_id: z.string().optional(),
+      })
+    ),
+  })
+  .passthrough();
+
+/**
+ * Export one dataset, or a package_search result set as a catalog, as DCAT-AP CH RDF.
+ * @param {z.infer<typeof PackageExportSchema>} args
+ * @param {import('./registry.js').ToolContext} context
+ * @returns {Promise<object>}
+ */
+async function packageExport({ id, format = 'turtle', output_file, max_results, ...search }, { progress, signal }) {
+  const site = portalSite();
+  let graph;
+  let datasets;
+  let summary = {};
+  if (id) {
+    const searchArgs = Object.keys(search).filter((key) => search[key] !== undefined);
+    if (searchArgs.length) throw new Error(`Pass either id or search arguments, not both (got ${searchArgs.join(', ')})`);
+    const { result } = await packageShow(id);
+    graph = datasetGraph(result, { siteUrl: site.url });
+    datasets = 1;
+  } else {
+    const cap = output_file ? CONFIG.SEARCH_ALL_MAX_RESULTS : INLINE_CATALOG_DATASETS;
+    const packages = [];
+    const limit = Math.min(max_results ?? cap, CONFIG.SEARCH_ALL_MAX_RESULTS);
+    const { count, complete, query } = await searchAll(search, {
+      limit,
+      onDataset: (dataset) => packages.push(dataset),
+      progress,
+      signal,
+    });
+    const fq = query.fq ? `, fq=${[].concat(query.fq).join(' AND ')}` : '';
+    graph = catalogGraph(packages, {
+      siteUrl: site.url,
+      title: site.title,
+      description: `Datasets matching package_search q=${query.q}${fq}`,
+    });
+    datasets = packages.length;
+    summary = { complete, count, query };
+  }
+
+  const content = serializeRdf(graph, format);
+  const result = { format, media_type: RDF_MEDIA_TYPES[format], datasets, triples: graph.triples.length, ...summary };
+  if (!output_file) return { success: true, result: { ...result, content } };
+  await mkdir(CONFIG.EXPORT_DIR, { recursive: true });
+  const file = path.join(CONFIG.EXPORT_DIR, `dcat-${randomUUID()}.${EXTENSIONS[format]}`);
+  await writeFile(file, content);
+  return { success: true, result: { ...result, path: file } };
+}
+
+/**
+ * Dataset metadata pasted as an object or JSON text; a package_show response
+ * envelope ({success, result}) is unwrapped.
+ * @param {Record<string, any>|string} metadata
+ * @returns {Record<string, any>}
+ * @throws {Error} If the text is not a JSON object
+ */
+function parseMetadata(metadata) {
+  let value = metadata;
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (e) {
+      throw new Error(`metadata is not valid JSON: ${e.message}`);
+    }
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) throw new Error('metadata must be a JSON object');
+  return value.result && typeof value.result === 'object' && 'success' in value ? value.result : value;
+}
+
+/**
+ * Validate a dataset against DCAT-AP CH.
+ * @param {z.infer<typeof PackageValidateSchema>} args
+ * @returns {Promise<object>}
+ */
+async function packageValidate({ id, metadata, only_failed }) {
+  if (Boolean(id) === (metadata !== undefined)) throw new Error('Pass exactly one of id or metadata');
+  const pkg = id ? (await packageShow(id)).result : parseMetadata(metadata);
+  const report = validateDataset(pkg);
+  return {
+    success: true,
+    result: {
+      dataset: { id: pkg.id, name: pkg.name, identifier: pkg.identifier },
+      ...report,
+      checks: only_failed ? report.checks.filter((c) => !c.passed) : report.checks,
+    },
+  };
+}
+
+/**
+ * DCAT-AP CH export and validation tool definitions.
+ * @type {import('./registry.js').ToolDefinition[]}
+ */
+export const dcatTools = [
+  defineTool({
+    name: 'package_export',
+    description:
+      'Export dataset metadata as DCAT-AP CH RDF (Turtle, JSON-LD or RDF/XML): dcat:Dataset with multilingual title/description/keywords, distributions, publisher, contact points, themes and temporal/spatial coverage. Pass id for one dataset, or search arguments (as for package_search_all) to export the matching datasets as one dcat:Catalog.',
+    input: PackageExportSchema,
+    output: PackageExportOutput,
+    annotations: READ_ONLY_CKAN,
+    handler: packageExport,
+  }),
+  defineTool({
+    name: 'package_validate',
+    description:
+      'Check dataset metadata against DCAT-AP CH: mandatory properties (severity "error") and recommended ones ("warning"), e.g. title/description in all four languages, publisher, contact point email, issued date, accrual_periodicity from the EU frequency vocabulary, and per resource access URL, license, format and media type. Validates a published dataset (id) or metadata JSON before publishing (metadata). Returns a 0-100 score and the checks.',
+    input: PackageValidateSchema,
+    output: PackageValidateOutput,
+    annotations: READ_ONLY_CKAN,
+    handler: packageValidate,
+  }),
+];
+
+/**
+ * Get tool descriptors for DCAT exports and validation.
+ * @returns {Array<{name: string, description: string, inputSchema: object, outputSchema: object}>}
+ */
+export function getDcatTools() {
+  return toolDescriptors(dcatTools);
+}
+
+/**
+ * Get handler implementations for DCAT exports and validation.
+ * @returns {{[key: string]: (args?: object) => Promise<{content: Array<{type: 'text', text: string}>, isError?: boolean}>}}
+ */
+export function getDcatHandlers() {
+  return toolHandlers(dcatTools);
+}
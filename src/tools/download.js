@@ -0,0 +1,81 @@
+import { z } from 'zod';
+import { resourceShow, downloadResourceFile } from '../api/ckan-client.js';
+import { CONFIG } from '../config.js';
+import { ResourceRefOutput, resourceRef } from './preview.js';
+import { defineTool, toolDescriptors, toolHandlers, WRITES_LOCAL_FILES } from './registry.js';
+
+const ResourceDownloadSchema = z.object({
+  id: z.string().describe('Resource id'),
+  max_bytes: z
+    .number()
+    .int()
+    .positive()
+    .describe('Abort downloads larger than this (capped by DOWNLOAD_MAX_BYTES)')
+    .optional(),
+  force: z.boolean().describe('Download again even when the file is cached').optional(),
+  verify: z
+    .boolean()
+    .describe('Reject files that do not match the CKAN resource hash (default true)')
+    .optional(),
+});
+
+const ResourceDownloadOutput = z
+  .object({
+    resource: ResourceRefOutput,
+    path: z.string().optional(),
+    size: z.number().optional(),
+    url: z.string().optional(),
+    sha256: z.string().optional(),
+    content_type: z.string().optional(),
+    cached: z.boolean().optional(),
+    downloaded_at: z.string().optional(),
+    checksum: z
+      .object({ algorithm: z.string(), expected: z.string(), verified: z.boolean() })
+      .optional(),
+  })
+  .passthrough();
+
+/**
+ * Download a resource file into the local cache and describe the cached copy.
+ * @param {z.infer<typeof ResourceDownloadSchema>} args
+ * @returns {Promise<object>}
+ */
+async function resourceDownload({ id, max_bytes, force, verify }) {
+  const { result: resource } = await resourceShow(id);
+  if (!resource?.url) throw new Error(`Resource ${id} has no URL to download`);
+  const maxBytes = Math.min(max_bytes ?? CONFIG.DOWNLOAD_MAX_BYTES, CONFIG.DOWNLOAD_MAX_BYTES);
+  const file = await downloadResourceFile(resource, { maxBytes, force, verify });
+  return { resource: resourceRef(resource), ...file };
+}
+
+/**
+ * Resource download tool definitions.
+ * @type {import('./registry.js').ToolDefinition[]}
+ */
+export const downloadTools = [
+  defineTool({
+    name: 'resource_download',
+    description:
+      'Download a resource file into the local resource cache and return its path, size, SHA-256 and content type (no file content). Files are reused until the resource URL, hash or last_modified changes; the CKAN hash is verified when present.',
+    input: ResourceDownloadSchema,
+    output: ResourceDownloadOutput,
+    annotations: WRITES_LOCAL_FILES,
+    handler: resourceDownload,
+  }),
+];
+
+/**
+ * Get tool descriptors for resource downloads.
+ * @returns {Array<{name: string, description: string, inputSchema: object, outputSchema: object}>}
+ */
+export function getDownloadTools() {
+  return toolDescriptors(downloadTools);
+}
+
+/**
+ * Get handler implementations for resource downloads.
+ * @returns {{[key: string]: (args?: object) => Promise<{content: Array<{type: 'text', text: string}>, isError?: boolean}>}}
+ */
+export function getDownloadHandlers() {
+  return toolHandlers(downloadTools);
+}
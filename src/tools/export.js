@@ -0,0 +1,430 @@
+import { randomUUID } from 'node:crypto';
+import { createReadStream } from 'node:fs';
+import { mkdir, open, readFile, rename, rm, truncate, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { createInterface } from 'node:readline';
+import { z } from 'zod';
+import { datastoreInfo, datastoreSearch, datastoreSearchSql, portalSite, withPortal } from '../api/ckan-client.js';
+import { CONFIG } from '../config.js';
+import { formatDelimitedRow } from '../formats/delimited.js';
+import { createParquetWriter } from '../formats/parquet.js';
+import { filterConditions, quoteIdentifier } from '../utils/sql.js';
+import { defineTool, toolDescriptors, toolHandlers, WRITES_LOCAL_FILES } from './registry.js';
+
+const EXPORT_FORMATS = ['csv', 'jsonl', 'parquet'];
+const EXTENSIONS = { csv: 'csv', jsonl: 'jsonl', parquet: 'parquet' };
+const PARQUET_ROW_GROUP = 10000;
+
+const DatastoreExportSchema = z.object({
+  resource_id: z.string().describe('Resource id (required unless resuming)').optional(),
+  format: z.enum(EXPORT_FORMATS).describe('Output file format (default csv)').optional(),
+  q: z
+    .union([z.string(), z.record(z.any())])
+    .describe('Full-text query, as for datastore_search')
+    .optional(),
+  filters: z.record(z.any()).describe('Exact-match filters, as for datastore_search').optional(),
+  fields: z.array(z.string()).describe('Columns to export (default: all)').optional(),
+  sort: z
+    .string()
+    .describe('Sort expression (default "_id"); a custom sort disables keyset pagination')
+    .optional(),
+  max_rows: z.number().int().positive().describe('Stop after this many rows (capped by EXPORT_MAX_ROWS)').optional(),
+  max_bytes: z
+    .number()
+    .int()
+    .positive()
+    .describe('Stop before the row data exceeds this size (capped by EXPORT_MAX_BYTES)')
+    .optional(),
+  resume: z.string().describe('export_id of an interrupted export to continue').optional(),
+  portal: z
+    .string()
+    .describe(`CKAN portal to query (see portal_list). Defaults to "${CONFIG.DEFAULT_PORTAL}"; a resumed export keeps its portal.`)
+    .optional(),
+});
+
+const DatastoreExportOutput = z
+  .object({
+    export_id: z.string(),
+    resource_id: z.string().optional(),
+    portal: z.string().optional(),
+    status: z.enum(['complete', 'truncated', 'interrupted']),
+    format: z.enum(EXPORT_FORMATS).optional(),
+    path: z.string().optional(),
+    rows: z.number().optional(),
+    bytes: z.number().optional(),
+    pagination: z.enum(['keyset', 'offset']).optional(),
+    schema: z.array(z.object({ name: z.string(), type: z.string() }).passthrough()).optional(),
+    limit_reached: z.enum(['rows', 'bytes']).optional(),
+    error: z.string().optional(),
+  })
+  .passthrough();
+
+/**
+ * Persistent state of an export, saved after every page so that an
+ * interrupted export can be resumed where it stopped.
+ * @typedef {Object} ExportState
+ * @property {string} export_id
+ * @property {string} resource_id
+ * @property {string} [portal] Portal the rows are read from (default portal in states saved without it)
+ * @property {'csv'|'jsonl'|'parquet'} format
+ * @property {{ q?: string|object, filters?: object, sort?: string }} query
+ * @property {Array<{ name: string, type: string }>} schema Exported columns with their datastore types
+ * @property {'keyset'|'offset'} pagination
+ * @property {number} max_rows
+ * @property {number} max_bytes
+ * @property {number} rows Rows written so far
+ * @property {number} bytes Bytes of row data written so far
+ * @property {number} [file_size] Size of the finished output file
+ * @property {number} [last_id] keyset: _id of the last row written
+ * @property {number} [offset] offset: rows to skip on the next page
+ * @property {'running'|'complete'|'truncated'|'interrupted'} status
+ * @property {'rows'|'bytes'} [limit_reached]
+ * @property {string} [error]
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+/**
+ * @param {string} id
+ * @returns {string}
+ */
+function statePath(id) {
+  return path.join(CONFIG.EXPORT_DIR, `${id}.json`);
+}
+
+/**
+ * Path of the rows written so far. Parquet is written at the end, from rows
+ * staged as JSON arrays, so that every format can be resumed by appending.
+ * @param {ExportState} state
+ * @returns {string}
+ */
+function partPath(state) {
+  return path.join(CONFIG.EXPORT_DIR, `${state.export_id}.${state.format === 'parquet' ? 'jsonl' : EXTENSIONS[state.format]}.part`);
+}
+
+/**
+ * @param {ExportState} state
+ * @returns {string}
+ */
+function outputPath(state) {
+  return path.join(CONFIG.EXPORT_DIR, `${state.export_id}.${EXTENSIONS[state.format]}`);
+}
+
+/**
+ * @param {ExportState} state
+ * @returns {Promise<void>}
+ */
+async function saveState(state) {
+  state.updated_at = new Date().toISOString();
+  const file = statePath(state.export_id);
+  await writeFile(`${file}.tmp`, JSON.stringify(state, null, 2));
+  await rename(`${file}.tmp`, file);
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<ExportState>}
+ * @throws {Error} If no export with this id exists
+ */
+async function loadState(id) {
+  if (!/^[0-9a-f-]{36}$/.test(id)) throw new Error(`Invalid export_id "${id}"`);
+  try {
+    return JSON.parse(await readFile(statePath(id), 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') throw new Error(`Export ${id} not found in ${CONFIG.EXPORT_DIR}`);
+    throw e;
+  }
+}
+
+/**
+ * Parquet column type for a datastore (PostgreSQL) column type.
+ * @param {string} type
+ * @returns {import('../formats/parquet.js').ParquetColumnType}
+ */
+function parquetType(type) {
+  const t = String(type || '').toLowerCase();
+  if (/^(int|int2|int4|int8|integer|bigint|smallint)$/.test(t)) return 'int64';
+  if (/^(numeric|float|float4|float8|real|double precision)$/.test(t)) return 'double';
+  if (/^bool(ean)?$/.test(t)) return 'boolean';
+  return 'string';
+}
+
+/**
+ * Keyset pagination (WHERE _id > last ORDER BY _id) needs datastore_search_sql
+ * and a query it can express; otherwise pages are fetched by offset sorted by _id.
+ * @param {ExportState['query']} query
+ * @returns {'keyset'|'offset'}
+ */
+function choosePagination({ q, filters, sort }) {
+  return CONFIG.ENABLE_SQL && q === undefined && sort === undefined && filterConditions(filters) ? 'keyset' : 'offset';
+}
+
+/**
+ * Fetch the next page of records.
+ * @param {ExportState} state
+ * @param {number} limit
+ * @returns {Promise<object[]>}
+ */
+async function fetchPage(state, limit) {
+  const { q, filters, sort } = state.query;
+  const names = state.schema.map((c) => c.name);
+  if (state.pagination === 'keyset') {
+    const where = [`"_id" > ${state.last_id ?? 0}`, ...filterConditions(filters)].join(' AND ');
+    const columns = ['_id', ...names].map(quoteIdentifier).join(', ');
+    const sql = `SELECT ${columns} FROM ${quoteIdentifier(state.resource_id)} WHERE ${where} ORDER BY "_id" LIMIT ${limit}`;
+    const { result } = await datastoreSearchSql(sql);
+    return result?.records ?? [];
+  }
+  const { result } = await datastoreSearch({
+    resource_id: state.resource_id,
+    q,
+    filters,
+    fields: ['_id', ...names],
+    sort: sort ?? '_id',
+    limit,
+    offset: state.offset ?? 0,
+  });
+  return result?.records ?? [];
+}
+
+/**
+ * Serialize a record as one line of the part file.
+ * @param {object} record
+ * @param {ExportState} state
+ * @returns {string}
+ */
+function encodeRecord(record, state) {
+  const values = state.schema.map((c) => record[c.name] ?? null);
+  if (state.format === 'csv') return formatDelimitedRow(values);
+  if (state.format === 'parquet') return `${JSON.stringify(values)}\n`;
+  return `${JSON.stringify(Object.fromEntries(state.schema.map((c, i) => [c.name, values[i]])))}\n`;
+}
+
+/**
+ * Page through the datastore and append rows to the part file until the table
+ * is exhausted or a ceiling is reached. State is saved after every page.
+ * @param {ExportState} state
+ * @returns {Promise<void>}
+ */
+async function copyRows(state) {
+  const file = await open(partPath(state), 'a');
+  try {
+    for (;;) {
+      const remaining = state.max_rows - state.rows;
+      if (remaining <= 0) {
+        state.limit_reached = 'rows';
+        return;
+      }
+      const limit = Math.min(CONFIG.MAX_ROWS, remaining);
+      const records = await fetchPage(state, limit);
+      if (!records.length) return;
+
+      const lines = [];
+      let size = 0;
+      let last;
+      for (const record of records.slice(0, limit)) {
+        const line = encodeRecord(record, state);
+        const length = Buffer.byteLength(line);
+        if (state.bytes + size + length > state.max_bytes) {
+          state.limit_reached = 'bytes';
+          break;
+        }
+        lines.push(line);
+        size += length;
+        last = record;
+      }
+      if (lines.length) {
+        await file.write(lines.join(''));
+        await file.sync();
+        state.rows += lines.length;
+        state.bytes += size;
+        if (state.pagination === 'keyset') state.last_id = last._id;
+        else state.offset = (state.offset ?? 0) + lines.length;
+        await saveState(state);
+      }
+      if (state.limit_reached) return;
+    }
+  } finally {
+    await file.close();
+  }
+}
+
+/**
+ * Turn the part file into the output file (converting staged rows to Parquet).
+ * @param {ExportState} state
+ * @returns {Promise<number>} Size of the output file
+ */
+async function finishOutput(state) {
+  if (state.format !== 'parquet') {
+    await rename(partPath(state), outputPath(state));
+    return state.bytes;
+  }
+  const writer = await createParquetWriter(
+    outputPath(state),
+    state.schema.map((c) => ({ name: c.name, type: parquetType(c.type) }))
+  );
+  let rows = [];
+  const lines = createInterface({ input: createReadStream(partPath(state)), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line) continue;
+    rows.push(JSON.parse(line));
+    if (rows.length >= PARQUET_ROW_GROUP) {
+      await writer.writeRowGroup(rows);
+      rows = [];
+    }
+  }
+  await writer.writeRowGroup(rows);
+  const size = await writer.close();
+  await rm(partPath(state), { force: true });
+  return size;
+}
+
+/**
+ * Describe an export for the tool result.
+ * @param {ExportState} state
+ * @returns {object}
+ */
+function summarize(state) {
+  const finished = state.status === 'complete' || state.status === 'truncated';
+  return {
+    export_id: state.export_id,
+    resource_id: state.resource_id,
+    portal: state.portal,
+    status: state.status,
+    format: state.format,
+    ...(finished ? { path: outputPath(state), bytes: state.file_size } : { bytes: state.bytes }),
+    rows: state.rows,
+    pagination: state.pagination,
+    schema: state.schema.map((c) => ({
+      name: c.name,
+      type: c.type,
+      ...(state.format === 'parquet' ? { parquet_type: parquetType(c.type) } : {}),
+    })),
+    ...(state.limit_reached ? { limit_reached: state.limit_reached } : {}),
+    ...(state.error ? { error: state.error } : {}),
+  };
+}
+
+/**
+ * Start a new export: resolve the schema and write the CSV header.
+ * @param {z.infer<typeof DatastoreExportSchema>} args
+ * @returns {Promise<ExportState>}
+ */
+async function startExport({ resource_id, format = 'csv', q, filters, fields, sort, max_rows, max_bytes }) {
+  if (!resource_id) throw new Error('resource_id is required unless resuming an export');
+  const { result: info } = await datastoreInfo(resource_id);
+  const available = (info?.fields ?? Object.entries(info?.schema ?? {}).map(([id, type]) => ({ id, type }))).filter(
+    (f) => f.id !== '_id'
+  );
+  const unknown = (fields ?? []).filter((name) => !available.some((f) => f.id === name));
+  if (unknown.length) throw new Error(`Unknown field(s) for resource ${resource_id}: ${unknown.join(', ')}`);
+  const columns = fields ? fields.map((name) => available.find((f) => f.id === name)) : available;
+
+  const query = { q, filters, sort };
+  const now = new Date().toISOString();
+  /** @type {ExportState} */
+  const state = {
+    export_id: randomUUID(),
+    resource_id,
+    portal: portalSite().name,
+    format,
+    query,
+    schema: columns.map((f) => ({ name: f.id, type: f.type })),
+    pagination: choosePagination(query),
+    max_rows: Math.min(max_rows ?? CONFIG.EXPORT_MAX_ROWS, CONFIG.EXPORT_MAX_ROWS),
+    max_bytes: Math.min(max_bytes ?? CONFIG.EXPORT_MAX_BYTES, CONFIG.EXPORT_MAX_BYTES),
+    rows: 0,
+    bytes: 0,
+    status: 'running',
+    created_at: now,
+    updated_at: now,
+  };
+  await mkdir(CONFIG.EXPORT_DIR, { recursive: true });
+  const header = format === 'csv' ? formatDelimitedRow(state.schema.map((c) => c.name)) : '';
+  await writeFile(partPath(state), header);
+  state.bytes = Buffer.byteLength(header);
+  await saveState(state);
+  return state;
+}
+
+/**
+ * Reopen an interrupted export, dropping anything written after the last saved page.
+ * @param {z.infer<typeof DatastoreExportSchema>} args
+ * @returns {Promise<ExportState>}
+ * @throws {Error} If `resource_id` or `portal` differ from those of the export
+ */
+async function resumeExport({ resume, resource_id, portal, max_rows, max_bytes }) {
+  const state = await loadState(resume);
+  if (resource_id && resource_id !== state.resource_id) {
+    throw new Error(`Export ${resume} belongs to resource ${state.resource_id}, not ${resource_id}`);
+  }
+  state.portal ??= CONFIG.DEFAULT_PORTAL;
+  if (portal && portal !== state.portal) {
+    throw new Error(`Export ${resume} reads portal ${state.portal}, not ${portal}`);
+  }
+  if (state.status === 'complete' || state.status === 'truncated') return state;
+  if (max_rows) state.max_rows = Math.min(max_rows, CONFIG.EXPORT_MAX_ROWS);
+  if (max_bytes) state.max_bytes = Math.min(max_bytes, CONFIG.EXPORT_MAX_BYTES);
+  await truncate(partPath(state), state.bytes);
+  state.status = 'running';
+  delete state.error;
+  return state;
+}
+
+/**
+ * Export a datastore table (or a filtered part of it) to a local file.
+ * A failing page leaves the export "interrupted"; pass its export_id as
+ * `resume` to continue from the last saved page, on the portal it started on.
+ * @param {z.infer<typeof DatastoreExportSchema>} args
+ * @returns {Promise<object>}
+ */
+async function datastoreExport(args) {
+  const state = args.resume ? await resumeExport(args) : await withPortal(args.portal, () => startExport(args));
+  if (state.status !== 'running') return summarize(state);
+  try {
+    await withPortal(state.portal, () => copyRows(state));
+  } catch (e) {
+    state.status = 'interrupted';
+    state.error = `${e.message} (resume with resume: "${state.export_id}")`;
+    await saveState(state);
+    return summarize(state);
+  }
+  state.file_size = await finishOutput(state);
+  state.status = state.limit_reached ? 'truncated' : 'complete';
+  await saveState(state);
+  return summarize(state);
+}
+
+/**
+ * Datastore export tool definitions.
+ * @type {import('./registry.js').ToolDefinition[]}
+ */
+export const exportTools = [
+  defineTool({
+    name: 'datastore_export',
+    description:
+      'Export a whole datastore table (optionally filtered) to a local CSV, JSON Lines or Parquet file, paging through datastore_search internally. Returns the file path, row count and schema, not the rows. Stops at max_rows/max_bytes (status "truncated"); an interrupted export can be continued with resume.',
+    input: DatastoreExportSchema,
+    output: DatastoreExportOutput,
+    annotations: WRITES_LOCAL_FILES,
+    // Takes "portal" itself, to keep resumed exports on the portal they started on
+    portal: false,
+    handler: datastoreExport,
+  }),
+];
+
+/**
+ * Get tool descriptors for datastore exports.
+ * @returns {Array<{name: string, description: string, inputSchema: object, outputSchema: object}>}
+ */
+export function getExportTools() {
+  return toolDescriptors(exportTools);
+}
+
+/**
+ * Get handler implementations for datastore exports.
+ * @returns {{[key: string]: (args?: object) => Promise<{content: Array<{type: 'text', text: string}>, isError?: boolean}>}}
+ */
+export function getExportHandlers() {
+  return toolHandlers(exportTools);
+}
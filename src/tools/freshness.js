@@ -0,0 +1,227 @@
+import { z } from 'zod';
+import { packageActivityList } from '../api/ckan-client.js';
+import { CONFIG } from '../config.js';
+import { FREQUENCY_DAYS, frequencyCode } from '../formats/frequency.js';
+import { LanguageArgs, applyLanguage } from '../utils/i18n.js';
+import { SearchAllArgs, searchAll } from './catalog.js';
+import { defineTool, toolDescriptors, toolHandlers, READ_ONLY_CKAN } from './registry.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FreshnessReportSchema = z.object({
+  ...SearchAllArgs,
+  tolerance: z
+    .number()
+    .min(0)
+    .max(10)
+    .describe('Grace period as a fraction of the update period before a dataset counts as overdue (default 0.1)')
+    .optional(),
+  max_age_days: z
+    .number()
+    .positive()
+    .describe('Also flag datasets without a scheduled frequency that were not updated within this many days')
+    .optional(),
+  as_of: z.string().describe('Reference date for the report (ISO 8601, default now)').optional(),
+  limit: z.number().int().positive().max(500).describe('Overdue datasets to return, most overdue first (default 50)').optional(),
+  activity: z
+    .number()
+    .int()
+    .min(0)
+    .max(100)
+    .describe('Look up the last activity (package_activity_list) of this many top-ranked datasets (default 20)')
+    .optional(),
+  ...LanguageArgs,
+});
+
+const FreshnessReportOutput = z
+  .object({
+    as_of: z.string(),
+    checked: z.number().describe('Datasets examined'),
+    overdue_count: z.number(),
+    without_schedule: z.number().describe('Datasets with a missing, unknown or irregular accrual_periodicity'),
+    complete: z.boolean().describe('False when max_results left matching datasets unexamined'),
+    query: z.object({ q: z.string(), fq: z.union([z.string(), z.array(z.string())]).optional() }),
+    overdue: z.array(
+      z
+        .object({
+          id: z.string(),
+          name: z.string().optional(),
+          title: z.any().optional(),
+          organization: z.string().optional(),
+          accrual_periodicity: z.string().nullable(),
+          frequency: z.string().nullable(),
+          period_days: z.number().nullable(),
+          last_updated: z.string(),
+          updated_from: z.string().describe('Field last_updated was taken from'),
+          due: z.string(),
+          days_overdue: z.number(),
+          periods_overdue: z.number().nullable(),
+          last_activity: z.object({ timestamp: z.string().optional(), activity_type: z.string().optional() }).passthrough().optional(),
+          last_activity_error: z.string().optional(),
+        })
+        .passthrough()
+    ),
+  })
+  .passthrough();
+
+/**
+ * Time of the last update of a dataset: the newest publisher-declared date
+ * (dataset `modified`, resource `last_modified`/`modified`). CKAN's
+ * metadata_modified also changes on every harvest, so it is only the fallback.
+ * @param {any} pkg
+ * @returns {{ time: number, from: string }|undefined}
+ */
+function lastUpdate(pkg) {
+  const candidates = [['modified', pkg.modified]];
+  for (const res of pkg.resources ?? []) {
+    candidates.push(['resources.last_modified', res.last_modified], ['resources.modified', res.modified]);
+  }
+  let best;
+  for (const [from, value] of candidates) {
+    const time = toTime(value);
+    if (time !== undefined && (!best || time > best.time)) best = { time, from };
+  }
+  if (best) return best;
+  const time = toTime(pkg.metadata_modified);
+  return time === undefined ? undefined : { time, from: 'metadata_modified' };
+}
+
+/**
+ * Milliseconds of a CKAN timestamp (ISO string, naive UTC, or epoch seconds).
+ * @param {any} value
+ * @returns {number|undefined}
+ */
+function toTime(value) {
+  if (typeof value === 'number') return value * 1000;
+  if (typeof value !== 'string' || !value.trim()) return undefined;
+  // CKAN writes naive timestamps in UTC
+  const text = /T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(value) ? `${value}Z` : value;
+  const time = Date.parse(text);
+  return Number.isNaN(time) ? undefined : time;
+}
+
+const round = (n) => Math.round(n * 10) / 10;
+
+/**
+ * Assess one dataset.
+ * @param {any} pkg
+ * @param {{ now: number, tolerance: number, maxAgeDays?: number }} options
+ * @returns {{ entry?: object, scheduled: boolean }} entry when the dataset is overdue
+ */
+function assess(pkg, { now, tolerance, maxAgeDays }) {
+  const code = frequencyCode(pkg.accrual_periodicity);
+  const periodDays = code ? FREQUENCY_DAYS[code] : null;
+  const scheduled = Boolean(periodDays);
+  const graceDays = scheduled ? periodDays * (1 + tolerance) : maxAgeDays;
+  const update = lastUpdate(pkg);
+  if (graceDays === undefined || !update) return { scheduled };
+  const due = update.time + graceDays * DAY_MS;
+  if (due >= now) return { scheduled };
+  const daysOverdue = (now - due) / DAY_MS;
+  return {
+    scheduled,
+    entry: {
+      id: pkg.id,
+      name: pkg.name,
+      title: pkg.title,
+      organization: pkg.organization?.name,
+      accrual_periodicity: pkg.accrual_periodicity || null,
+      frequency: code ?? null,
+      period_days: periodDays ? round(periodDays) : null,
+      last_updated: new Date(update.time).toISOString(),
+      updated_from: update.from,
+      due: new Date(due).toISOString(),
+      days_overdue: round(daysOverdue),
+      periods_overdue: scheduled ? round(daysOverdue / periodDays) : null,
+    },
+  };
+}
+
+/**
+ * Rank the datasets of a search by how far they are behind their declared update frequency.
+ * @param {z.infer<typeof FreshnessReportSchema>} args
+ * @param {import('./registry.js').ToolContext} context
+ * @returns {Promise<object>}
+ */
+async function freshnessReport(args, { progress, signal }) {
+  const { tolerance = 0.1, max_age_days: maxAgeDays, as_of, limit = 50, activity = 20, lang, all_languages, max_results, ...search } = args;
+  const now = as_of === undefined ? Date.now() : toTime(as_of);
+  if (now === undefined) throw new Error(`as_of must be an ISO 8601 date, got "${as_of}"`);
+
+  const overdue = [];
+  let checked = 0;
+  let withoutSchedule = 0;
+  const summary = await searchAll(search, {
+    limit: Math.min(max_results ?? CONFIG.SEARCH_ALL_MAX_RESULTS, CONFIG.SEARCH_ALL_MAX_RESULTS),
+    onDataset: (pkg) => {
+      checked += 1;
+      const { entry, scheduled } = assess(pkg, { now, tolerance, maxAgeDays });
+      if (!scheduled) withoutSchedule += 1;
+      if (entry) overdue.push(entry);
+    },
+    progress,
+    signal,
+  });
+
+  overdue.sort((a, b) => b.days_overdue - a.days_overdue);
+  const ranked = overdue.slice(0, limit);
+  // One request per dataset, so only for the top of the ranking
+  for (const entry of ranked.slice(0, activity)) {
+    signal?.throwIfAborted();
+    try {
+      const { result } = await packageActivityList({ id: entry.id, limit: 1 });
+      const [last] = result ?? [];
+      if (last) entry.last_activity = { timestamp: last.timestamp, activity_type: last.activity_type };
+    } catch (e) {
+      entry.last_activity_error = e.message;
+    }
+  }
+
+  return applyLanguage(
+    {
+      success: true,
+      result: {
+        as_of: new Date(now).toISOString(),
+        checked,
+        overdue_count: overdue.length,
+        without_schedule: withoutSchedule,
+        complete: summary.complete,
+        query: summary.query,
+        overdue: ranked,
+      },
+    },
+    { lang, all_languages }
+  );
+}
+
+/**
+ * Freshness monitoring tool definitions.
+ * @type {import('./registry.js').ToolDefinition[]}
+ */
+export const freshnessTools = [
+  defineTool({
+    name: 'freshness_report',
+    description:
+      'Find datasets that are overdue relative to their declared update frequency (accrual_periodicity, e.g. daily, monthly, annual). Select datasets like package_search_all (organization, groups, q, fq, ...). The last update is the newest dataset "modified" or resource "last_modified" date. Returns the overdue datasets ranked by days overdue, with the last activity from package_activity_list.',
+    input: FreshnessReportSchema,
+    output: FreshnessReportOutput,
+    annotations: READ_ONLY_CKAN,
+    handler: freshnessReport,
+  }),
+];
+
+/**
+ * Get tool descriptors for freshness monitoring.
+ * @returns {Array<{name: string, description: string, inputSchema: object, outputSchema: object}>}
+ */
+export function getFreshnessTools() {
+  return toolDescriptors(freshnessTools);
+}
+
+/**
+ * Get handler implementations for freshness monitoring.
+ * @returns {{[key: string]: (args?: object) => Promise<{content: Array<{type: 'text', text: string}>, isError?: boolean}>}}
+ */
+export function getFreshnessHandlers() {
+  return toolHandlers(freshnessTools);
+}
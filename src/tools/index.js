@@ -0,0 +1,41 @@
+/**
+ * All MCP tools exposed by the server, in listing order.
+ */
+import { catalogTools } from './catalog.js';
+import { dcatTools } from './dcat.js';
+import { freshnessTools } from './freshness.js';
+import { linkTools } from './links.js';
+import { watchTools } from './watch.js';
+import { orgTaxonomyTools } from './org-taxonomy.js';
+import { datastoreTools } from './datastore.js';
+import { exportTools } from './export.js';
+import { aggregateTools } from './aggregate.js';
+import { resourcesTools } from './resources.js';
+import { previewTools } from './preview.js';
+import { profileTools } from './profile.js';
+import { downloadTools } from './download.js';
+import { archiveTools } from './archive.js';
+import { statusTools } from './status.js';
+import { cacheTools } from './cache.js';
+import { portalTools } from './portals.js';
+
+/** @type {import('./registry.js').ToolDefinition[]} */
+export const TOOLS = [
+  ...catalogTools,
+  ...dcatTools,
+  ...freshnessTools,
+  ...watchTools,
+  ...orgTaxonomyTools,
+  ...datastoreTools,
+  ...exportTools,
+  ...aggregateTools,
+  ...resourcesTools,
+  ...linkTools,
+  ...previewTools,
+  ...profileTools,
+  ...downloadTools,
+  ...archiveTools,
+  ...statusTools,
+  ...cacheTools,
+  ...portalTools,
+];
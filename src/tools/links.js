@@ -0,0 +1,270 @@
+import { z } from 'zod';
+import { checkLink, packageShow } from '../api/ckan-client.js';
+import { CONFIG } from '../config.js';
+import { SearchAllArgs, searchAll } from './catalog.js';
+import { defineTool, toolDescriptors, toolHandlers, READ_ONLY_CKAN } from './registry.js';
+
+// Datasets checked when max_results is not given
+const DEFAULT_DATASETS = 100;
+const LINK_FIELDS = ['url', 'download_url'];
+
+/**
+ * Media types a server may answer with for a declared resource format.
+ * Formats not listed here are not compared.
+ */
+const FORMAT_MEDIA_TYPES = {
+  csv: ['text/csv', 'application/csv', 'text/plain', 'text/comma-separated-values', 'application/vnd.ms-excel'],
+  tsv: ['text/tab-separated-values', 'text/plain'],
+  json: ['application/json', 'text/json', 'text/plain'],
+  geojson: ['application/geo+json', 'application/vnd.geo+json', 'application/json'],
+  xml: ['application/xml', 'text/xml'],
+  rdf: ['application/rdf+xml', 'application/xml', 'text/xml'],
+  ttl: ['text/turtle'],
+  jsonld: ['application/ld+json', 'application/json'],
+  xlsx: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  xls: ['application/vnd.ms-excel'],
+  ods: ['application/vnd.oasis.opendocument.spreadsheet'],
+  pdf: ['application/pdf'],
+  zip: ['application/zip', 'application/x-zip-compressed'],
+  html: ['text/html'],
+  txt: ['text/plain'],
+  parquet: ['application/vnd.apache.parquet'],
+  shp: ['application/zip', 'application/x-zip-compressed'],
+  gpkg: ['application/geopackage+sqlite3'],
+  kml: ['application/vnd.google-earth.kml+xml'],
+  wms: ['application/xml', 'text/xml', 'application/vnd.ogc.wms_xml'],
+  wfs: ['application/xml', 'text/xml'],
+};
+
+// Sent by servers that do not know the type; says nothing about the format
+const GENERIC_MEDIA_TYPES = new Set(['application/octet-stream', 'binary/octet-stream', 'application/download']);
+
+const ResourceLinkCheckSchema = z.object({
+  id: z
+    .string()
+    .describe('Dataset id or name whose resources to check. Without id, the resources of the datasets matching the search arguments are checked')
+    .optional(),
+  ...SearchAllArgs,
+  concurrency: z
+    .number()
+    .int()
+    .positive()
+    .max(32)
+    .describe('URLs requested at the same time (default LINK_CHECK_CONCURRENCY)')
+    .optional(),
+  only_failed: z
+    .boolean()
+    .describe('List only broken links and content type mismatches (default false)')
+    .optional(),
+  force: z.boolean().describe('Check again even when a cached result exists').optional(),
+});
+
+const LinkOutput = z
+  .object({
+    dataset: z.string().optional(),
+    resource_id: z.string().optional(),
+    resource_name: z.any().optional(),
+    field: z.enum(LINK_FIELDS).describe('Resource field the URL was taken from'),
+    url: z.string(),
+    ok: z.boolean(),
+    status: z.number().nullable(),
+    method: z.enum(['HEAD', 'GET']),
+    redirects: z.array(z.object({ url: z.string(), status: z.number() })),
+    final_url: z.string(),
+    content_type: z.string().optional(),
+    content_length: z.number().optional(),
+    declared_format: z.string().optional(),
+    declared_media_type: z.string().optional(),
+    content_type_match: z
+      .boolean()
+      .nullable()
+      .describe('Whether the Content-Type fits the declared media type or format; null when there is nothing to compare'),
+    latency_ms: z.number(),
+    checked_at: z.string(),
+    cached: z.boolean(),
+    error: z.string().optional(),
+  })
+  .passthrough();
+
+const ResourceLinkCheckOutput = z
+  .object({
+    datasets: z.number(),
+    resources: z.number(),
+    links: z.number().describe('Resource links checked (url and download_url)'),
+    urls: z.number().describe('Distinct URLs requested'),
+    ok: z.number(),
+    broken: z.number(),
+    redirected: z.number(),
+    mismatched: z.number().describe('Links whose Content-Type does not fit the declared format or media type'),
+    cached: z.number(),
+    complete: z.boolean().optional(),
+    count: z.number().optional(),
+    query: z.object({ q: z.string(), fq: z.union([z.string(), z.array(z.string())]).optional() }).optional(),
+    results: z.array(LinkOutput),
+  })
+  .passthrough();
+
+/**
+ * Media type without parameters, lower case ("text/csv; charset=utf-8" -> "text/csv").
+ * @param {any} value
+ * @returns {string|undefined}
+ */
+function baseMediaType(value) {
+  if (typeof value !== 'string') return undefined;
+  const type = value.split(';')[0].trim().toLowerCase();
+  return type || undefined;
+}
+
+/**
+ * Compare the served Content-Type with the declared media type, else the declared format.
+ * @param {string|undefined} contentType
+ * @param {{ format?: string, mediaType?: string }} declared
+ * @returns {boolean|null}
+ */
+function contentTypeMatches(contentType, { format, mediaType }) {
+  const served = baseMediaType(contentType);
+  if (!served || GENERIC_MEDIA_TYPES.has(served)) return null;
+  const expected = baseMediaType(mediaType);
+  if (expected) return served === expected;
+  const accepted = FORMAT_MEDIA_TYPES[format?.trim().toLowerCase().replace(/^\./, '')];
+  return accepted ? accepted.includes(served) : null;
+}
+
+/**
+ * Run `fn` over `items` with at most `limit` calls in flight, keeping the order of results.
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T) => Promise<R>} fn
+ * @returns {Promise<R[]>}
+ */
+async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Check the resource links of one dataset or of the datasets matching a search.
+ * @param {z.infer<typeof ResourceLinkCheckSchema>} args
+ * @param {import('./registry.js').ToolContext} context
+ * @returns {Promise<object>}
+ */
+async function resourceLinkCheck({ id, concurrency, only_failed, force, max_results, ...search }, { progress, signal }) {
+  const packages = [];
+  let summary = {};
+  if (id) {
+    const searchArgs = Object.keys(search).filter((key) => search[key] !== undefined);
+    if (searchArgs.length) throw new Error(`Pass either id or search arguments, not both (got ${searchArgs.join(', ')})`);
+    packages.push((await packageShow(id)).result);
+  } else {
+    const { count, complete, query } = await searchAll(search, {
+      limit: Math.min(max_results ?? DEFAULT_DATASETS, CONFIG.SEARCH_ALL_MAX_RESULTS),
+      onDataset: (dataset) => packages.push(dataset),
+      progress,
+      signal,
+    });
+    summary = { complete, count, query };
+  }
+
+  const links = [];
+  let resources = 0;
+  for (const pkg of packages) {
+    for (const res of pkg.resources ?? []) {
+      resources += 1;
+      const seen = new Set();
+      for (const field of LINK_FIELDS) {
+        const url = typeof res[field] === 'string' ? res[field].trim() : '';
+        if (!url || seen.has(url)) continue;
+        seen.add(url);
+        links.push({ pkg, res, field, url });
+      }
+    }
+  }
+
+  // Resources often share a URL (e.g. a landing page); request each one once
+  const urls = [...new Set(links.map((link) => link.url))];
+  const limit = Math.min(concurrency ?? CONFIG.LINK_CHECK_CONCURRENCY, 32);
+  let done = 0;
+  const checks = new Map(
+    await mapConcurrent(urls, Math.max(1, limit), async (url) => {
+      signal?.throwIfAborted();
+      const check = await checkLink(url, { force });
+      done += 1;
+      await progress(done, urls.length, `Checked ${done} of ${urls.length} URLs`);
+      return [url, check];
+    })
+  );
+
+  const results = links.map(({ pkg, res, field, url }) => {
+    const check = checks.get(url);
+    const declared = { format: res.format || undefined, mediaType: res.media_type || res.mimetype || undefined };
+    return {
+      dataset: pkg.name,
+      resource_id: res.id,
+      resource_name: res.name ?? res.title,
+      field,
+      ...check,
+      declared_format: declared.format,
+      declared_media_type: declared.mediaType,
+      content_type_match: check.ok ? contentTypeMatches(check.content_type, declared) : null,
+    };
+  });
+
+  return {
+    success: true,
+    result: {
+      datasets: packages.length,
+      resources,
+      links: results.length,
+      urls: urls.length,
+      ok: results.filter((r) => r.ok).length,
+      broken: results.filter((r) => !r.ok).length,
+      redirected: results.filter((r) => r.redirects.length).length,
+      mismatched: results.filter((r) => r.content_type_match === false).length,
+      cached: results.filter((r) => r.cached).length,
+      ...summary,
+      results: only_failed ? results.filter((r) => !r.ok || r.content_type_match === false) : results,
+    },
+  };
+}
+
+/**
+ * Resource link check tool definitions.
+ * @type {import('./registry.js').ToolDefinition[]}
+ */
+export const linkTools = [
+  defineTool({
+    name: 'resource_link_check',
+    description:
+      'Check that the resource URLs (url and download_url) of a dataset (id), an organization or any package_search_all selection are reachable: HEAD request, falling back to a ranged GET. Reports per link the HTTP status, redirect chain, final Content-Type compared with the declared format/media type, content length and latency. Results are cached (cache TTL "link_check").',
+    input: ResourceLinkCheckSchema,
+    output: ResourceLinkCheckOutput,
+    annotations: READ_ONLY_CKAN,
+    handler: resourceLinkCheck,
+  }),
+];
+
+/**
+ * Get tool descriptors for resource link checks.
+ * @returns {Array<{name: string, description: string, inputSchema: object, outputSchema: object}>}
+ */
+export function getLinkTools() {
+  return toolDescriptors(linkTools);
+}
+
+/**
+ * Get handler implementations for resource link checks.
+ * @returns {{[key: string]: (args?: object) => Promise<{content: Array<{type: 'text', text: string}>, isError?: boolean}>}}
+ */
+export function getLinkHandlers() {
+  return toolHandlers(linkTools);
+}
@@ -0,0 +1,37 @@
+import { z } from 'zod';
+import { portalList } from '../api/ckan-client.js';
+import { defineTool, toolDescriptors, toolHandlers } from './registry.js';
+
+const PortalListSchema = z.object({});
+
+/**
+ * Portal discovery tool definitions.
+ * @type {import('./registry.js').ToolDefinition[]}
+ */
+export const portalTools = [
+  defineTool({
+    name: 'portal_list',
+    description:
+      'List the CKAN portals this server can query. Pass a portal name as "portal" to any tool, or several as "portals" to package_search.',
+    input: PortalListSchema,
+    annotations: { readOnlyHint: true, openWorldHint: false },
+    portal: false,
+    handler: async () => portalList(),
+  }),
+];
+
+/**
+ * Get tool descriptors for portal discovery.
+ * @returns {Array<{name: string, description: string, inputSchema: object}>}
+ */
+export function getPortalTools() {
+  return toolDescriptors(portalTools);
+}
+
+/**
+ * Get handler implementations for portal tools.
+ * @returns {{[key: string]: (args?: object) => Promise<{content: Array<{type: 'text', text: string}>, isError?: boolean}>}}
+ */
+export function getPortalHandlers() {
+  return toolHandlers(portalTools);
+}
@@ -0,0 +1,147 @@
+import { z } from 'zod';
+import { resourceShow, fetchResourceBytes } from '../api/ckan-client.js';
+import { CONFIG } from '../config.js';
+import { detectFormat, previewTable, PREVIEW_FORMATS } from '../formats/index.js';
+import { localize } from '../utils/i18n.js';
+import { Truncation } from './ckan-entities.js';
+import { defineTool, toolDescriptors, toolHandlers, READ_ONLY_CKAN } from './registry.js';
+
+const MAX_PREVIEW_ROWS = 500;
+
+const ResourcePreviewSchema = z.object({
+  id: z.string().describe('Resource id'),
+  rows: z
+    .number()
+    .int()
+    .positive()
+    .max(MAX_PREVIEW_ROWS)
+    .describe('Number of data rows to return (default 20)')
+    .optional(),
+  max_bytes: z
+    .number()
+    .int()
+    .positive()
+    .describe('Maximum bytes to download (capped by PREVIEW_MAX_BYTES). CSV/TSV are previewed from the first bytes; other formats must fit completely.')
+    .optional(),
+  format: z
+    .enum(PREVIEW_FORMATS)
+    .describe('Override the detected format (from the resource format, URL extension, Content-Type or content)')
+    .optional(),
+  sheet: z
+    .union([z.string(), z.number().int().positive()])
+    .describe('XLSX/ODS sheet name or 1-based position (default: first sheet)')
+    .optional(),
+});
+
+/** The previewed resource, as reported by the preview and profile tools. */
+export const ResourceRefOutput = z
+  .object({
+    id: z.string().optional(),
+    name: z.string().optional(),
+    format: z.string().optional(),
+    url: z.string().optional(),
+  })
+  .optional();
+
+export const ResourcePreviewOutput = z
+  .object({
+    resource: ResourceRefOutput,
+    bytes_read: z.number().optional(),
+    format: z.string().optional(),
+    encoding: z.string().optional(),
+    delimiter: z.string().optional(),
+    sheet: z.string().optional(),
+    sheets: z.array(z.string()).optional(),
+    path: z.string().optional(),
+    header: z.boolean().optional(),
+    columns: z.array(z.object({ name: z.string(), type: z.string() })).optional(),
+    rows: z.array(z.array(z.any())).optional(),
+    total_rows: z.number().optional(),
+    truncated: z.boolean().optional(),
+    _truncated: Truncation,
+  })
+  .passthrough();
+
+/**
+ * Short description of a resource for preview results.
+ * @param {object} resource - CKAN resource
+ * @returns {{ id: string, name: string, format: string, url: string }}
+ */
+export function resourceRef(resource) {
+  return {
+    id: resource.id,
+    name: localize(resource.name || resource.title || ''),
+    format: resource.format,
+    url: resource.url,
+  };
+}
+
+/**
+ * Download (the start of) a resource file and detect its tabular format.
+ * @param {object} resource - CKAN resource
+ * @param {{ maxBytes: number, format?: string }} options
+ * @returns {Promise<{ bytes: Buffer, truncated: boolean, format: string }>}
+ * @throws {Error} If the resource has no URL or its format is not supported
+ */
+export async function downloadResource(resource, { maxBytes, format }) {
+  if (!resource?.url) throw new Error(`Resource ${resource?.id} has no URL to download`);
+  const { contentType, bytes, truncated } = await fetchResourceBytes(resource.url, maxBytes);
+  const detected = detectFormat({
+    format,
+    resourceFormat: resource.format,
+    url: resource.url,
+    contentType,
+    bytes,
+  });
+  if (!detected) {
+    throw new Error(
+      `Cannot read resource format "${resource.format || contentType}" (supported: ${PREVIEW_FORMATS.join(', ')})`
+    );
+  }
+  return { bytes, truncated, format: detected };
+}
+
+/**
+ * Download the start of a resource and return it as a typed table.
+ * @param {z.infer<typeof ResourcePreviewSchema>} args
+ * @returns {Promise<object>}
+ */
+async function resourcePreview({ id, rows = 20, max_bytes, format, sheet }) {
+  const { result: resource } = await resourceShow(id);
+  const maxBytes = Math.min(max_bytes ?? CONFIG.PREVIEW_MAX_BYTES, CONFIG.PREVIEW_MAX_BYTES);
+  const download = await downloadResource(resource, { maxBytes, format });
+  const table = previewTable(download.bytes, { format: download.format, rows, truncated: download.truncated, sheet });
+  return { resource: resourceRef(resource), bytes_read: download.bytes.length, ...table };
+}
+
+/**
+ * Resource content preview tool definitions.
+ * @type {import('./registry.js').ToolDefinition[]}
+ */
+export const previewTools = [
+  defineTool({
+    name: 'resource_preview',
+    description:
+      'Preview the content of a resource as a table: downloads the start of the file, detects the format (CSV, TSV, JSON, GeoJSON, XLSX, ODS), encoding, delimiter and header row, and returns typed columns with the first rows.',
+    input: ResourcePreviewSchema,
+    output: ResourcePreviewOutput,
+    annotations: READ_ONLY_CKAN,
+    handler: resourcePreview,
+  }),
+];
+
+/**
+ * Get tool descriptors for resource previews.
+ * @returns {Array<{name: string, description: string, inputSchema: object, outputSchema: object}>}
+ */
+export function getPreviewTools() {
+  return toolDescriptors(previewTools);
+}
+
+/**
+ * Get handler implementations for resource previews.
+ * @returns {{[key: string]: (args?: object) => Promise<{content: Array<{type: 'text', text: string}>, isError?: boolean}>}}
+ */
+export function getPreviewHandlers() {
+  return toolHandlers(previewTools);
+}
@@ -0,0 +1,225 @@
+import { z } from 'zod';
+import { resourceShow, datastoreInfo, datastoreSearch } from '../api/ckan-client.js';
+import { CONFIG } from '../config.js';
+import { readRows, PREVIEW_FORMATS } from '../formats/index.js';
+import { profileTable } from '../formats/profile.js';
+import { splitHeader } from '../formats/table.js';
+import { ResourceRefOutput, resourceRef, downloadResource } from './preview.js';
+import { defineTool, toolDescriptors, toolHandlers, READ_ONLY_CKAN } from './registry.js';
+
+const MAX_SAMPLE_ROWS = 100000;
+
+const ResourceProfileSchema = z.object({
+  id: z.string().describe('Resource id'),
+  source: z
+    .enum(['auto', 'file', 'datastore'])
+    .describe('Profile the datastore table or the resource file; auto uses the datastore when the resource is loaded there')
+    .optional(),
+  sample_rows: z
+    .number()
+    .int()
+    .positive()
+    .max(MAX_SAMPLE_ROWS)
+    .describe('Rows to profile (default 5000). Datastore samples are spread over the whole table.')
+    .optional(),
+  top: z.number().int().min(1).max(20).describe('Most frequent values reported per column (default 5)').optional(),
+  max_bytes: z
+    .number()
+    .int()
+    .positive()
+    .describe('Maximum bytes to download (capped by PROFILE_MAX_BYTES)')
+    .optional(),
+  format: z
+    .enum(PREVIEW_FORMATS)
+    .describe('Override the detected file format')
+    .optional(),
+  sheet: z
+    .union([z.string(), z.number().int().positive()])
+    .describe('XLSX/ODS sheet name or 1-based position (default: first sheet)')
+    .optional(),
+});
+
+const ColumnProfileOutput = z
+  .object({
+    name: z.string(),
+    type: z.string(),
+    semantic_type: z.string().optional(),
+    source_type: z.string().optional(),
+    null_count: z.number().optional(),
+    null_rate: z.number().optional(),
+    distinct: z.number().optional(),
+    distinct_is_lower_bound: z.boolean().optional(),
+    min: z.union([z.number(), z.string()]).optional(),
+    max: z.union([z.number(), z.string()]).optional(),
+    min_length: z.number().optional(),
+    max_length: z.number().optional(),
+    top_values: z.array(z.object({ value: z.any(), count: z.number() })).optional(),
+  })
+  .passthrough();
+
+export const ResourceProfileOutput = z
+  .object({
+    resource: ResourceRefOutput,
+    source: z.enum(['file', 'datastore']).optional(),
+    format: z.string().optional(),
+    encoding: z.string().optional(),
+    delimiter: z.string().optional(),
+    sheet: z.string().optional(),
+    sheets: z.array(z.string()).optional(),
+    path: z.string().optional(),
+    bytes_read: z.number().optional(),
+    rows_profiled: z.number().optional(),
+    total_rows: z.number().optional(),
+    complete: z.boolean().optional(),
+    columns: z.array(ColumnProfileOutput).optional(),
+    sample_rows: z.array(z.array(z.any())).optional(),
+  })
+  .passthrough();
+
+/**
+ * Offsets of the datastore pages to sample: consecutive pages when the sample
+ * covers the table (or its size is unknown), otherwise pages spread evenly over it.
+ * @param {number|undefined} total
+ * @param {number} sampleRows
+ * @param {number} pageSize
+ * @returns {number[]}
+ */
+export function sampleOffsets(total, sampleRows, pageSize) {
+  const rows = total === undefined ? sampleRows : Math.min(sampleRows, total);
+  const pages = Math.max(1, Math.ceil(rows / pageSize));
+  if (total === undefined || total <= sampleRows || pages === 1) {
+    return Array.from({ length: pages }, (_, i) => i * pageSize);
+  }
+  // Spread the full pages and the shorter last page so that none overlap
+  const lastLimit = rows - (pages - 1) * pageSize;
+  const step = (total - lastLimit) / (pages - 1);
+  return Array.from({ length: pages }, (_, i) => Math.round(i * step));
+}
+
+/**
+ * Profile a datastore table from its field list and sampled pages of records.
+ * @param {object} resource
+ * @param {{ sampleRows: number, top: number }} options
+ * @returns {Promise<object>}
+ */
+async function profileDatastore(resource, { sampleRows, top }) {
+  const { result: info } = await datastoreInfo(resource.id);
+  const fields = (info?.fields ?? Object.entries(info?.schema ?? {}).map(([id, type]) => ({ id, type }))).filter(
+    (f) => f.id !== '_id'
+  );
+  const total = typeof info?.meta?.count === 'number' ? info.meta.count : undefined;
+  const pageSize = Math.min(CONFIG.MAX_ROWS, sampleRows);
+
+  const records = [];
+  for (const offset of sampleOffsets(total, sampleRows, pageSize)) {
+    const limit = Math.min(pageSize, sampleRows - records.length);
+    const { result } = await datastoreSearch({ resource_id: resource.id, limit, offset });
+    const page = result?.records ?? [];
+    records.push(...page);
+    if (page.length < limit || records.length >= sampleRows) break;
+  }
+
+  const names = fields.length ? fields.map((f) => f.id) : Object.keys(records[0] ?? {}).filter((k) => k !== '_id');
+  const sourceTypes = Object.fromEntries(fields.map((f) => [f.id, f.type]));
+  const rows = records.map((r) => names.map((n) => r[n]));
+  return {
+    source: 'datastore',
+    rows_profiled: rows.length,
+    ...(total !== undefined ? { total_rows: total } : {}),
+    complete: total !== undefined && rows.length >= total,
+    ...profileTable(names, rows, { top, sourceTypes }),
+  };
+}
+
+/**
+ * Profile the first `sampleRows` rows of file content.
+ * @param {Buffer} bytes
+ * @param {{ format: string, truncated: boolean, sampleRows: number, top: number, sheet?: string|number }} options
+ *   `truncated` tells that `bytes` is only a prefix of the file
+ * @returns {object}
+ */
+export function profileBytes(bytes, { format, truncated, sampleRows, top, sheet }) {
+  const raw = readRows(bytes, { format, maxRows: sampleRows + 1, truncated, sheet });
+  const { names, body } = splitHeader(raw.rows, raw.header);
+  const rows = body.slice(0, sampleRows);
+  return {
+    ...raw.details,
+    rows_profiled: rows.length,
+    ...(raw.total !== undefined ? { total_rows: raw.total } : raw.complete ? { total_rows: body.length } : {}),
+    complete: raw.complete && body.length <= sampleRows,
+    ...profileTable(names, rows, { top }),
+  };
+}
+
+/**
+ * Profile a resource file from its first `sampleRows` rows.
+ * @param {object} resource
+ * @param {{ sampleRows: number, top: number, maxBytes: number, format?: string, sheet?: string|number }} options
+ * @returns {Promise<object>}
+ */
+async function profileFile(resource, { sampleRows, top, maxBytes, format, sheet }) {
+  const download = await downloadResource(resource, { maxBytes, format });
+  const profile = profileBytes(download.bytes, {
+    format: download.format,
+    truncated: download.truncated,
+    sampleRows,
+    top,
+    sheet,
+  });
+  return { source: 'file', bytes_read: download.bytes.length, ...profile };
+}
+
+/**
+ * Profile the columns of a resource from its datastore table or its file.
+ * @param {z.infer<typeof ResourceProfileSchema>} args
+ * @returns {Promise<object>}
+ */
+async function resourceProfile({ id, source = 'auto', sample_rows = 5000, top = 5, max_bytes, format, sheet }) {
+  const { result: resource } = await resourceShow(id);
+  const useDatastore = source === 'datastore' || (source === 'auto' && resource?.datastore_active === true);
+  if (source === 'datastore' && resource?.datastore_active === false) {
+    throw new Error(`Resource ${id} is not loaded into the datastore; use source="file"`);
+  }
+  const profile = useDatastore
+    ? await profileDatastore(resource, { sampleRows: sample_rows, top })
+    : await profileFile(resource, {
+        sampleRows: sample_rows,
+        top,
+        maxBytes: Math.min(max_bytes ?? CONFIG.PROFILE_MAX_BYTES, CONFIG.PROFILE_MAX_BYTES),
+        format,
+        sheet,
+      });
+  return { resource: resourceRef(resource), ...profile };
+}
+
+/**
+ * Resource profiling tool definitions.
+ * @type {import('./registry.js').ToolDefinition[]}
+ */
+export const profileTools = [
+  defineTool({
+    name: 'resource_profile',
+    description:
+      'Profile the columns of a resource: inferred type (integer, number, date, boolean, canton code, Swiss municipality number, ...), null rate, distinct count, min/max, top values and sample rows. Uses the datastore when the resource is loaded there, otherwise the downloaded file (CSV, TSV, JSON, GeoJSON, XLSX, ODS).',
+    input: ResourceProfileSchema,
+    output: ResourceProfileOutput,
+    annotations: READ_ONLY_CKAN,
+    handler: resourceProfile,
+  }),
+];
+
+/**
+ * Get tool descriptors for resource profiling.
+ * @returns {Array<{name: string, description: string, inputSchema: object, outputSchema: object}>}
+ */
+export function getProfileTools() {
+  return toolDescriptors(profileTools);
+}
+
+/**
+ * Get handler implementations for resource profiling.
+ * @returns {{[key: string]: (args?: object) => Promise<{content: Array<{type: 'text', text: string}>, isError?: boolean}>}}
+ */
+export function getProfileHandlers() {
+  return toolHandlers(profileTools);
+}
@@ -0,0 +1,109 @@
+import { zodToJsonSchema } from '../utils/json-schema.js';
+import { toStructuredContent } from '../utils/shape.js';
+
+/**
+ * Tool registry: each MCP tool is declared once, with its Zod input (and output)
+ * schema and handler. JSON Schemas, argument validation and the MCP result shape
+ * are derived from the declaration.
+ */
+
+/** Annotations for tools that only read from a CKAN portal. */
+export const READ_ONLY_CKAN = { readOnlyHint: true, idempotentHint: true, openWorldHint: true };
+
+/** Annotations for tools that read from a CKAN portal and write files below the server's own directories. */
+export const WRITES_LOCAL_FILES = { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true };
+
+/**
+ * @typedef {Object} ToolDefinition
+ * @property {string} name Tool name
+ * @property {string} description Tool description shown to clients
+ * @property {import('zod').ZodObject<any>} input Zod schema of the arguments; unknown arguments are rejected
+ * @property {import('zod').ZodTypeAny} [output] Zod schema of the structured result (structuredContent)
+ * @property {object} [annotations] MCP tool annotations (readOnlyHint, openWorldHint, ...)
+ * @property {boolean} [portal] Set to false for tools that do not query a CKAN portal (no "portal" argument)
+ * @property {(args: object, context: ToolContext) => Promise<any>} handler Receives validated arguments and returns the response data
+ * @property {(error: any) => string} [formatError] Error text for a failed call (defaults to String(error))
+ */
+
+/**
+ * Per-call context passed to handlers as their second argument.
+ * @typedef {Object} ToolContext
+ * @property {(progress: number, total?: number, message?: string) => Promise<void>} progress
+ *   Report progress to the client (a no-op unless the request carried a progressToken)
+ * @property {AbortSignal} [signal] Aborted when the client cancels the request
+ * @property {(uri: string) => Promise<void>} resourceUpdated
+ *   Tell the client that an MCP resource changed (a no-op unless it subscribed to the URI)
+ */
+
+/** Context for calls made outside an MCP request (tests, internal callers). */
+const NO_CONTEXT = { progress: async () => {}, resourceUpdated: async () => {} };
+
+/**
+ * Declare a tool. Input schemas are made strict so that validation matches the
+ * advertised JSON Schema (additionalProperties: false).
+ * @param {ToolDefinition} definition
+ * @returns {ToolDefinition}
+ */
+export function defineTool(definition) {
+  return { ...definition, input: definition.input.strict() };
+}
+
+/**
+ * MCP tool descriptor for a definition.
+ * @param {ToolDefinition} tool
+ * @returns {{name: string, description: string, inputSchema: object, outputSchema?: object, annotations?: object}}
+ */
+export function toolDescriptor(tool) {
+  return {
+    name: tool.name,
+    description: tool.description,
+    inputSchema: zodToJsonSchema(tool.input),
+    ...(tool.output ? { outputSchema: zodToJsonSchema(tool.output) } : {}),
+    ...(tool.annotations ? { annotations: tool.annotations } : {}),
+  };
+}
+
+/**
+ * MCP handler for a definition: validates arguments, runs the handler and wraps
+ * its data as JSON text (plus structuredContent when an output schema is declared).
+ * @param {ToolDefinition} tool
+ * @returns {(args?: object, context?: ToolContext) => Promise<{content: Array<{type: 'text', text: string}>, structuredContent?: object, isError?: boolean}>}
+ */
+export function toolHandler(tool) {
+  return async (args, context = NO_CONTEXT) => {
+    const parsed = tool.input.safeParse(args || {});
+    if (!parsed.success) {
+      return {
+        isError: true,
+        content: [{ type: 'text', text: `Invalid arguments for ${tool.name}: ${parsed.error.message}` }],
+      };
+    }
+    try {
+      const data = await tool.handler(parsed.data, context);
+      return {
+        content: [{ type: 'text', text: JSON.stringify(data, null, 2) }],
+        ...(tool.output ? { structuredContent: toStructuredContent(data) } : {}),
+      };
+    } catch (e) {
+      return { isError: true, content: [{ type: 'text', text: tool.formatError ? tool.formatError(e) : String(e) }] };
+    }
+  };
+}
+
+/**
+ * Descriptors for a list of definitions.
+ * @param {ToolDefinition[]} tools
+ * @returns {Array<object>}
+ */
+export function toolDescriptors(tools) {
+  return tools.map(toolDescriptor);
+}
+
+/**
+ * Handlers for a list of definitions, keyed by tool name.
+ * @param {ToolDefinition[]} tools
+ * @returns {{[name: string]: (args?: object) => Promise<object>}}
+ */
+export function toolHandlers(tools) {
+  return Object.fromEntries(tools.map((tool) => [tool.name, toolHandler(tool)]));
+}
@@ -1,5 +1,8 @@
 import { z } from 'zod';
-import { statusShow, helpShow } from '../api/ckan-client.js';
+import { statusShow, helpShow, circuitState } from '../api/ckan-client.js';
+import { defineTool, toolDescriptors, toolHandlers, READ_ONLY_CKAN } from './registry.js';
+
+const StatusShowSchema = z.object({});
 
 /**
  * Zod schema for help_show input.
@@ -7,89 +10,83 @@ import { statusShow, helpShow } from '../api/ckan-client.js';
  * @property {string} name - CKAN action name to get help for (e.g., "package_show", "package_search", "datastore_search").
  */
 const HelpShowSchema = z.object({
-  name: z.string(),
+  name: z
+    .string()
+    .describe('CKAN action name to get help for, e.g. "package_show", "package_search", "datastore_search"'),
 });
 
+// Output schemas (structuredContent): the CKAN result without the help/success envelope
+const StatusShowOutput = z
+  .object({
+    ckan_version: z.string().optional(),
+    site_title: z.string().optional(),
+    site_description: z.string().optional(),
+    site_url: z.string().optional(),
+    extensions: z.array(z.string()).optional(),
+    circuit_breaker: z
+      .record(
+        z
+          .object({
+            state: z.enum(['closed', 'open', 'half-open']),
+            failures: z.number(),
+            retryInMs: z.number().optional(),
+            lastError: z.string().optional(),
+          })
+          .passthrough()
+      )
+      .describe('Client circuit breaker state per portal host')
+      .optional(),
+  })
+  .passthrough();
+
+// help_show returns the action's docstring
+const HelpShowOutput = z.object({ result: z.string().optional() }).passthrough();
+
 /**
- * Produce a JSON Schema for a given Zod schema, or an empty-object schema when none is needed.
- * This structure is used as MCP tool inputSchema.
- * @param {import('zod').ZodTypeAny | null} schema - Zod schema or null for no-args.
- * @returns {object} JSON Schema compatible object.
+ * Status and help tool definitions.
+ * @type {import('./registry.js').ToolDefinition[]}
  */
-function jsonSchema(schema) {
-  if (schema === HelpShowSchema) {
-    return {
-      type: 'object',
-      properties: {
-        name: {
-          type: 'string',
-          description:
-            'CKAN action name to get help for, e.g. "package_show", "package_search", "datastore_search"',
-        },
-      },
-      required: ['name'],
-      additionalProperties: false,
-    };
-  }
-  // status_show has no args
-  return { type: 'object', additionalProperties: false };
-}
+export const statusTools = [
+  defineTool({
+    name: 'status_show',
+    description: 'Platform status (CKAN status_show), including the client circuit breaker state',
+    input: StatusShowSchema,
+    output: StatusShowOutput,
+    annotations: READ_ONLY_CKAN,
+    /**
+     * Return CKAN platform status information, plus the client's circuit breaker state.
+     * @returns {Promise<object>}
+     */
+    async handler() {
+      const data = await statusShow();
+      return { ...data, result: { ...data.result, circuit_breaker: circuitState() } };
+    },
+    // The circuit state is reported even when the portal cannot be reached
+    formatError: (e) => `${String(e)}\ncircuit_breaker: ${JSON.stringify(circuitState(), null, 2)}`,
+  }),
+  defineTool({
+    name: 'help_show',
+    description: 'Show CKAN help for a given action (CKAN help_show)',
+    input: HelpShowSchema,
+    output: HelpShowOutput,
+    annotations: READ_ONLY_CKAN,
+    handler: (args) => helpShow(args.name),
+  }),
+];
 
 /**
  * Get tool definitions for status and help endpoints.
- * @returns {Array<{name: string, description: string, inputSchema: object}>} Tool descriptors.
+ * @returns {Array<{name: string, description: string, inputSchema: object, outputSchema: object}>} Tool descriptors.
  */
 export function getStatusTools() {
-  return [
-    {
-      name: 'status_show',
-      description: 'Platform status (CKAN status_show)',
-      inputSchema: jsonSchema(null),
-    },
-    {
-      name: 'help_show',
-      description: 'Show CKAN help for a given action (CKAN help_show)',
-      inputSchema: jsonSchema(HelpShowSchema),
-    },
-  ];
+  return toolDescriptors(statusTools);
 }
 
 /**
  * Get handler implementations for status and help tools.
  * Each handler returns MCP-compatible results: { content: [{ type: 'text', text }], isError?: boolean }.
- * @returns {{ status_show: (args?: object) => Promise<{content: Array<{type: 'text', text: string}>, isError?: boolean}>, help_show: (args?: object) => Promise<{content: Array<{type: 'text', text: string}>, isError?: boolean}> }}
+ * @returns {{[key: string]: (args?: object) => Promise<{content: Array<{type: 'text', text: string}>, isError?: boolean}>}}
  */
 export function getStatusHandlers() {
-  return {
-    /**
-     * Return CKAN platform status information.
-     * @returns {Promise<{content: Array<{type: 'text', text: string}>, isError?: boolean}>}
-     */
-    async status_show() {
-      try {
-        const data = await statusShow();
-        return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
-      } catch (e) {
-        return { isError: true, content: [{ type: 'text', text: String(e) }] };
-      }
-    },
-
-    /**
-     * Return CKAN help text for the given action name.
-     * @param {Partial<HelpShowInput>=} args - Arguments object containing the action name.
-     * @returns {Promise<{content: Array<{type: 'text', text: string}>, isError?: boolean}>}
-     */
-    async help_show(args) {
-      const parsed = HelpShowSchema.safeParse(args || {});
-      if (!parsed.success) {
-        return { isError: true, content: [{ type: 'text', text: parsed.error.message }] };
-      }
-      try {
-        const data = await helpShow(parsed.data.name);
-        return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
-      } catch (e) {
-        return { isError: true, content: [{ type: 'text', text: String(e) }] };
-      }
-    },
-  };
+  return toolHandlers(statusTools);
 }
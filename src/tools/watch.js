@@ -0,0 +1,396 @@
+import { createHash, randomUUID } from 'node:crypto';
+import { z } from 'zod';
+import { packageShow, portalSite, withPortal } from '../api/ckan-client.js';
+import { createWatchStore } from '../api/watch-store.js';
+import { CONFIG } from '../config.js';
+import { SearchAllArgs, searchAll } from './catalog.js';
+import { defineTool, toolDescriptors, toolHandlers } from './registry.js';
+
+const store = createWatchStore({ dir: CONFIG.WATCH_DIR });
+
+// Datasets kept per snapshot when max_results is not given
+const DEFAULT_DATASETS = 1000;
+
+// Fields that change without a change to the published metadata, or are compared separately
+const IGNORED_FIELDS = new Set(['metadata_modified', 'resources', 'num_resources', 'revision_id', 'tracking_summary']);
+
+const WatchAddSchema = z.object({
+  dataset: z.string().describe('Dataset id or name to watch. Without dataset, the search arguments define a saved search').optional(),
+  ...SearchAllArgs,
+  name: z.string().describe('Label for the watch').optional(),
+});
+
+const WatchListSchema = z.object({});
+
+const WatchIdSchema = z.object({
+  id: z.string().describe('Watch id (see watch_list)'),
+});
+
+const WatchCheckSchema = z.object({
+  id: z.string().describe('Check only this watch (default all)').optional(),
+  update: z
+    .boolean()
+    .describe('Store the new state so that the next check starts from now (default true); false only peeks')
+    .optional(),
+});
+
+const WatchOutput = z
+  .object({
+    id: z.string(),
+    name: z.string().optional(),
+    kind: z.enum(['dataset', 'organization', 'search']),
+    portal: z.string(),
+    target: z.record(z.any()).describe('Watched dataset, or the arguments of the saved search'),
+    datasets: z.number().describe('Datasets in the last snapshot'),
+    complete: z.boolean().describe('False when max_results left matching datasets out of the snapshot'),
+    created_at: z.string(),
+    checked_at: z.string(),
+  })
+  .passthrough();
+
+const DatasetRefOutput = z.object({ id: z.string(), name: z.string().optional(), title: z.any().optional() }).passthrough();
+const ResourceRefOutput = z.object({ id: z.string(), name: z.any().optional(), format: z.string().optional() }).passthrough();
+
+const WatchCheckOutput = z
+  .object({
+    checked_at: z.string(),
+    changes: z.number().describe('New, removed and modified datasets over all watches'),
+    watches: z.array(
+      z
+        .object({
+          id: z.string(),
+          name: z.string().optional(),
+          kind: z.string(),
+          since: z.string().describe('Time of the previous snapshot'),
+          changed: z.boolean(),
+          complete: z.boolean().optional(),
+          new_datasets: z.array(DatasetRefOutput),
+          removed_datasets: z.array(DatasetRefOutput),
+          modified_datasets: z.array(
+            DatasetRefOutput.extend({
+              metadata_modified: z.object({ before: z.string().optional(), after: z.string().optional() }),
+              fields: z.array(z.string()).describe('Metadata fields whose value changed'),
+              resources: z.object({
+                added: z.array(ResourceRefOutput),
+                removed: z.array(ResourceRefOutput),
+                modified: z.array(ResourceRefOutput.extend({ fields: z.array(z.string()) })),
+              }),
+            })
+          ),
+          error: z.string().optional(),
+        })
+        .passthrough()
+    ),
+  })
+  .passthrough();
+
+/**
+ * Short digest of a value; object keys are sorted so that key order does not matter.
+ * @param {any} value
+ * @returns {string}
+ */
+function digest(value) {
+  const json = JSON.stringify(value ?? null, (_key, v) =>
+    v && typeof v === 'object' && !Array.isArray(v)
+      ? Object.fromEntries(Object.entries(v).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)))
+      : v
+  );
+  return createHash('sha1').update(json).digest('hex').slice(0, 16);
+}
+
+/**
+ * Field digests of an object, without the ignored fields.
+ * @param {Record<string, any>} obj
+ * @param {Set<string>} [ignored]
+ * @returns {Record<string, string>}
+ */
+function fieldDigests(obj, ignored = new Set()) {
+  return Object.fromEntries(
+    Object.entries(obj)
+      .filter(([key]) => !ignored.has(key))
+      .map(([key, value]) => [key, digest(value)])
+  );
+}
+
+/**
+ * Compact state of a dataset: enough to name it and to tell which fields changed.
+ * @param {any} pkg
+ * @returns {object}
+ */
+function datasetSnapshot(pkg) {
+  return {
+    name: pkg.name,
+    title: pkg.title,
+    metadata_modified: pkg.metadata_modified,
+    fields: fieldDigests(pkg, IGNORED_FIELDS),
+    resources: Object.fromEntries(
+      (pkg.resources ?? []).map((res) => [
+        res.id,
+        { name: res.name ?? res.title, format: res.format || undefined, fields: fieldDigests(res, IGNORED_FIELDS) },
+      ])
+    ),
+  };
+}
+
+/**
+ * Names of the fields whose digest differs between two snapshots.
+ * @param {Record<string, string>} before
+ * @param {Record<string, string>} after
+ * @returns {string[]}
+ */
+function changedFields(before, after) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys].filter((key) => before[key] !== after[key]).sort();
+}
+
+/**
+ * Differences between two snapshots. Datasets missing from an incomplete
+ * snapshot may just have been cut off by max_results, so removals are only
+ * reported when the new snapshot is complete.
+ * @param {Record<string, object>} before
+ * @param {Record<string, object>} after
+ * @param {boolean} complete
+ * @returns {{ new_datasets: object[], removed_datasets: object[], modified_datasets: object[] }}
+ */
+function diffSnapshots(before, after, complete) {
+  const ref = (id, { name, title }) => ({ id, name, title });
+  const newDatasets = [];
+  const modified = [];
+  for (const [id, current] of Object.entries(after)) {
+    const previous = before[id];
+    if (!previous) {
+      newDatasets.push(ref(id, current));
+      continue;
+    }
+    const fields = changedFields(previous.fields, current.fields);
+    const resRef = (resId, { name, format }) => ({ id: resId, name, format });
+    const added = Object.entries(current.resources)
+      .filter(([resId]) => !previous.resources[resId])
+      .map(([resId, res]) => resRef(resId, res));
+    const removed = Object.entries(previous.resources)
+      .filter(([resId]) => !current.resources[resId])
+      .map(([resId, res]) => resRef(resId, res));
+    const changedResources = Object.entries(current.resources)
+      .filter(([resId]) => previous.resources[resId])
+      .map(([resId, res]) => ({ ...resRef(resId, res), fields: changedFields(previous.resources[resId].fields, res.fields) }))
+      .filter((res) => res.fields.length);
+    if (!fields.length && !added.length && !removed.length && !changedResources.length) continue;
+    modified.push({
+      ...ref(id, current),
+      metadata_modified: { before: previous.metadata_modified, after: current.metadata_modified },
+      fields,
+      resources: { added, removed, modified: changedResources },
+    });
+  }
+  const removedDatasets = complete
+    ? Object.entries(before)
+        .filter(([id]) => !after[id])
+        .map(([id, previous]) => ref(id, previous))
+    : [];
+  return { new_datasets: newDatasets, removed_datasets: removedDatasets, modified_datasets: modified };
+}
+
+/**
+ * Fetch the current state of the watched datasets from the watch's portal.
+ * @param {import('../api/watch-store.js').Watch} watch
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<{ snapshot: Record<string, object>, complete: boolean }>}
+ */
+function takeSnapshot(watch, signal) {
+  return withPortal(watch.portal, async () => {
+    if (watch.kind === 'dataset') {
+      const { result } = await packageShow(watch.target.dataset);
+      return { snapshot: { [result.id]: datasetSnapshot(result) }, complete: true };
+    }
+    const snapshot = {};
+    const { complete } = await searchAll(watch.target, {
+      limit: watch.max_results,
+      onDataset: (pkg) => {
+        snapshot[pkg.id] = datasetSnapshot(pkg);
+      },
+      signal,
+    });
+    return { snapshot, complete };
+  });
+}
+
+/**
+ * Public description of a watch, without its snapshot.
+ * @param {import('../api/watch-store.js').Watch} watch
+ * @returns {object}
+ */
+function describeWatch({ snapshot, ...watch }) {
+  return { ...watch, datasets: Object.keys(snapshot).length };
+}
+
+/**
+ * MCP resource URIs (see src/resources/opendata.js) that a check result touches.
+ * The resource templates read the default portal, so other portals have none.
+ * @param {import('../api/watch-store.js').Watch} watch
+ * @param {{ new_datasets: object[], removed_datasets: object[], modified_datasets: object[] }} diff
+ * @returns {string[]}
+ */
+function updatedUris(watch, diff) {
+  if (watch.portal !== CONFIG.DEFAULT_PORTAL) return [];
+  const uris = new Set();
+  for (const dataset of [...diff.removed_datasets, ...diff.modified_datasets]) {
+    for (const key of [dataset.name, dataset.id].filter(Boolean)) {
+      uris.add(`opendata://dataset/${encodeURIComponent(key)}`);
+    }
+  }
+  if (watch.kind === 'organization') uris.add(`opendata://organization/${encodeURIComponent(watch.target.organization)}`);
+  return [...uris];
+}
+
+/**
+ * Create a watch and take its first snapshot.
+ * @param {z.infer<typeof WatchAddSchema>} args
+ * @param {import('./registry.js').ToolContext} context
+ * @returns {Promise<object>}
+ */
+async function watchAdd({ dataset, name, max_results, ...search }, { signal }) {
+  const searchArgs = Object.keys(search).filter((key) => search[key] !== undefined);
+  if (dataset && searchArgs.length) {
+    throw new Error(`Pass either dataset or search arguments, not both (got ${searchArgs.join(', ')})`);
+  }
+  if (!dataset && !searchArgs.length) throw new Error('Pass dataset or at least one search argument (e.g. organization)');
+  const target = dataset ? { dataset } : Object.fromEntries(searchArgs.map((key) => [key, search[key]]));
+  const kind = dataset ? 'dataset' : searchArgs.length === 1 && search.organization ? 'organization' : 'search';
+  const watch = {
+    id: randomUUID(),
+    ...(name ? { name } : {}),
+    kind,
+    portal: portalSite().name,
+    target,
+    max_results: Math.min(max_results ?? DEFAULT_DATASETS, CONFIG.SEARCH_ALL_MAX_RESULTS),
+    created_at: new Date().toISOString(),
+  };
+  const { snapshot, complete } = await takeSnapshot(watch, signal);
+  Object.assign(watch, { checked_at: watch.created_at, complete, snapshot });
+  await store.save(watch);
+  return { success: true, result: describeWatch(watch) };
+}
+
+/**
+ * List the stored watches.
+ * @returns {Promise<object>}
+ */
+async function watchList() {
+  const watches = await store.list();
+  return { success: true, result: { count: watches.length, watches: watches.map(describeWatch) } };
+}
+
+/**
+ * Delete a watch.
+ * @param {z.infer<typeof WatchIdSchema>} args
+ * @returns {Promise<object>}
+ */
+async function watchRemove({ id }) {
+  if (!(await store.remove(id))) throw new Error(`Unknown watch "${id}" (see watch_list)`);
+  return { success: true, result: { id, removed: true } };
+}
+
+/**
+ * Compare watches with their last snapshot and report what changed.
+ * @param {z.infer<typeof WatchCheckSchema>} args
+ * @param {import('./registry.js').ToolContext} context
+ * @returns {Promise<object>}
+ */
+async function watchCheck({ id, update = true }, { progress, signal, resourceUpdated }) {
+  let watches;
+  if (id) {
+    const watch = await store.get(id);
+    if (!watch) throw new Error(`Unknown watch "${id}" (see watch_list)`);
+    watches = [watch];
+  } else {
+    watches = await store.list();
+  }
+
+  const checkedAt = new Date().toISOString();
+  const reports = [];
+  for (const watch of watches) {
+    signal?.throwIfAborted();
+    const base = { id: watch.id, name: watch.name, kind: watch.kind, since: watch.checked_at };
+    let current;
+    try {
+      current = await takeSnapshot(watch, signal);
+    } catch (e) {
+      reports.push({ ...base, changed: false, new_datasets: [], removed_datasets: [], modified_datasets: [], error: e.message });
+      continue;
+    }
+    const diff = diffSnapshots(watch.snapshot, current.snapshot, current.complete);
+    const changed = Boolean(diff.new_datasets.length || diff.removed_datasets.length || diff.modified_datasets.length);
+    reports.push({ ...base, changed, complete: current.complete, ...diff });
+    if (update) {
+      await store.save({ ...watch, checked_at: checkedAt, complete: current.complete, snapshot: current.snapshot });
+    }
+    if (changed) {
+      for (const uri of updatedUris(watch, diff)) await resourceUpdated(uri);
+    }
+    await progress(reports.length, watches.length, `Checked ${reports.length} of ${watches.length} watches`);
+  }
+
+  const changes = reports.reduce(
+    (sum, r) => sum + r.new_datasets.length + r.removed_datasets.length + r.modified_datasets.length,
+    0
+  );
+  return { success: true, result: { checked_at: checkedAt, changes, watches: reports } };
+}
+
+/**
+ * Change watch tool definitions.
+ * @type {import('./registry.js').ToolDefinition[]}
+ */
+export const watchTools = [
+  defineTool({
+    name: 'watch_add',
+    description:
+      'Watch a dataset (dataset), an organization (organization) or a saved search (package_search_all arguments) for changes. Stores the current state of the matching datasets locally; watch_check reports what changed since.',
+    input: WatchAddSchema,
+    output: WatchOutput,
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
+    handler: watchAdd,
+  }),
+  defineTool({
+    name: 'watch_list',
+    description: 'List the stored watches with their target, portal, number of datasets and time of the last check.',
+    input: WatchListSchema,
+    annotations: { readOnlyHint: true, openWorldHint: false },
+    portal: false,
+    handler: watchList,
+  }),
+  defineTool({
+    name: 'watch_remove',
+    description: 'Delete a watch and its stored state.',
+    input: WatchIdSchema,
+    annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: false },
+    portal: false,
+    handler: watchRemove,
+  }),
+  defineTool({
+    name: 'watch_check',
+    description:
+      'Report what changed in watched datasets since the last check: new datasets, removed datasets, and per modified dataset the changed metadata fields and added, removed or changed resources. Checks all watches, or one (id). Sends notifications/resources/updated for subscribed opendata:// dataset and organization URIs.',
+    input: WatchCheckSchema,
+    output: WatchCheckOutput,
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
+    portal: false,
+    handler: watchCheck,
+  }),
+];
+
+/**
+ * Get tool descriptors for change watches.
+ * @returns {Array<{name: string, description: string, inputSchema: object, outputSchema: object}>}
+ */
+export function getWatchTools() {
+  return toolDescriptors(watchTools);
+}
+
+/**
+ * Get handler implementations for change watches.
+ * @returns {{[key: string]: (args?: object) => Promise<{content: Array<{type: 'text', text: string}>, isError?: boolean}>}}
+ */
+export function getWatchHandlers() {
+  return toolHandlers(watchTools);
+}
@@ -0,0 +1,196 @@
+/**
+ * HTTP transports for remote MCP clients.
+ * - "http": Streamable HTTP on /mcp, the session id travels in the mcp-session-id header
+ * - "sse": legacy HTTP+SSE, an event stream from GET /sse and client messages on POST /messages?sessionId=
+ *
+ * Both serve /healthz and give every session its own MCP Server instance.
+ */
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { logger } from '../utils/logger.js';
+
+/** Endpoint paths served by the HTTP transports. */
+export const HTTP_PATHS = {
+  MCP: '/mcp',
+  SSE: '/sse',
+  MESSAGES: '/messages',
+  HEALTH: '/healthz',
+};
+
+// Request bodies larger than this are rejected before JSON parsing
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Write a JSON response.
+ * @param {import('node:http').ServerResponse} res
+ * @param {number} status
+ * @param {any} body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Write a JSON-RPC error response (used before a transport owns the request).
+ * @param {import('node:http').ServerResponse} res
+ * @param {number} status
+ * @param {string} message
+ */
+function sendRpcError(res, status, message) {
+  sendJson(res, status, {
+    jsonrpc: '2.0',
+    error: { code: -32000, message },
+    id: null,
+  });
+}
+
+/**
+ * Read and JSON-parse a request body, enforcing MAX_BODY_BYTES.
+ * @param {import('node:http').IncomingMessage} req
+ * @returns {Promise<any>}
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new Error(`Request body exceeds ${MAX_BODY_BYTES} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString('utf8');
+  return text ? JSON.parse(text) : undefined;
+}
+
+/**
+ * Start an HTTP server exposing MCP over Streamable HTTP ("http") or legacy SSE ("sse").
+ * Every client session gets its own MCP Server instance from `createServer`,
+ * identified by the session id issued by the transport.
+ * @param {{
+ *   createServer: () => import('@modelcontextprotocol/sdk/server/index.js').Server,
+ *   mode?: 'http'|'sse', host?: string, port?: number
+ * }} options
+ * @returns {Promise<{ port: number, sessions: Map<string, object>, close: () => Promise<void> }>}
+ */
+export async function startHttpServer({ createServer, mode = 'http', host = '127.0.0.1', port = 3000 }) {
+  /** @type {Map<string, { transport: any, server: any }>} */
+  const sessions = new Map();
+
+  /**
+   * Streamable HTTP: POST/GET/DELETE on a single endpoint, session id in the mcp-session-id header.
+   */
+  async function handleStreamable(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    let body;
+    if (req.method === 'POST') {
+      try {
+        body = await readJsonBody(req);
+      } catch (err) {
+        return sendRpcError(res, 400, `Parse error: ${err.message}`);
+      }
+    }
+
+    if (sessionId) {
+      const session = sessions.get(sessionId);
+      if (!session) return sendRpcError(res, 404, `Unknown session: ${sessionId}`);
+      return session.transport.handleRequest(req, res, body);
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      return sendRpcError(res, 400, 'Bad Request: no valid session id provided');
+    }
+
+    const server = createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        sessions.set(id, { transport, server });
+        logger.info({ sessionId: id, sessions: sessions.size }, 'MCP session opened');
+      },
+    });
+    transport.onclose = () => {
+      if (transport.sessionId && sessions.delete(transport.sessionId)) {
+        logger.info({ sessionId: transport.sessionId, sessions: sessions.size }, 'MCP session closed');
+      }
+    };
+    await server.connect(transport);
+    return transport.handleRequest(req, res, body);
+  }
+
+  /**
+   * Legacy SSE: GET opens the event stream, POST delivers messages tagged with ?sessionId=.
+   */
+  async function handleSse(req, res, url) {
+    if (req.method === 'GET' && url.pathname === HTTP_PATHS.SSE) {
+      const server = createServer();
+      const transport = new SSEServerTransport(HTTP_PATHS.MESSAGES, res);
+      sessions.set(transport.sessionId, { transport, server });
+      logger.info({ sessionId: transport.sessionId, sessions: sessions.size }, 'MCP session opened');
+      res.on('close', () => {
+        if (sessions.delete(transport.sessionId)) {
+          logger.info({ sessionId: transport.sessionId, sessions: sessions.size }, 'MCP session closed');
+        }
+      });
+      await server.connect(transport);
+      return undefined;
+    }
+    if (req.method === 'POST' && url.pathname === HTTP_PATHS.MESSAGES) {
+      const sessionId = url.searchParams.get('sessionId');
+      const session = sessionId ? sessions.get(sessionId) : undefined;
+      if (!session) return sendRpcError(res, 404, `Unknown session: ${sessionId}`);
+      return session.transport.handlePostMessage(req, res);
+    }
+    return sendJson(res, 405, { error: 'Method not allowed' });
+  }
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url || '/', 'http://localhost');
+    try {
+      if (url.pathname === HTTP_PATHS.HEALTH) {
+        return sendJson(res, 200, { status: 'ok', transport: mode, sessions: sessions.size });
+      }
+      if (mode === 'http' && url.pathname === HTTP_PATHS.MCP) {
+        return await handleStreamable(req, res);
+      }
+      if (mode === 'sse' && (url.pathname === HTTP_PATHS.SSE || url.pathname === HTTP_PATHS.MESSAGES)) {
+        return await handleSse(req, res, url);
+      }
+      return sendJson(res, 404, { error: 'Not found' });
+    } catch (err) {
+      logger.error({ err, path: url.pathname }, 'HTTP transport error');
+      if (!res.headersSent) sendRpcError(res, 500, 'Internal server error');
+      return undefined;
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+  const boundPort = httpServer.address().port;
+  logger.info({ host, port: boundPort, mode }, 'HTTP transport listening');
+
+  /**
+   * Close all open sessions, then stop accepting connections.
+   * @returns {Promise<void>}
+   */
+  async function close() {
+    const open = [...sessions.values()];
+    sessions.clear();
+    await Promise.allSettled(open.map(({ transport }) => transport.close()));
+    await new Promise((resolve) => {
+      httpServer.close(() => resolve());
+      httpServer.closeAllConnections?.();
+    });
+  }
+
+  return { port: boundPort, sessions, close };
+}
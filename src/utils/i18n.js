@@ -0,0 +1,118 @@
+import { z } from 'zod';
+import { CONFIG } from '../config.js';
+
+/** Languages used in opendata.swiss metadata. */
+export const LANGUAGES = ['de', 'fr', 'it', 'en'];
+
+// Romansh occasionally appears alongside the four main languages
+const LANGUAGE_KEYS = new Set([...LANGUAGES, 'rm']);
+
+/**
+ * Zod fields for the language arguments shared by metadata tools.
+ */
+export const LanguageArgs = {
+  lang: z
+    .enum(LANGUAGES)
+    .describe(
+      'Language for multilingual fields (title, description, keywords, display_name). Falls back through PREFERRED_LANGUAGES when missing.'
+    )
+    .optional(),
+  all_languages: z
+    .boolean()
+    .describe('Keep multilingual fields as {de, fr, it, en} objects instead of flattening them')
+    .optional(),
+};
+
+/**
+ * Whether a value is a language map such as {de: "...", fr: "..."}.
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isLanguageMap(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every((k) => LANGUAGE_KEYS.has(k));
+}
+
+/**
+ * Some CKAN fields (e.g. organization titles) hold a language map serialized as a JSON string.
+ * @param {string} value
+ * @returns {object|undefined}
+ */
+function parseLanguageMapString(value) {
+  if (!value.startsWith('{') || !value.endsWith('}')) return undefined;
+  try {
+    const parsed = JSON.parse(value);
+    return isLanguageMap(parsed) ? parsed : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * The language map held by a field, whether an object or a JSON string.
+ * @param {any} value
+ * @returns {Record<string, any>|undefined} undefined for values that are not language maps
+ */
+export function languageMap(value) {
+  if (typeof value === 'string') return parseLanguageMapString(value);
+  return isLanguageMap(value) ? value : undefined;
+}
+
+const isEmpty = (v) => v === undefined || v === null || v === '' || (Array.isArray(v) && v.length === 0);
+
+/**
+ * Fallback chain for a requested language: the language itself, then PREFERRED_LANGUAGES.
+ * @param {string} [lang]
+ * @returns {string[]}
+ */
+export function languageChain(lang) {
+  const preferred = CONFIG.PREFERRED_LANGUAGES;
+  return lang ? [lang, ...preferred.filter((l) => l !== lang)] : preferred;
+}
+
+/**
+ * Pick a value from a language map following the chain; falls back to any non-empty value.
+ * @param {Record<string, any>} map
+ * @param {string[]} chain
+ * @returns {any}
+ */
+export function pickLanguage(map, chain) {
+  for (const l of chain) {
+    if (!isEmpty(map[l])) return map[l];
+  }
+  return Object.values(map).find((v) => !isEmpty(v)) ?? '';
+}
+
+/**
+ * Recursively flatten language maps in CKAN metadata into a single language.
+ * @param {any} data - CKAN response (or any nested value)
+ * @param {string} [lang] - Requested language; PREFERRED_LANGUAGES order when omitted
+ * @returns {any}
+ */
+export function localize(data, lang) {
+  const chain = languageChain(lang);
+  const walk = (value) => {
+    if (Array.isArray(value)) return value.map(walk);
+    if (typeof value === 'string') {
+      const map = parseLanguageMapString(value);
+      return map ? pickLanguage(map, chain) : value;
+    }
+    if (!value || typeof value !== 'object') return value;
+    if (isLanguageMap(value)) return pickLanguage(value, chain);
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = walk(v);
+    return out;
+  };
+  return walk(data);
+}
+
+/**
+ * Apply the shared language arguments to a CKAN response.
+ * @param {any} data
+ * @param {{ lang?: string, all_languages?: boolean }} options
+ * @returns {any}
+ */
+export function applyLanguage(data, { lang, all_languages } = {}) {
+  return all_languages ? data : localize(data, lang);
+}
@@ -0,0 +1,97 @@
+/**
+ * Minimal Zod to JSON Schema conversion for MCP tool schemas.
+ * Covers the Zod types used by the tool modules; anything else maps to an
+ * unconstrained schema.
+ */
+
+/**
+ * Convert a Zod schema to a JSON Schema object.
+ * Object schemas follow Zod's unknown-key policy: strict objects reject
+ * additional properties, passthrough objects allow them.
+ * @param {import('zod').ZodTypeAny} schema
+ * @returns {object} JSON Schema compatible object
+ */
+export function zodToJsonSchema(schema) {
+  const out = convert(schema);
+  const description = schema.description;
+  return description && !out.description ? { ...out, description } : out;
+}
+
+/**
+ * @param {import('zod').ZodTypeAny} schema
+ * @returns {object}
+ */
+function convert(schema) {
+  const def = schema._def;
+  switch (def.typeName) {
+    case 'ZodOptional':
+    case 'ZodNullable':
+    case 'ZodDefault':
+      return zodToJsonSchema(def.innerType);
+    case 'ZodEffects':
+      return zodToJsonSchema(def.schema);
+    case 'ZodString':
+      return withChecks({ type: 'string' }, def.checks, { min: 'minLength', max: 'maxLength' });
+    case 'ZodNumber': {
+      const isInt = def.checks.some((c) => c.kind === 'int');
+      return withChecks({ type: isInt ? 'integer' : 'number' }, def.checks, {
+        min: 'minimum',
+        max: 'maximum',
+      });
+    }
+    case 'ZodBoolean':
+      return { type: 'boolean' };
+    case 'ZodLiteral':
+      return { const: def.value };
+    case 'ZodEnum':
+      return { type: 'string', enum: [...def.values] };
+    case 'ZodArray': {
+      const out = { type: 'array', items: zodToJsonSchema(def.type) };
+      if (def.minLength) out.minItems = def.minLength.value;
+      if (def.maxLength) out.maxItems = def.maxLength.value;
+      return out;
+    }
+    case 'ZodUnion':
+      return { anyOf: def.options.map(zodToJsonSchema) };
+    case 'ZodRecord':
+      return { type: 'object', additionalProperties: zodToJsonSchema(def.valueType) };
+    case 'ZodObject': {
+      const shape = def.shape();
+      const properties = {};
+      const required = [];
+      for (const [key, value] of Object.entries(shape)) {
+        properties[key] = zodToJsonSchema(value);
+        if (!value.isOptional()) required.push(key);
+      }
+      const out = { type: 'object', properties };
+      if (required.length) out.required = required;
+      if (def.unknownKeys === 'strict') out.additionalProperties = false;
+      return out;
+    }
+    default:
+      // ZodAny, ZodUnknown and anything not used by the tools
+      return {};
+  }
+}
+
+/**
+ * Map Zod min/max checks onto JSON Schema keywords.
+ * @param {object} out
+ * @param {Array<{kind: string, value?: number, inclusive?: boolean}>} checks
+ * @param {{min: string, max: string}} keywords
+ * @returns {object}
+ */
+function withChecks(out, checks, keywords) {
+  for (const check of checks) {
+    if (check.kind === 'min') {
+      if (check.inclusive === false) out[`exclusive${capitalize(keywords.min)}`] = check.value;
+      else out[keywords.min] = check.value;
+    } else if (check.kind === 'max') {
+      if (check.inclusive === false) out[`exclusive${capitalize(keywords.max)}`] = check.value;
+      else out[keywords.max] = check.value;
+    }
+  }
+  return out;
+}
+
+const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1);
@@ -0,0 +1,316 @@
+import { z } from 'zod';
+import { CONFIG } from '../config.js';
+import { zodToJsonSchema } from './json-schema.js';
+
+/**
+ * Response shaping shared by all tools: strip the CKAN envelope, project fields,
+ * reduce detail and keep the output under a character budget.
+ */
+
+export const DETAIL_LEVELS = ['summary', 'standard', 'full'];
+
+/**
+ * Zod fields for the shaping arguments every tool accepts.
+ */
+export const ShapingArgs = {
+  detail: z
+    .enum(DETAIL_LEVELS)
+    .describe(
+      'Response detail: "summary" (key fields only), "standard" (default; drops empty values) or "full" (everything, including the CKAN envelope).'
+    )
+    .optional(),
+  fields: z
+    .array(z.string())
+    .describe(
+      'Only return these fields of each item, using dot paths through nested objects and arrays, e.g. ["name", "title", "resources.format"].'
+    )
+    .optional(),
+  max_chars: z
+    .number()
+    .int()
+    .positive()
+    .describe('Maximum characters of the response (defaults to MAX_RESPONSE_CHARS). Longer lists are cut with a hint to continue.')
+    .optional(),
+};
+
+export const ShapingArgsSchema = z.object(ShapingArgs).strict();
+
+/**
+ * JSON Schema properties matching ShapingArgs.
+ */
+export const SHAPING_JSON_PROPERTIES = zodToJsonSchema(ShapingArgsSchema).properties;
+
+// Keys kept for each item at detail=summary
+const SUMMARY_KEYS = [
+  'id',
+  'name',
+  'title',
+  'display_name',
+  'description',
+  'notes',
+  'organization',
+  'metadata_modified',
+  'last_modified',
+  'num_resources',
+  'format',
+  'url',
+  'state',
+  'type',
+];
+
+const SUMMARY_STRING_CHARS = 200;
+
+// Containers holding the paginated items of a result (CKAN lists, preview rows, archive entries)
+const LIST_KEYS = ['results', 'records', 'rows', 'entries'];
+
+/**
+ * Remove the CKAN { help, success, result } envelope.
+ * Unsuccessful responses are kept as-is so the error stays visible.
+ * @param {any} data
+ * @returns {any}
+ */
+export function stripEnvelope(data) {
+  if (data && typeof data === 'object' && data.success === true && 'result' in data) {
+    return data.result;
+  }
+  return data;
+}
+
+/**
+ * Locate the list of items inside a result.
+ * @param {any} data
+ * @returns {{ items: any[], rebuild: (items: any[]) => any }|undefined}
+ */
+function findItems(data) {
+  if (Array.isArray(data)) return { items: data, rebuild: (items) => items };
+  if (data && typeof data === 'object') {
+    const key = LIST_KEYS.find((k) => Array.isArray(data[k]));
+    if (key) return { items: data[key], rebuild: (items) => ({ ...data, [key]: items }) };
+  }
+  return undefined;
+}
+
+/**
+ * Apply `fn` to each item of a result (or to the result itself when it is a single object).
+ * @param {any} data
+ * @param {(item: any) => any} fn
+ * @returns {any}
+ */
+function mapItems(data, fn) {
+  const found = findItems(data);
+  return found ? found.rebuild(found.items.map(fn)) : fn(data);
+}
+
+/**
+ * Pick dot paths from a value. Arrays are traversed transparently, so
+ * "resources.format" yields { resources: [{ format }, ...] }.
+ * @param {any} value
+ * @param {string[][]} paths - Split paths
+ * @returns {any}
+ */
+function pick(value, paths) {
+  if (Array.isArray(value)) return value.map((v) => pick(v, paths));
+  if (!value || typeof value !== 'object') return value;
+  const out = {};
+  const groups = new Map();
+  for (const [head, ...rest] of paths) {
+    if (!(head in value)) continue;
+    if (!groups.has(head)) groups.set(head, []);
+    groups.get(head).push(rest);
+  }
+  for (const [head, rests] of groups) {
+    out[head] = rests.some((r) => r.length === 0) ? value[head] : pick(value[head], rests);
+  }
+  return out;
+}
+
+/**
+ * Project each item of a result onto the given dot paths.
+ * @param {any} data
+ * @param {string[]} fields
+ * @returns {any}
+ */
+export function projectFields(data, fields) {
+  const paths = fields.map((f) => f.split('.'));
+  return mapItems(data, (item) => pick(item, paths));
+}
+
+/**
+ * Recursively drop null, empty string, empty array and empty object values.
+ * @param {any} value
+ * @returns {any}
+ */
+function dropEmpty(value) {
+  if (Array.isArray(value)) return value.map(dropEmpty);
+  if (!value || typeof value !== 'object') return value;
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    const cleaned = dropEmpty(v);
+    const empty =
+      cleaned === null ||
+      cleaned === '' ||
+      (Array.isArray(cleaned) && cleaned.length === 0) ||
+      (cleaned && typeof cleaned === 'object' && !Array.isArray(cleaned) && Object.keys(cleaned).length === 0);
+    if (!empty) out[k] = cleaned;
+  }
+  return out;
+}
+
+/**
+ * Reduce an item to its summary keys; nested objects collapse to their name/title/id
+ * and long strings are shortened.
+ * @param {any} item
+ * @returns {any}
+ */
+function summarizeItem(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) return item;
+  const keys = SUMMARY_KEYS.filter((k) => k in item);
+  if (keys.length === 0) return item;
+  const out = {};
+  for (const k of keys) {
+    const v = item[k];
+    if (typeof v === 'string' && v.length > SUMMARY_STRING_CHARS) {
+      out[k] = `${v.slice(0, SUMMARY_STRING_CHARS)}…`;
+    } else if (v && typeof v === 'object' && !Array.isArray(v)) {
+      out[k] = v.name ?? v.title ?? v.id ?? v;
+    } else {
+      out[k] = v;
+    }
+  }
+  if (Array.isArray(item.resources)) {
+    out.formats = [...new Set(item.resources.map((r) => r?.format).filter(Boolean))];
+  }
+  return out;
+}
+
+/**
+ * Fit a result into `maxChars`, returning both the (possibly cut) value and its text.
+ * @param {any} data
+ * @param {number} maxChars
+ * @param {{ pageParam?: string, pageStart?: number }} [paging]
+ * @returns {{ value: any, text: string }}
+ */
+function fit(data, maxChars, { pageParam, pageStart = 0 } = {}) {
+  const text = JSON.stringify(data, null, 2);
+  if (text.length <= maxChars) return { value: data, text };
+
+  const found = findItems(data);
+  if (found && found.items.length > 0) {
+    const render = (n) => {
+      const next = pageStart + n;
+      const base = found.rebuild(found.items.slice(0, n));
+      const note = {
+        returned: n,
+        of: found.items.length,
+        hint: pageParam
+          ? `truncated, use ${pageParam}=${next} to continue (or narrow the response with fields/detail)`
+          : 'truncated, narrow the response with fields or detail="summary"',
+      };
+      const value = Array.isArray(base) ? { items: base, _truncated: note } : { ...base, _truncated: note };
+      return { value, text: JSON.stringify(value, null, 2) };
+    };
+    // Binary search for the largest prefix that fits
+    let lo = 0;
+    let hi = found.items.length - 1;
+    while (lo < hi) {
+      const mid = Math.ceil((lo + hi) / 2);
+      if (render(mid).text.length <= maxChars) lo = mid;
+      else hi = mid - 1;
+    }
+    const out = render(lo);
+    if (out.text.length <= maxChars) return out;
+  }
+  return { value: data, text: truncateText(text, maxChars) };
+}
+
+/**
+ * Serialize a result within `maxChars`. Lists are cut to the largest prefix that fits
+ * and annotated with `_truncated` (including where to continue when the tool paginates);
+ * other values are cut at the character limit.
+ * @param {any} data
+ * @param {number} maxChars
+ * @param {{ pageParam?: string, pageStart?: number }} [paging]
+ * @returns {string}
+ */
+export function fitToBudget(data, maxChars, paging) {
+  return fit(data, maxChars, paging).text;
+}
+
+/**
+ * Cut text at `maxChars` with a note on how much was dropped.
+ * @param {string} text
+ * @param {number} maxChars
+ * @returns {string}
+ */
+function truncateText(text, maxChars) {
+  if (text.length <= maxChars) return text;
+  return `${text.slice(0, maxChars)}\n… [truncated at ${maxChars} of ${text.length} chars; narrow the response with fields or detail="summary"]`;
+}
+
+/**
+ * Apply envelope stripping, field projection and the detail level.
+ * @param {any} data - Raw CKAN response
+ * @param {{ detail?: 'summary'|'standard'|'full', fields?: string[] }} options
+ * @returns {any}
+ */
+function shapeData(data, { detail = 'standard', fields }) {
+  let out = detail === 'full' ? data : stripEnvelope(data);
+  if (fields) out = projectFields(out, fields);
+  if (detail === 'standard') out = dropEmpty(out);
+  if (detail === 'summary') out = mapItems(dropEmpty(out), summarizeItem);
+  return out;
+}
+
+/**
+ * Shape a CKAN response for a tool result.
+ * @param {any} data - Raw CKAN response
+ * @param {{ detail?: 'summary'|'standard'|'full', fields?: string[], max_chars?: number }} [options]
+ * @param {{ pageParam?: string, pageStart?: number }} [paging]
+ * @returns {string}
+ */
+export function shapeResponse(data, options = {}, paging = {}) {
+  return fitToBudget(shapeData(data, options), options.max_chars ?? CONFIG.MAX_RESPONSE_CHARS, paging);
+}
+
+/**
+ * Structured tool output for a CKAN response: the envelope's `result`, with lists
+ * wrapped as { items } and scalars as { result } since structuredContent must be an object.
+ * @param {any} data
+ * @returns {object}
+ */
+export function toStructuredContent(data) {
+  const value = stripEnvelope(data);
+  if (Array.isArray(value)) return { items: value };
+  if (value && typeof value === 'object') return value;
+  return { result: value };
+}
+
+/**
+ * Shape the JSON text of a tool result. Errors and non-JSON text are only cut to the budget.
+ * When the tool returned structuredContent it is replaced by the shaped value, so both stay in sync.
+ * @param {{content: Array<{type: string, text?: string}>, structuredContent?: object, isError?: boolean}} result
+ * @param {{ detail?: 'summary'|'standard'|'full', fields?: string[], max_chars?: number }} options
+ * @param {{ pageParam?: string, pageStart?: number }} [paging]
+ * @returns {{content: Array<{type: string, text?: string}>, structuredContent?: object, isError?: boolean}}
+ */
+export function shapeToolResult(result, options, paging) {
+  if (result.isError) return result;
+  const maxChars = options.max_chars ?? CONFIG.MAX_RESPONSE_CHARS;
+  let shaped;
+  const content = result.content.map((block) => {
+    if (block.type !== 'text') return block;
+    let data;
+    try {
+      data = JSON.parse(block.text);
+    } catch {
+      return { ...block, text: truncateText(block.text, maxChars) };
+    }
+    const { value, text } = fit(shapeData(data, options), maxChars, paging);
+    shaped = value;
+    return { ...block, text };
+  });
+  if (result.structuredContent && shaped !== undefined) {
+    return { ...result, content, structuredContent: toStructuredContent(shaped) };
+  }
+  return { ...result, content };
+}
@@ -0,0 +1,131 @@
+import { z } from 'zod';
+import { LANGUAGES } from './i18n.js';
+
+/**
+ * Solr query helpers for package_search: structured filters compiled to an
+ * escaped `fq`, and the normalizations applied to every q/fq sent to CKAN.
+ */
+
+const valueOrList = (description) =>
+  z
+    .union([z.string().min(1), z.array(z.string().min(1)).min(1)])
+    .describe(`${description}. A list matches any of its values.`)
+    .optional();
+
+/**
+ * Zod fields for the structured dataset filters of package_search.
+ */
+export const FilterArgs = {
+  organization: valueOrList('Organization slug, e.g. "bundesamt-fur-statistik-bfs"'),
+  groups: valueOrList('Group (category) slug, e.g. "gove" or "mobi"'),
+  res_format: valueOrList('Resource format, e.g. "CSV" or "WMS"'),
+  license_id: valueOrList('License id, e.g. "NonCommercialAllowed-CommercialAllowed-ReferenceNotRequired"'),
+  tags: valueOrList('Tag'),
+  ...Object.fromEntries(LANGUAGES.map((l) => [`keywords_${l}`, valueOrList(`Keyword in ${l.toUpperCase()}`)])),
+  political_level: valueOrList('Political level of the publisher, e.g. "confederation", "canton" or "commune"'),
+  modified_after: z
+    .string()
+    .describe('Only datasets modified at or after this date (ISO 8601, e.g. "2024-01-01"; CKAN metadata_modified)')
+    .optional(),
+  modified_before: z
+    .string()
+    .describe('Only datasets modified before this date (ISO 8601; CKAN metadata_modified)')
+    .optional(),
+};
+
+// Filter arguments that match a Solr field of the same name, in fq order
+const FIELD_FILTERS = [
+  'organization',
+  'groups',
+  'res_format',
+  'license_id',
+  'tags',
+  ...LANGUAGES.map((l) => `keywords_${l}`),
+  'political_level',
+];
+
+/**
+ * Quote a value as a Solr phrase, so hyphens, colons and spaces are literal.
+ * @param {string} value
+ * @returns {string}
+ */
+export function solrPhrase(value) {
+  return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Solr date (UTC, second precision) of an ISO 8601 date or date-time.
+ * @param {string} value
+ * @param {string} name - Argument name for the error message
+ * @returns {string}
+ * @throws {Error} If the value is not a date
+ */
+function solrDate(value, name) {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) throw new Error(`${name} must be an ISO 8601 date, got "${value}"`);
+  return new Date(time).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Compile structured filters to fq clauses: values of one filter are OR-ed,
+ * filters are AND-ed, and the modified range is half-open [after TO before}.
+ * @param {Record<string, any>} filters - Arguments as declared by FilterArgs
+ * @returns {string[]} One clause per filter
+ * @throws {Error} If a date is invalid
+ */
+export function filterClauses(filters) {
+  const clauses = [];
+  for (const field of FIELD_FILTERS) {
+    const value = filters[field];
+    if (value === undefined) continue;
+    const values = [...new Set([].concat(value))].map(solrPhrase);
+    const terms = values.map((v) => `${field}:${v}`);
+    clauses.push(terms.length === 1 ? terms[0] : `(${terms.join(' OR ')})`);
+  }
+  const { modified_after: after, modified_before: before } = filters;
+  if (after !== undefined || before !== undefined) {
+    const from = after !== undefined ? solrDate(after, 'modified_after') : '*';
+    const to = before !== undefined ? solrDate(before, 'modified_before') : '*';
+    clauses.push(`metadata_modified:[${from} TO ${to}}`);
+  }
+  return clauses;
+}
+
+/**
+ * Combine structured filters with a raw fq. Without filters the raw fq is
+ * returned unchanged; otherwise everything is AND-ed into one string.
+ * @param {Record<string, any>} filters
+ * @param {string|string[]|undefined} fq
+ * @returns {string|string[]|undefined}
+ */
+export function buildFq(filters, fq) {
+  const clauses = filterClauses(filters);
+  if (!clauses.length) return fq;
+  const raw = [].concat(fq ?? []).filter((part) => part.trim());
+  return [...clauses, ...raw.map((part) => `(${part})`)].join(' AND ');
+}
+
+/**
+ * Normalize fq for common Solr pitfalls, e.g. hyphens misinterpreted as minus.
+ * Unquoted organization slugs are quoted
+ * (organization:bundesamt-fur-statistik-bfs -> organization:"bundesamt-fur-statistik-bfs"),
+ * and organization filters also match the publisher field on instances that index it.
+ * @param {string|string[]|undefined} fq
+ * @returns {string|string[]|undefined}
+ */
+export function normalizeFq(fq) {
+  if (typeof fq !== 'string') return fq;
+  const quoted = fq.replace(/(\borganization:)([^"(\s][^\s)]*)/g, (_m, p1, p2) => `${p1}"${p2}"`);
+  return quoted.replace(/\borganization:"((?:[^"\\]|\\.)+)"/g, (_m, val) => `(organization:"${val}" OR publisher:"${val}")`);
+}
+
+/**
+ * Normalize q: CKAN/Solr match-all is *:*, not bare *.
+ * @param {string|undefined|null} q
+ * @returns {string}
+ */
+export function normalizeQ(q) {
+  if (q === undefined || q === null || q === '') return '*:*';
+  if (q === '*') return '*:*';
+  return q;
+}
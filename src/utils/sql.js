@@ -0,0 +1,209 @@
+import { parse } from 'pgsql-ast-parser';
+
+/**
+ * SQL for datastore_search_sql: quoting for the queries the server compiles
+ * itself (exports, aggregations) and validation of the queries it is given.
+ */
+
+/**
+ * Quote a PostgreSQL identifier.
+ * @param {string} name
+ * @returns {string}
+ */
+export function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * SQL literal for a filter value, or undefined when it cannot be expressed.
+ * @param {any} value
+ * @returns {string|undefined}
+ */
+export function quoteLiteral(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : undefined;
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (typeof value === 'string') return `'${value.replace(/'/g, "''")}'`;
+  return undefined;
+}
+
+/**
+ * WHERE conditions equivalent to datastore_search exact-match filters
+ * (a list matches any of its values), or undefined when a value cannot be expressed.
+ * @param {Record<string, any>|undefined} filters
+ * @returns {string[]|undefined}
+ */
+export function filterConditions(filters) {
+  const conditions = [];
+  for (const [field, value] of Object.entries(filters ?? {})) {
+    const values = (Array.isArray(value) ? value : [value]).map(quoteLiteral);
+    if (!values.length || values.includes(undefined)) return undefined;
+    conditions.push(
+      values.length === 1
+        ? `${quoteIdentifier(field)} = ${values[0]}`
+        : `${quoteIdentifier(field)} IN (${values.join(', ')})`
+    );
+  }
+  return conditions;
+}
+
+/** Statement types a datastore_search_sql query may consist of. */
+const READ_STATEMENTS = new Set(['select', 'union', 'union all', 'values', 'with', 'with recursive']);
+
+/** Statement types that modify data; PostgreSQL accepts them inside WITH. */
+const WRITE_STATEMENTS = new Set(['insert', 'update', 'delete']);
+
+/**
+ * Functions that reach outside the datastore tables: server files, settings,
+ * sleeping, other databases (dblink), large objects, query-to-XML helpers.
+ */
+const DENIED_FUNCTIONS =
+  /^(pg_|lo_|dblink|current_setting$|set_config$|version$|txid_|inet_(client|server)_|(query|table|cursor|database|schema)_to_xml)/i;
+
+/** Datastore tables are named by their resource id. */
+const RESOURCE_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Error raised when a query breaks a validation rule.
+ */
+export class SqlValidationError extends Error {
+  /**
+   * @param {'syntax'|'single_statement'|'read_only'|'tables'|'functions'} rule
+   * @param {string} detail
+   */
+  constructor(rule, detail) {
+    super(`SQL rejected by rule "${rule}": ${detail}`);
+    this.name = 'SqlValidationError';
+    this.rule = rule;
+  }
+}
+
+/**
+ * Call `visit` on every object node of a parsed statement, with the CTE names
+ * in scope at that node: a WITH binds its names in its main statement and in
+ * the bindings that follow (a WITH RECURSIVE also in its own binding).
+ * @param {any} node
+ * @param {(node: object, ctes: Set<string>) => void} visit
+ * @param {Set<string>} [ctes]
+ */
+function walk(node, visit, ctes = new Set()) {
+  if (Array.isArray(node)) {
+    node.forEach((child) => walk(child, visit, ctes));
+  } else if (node && typeof node === 'object') {
+    visit(node, ctes);
+    if (node.type === 'with') {
+      const inner = new Set(ctes);
+      for (const binding of node.bind) {
+        walk(binding.statement, visit, inner);
+        inner.add(binding.alias.name);
+      }
+      walk(node.in, visit, inner);
+      return;
+    }
+    if (node.type === 'with recursive') {
+      const inner = new Set([...ctes, node.alias.name]);
+      walk(node.bind, visit, inner);
+      walk(node.in, visit, inner);
+      return;
+    }
+    for (const [key, child] of Object.entries(node)) {
+      if (key !== '_location') walk(child, visit, ctes);
+    }
+  }
+}
+
+/**
+ * Text of the parsed statement. The parser's location ends before a trailing
+ * implicit alias ("FROM t x", "(SELECT 1) sub"), so the text runs on to the
+ * terminating semicolon; quoted identifiers are skipped whole, and trailing
+ * comments and whitespace are left out.
+ * @param {string} sql
+ * @param {{ start: number, end: number }} location
+ * @returns {string}
+ */
+function statementText(sql, { start, end }) {
+  let stop = end;
+  let i = end;
+  while (i < sql.length && sql[i] !== ';') {
+    if (sql.startsWith('--', i)) {
+      const newline = sql.indexOf('\n', i);
+      i = newline < 0 ? sql.length : newline + 1;
+    } else if (sql.startsWith('/*', i)) {
+      const close = sql.indexOf('*/', i + 2);
+      i = close < 0 ? sql.length : close + 2;
+    } else if (sql[i] === '"') {
+      // A doubled quote inside the identifier continues it
+      let close = sql.indexOf('"', i + 1);
+      while (close >= 0 && sql[close + 1] === '"') close = sql.indexOf('"', close + 2);
+      i = stop = close < 0 ? sql.length : close + 1;
+    } else {
+      if (!/\s/.test(sql[i])) stop = i + 1;
+      i += 1;
+    }
+  }
+  return sql.slice(start, stop);
+}
+
+/**
+ * Validate a datastore_search_sql query and bound its result size. The query
+ * is parsed (PostgreSQL grammar) and must be a single SELECT, WITH, UNION or
+ * VALUES statement that only reads resource tables (or its own CTEs), takes no
+ * row locks and calls no denied function. Queries without a literal LIMIT of at
+ * most `maxRows` are wrapped in `SELECT * FROM (...) LIMIT maxRows`.
+ * @param {string} sql
+ * @param {{ maxRows: number }} options
+ * @returns {{ sql: string, limit: number, tables: string[] }} The query to run, its row limit and the resource ids read
+ * @throws {SqlValidationError} Naming the rule the query breaks
+ */
+export function validateSql(sql, { maxRows }) {
+  let statements;
+  try {
+    statements = parse(sql, { locationTracking: true });
+  } catch (e) {
+    // nearley errors list the parser state after the position and the unexpected token
+    const lines = String(e.message).split('\n');
+    const detail = [lines[0], lines.find((l, i) => i > 0 && l.startsWith('Unexpected'))?.replace(/\. (Instead|I did not).*$/, '')];
+    throw new SqlValidationError('syntax', detail.filter(Boolean).join(' '));
+  }
+  if (statements.length !== 1) {
+    throw new SqlValidationError('single_statement', `expected one statement, got ${statements.length}`);
+  }
+  const [statement] = statements;
+  if (!READ_STATEMENTS.has(statement.type)) {
+    throw new SqlValidationError('read_only', `${statement.type.toUpperCase()} statements are not allowed`);
+  }
+
+  const tables = new Set();
+  walk(statement, (node, ctes) => {
+    if (WRITE_STATEMENTS.has(node.type)) {
+      throw new SqlValidationError('read_only', `${node.type.toUpperCase()} is not allowed, not even inside WITH`);
+    }
+    if (node.type === 'select' && node.for) {
+      throw new SqlValidationError('read_only', `row locks (FOR ${String(node.for.type).toUpperCase()}) are not allowed`);
+    }
+    if (node.type === 'table' && node.name && typeof node.name === 'object') {
+      const { name, schema } = node.name;
+      if (!schema && ctes.has(name)) return;
+      if ((schema && schema !== 'public') || !RESOURCE_ID.test(name)) {
+        throw new SqlValidationError(
+          'tables',
+          `"${schema ? `${schema}.` : ''}${name}" is not a datastore table; query tables named by their resource id`
+        );
+      }
+      tables.add(name);
+    }
+    if (node.type === 'call' && node.function) {
+      const { name, schema } = node.function;
+      if ((schema && schema !== 'pg_catalog') || DENIED_FUNCTIONS.test(name)) {
+        throw new SqlValidationError('functions', `function ${schema ? `${schema}.` : ''}${name}() is not allowed`);
+      }
+    }
+  });
+
+  const limit = statement.type === 'select' ? statement.limit?.limit : undefined;
+  const text = statementText(sql, statement._location);
+  if (limit?.type === 'integer' && limit.value <= maxRows) {
+    return { sql: text, limit: limit.value, tables: [...tables] };
+  }
+  // Line breaks keep a trailing "-- comment" from swallowing the closing parenthesis
+  return { sql: `SELECT * FROM (\n${text}\n) AS "_limited" LIMIT ${maxRows}`, limit: maxRows, tables: [...tables] };
+}
@@ -0,0 +1,320 @@
+import { Readable } from 'node:stream';
+import { createInflateRaw, inflateRawSync } from 'node:zlib';
+
+/**
+ * Minimal ZIP reader (stored and deflated entries), over an in-memory buffer for
+ * XLSX/ODS workbooks, which are ZIP containers of XML parts, and over an open
+ * file for resources published as ZIP archives, which may be too large to load.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const ZIP64_MARKER = 0xffffffff;
+// The end-of-central-directory record is 22 bytes plus an optional comment (<= 64 KiB)
+const EOCD_MAX_LENGTH = 22 + 0xffff;
+const READ_CHUNK_BYTES = 64 * 1024;
+
+/**
+ * @typedef {Object} ZipEntry
+ * @property {string} name Path inside the archive
+ * @property {number} method Compression method (0 = stored, 8 = deflate)
+ * @property {number} compressedSize
+ * @property {number} size Uncompressed size as declared by the archive
+ * @property {boolean} encrypted
+ * @property {boolean} directory
+ * @property {number} localOffset Offset of the local file header
+ */
+
+/**
+ * Whether a buffer starts with a ZIP local file header ("PK\x03\x04").
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+export function isZip(buffer) {
+  return buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_SIGNATURE;
+}
+
+/**
+ * Read the end-of-central-directory record from the end of an archive.
+ * @param {Buffer} tail - Last EOCD_MAX_LENGTH bytes of the archive (or all of it)
+ * @returns {{ count: number, size: number, offset: number }} Entry count, size and offset of the central directory
+ * @throws {Error} If there is no record or the archive uses ZIP64
+ */
+function readEndOfCentralDirectory(tail) {
+  for (let i = tail.length - 22; i >= 0; i -= 1) {
+    if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+      const offset = tail.readUInt32LE(i + 16);
+      if (offset === ZIP64_MARKER) throw new Error('ZIP64 archives are not supported');
+      return { count: tail.readUInt16LE(i + 10), size: tail.readUInt32LE(i + 12), offset };
+    }
+  }
+  throw new Error('Not a ZIP archive or archive is truncated (no central directory)');
+}
+
+/**
+ * List the entries of a ZIP archive from its central directory.
+ * @param {Buffer} buffer - Complete archive
+ * @returns {ZipEntry[]}
+ * @throws {Error} If the archive is truncated, corrupt or uses ZIP64
+ */
+export function listZipEntries(buffer) {
+  const { count, offset } = readEndOfCentralDirectory(buffer.subarray(-EOCD_MAX_LENGTH));
+  return parseCentralDirectory(buffer, offset, count);
+}
+
+/**
+ * Parse `count` central directory records starting at `offset`.
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @param {number} count
+ * @returns {ZipEntry[]}
+ * @throws {Error} If the directory is corrupt or uses ZIP64
+ */
+function parseCentralDirectory(buffer, offset, count) {
+  const entries = [];
+  for (let i = 0; i < count; i += 1) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    if (compressedSize === ZIP64_MARKER || size === ZIP64_MARKER || localOffset === ZIP64_MARKER) {
+      throw new Error('ZIP64 archives are not supported');
+    }
+    // Bit 11: file name is UTF-8; otherwise CP437, which matches latin1 for ASCII names
+    const name = buffer.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+    entries.push({
+      name,
+      method,
+      compressedSize,
+      size,
+      encrypted: (flags & 0x1) === 1,
+      directory: name.endsWith('/'),
+      localOffset,
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * Whether an entry name is safe to use as a relative path: no absolute paths,
+ * drive letters, backslashes, NUL bytes or ".." segments (path traversal, "zip slip").
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isSafeEntryName(name) {
+  if (!name || name.includes('\0') || name.includes('\\')) return false;
+  if (name.startsWith('/') || /^[a-z]:/i.test(name)) return false;
+  return !name.split('/').includes('..');
+}
+
+/**
+ * Declared compression ratio of an entry (uncompressed / compressed size).
+ * @param {ZipEntry} entry
+ * @returns {number}
+ */
+export function compressionRatio(entry) {
+  if (entry.size === 0) return 1;
+  return entry.compressedSize === 0 ? Infinity : entry.size / entry.compressedSize;
+}
+
+/**
+ * Check that an entry can be extracted.
+ * @param {ZipEntry} entry
+ * @param {number} maxRatio
+ * @throws {Error} If the entry is encrypted, uses an unsupported method or exceeds `maxRatio`
+ */
+function checkEntry(entry, maxRatio) {
+  if (entry.encrypted) throw new Error(`Encrypted ZIP entry: ${entry.name}`);
+  if (entry.method !== 0 && entry.method !== 8) {
+    throw new Error(`Unsupported ZIP compression method ${entry.method}: ${entry.name}`);
+  }
+  if (compressionRatio(entry) > maxRatio) {
+    throw new Error(`ZIP entry ${entry.name} has a suspicious compression ratio (over ${maxRatio}:1)`);
+  }
+}
+
+/**
+ * Archive offset of an entry's data, from its 30-byte local file header.
+ * @param {Buffer} header
+ * @param {ZipEntry} entry
+ * @returns {number}
+ */
+function dataOffset(header, entry) {
+  if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_SIGNATURE) {
+    throw new Error(`Corrupt ZIP local header: ${entry.name}`);
+  }
+  return entry.localOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+}
+
+/**
+ * Stored (compressed) data of an entry.
+ * @param {Buffer} buffer
+ * @param {ZipEntry} entry
+ * @param {number} maxRatio
+ * @returns {Buffer}
+ */
+function entryData(buffer, entry, maxRatio) {
+  checkEntry(entry, maxRatio);
+  const start = dataOffset(buffer.subarray(entry.localOffset, entry.localOffset + 30), entry);
+  return buffer.subarray(start, start + entry.compressedSize);
+}
+
+/**
+ * Inflate raw deflate data up to `maxBytes`. Input is consumed only as far as
+ * inflation gets, so an iterable source is not read to its end.
+ * @param {Iterable<Buffer>|AsyncIterable<Buffer>} data
+ * @param {number} maxBytes
+ * @returns {Promise<{ bytes: Buffer, truncated: boolean }>}
+ */
+async function inflatePrefix(data, maxBytes) {
+  const source = Readable.from(data);
+  const inflate = createInflateRaw();
+  source.on('error', (e) => inflate.destroy(e));
+  source.pipe(inflate);
+  const chunks = [];
+  let size = 0;
+  let truncated = false;
+  try {
+    for await (const chunk of inflate) {
+      chunks.push(chunk);
+      size += chunk.length;
+      if (size > maxBytes) {
+        truncated = true;
+        break;
+      }
+    }
+  } finally {
+    source.destroy();
+  }
+  return { bytes: Buffer.concat(chunks).subarray(0, maxBytes), truncated };
+}
+
+/**
+ * Extract one entry.
+ * @param {Buffer} buffer - Complete archive
+ * @param {ZipEntry} entry
+ * @param {{ maxBytes?: number, maxRatio?: number }} [options] - Refuse to inflate more than `maxBytes`,
+ *   or entries whose declared compression ratio exceeds `maxRatio` (zip bombs)
+ * @returns {Buffer}
+ * @throws {Error} If the entry is encrypted, uses an unsupported method or exceeds a limit
+ */
+export function readZipEntry(buffer, entry, { maxBytes = Infinity, maxRatio = Infinity } = {}) {
+  const data = entryData(buffer, entry, maxRatio);
+  if (entry.method === 0) {
+    if (data.length > maxBytes) throw new Error(`ZIP entry ${entry.name} exceeds ${maxBytes} bytes`);
+    return data;
+  }
+  try {
+    return inflateRawSync(data, Number.isFinite(maxBytes) ? { maxOutputLength: maxBytes } : {});
+  } catch (e) {
+    if (e.code === 'ERR_BUFFER_TOO_LARGE') throw new Error(`ZIP entry ${entry.name} exceeds ${maxBytes} bytes`);
+    throw e;
+  }
+}
+
+/**
+ * Extract the first `maxBytes` of an entry. Inflation stops at the limit, so the
+ * memory used is bounded whatever the entry claims to contain.
+ * @param {Buffer} buffer - Complete archive
+ * @param {ZipEntry} entry
+ * @param {{ maxBytes: number, maxRatio?: number }} options
+ * @returns {Promise<{ bytes: Buffer, truncated: boolean }>} `truncated` when the entry is larger than `maxBytes`
+ * @throws {Error} If the entry is encrypted, uses an unsupported method or exceeds `maxRatio`
+ */
+export async function readZipEntryPrefix(buffer, entry, { maxBytes, maxRatio = Infinity }) {
+  const data = entryData(buffer, entry, maxRatio);
+  if (entry.method === 0) return { bytes: data.subarray(0, maxBytes), truncated: data.length > maxBytes };
+  return inflatePrefix([data], maxBytes);
+}
+
+/**
+ * Read up to `length` bytes of an open file at `position`.
+ * @param {import('node:fs/promises').FileHandle} file
+ * @param {number} position
+ * @param {number} length
+ * @returns {Promise<Buffer>} Shorter than `length` at the end of the file
+ */
+async function readAt(file, position, length) {
+  const { buffer, bytesRead } = await file.read(Buffer.alloc(length), 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Whether an open file starts with a ZIP local file header.
+ * @param {import('node:fs/promises').FileHandle} file
+ * @returns {Promise<boolean>}
+ */
+export async function isZipFile(file) {
+  return isZip(await readAt(file, 0, 4));
+}
+
+/**
+ * List the entries of a ZIP archive file, reading only its end-of-central-directory
+ * record and central directory.
+ * @param {import('node:fs/promises').FileHandle} file
+ * @returns {Promise<ZipEntry[]>}
+ * @throws {Error} If the archive is truncated, corrupt or uses ZIP64
+ */
+export async function listZipFileEntries(file) {
+  const { size } = await file.stat();
+  const tailLength = Math.min(size, EOCD_MAX_LENGTH);
+  const { count, size: directorySize, offset } = readEndOfCentralDirectory(await readAt(file, size - tailLength, tailLength));
+  if (offset + directorySize > size) throw new Error('Corrupt ZIP central directory');
+  return parseCentralDirectory(await readAt(file, offset, directorySize), 0, count);
+}
+
+/**
+ * Extract the first `maxBytes` of an entry of a ZIP archive file. Only the local
+ * header and as much entry data as inflation needs are read.
+ * @param {import('node:fs/promises').FileHandle} file
+ * @param {ZipEntry} entry
+ * @param {{ maxBytes: number, maxRatio?: number }} options
+ * @returns {Promise<{ bytes: Buffer, truncated: boolean }>} `truncated` when the entry is larger than `maxBytes`
+ * @throws {Error} If the entry is encrypted, uses an unsupported method or exceeds `maxRatio`
+ */
+export async function readZipFileEntryPrefix(file, entry, { maxBytes, maxRatio = Infinity }) {
+  checkEntry(entry, maxRatio);
+  const start = dataOffset(await readAt(file, entry.localOffset, 30), entry);
+  if (entry.method === 0) {
+    const bytes = await readAt(file, start, Math.min(entry.compressedSize, maxBytes));
+    return { bytes, truncated: entry.compressedSize > maxBytes };
+  }
+  return inflatePrefix(readChunks(file, start, entry.compressedSize), maxBytes);
+}
+
+/**
+ * Read `length` bytes of an open file from `position` in chunks.
+ * @param {import('node:fs/promises').FileHandle} file
+ * @param {number} position
+ * @param {number} length
+ * @returns {AsyncGenerator<Buffer>}
+ */
+async function* readChunks(file, position, length) {
+  for (let done = 0; done < length; done += READ_CHUNK_BYTES) {
+    const chunk = await readAt(file, position + done, Math.min(READ_CHUNK_BYTES, length - done));
+    if (!chunk.length) return;
+    yield chunk;
+  }
+}
+
+/**
+ * Read an entry by name as UTF-8 text.
+ * @param {Buffer} buffer
+ * @param {ZipEntry[]} entries
+ * @param {string} name
+ * @param {{ maxBytes?: number }} [options]
+ * @returns {string|undefined} Undefined when the entry does not exist
+ */
+export function readZipText(buffer, entries, name, options) {
+  const entry = entries.find((e) => e.name === name);
+  return entry ? readZipEntry(buffer, entry, options).toString('utf8') : undefined;
+}
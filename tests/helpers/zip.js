@@ -0,0 +1,46 @@
+import { deflateRawSync } from 'node:zlib';
+
+/**
+ * Build a ZIP archive for tests. Entries are deflated unless `stored` is set;
+ * `size` overrides the declared uncompressed size (to fake zip bombs).
+ * @param {Record<string, string|Buffer|{ content: string|Buffer, stored?: boolean, size?: number }>} files
+ * @returns {Buffer}
+ */
+export function buildZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, spec] of Object.entries(files)) {
+    const { content, stored = false, size } = typeof spec === 'object' && !Buffer.isBuffer(spec) ? spec : { content: spec };
+    const nameBytes = Buffer.from(name);
+    const raw = Buffer.from(content);
+    const data = stored ? raw : deflateRawSync(raw);
+    const method = stored ? 0 : 8;
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(0x800, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(size ?? raw.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(0x800, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(size ?? raw.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBytes, data);
+    centrals.push(central, nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(Object.keys(files).length, 8);
+  eocd.writeUInt16LE(Object.keys(files).length, 10);
+  eocd.writeUInt32LE(directory.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, eocd]);
+}
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import {
+  cacheKey,
+  createDiskStore,
+  createMemoryStore,
+  createResponseCache,
+  parseTtlOverrides,
+} from '../../src/api/cache.js';
+
+describe('response cache', () => {
+  it('builds keys independent of param order and empty values', () => {
+    expect(cacheKey('group_list', { b: 1, a: 2, c: undefined })).toBe(
+      cacheKey('group_list', { a: 2, b: 1 })
+    );
+    expect(cacheKey('group_list', { a: 1 })).not.toBe(cacheKey('tag_list', { a: 1 }));
+  });
+
+  it('parses TTL overrides', () => {
+    expect(parseTtlOverrides('license_list=60, package_show=0,bad=x')).toEqual({
+      license_list: 60,
+      package_show: 0,
+    });
+  });
+
+  it('evicts the least recently used entry', async () => {
+    const store = createMemoryStore({ maxEntries: 2 });
+    await store.set('a', { value: 1 });
+    await store.set('b', { value: 2 });
+    await store.get('a');
+    await store.set('c', { value: 3 });
+    expect(await store.get('b')).toBeUndefined();
+    expect(await store.get('a')).toEqual({ value: 1 });
+    expect(await store.size()).toBe(2);
+  });
+
+  it('expires entries by per-action TTL and refreshes on revalidation', async () => {
+    let now = 0;
+    const cache = createResponseCache({
+      stores: [createMemoryStore()],
+      ttls: { license_list: 10 },
+      now: () => now,
+    });
+    expect(cache.ttlFor('package_search')).toBe(0);
+
+    const key = cacheKey('license_list');
+    await cache.store(key, 'license_list', { result: [] }, { etag: '"v1"' });
+    expect((await cache.lookup(key)).fresh).toBe(true);
+
+    now = 11_000;
+    const stale = await cache.lookup(key);
+    expect(stale.fresh).toBe(false);
+    expect(stale.etag).toBe('"v1"');
+
+    await cache.refresh(key, 'license_list', stale);
+    expect((await cache.lookup(key)).fresh).toBe(true);
+
+    const stats = await cache.stats();
+    expect(stats).toMatchObject({ hits: 2, stale: 1, revalidated: 1, writes: 1, entries: [1] });
+  });
+
+  it('clears entries per action', async () => {
+    const cache = createResponseCache({ stores: [createMemoryStore()] });
+    await cache.store(cacheKey('group_list'), 'group_list', 1);
+    await cache.store(cacheKey('tag_list'), 'tag_list', 2);
+    expect(await cache.clear('group_list')).toBe(1);
+    expect(await cache.lookup(cacheKey('tag_list'))).toBeDefined();
+    expect(await cache.clear()).toBe(1);
+  });
+
+  it('persists entries on disk and promotes them to memory', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'ckan-cache-'));
+    try {
+      const disk = createDiskStore({ dir, maxEntries: 1 });
+      const warm = createResponseCache({ stores: [createMemoryStore(), disk] });
+      await warm.store(cacheKey('license_list'), 'license_list', { result: ['cc-by'] });
+
+      const memory = createMemoryStore();
+      const cold = createResponseCache({ stores: [memory, disk] });
+      const hit = await cold.lookup(cacheKey('license_list'));
+      expect(hit.value).toEqual({ result: ['cc-by'] });
+      expect(await memory.size()).toBe(1);
+
+      await disk.set(cacheKey('group_list'), { value: 2, expires: 0 });
+      expect(await disk.size()).toBe(1);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createServer } from 'node:http';
+
+import { packageSearchFederated } from '../../src/api/ckan-client.js';
+import { CONFIG } from '../../src/config.js';
+
+// Minimal CKAN portal answering package_search, or failing with 404
+function portalServer(datasets) {
+  return createServer((req, res) => {
+    res.setHeader('content-type', 'application/json');
+    if (!datasets) {
+      res.writeHead(404);
+      res.end(JSON.stringify({ success: false, error: { message: 'Not found' } }));
+      return;
+    }
+    res.end(JSON.stringify({ success: true, result: { count: datasets.length, results: datasets } }));
+  });
+}
+
+describe('packageSearchFederated', () => {
+  const servers = [];
+  const saved = CONFIG.PORTALS;
+
+  beforeAll(async () => {
+    const portals = { ...saved };
+    for (const [name, datasets] of [
+      ['up', [{ id: 'a' }, { id: 'b' }]],
+      ['down', null],
+      ['gone', null],
+    ]) {
+      const server = portalServer(datasets);
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      servers.push(server);
+      portals[name] = { title: name, baseUrl: `http://127.0.0.1:${server.address().port}/api/3/action` };
+    }
+    CONFIG.PORTALS = portals;
+  });
+
+  afterAll(async () => {
+    CONFIG.PORTALS = saved;
+    await Promise.all(servers.map((server) => new Promise((resolve) => server.close(resolve))));
+  });
+
+  it('reports failing portals next to the results of the others', async () => {
+    const { success, result } = await packageSearchFederated({ q: 'wasser' }, ['up', 'down']);
+    expect(success).toBe(true);
+    expect(result).toMatchObject({ count: 2, counts: { up: 2 }, errors: { down: expect.stringContaining('404') } });
+    expect(result.results.map((ds) => [ds.id, ds.source_portal.name])).toEqual([
+      ['a', 'up'],
+      ['b', 'up'],
+    ]);
+  });
+
+  it('fails with the error of each portal when all of them fail', async () => {
+    const search = packageSearchFederated({ q: 'wasser' }, ['down', 'gone']);
+    await expect(search).rejects.toThrow(/All portals failed \(down: .*404.*; gone: .*404/s);
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createServer } from 'node:http';
+
+import { checkLink } from '../../src/api/ckan-client.js';
+
+describe('checkLink', () => {
+  const requests = [];
+  let server;
+  let base;
+
+  beforeAll(async () => {
+    server = createServer((req, res) => {
+      requests.push(`${req.method} ${req.url}${req.headers.range ? ` ${req.headers.range}` : ''}`);
+      if (req.url === '/data.csv') {
+        res.writeHead(200, { 'content-type': 'text/csv; charset=utf-8', 'content-length': '100' });
+        res.end(req.method === 'GET' ? 'x'.repeat(100) : undefined);
+      } else if (req.url === '/old') {
+        res.writeHead(301, { location: '/moved' });
+        res.end();
+      } else if (req.url === '/moved') {
+        res.writeHead(302, { location: `${base}/data.csv` });
+        res.end();
+      } else if (req.url === '/no-head') {
+        if (req.method === 'HEAD') {
+          res.writeHead(405);
+          res.end();
+        } else {
+          res.writeHead(206, { 'content-type': 'application/json', 'content-range': 'bytes 0-0/5000' });
+          res.end('[');
+        }
+      } else if (req.url === '/loop') {
+        res.writeHead(302, { location: '/loop' });
+        res.end();
+      } else {
+        res.writeHead(404, { 'content-type': 'text/html' });
+        res.end();
+      }
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('follows redirects with HEAD and records the chain', async () => {
+    const check = await checkLink(`${base}/old`);
+    expect(check).toMatchObject({
+      ok: true,
+      status: 200,
+      method: 'HEAD',
+      redirects: [
+        { url: `${base}/old`, status: 301 },
+        { url: `${base}/moved`, status: 302 },
+      ],
+      final_url: `${base}/data.csv`,
+      content_type: 'text/csv; charset=utf-8',
+      content_length: 100,
+      cached: false,
+    });
+    expect(check.latency_ms).toBeGreaterThanOrEqual(0);
+    expect(requests).toEqual(['HEAD /old', 'HEAD /moved', 'HEAD /data.csv']);
+  });
+
+  it('falls back to a ranged GET when HEAD fails', async () => {
+    requests.length = 0;
+    const check = await checkLink(`${base}/no-head`);
+    expect(check).toMatchObject({ ok: true, status: 206, method: 'GET', content_length: 5000 });
+    expect(requests).toEqual(['HEAD /no-head', 'GET /no-head bytes=0-0']);
+
+    const missing = await checkLink(`${base}/missing`);
+    expect(missing).toMatchObject({ ok: false, status: 404, method: 'GET' });
+  });
+
+  it('serves repeated checks from the cache unless forced', async () => {
+    requests.length = 0;
+    expect(await checkLink(`${base}/old`)).toMatchObject({ ok: true, cached: true });
+    expect(requests).toEqual([]);
+    expect(await checkLink(`${base}/old`, { force: true })).toMatchObject({ ok: true, cached: false });
+    expect(requests).toHaveLength(3);
+  });
+
+  it('reports redirect loops and unreachable hosts as errors', async () => {
+    const loop = await checkLink(`${base}/loop`);
+    expect(loop).toMatchObject({ ok: false, status: null, error: 'More than 10 redirects' });
+
+    const closed = createServer();
+    await new Promise((resolve) => closed.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${closed.address().port}/gone`;
+    await new Promise((resolve) => closed.close(resolve));
+    const gone = await checkLink(url);
+    expect(gone).toMatchObject({ ok: false, status: null, method: 'GET', final_url: url });
+    expect(gone.error).toBeTruthy();
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  CircuitOpenError,
+  backoffDelay,
+  createCircuitBreaker,
+  isRetryableError,
+  parseRetryAfter,
+  withRetry,
+} from '../../src/api/resilience.js';
+
+// Shape of a ky HTTPError
+function httpError(status, headers = {}) {
+  const e = new Error(`HTTP ${status}`);
+  e.name = 'HTTPError';
+  e.response = { status, headers: new Headers(headers) };
+  return e;
+}
+
+describe('retry', () => {
+  it('classifies transient errors', () => {
+    expect(isRetryableError(httpError(502))).toBe(true);
+    expect(isRetryableError(httpError(429))).toBe(true);
+    expect(isRetryableError(httpError(404))).toBe(false);
+    expect(isRetryableError(Object.assign(new Error('t'), { name: 'TimeoutError' }))).toBe(true);
+  });
+
+  it('parses Retry-After seconds and dates', () => {
+    expect(parseRetryAfter('3')).toBe(3000);
+    expect(parseRetryAfter(new Date(10_000).toUTCString(), 4_000)).toBe(6000);
+    expect(parseRetryAfter('soon')).toBeUndefined();
+  });
+
+  it('caps jittered backoff', () => {
+    expect(backoffDelay(0, { baseMs: 100, maxMs: 1000, random: () => 0.999 })).toBe(99);
+    expect(backoffDelay(10, { baseMs: 100, maxMs: 1000, random: () => 0.5 })).toBe(500);
+  });
+
+  it('retries transient failures and honours Retry-After', async () => {
+    const sleep = vi.fn(async () => {});
+    const fn = vi
+      .fn()
+      .mockRejectedValueOnce(httpError(504))
+      .mockRejectedValueOnce(httpError(429, { 'retry-after': '2' }))
+      .mockResolvedValueOnce('ok');
+    const res = await withRetry(fn, {
+      retries: 3,
+      baseMs: 100,
+      maxMs: 1000,
+      deadlineMs: 10_000,
+      sleep,
+      random: () => 0.5,
+    });
+    expect(res).toBe('ok');
+    expect(fn).toHaveBeenCalledTimes(3);
+    expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([50, 2000]);
+  });
+
+  it('does not retry non-transient errors', async () => {
+    const fn = vi.fn().mockRejectedValue(httpError(404));
+    await expect(
+      withRetry(fn, { retries: 3, baseMs: 1, maxMs: 1, deadlineMs: 1000, sleep: async () => {} })
+    ).rejects.toThrow('HTTP 404');
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it('gives up when the next wait would pass the deadline', async () => {
+    const fn = vi.fn().mockRejectedValue(httpError(503, { 'retry-after': '30' }));
+    await expect(
+      withRetry(fn, { retries: 5, baseMs: 1, maxMs: 1, deadlineMs: 5000, sleep: async () => {} })
+    ).rejects.toThrow('HTTP 503');
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('circuit breaker', () => {
+  it('opens after repeated transient failures and half-opens after the cooldown', () => {
+    let now = 0;
+    const breaker = createCircuitBreaker({ failureThreshold: 2, cooldownMs: 1000, now: () => now });
+
+    breaker.before('ckan');
+    breaker.failure('ckan', httpError(502));
+    breaker.failure('ckan', httpError(502));
+    expect(breaker.state().ckan).toMatchObject({ state: 'open', failures: 2, lastError: 'HTTP 502' });
+    expect(() => breaker.before('ckan')).toThrow(CircuitOpenError);
+
+    now = 1000;
+    breaker.before('ckan');
+    expect(breaker.state().ckan.state).toBe('half-open');
+    breaker.failure('ckan', httpError(504));
+    expect(breaker.state().ckan.state).toBe('open');
+
+    now = 2000;
+    breaker.before('ckan');
+    breaker.success('ckan');
+    expect(breaker.state().ckan).toEqual({ state: 'closed', failures: 0 });
+  });
+
+  it('does not count client errors', () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 1000 });
+    breaker.failure('ckan', httpError(404));
+    expect(breaker.state().ckan.state).toBe('closed');
+  });
+});
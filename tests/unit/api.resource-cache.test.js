@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { createHash } from 'node:crypto';
+import { createServer } from 'node:http';
+import { mkdtemp, readFile, readdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+// The client creates its resource store from the environment when it is imported
+const cacheDir = await vi.hoisted(async () => {
+  const fs = await import('node:fs/promises');
+  const os = await import('node:os');
+  const p = await import('node:path');
+  const dir = await fs.mkdtemp(p.join(os.tmpdir(), 'resource-cache-'));
+  process.env.RESOURCE_CACHE_DIR = dir;
+  return dir;
+});
+
+import { createResourceStore, parseChecksum, resourceKey } from '../../src/api/resource-cache.js';
+import { downloadResourceFile } from '../../src/api/ckan-client.js';
+
+const sha = (algorithm, data) => createHash(algorithm).update(data).digest('hex');
+
+describe('resource store', () => {
+  it('parses CKAN hashes', () => {
+    const md5 = sha('md5', 'x');
+    expect(parseChecksum(md5)).toEqual({ algorithm: 'md5', digest: md5 });
+    expect(parseChecksum(`SHA256:${sha('sha256', 'x').toUpperCase()}`)).toEqual({
+      algorithm: 'sha256',
+      digest: sha('sha256', 'x'),
+    });
+    expect(parseChecksum('md5:abc')).toBeUndefined();
+    expect(parseChecksum('')).toBeUndefined();
+    expect(parseChecksum('not a hash')).toBeUndefined();
+  });
+
+  it('keys resources by URL and version', () => {
+    const base = { url: 'https://x/a.csv', last_modified: '2024-01-01' };
+    expect(resourceKey(base)).not.toBe(resourceKey({ ...base, last_modified: '2024-02-01' }));
+    expect(resourceKey({ ...base, hash: 'abc' })).toBe(resourceKey({ ...base, hash: 'abc', last_modified: 'other' }));
+  });
+
+  it('stores identical content once and evicts the least recently used files', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'resource-store-'));
+    try {
+      const store = createResourceStore({ dir, maxBytes: 10 });
+      const put = async (key, content) => {
+        const file = await store.tempFile();
+        await writeFile(file, content);
+        return store.put(key, file, { sha256: sha('sha256', content), size: content.length, url: key });
+      };
+      const a = await put('a', '123456');
+      const b = await put('b', '123456');
+      expect(b.path).toBe(a.path);
+      expect(await store.stats()).toEqual({ entries: 2, files: 1, bytes: 6 });
+
+      await put('c', 'abcdef');
+      expect(await store.get('a')).toBeUndefined();
+      expect(await store.get('b')).toBeUndefined();
+      expect(await readFile((await store.get('c')).path, 'utf8')).toBe('abcdef');
+      expect(await readdir(path.join(dir, 'tmp'))).toEqual([]);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('downloadResourceFile', () => {
+  const body = 'id,name\n1,Aarau\n';
+  let server;
+  let base;
+  let requests = 0;
+
+  beforeAll(async () => {
+    server = createServer((req, res) => {
+      requests += 1;
+      if (req.url === '/declared-large') {
+        res.writeHead(200, { 'content-length': '1000000' });
+        res.end();
+      } else if (req.url === '/chunked-large') {
+        res.writeHead(200, { 'content-type': 'text/plain' });
+        for (let i = 0; i < 10; i += 1) res.write('x'.repeat(1000));
+        res.end();
+      } else {
+        res.writeHead(200, { 'content-type': 'text/csv' });
+        res.end(body);
+      }
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await rm(cacheDir, { recursive: true, force: true });
+  });
+
+  it('streams to the cache, verifies the hash and reuses the file', async () => {
+    const resource = { url: `${base}/data.csv`, hash: sha('md5', body) };
+    const first = await downloadResourceFile(resource, { maxBytes: 1000 });
+    expect(first).toMatchObject({
+      cached: false,
+      size: body.length,
+      sha256: sha('sha256', body),
+      content_type: 'text/csv',
+      checksum: { algorithm: 'md5', verified: true },
+    });
+    expect(first.path.startsWith(cacheDir)).toBe(true);
+    expect(await readFile(first.path, 'utf8')).toBe(body);
+
+    const before = requests;
+    const second = await downloadResourceFile(resource, { maxBytes: 1000 });
+    expect(second).toMatchObject({ cached: true, path: first.path });
+    expect(requests).toBe(before);
+  });
+
+  it('rejects files that do not match the CKAN hash', async () => {
+    const resource = { url: `${base}/other.csv`, hash: `sha256:${sha('sha256', 'different')}` };
+    await expect(downloadResourceFile(resource, { maxBytes: 1000 })).rejects.toThrow(/Checksum mismatch/);
+    const unchecked = await downloadResourceFile(resource, { maxBytes: 1000, verify: false });
+    expect(unchecked.checksum).toMatchObject({ algorithm: 'sha256', verified: false });
+  });
+
+  it('aborts downloads over the size limit', async () => {
+    await expect(downloadResourceFile({ url: `${base}/declared-large` }, { maxBytes: 1000 })).rejects.toThrow(
+      /1000000 > 1000/
+    );
+    await expect(downloadResourceFile({ url: `${base}/chunked-large` }, { maxBytes: 5000 })).rejects.toThrow(
+      /maximum allowed size/
+    );
+    expect(await readdir(path.join(cacheDir, 'tmp'))).toEqual([]);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect, vi } from 'vitest';
+
+// Mock CKAN client used by the completion sources
+vi.mock('../../src/api/ckan-client.js', () => ({
+  packageAutocomplete: vi.fn(async (q) => ({
+    success: true,
+    result: [{ name: `${q}-dataset` }, { name: `${q}-other` }],
+  })),
+  tagAutocomplete: vi.fn(async (q) => ({ success: true, result: [{ name: `${q}tag` }] })),
+  organizationList: vi.fn(async () => ({
+    success: true,
+    result: ['bundesamt-fur-statistik-bfs', 'stadt-zurich', 'kanton-zurich'],
+  })),
+  groupList: vi.fn(async () => ({ success: true, result: ['educ', 'econ'] })),
+}));
+
+import { complete } from '../../src/completions/identifiers.js';
+import {
+  packageAutocomplete,
+  organizationList,
+  groupList,
+} from '../../src/api/ckan-client.js';
+
+describe('identifier completion', () => {
+  it('completes dataset template variables via package_autocomplete', async () => {
+    const res = await complete(
+      { type: 'ref/resource', uri: 'opendata://dataset/{name}' },
+      { name: 'name', value: 'air' }
+    );
+    expect(res.values).toEqual(['air-dataset', 'air-other']);
+    expect(packageAutocomplete).toHaveBeenCalledWith('air', 100);
+  });
+
+  it('ranks organization prefix matches before substring matches and caches the list', async () => {
+    const ref = { type: 'ref/prompt', name: 'dataset_freshness_report' };
+    const res = await complete(ref, { name: 'organization', value: 'zur' });
+    expect(res.values).toEqual(['stadt-zurich', 'kanton-zurich']);
+
+    const prefixed = await complete(ref, { name: 'organization', value: 'kan' });
+    expect(prefixed.values).toEqual(['kanton-zurich']);
+    expect(organizationList).toHaveBeenCalledTimes(1);
+  });
+
+  it('completes only the last item of comma-separated prompt arguments', async () => {
+    const res = await complete(
+      { type: 'ref/prompt', name: 'compare_organizations' },
+      { name: 'organizations', value: 'stadt-zurich, kan' }
+    );
+    expect(res.values).toEqual(['stadt-zurich, kanton-zurich']);
+  });
+
+  it('completes group template variables from group_list', async () => {
+    const res = await complete(
+      { type: 'ref/resource', uri: 'opendata://group/{name}' },
+      { name: 'name', value: 'e' }
+    );
+    expect(res.values).toEqual(['educ', 'econ']);
+    expect(groupList).toHaveBeenCalled();
+  });
+
+  it('returns no values for unknown arguments', async () => {
+    const res = await complete(
+      { type: 'ref/prompt', name: 'explore_resource' },
+      { name: 'resource_id', value: 'x' }
+    );
+    expect(res).toEqual({ values: [], total: 0, hasMore: false });
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { validateDataset } from '../../src/formats/dcat-validation.js';
+
+const all = (text) => ({ de: `${text} DE`, fr: `${text} FR`, it: `${text} IT`, en: `${text} EN` });
+
+// A dataset that satisfies every rule
+const valid = {
+  id: 'a1',
+  name: 'bevoelkerung',
+  identifier: 'px-1@bfs',
+  organization: { name: 'bfs' },
+  title: all('Title'),
+  description: all('Description'),
+  publisher: '{"name": "BFS", "url": "https://www.bfs.admin.ch"}',
+  contact_points: [{ name: 'Info', email: 'info@bfs.admin.ch' }],
+  issued: '2020-01-01T00:00:00',
+  modified: '2024-01-01T00:00:00',
+  accrual_periodicity: 'http://publications.europa.eu/resource/authority/frequency/ANNUAL',
+  keywords: { de: ['a'], fr: [], it: [], en: [] },
+  groups: [{ name: 'popu' }],
+  language: ['de', 'fr'],
+  url: 'https://www.bfs.admin.ch',
+  temporals: [{ start_date: '2010-01-01', end_date: '2020-12-31' }],
+  resources: [
+    {
+      id: 'r1',
+      title: all('CSV'),
+      url: 'https://www.bfs.admin.ch/a.csv',
+      issued: '2020-01-01T00:00:00',
+      rights: 'NonCommercialAllowed-CommercialAllowed-ReferenceRequired',
+      format: 'CSV',
+      media_type: 'text/csv',
+    },
+  ],
+};
+
+const failed = (report) => report.checks.filter((c) => !c.passed).map((c) => c.rule);
+
+describe('DCAT-AP CH validation', () => {
+  it('passes a complete dataset with a full score', () => {
+    const report = validateDataset(valid);
+    expect(failed(report)).toEqual([]);
+    expect(report).toMatchObject({ score: 100, conformant: true, errors: 0, warnings: 0 });
+    expect(report.checks.find((c) => c.rule === 'format')).toMatchObject({ resource_id: 'r1', severity: 'warning' });
+  });
+
+  it('reports missing languages, bad URIs and invalid emails with their severity', () => {
+    const report = validateDataset({
+      ...valid,
+      title: { de: 'Titel', fr: 'Titre', it: '', en: '' },
+      accrual_periodicity: 'http://purl.org/cld/freq/annual',
+      contact_points: [{ name: 'Info', email: 'not-an-email' }],
+      identifier: 'px-1@other',
+      temporals: [{ start_date: '2021-01-01', end_date: '2020-01-01' }],
+    });
+    expect(failed(report)).toEqual(['identifier_format', 'title_languages', 'contact_point', 'accrual_periodicity', 'temporal']);
+    const byRule = Object.fromEntries(report.checks.map((c) => [c.rule, c]));
+    expect(byRule.title_languages).toMatchObject({ severity: 'warning', message: 'Title in all four languages: missing in it, en' });
+    expect(byRule.accrual_periodicity.severity).toBe('error');
+    expect(byRule.accrual_periodicity.message).toContain('DCAT-AP CH 1 frequency');
+    expect(byRule.contact_point.message).toContain('"not-an-email"');
+    expect(report).toMatchObject({ conformant: false, errors: 3, warnings: 2 });
+    expect(report.score).toBeLessThan(100);
+  });
+
+  it('checks every resource for license, format and media type', () => {
+    const report = validateDataset({
+      ...valid,
+      resources: [valid.resources[0], { id: 'r2', url: 'ftp://x', issued: '2020-01-01', media_type: 'CSV' }],
+    });
+    expect(report.checks.filter((c) => !c.passed).map((c) => `${c.rule}:${c.resource_id}`)).toEqual([
+      'access_url:r2',
+      'license:r2',
+      'format:r2',
+      'media_type:r2',
+      'distribution_title:r2',
+    ]);
+    // A dataset license covers resources without their own
+    const licensed = validateDataset({ ...valid, license_id: 'cc-by', resources: [{ ...valid.resources[0], rights: '' }] });
+    expect(failed(licensed)).toEqual([]);
+  });
+
+  it('scores a bare dataset low', () => {
+    const report = validateDataset({ id: 'x', name: 'x' });
+    expect(report.conformant).toBe(false);
+    expect(failed(report)).toEqual(expect.arrayContaining(['identifier', 'title', 'publisher', 'contact_point', 'distributions']));
+    expect(report.score).toBeLessThan(30);
+  });
+});
@@ -0,0 +1,153 @@
+import { describe, it, expect } from 'vitest';
+import { catalogGraph, datasetGraph } from '../../src/formats/dcat.js';
+import { createGraph, iri, literal, serializeRdf } from '../../src/formats/rdf.js';
+
+const SITE = 'https://opendata.swiss';
+const DATASET = `${SITE}/perma/px-x-0102%40bundesamt-fur-statistik-bfs`;
+
+// Shape of an opendata.swiss package_show result (ckanext-switzerland)
+const pkg = {
+  id: 'a1b2',
+  name: 'bevoelkerung',
+  identifier: 'px-x-0102@bundesamt-fur-statistik-bfs',
+  title: { de: 'Bevölkerung', fr: 'Population', it: '', en: '' },
+  description: { de: 'Ständige Wohnbevölkerung', fr: '', it: '', en: '' },
+  issued: '2020-01-01T00:00:00',
+  modified: '2024-03-05',
+  publisher: '{"name": "Bundesamt für Statistik", "url": "https://www.bfs.admin.ch"}',
+  organization: { name: 'bundesamt-fur-statistik-bfs', title: '{"de": "BFS"}' },
+  contact_points: [{ name: 'Info BFS', email: 'info@bfs.admin.ch' }],
+  groups: [{ name: 'popu' }],
+  keywords: { de: ['bevoelkerung'], fr: ['population'], it: [], en: [] },
+  language: ['de', 'fr'],
+  url: 'https://www.bfs.admin.ch/pop',
+  temporals: [{ start_date: '2010-01-01', end_date: '2023-12-31' }],
+  spatial: 'Schweiz',
+  accrual_periodicity: 'http://publications.europa.eu/resource/authority/frequency/ANNUAL',
+  resources: [
+    {
+      id: 'r1',
+      title: { de: 'Tabelle', fr: 'Tableau', it: '', en: '' },
+      url: 'https://www.bfs.admin.ch/a.csv',
+      download_url: 'https://www.bfs.admin.ch/a.csv',
+      format: 'CSV',
+      media_type: 'text/csv',
+      byte_size: 1234,
+      rights: 'NonCommercialAllowed-CommercialAllowed-ReferenceRequired',
+    },
+  ],
+};
+
+/** Objects of a subject/predicate in a graph, as strings. */
+function objects(graph, subject, predicate) {
+  const p = iri(predicate).value;
+  return graph.triples
+    .filter(([s, pr]) => s.value === subject && pr.value === p)
+    .map(([, , o]) => (o.language ? `${o.value}@${o.language}` : o.value));
+}
+
+describe('DCAT-AP CH mapping', () => {
+  it('maps dataset metadata, keeping every language', () => {
+    const graph = datasetGraph(pkg, { siteUrl: SITE });
+    expect(objects(graph, DATASET, 'rdf:type')).toEqual([iri('dcat:Dataset').value]);
+    expect(objects(graph, DATASET, 'dct:identifier')).toEqual(['px-x-0102@bundesamt-fur-statistik-bfs']);
+    expect(objects(graph, DATASET, 'dct:title')).toEqual(['Bevölkerung@de', 'Population@fr']);
+    expect(objects(graph, DATASET, 'dcat:keyword')).toEqual(['bevoelkerung@de', 'population@fr']);
+    expect(objects(graph, DATASET, 'dcat:theme')).toEqual(['http://opendata.swiss/themes/popu']);
+    expect(objects(graph, DATASET, 'dct:modified')).toEqual(['2024-03-05']);
+    expect(graph.triples.find(([s, p]) => s.value === DATASET && p.value.endsWith('modified'))[2].datatype).toBe(
+      iri('xsd:date').value
+    );
+
+    expect(objects(graph, DATASET, 'dct:publisher')).toEqual(['https://www.bfs.admin.ch']);
+    expect(objects(graph, 'https://www.bfs.admin.ch', 'foaf:name')).toEqual(['Bundesamt für Statistik']);
+    const [contact] = objects(graph, DATASET, 'dcat:contactPoint');
+    expect(objects(graph, contact, 'vcard:hasEmail')).toEqual(['mailto:info@bfs.admin.ch']);
+    const [period] = objects(graph, DATASET, 'dct:temporal');
+    expect(objects(graph, period, 'dcat:startDate')).toEqual(['2010-01-01']);
+    expect(objects(graph, period, 'dcat:endDate')).toEqual(['2023-12-31']);
+  });
+
+  it('maps resources to distributions', () => {
+    const graph = datasetGraph(pkg, { siteUrl: SITE });
+    const [distribution] = objects(graph, DATASET, 'dcat:distribution');
+    expect(distribution).toBe(`${DATASET}/resource/r1`);
+    expect(objects(graph, distribution, 'dcat:accessURL')).toEqual(['https://www.bfs.admin.ch/a.csv']);
+    expect(objects(graph, distribution, 'dct:format')).toEqual([
+      'http://publications.europa.eu/resource/authority/file-type/CSV',
+    ]);
+    expect(objects(graph, distribution, 'dcat:mediaType')).toEqual([
+      'https://www.iana.org/assignments/media-types/text/csv',
+    ]);
+    expect(objects(graph, distribution, 'dcat:byteSize')).toEqual(['1234']);
+  });
+
+  it('falls back to generic CKAN fields and builds catalogs', () => {
+    const generic = {
+      id: 'x1',
+      name: 'generic',
+      title: 'Generic',
+      notes: 'Plain CKAN',
+      organization: { name: 'stadt-zuerich', title: 'Stadt Zürich' },
+      maintainer: 'OGD',
+      maintainer_email: 'ogd@example.org',
+      tags: [{ name: 'velo' }],
+      resources: [],
+    };
+    const graph = catalogGraph([generic, { ...generic, id: 'x2', name: 'other' }], { siteUrl: SITE, title: 'Portal' });
+    expect(objects(graph, `${SITE}/`, 'dcat:dataset')).toEqual([`${SITE}/dataset/generic`, `${SITE}/dataset/other`]);
+    expect(objects(graph, `${SITE}/dataset/generic`, 'dct:description')).toEqual(['Plain CKAN']);
+    expect(objects(graph, `${SITE}/dataset/generic`, 'dcat:keyword')).toEqual(['velo']);
+    // The shared publisher is described once
+    expect(objects(graph, `${SITE}/organization/stadt-zuerich`, 'foaf:name')).toEqual(['Stadt Zürich']);
+  });
+});
+
+describe('RDF serializers', () => {
+  const graph = createGraph();
+  const s = iri('https://example.org/d?a=1&b=<2>');
+  graph.add(s, 'rdf:type', iri('dcat:Dataset'));
+  graph.add(s, 'dct:title', literal('Line\n"quoted" & <tagged>', { language: 'de' }));
+  graph.add(s, 'dct:title', literal('Titre', { language: 'fr' }));
+  graph.add(s, 'dct:issued', literal('2024-01-01', { datatype: 'xsd:date' }));
+  const period = graph.blank();
+  graph.add(s, 'dct:temporal', period);
+  graph.add(period, 'dcat:startDate', literal('2020-01-01', { datatype: 'xsd:date' }));
+
+  it('writes Turtle', () => {
+    const ttl = serializeRdf(graph, 'turtle');
+    expect(ttl).toContain('@prefix dcat: <http://www.w3.org/ns/dcat#> .');
+    expect(ttl).toContain(
+      '<https://example.org/d?a=1&b=\\u003c2\\u003e>\n    a dcat:Dataset ;\n' +
+        '    dct:title "Line\\n\\"quoted\\" & <tagged>"@de, "Titre"@fr ;\n' +
+        '    dct:issued "2024-01-01"^^xsd:date ;\n    dct:temporal _:b1 .'
+    );
+    expect(ttl).toContain('_:b1\n    dcat:startDate "2020-01-01"^^xsd:date .');
+  });
+
+  it('writes JSON-LD', () => {
+    const doc = JSON.parse(serializeRdf(graph, 'jsonld'));
+    expect(doc['@context'].dct).toBe('http://purl.org/dc/terms/');
+    expect(doc['@graph'][0]).toEqual({
+      '@id': 'https://example.org/d?a=1&b=<2>',
+      '@type': 'dcat:Dataset',
+      'dct:title': [
+        { '@value': 'Line\n"quoted" & <tagged>', '@language': 'de' },
+        { '@value': 'Titre', '@language': 'fr' },
+      ],
+      'dct:issued': { '@value': '2024-01-01', '@type': 'xsd:date' },
+      'dct:temporal': { '@id': '_:b1' },
+    });
+  });
+
+  it('writes RDF/XML', () => {
+    const xml = serializeRdf(graph, 'rdfxml');
+    expect(xml).toContain('<rdf:Description rdf:about="https://example.org/d?a=1&amp;b=&lt;2&gt;">');
+    expect(xml).toContain('<dct:title xml:lang="de">Line\n&quot;quoted&quot; &amp; &lt;tagged&gt;</dct:title>');
+    expect(xml).toContain(
+      '<dct:issued rdf:datatype="http://www.w3.org/2001/XMLSchema#date">2024-01-01</dct:issued>'
+    );
+    expect(xml).toContain('<dct:temporal rdf:nodeID="b1"/>');
+    expect(xml).toContain('<rdf:Description rdf:nodeID="b1">');
+  });
+});
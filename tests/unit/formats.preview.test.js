@@ -0,0 +1,175 @@
+import { describe, it, expect } from 'vitest';
+import { detectFormat, previewTable } from '../../src/formats/index.js';
+import { decodeText, sniffDelimiter } from '../../src/formats/delimited.js';
+import { listZipEntries, readZipText } from '../../src/utils/zip.js';
+import { buildZip as zip } from '../helpers/zip.js';
+
+const XLSX_FILES = {
+  'xl/workbook.xml':
+    '<workbook><sheets><sheet name="Data" sheetId="1" r:id="rId1"/><sheet name="Notes" sheetId="2" r:id="rId2"/></sheets></workbook>',
+  'xl/_rels/workbook.xml.rels':
+    '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Target="worksheets/sheet2.xml"/></Relationships>',
+  'xl/sharedStrings.xml': '<sst><si><t>Gemeinde</t></si><si><t>Datum</t></si><si><t>Z&#252;rich</t></si><si><r><t>Bern</t></r></si></sst>',
+  'xl/styles.xml': '<styleSheet><cellXfs count="2"><xf numFmtId="0"/><xf numFmtId="14"/></cellXfs></styleSheet>',
+  'xl/worksheets/sheet1.xml':
+    '<worksheet><sheetData>' +
+    '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="inlineStr"><is><t>Anzahl</t></is></c></row>' +
+    '<row r="2"><c r="A2" t="s"><v>2</v></c><c r="B2" s="1"><v>45292</v></c><c r="C2"><v>42</v></c></row>' +
+    '<row r="3"><c r="A3" t="s"><v>3</v></c><c r="C3"><v>7.5</v></c></row>' +
+    '</sheetData></worksheet>',
+  'xl/worksheets/sheet2.xml': '<worksheet><sheetData><row r="1"><c r="A1" t="inlineStr"><is><t>note</t></is></c></row></sheetData></worksheet>',
+};
+
+describe('format detection', () => {
+  it('prefers the explicit format, then resource format, URL extension and Content-Type', () => {
+    expect(detectFormat({ format: 'tsv', resourceFormat: 'CSV' })).toBe('tsv');
+    expect(detectFormat({ resourceFormat: 'CSV', url: 'https://x/data.json' })).toBe('csv');
+    expect(detectFormat({ url: 'https://x/data.xlsx?download=1' })).toBe('xlsx');
+    expect(detectFormat({ contentType: 'application/geo+json; charset=utf-8' })).toBe('geojson');
+  });
+
+  it('sniffs spreadsheets and JSON from the content', () => {
+    expect(detectFormat({ bytes: zip(XLSX_FILES) })).toBe('xlsx');
+    expect(detectFormat({ bytes: zip({ mimetype: 'x', 'content.xml': '<x/>' }) })).toBe('ods');
+    expect(detectFormat({ bytes: Buffer.from('  [{"a": 1}]') })).toBe('json');
+    expect(detectFormat({ bytes: Buffer.from('a,b\n1,2\n') })).toBe('csv');
+  });
+
+  it('tells XLS (BIFF) from XLSX files labelled Excel and refuses to read BIFF', () => {
+    const biff = Buffer.concat([Buffer.from('d0cf11e0a1b11ae1', 'hex'), Buffer.alloc(504)]);
+    expect(detectFormat({ resourceFormat: 'XLS', bytes: zip(XLSX_FILES) })).toBe('xlsx');
+    expect(detectFormat({ resourceFormat: 'Excel', bytes: biff })).toBe('xls');
+    expect(detectFormat({ url: 'https://x/data.xls', bytes: biff })).toBe('xls');
+    expect(detectFormat({ bytes: biff })).toBe('xls');
+    expect(detectFormat({ resourceFormat: 'XLS' })).toBe('xls');
+    expect(() => previewTable(biff, { format: 'xls', rows: 5 })).toThrow(
+      'XLS (BIFF) is not supported; use an XLSX/CSV distribution'
+    );
+  });
+});
+
+describe('delimited previews', () => {
+  it('detects Windows-1252, semicolons and the header row, and types columns', () => {
+    const bytes = Buffer.from('Gemeinde;PLZ;Einwohner;Datum\nZürich;8001;421878;2024-01-01\nBiel/Bienne;2502;55159;2024-01-01\n', 'latin1');
+    const preview = previewTable(bytes, { format: 'csv', rows: 10 });
+    expect(preview).toMatchObject({ format: 'csv', encoding: 'windows-1252', delimiter: ';', header: true, truncated: false });
+    expect(preview.columns).toEqual([
+      { name: 'Gemeinde', type: 'string' },
+      { name: 'PLZ', type: 'integer' },
+      { name: 'Einwohner', type: 'integer' },
+      { name: 'Datum', type: 'date' },
+    ]);
+    expect(preview.rows[0]).toEqual(['Zürich', 8001, 421878, '2024-01-01']);
+  });
+
+  it('keeps quoted fields, leading zeros and reports more rows', () => {
+    const text = 'id,label\n"007","a, ""quoted"" value"\n008,b\n009,c\n';
+    const preview = previewTable(Buffer.from(text), { format: 'csv', rows: 2 });
+    expect(preview.columns).toEqual([
+      { name: 'id', type: 'string' },
+      { name: 'label', type: 'string' },
+    ]);
+    expect(preview.rows).toEqual([
+      ['007', 'a, "quoted" value'],
+      ['008', 'b'],
+    ]);
+    expect(preview.truncated).toBe(true);
+  });
+
+  it('names columns when there is no header and drops a partial last line', () => {
+    const preview = previewTable(Buffer.from('1\t2.5\n3\t4\n5\t6'), { format: 'tsv', rows: 10, truncated: true });
+    expect(preview.header).toBe(false);
+    expect(preview.columns).toEqual([
+      { name: 'column_1', type: 'integer' },
+      { name: 'column_2', type: 'number' },
+    ]);
+    expect(preview.rows).toEqual([
+      [1, 2.5],
+      [3, 4],
+    ]);
+    expect(preview.truncated).toBe(true);
+  });
+
+  it('decodes a UTF-8 BOM and sniffs the delimiter', () => {
+    const { text, encoding } = decodeText(Buffer.from('﻿a|b\nä|ö\n'));
+    expect(encoding).toBe('utf-8');
+    expect(text.startsWith('a|b')).toBe(true);
+    expect(sniffDelimiter(text)).toBe('|');
+  });
+});
+
+describe('JSON previews', () => {
+  it('finds the records array inside a document', () => {
+    const doc = { result: { records: [{ a: 1, b: 'x' }, { a: 2, c: true }] } };
+    const preview = previewTable(Buffer.from(JSON.stringify(doc)), { format: 'json', rows: 1 });
+    expect(preview).toMatchObject({ format: 'json', path: 'result.records', total_rows: 2, truncated: true });
+    expect(preview.columns.map((c) => c.name)).toEqual(['a', 'b', 'c']);
+    expect(preview.rows).toEqual([[1, 'x', null]]);
+  });
+
+  it('flattens GeoJSON features to properties and geometry type', () => {
+    const doc = {
+      type: 'FeatureCollection',
+      features: [{ type: 'Feature', properties: { name: 'Aare' }, geometry: { type: 'LineString', coordinates: [] } }],
+    };
+    const preview = previewTable(Buffer.from(JSON.stringify(doc)), { format: 'json', rows: 5 });
+    expect(preview.format).toBe('geojson');
+    expect(preview.rows).toEqual([['Aare', 'LineString']]);
+  });
+
+  it('refuses to preview a truncated JSON download', () => {
+    expect(() => previewTable(Buffer.from('[{"a":'), { format: 'json', rows: 5, truncated: true })).toThrow(/max_bytes/);
+  });
+});
+
+describe('spreadsheet previews', () => {
+  it('reads an XLSX sheet with shared strings, dates and gaps', () => {
+    const preview = previewTable(zip(XLSX_FILES), { format: 'xlsx', rows: 10 });
+    expect(preview).toMatchObject({ format: 'xlsx', sheet: 'Data', sheets: ['Data', 'Notes'], header: true });
+    expect(preview.columns).toEqual([
+      { name: 'Gemeinde', type: 'string' },
+      { name: 'Datum', type: 'date' },
+      { name: 'Anzahl', type: 'number' },
+    ]);
+    expect(preview.rows).toEqual([
+      ['Zürich', '2024-01-01', 42],
+      ['Bern', null, 7.5],
+    ]);
+  });
+
+  it('selects an XLSX sheet by name or position', () => {
+    expect(previewTable(zip(XLSX_FILES), { format: 'xlsx', rows: 5, sheet: 2 }).sheet).toBe('Notes');
+    expect(() => previewTable(zip(XLSX_FILES), { format: 'xlsx', rows: 5, sheet: 'Missing' })).toThrow(/not found/);
+  });
+
+  it('reads an ODS table with value types and repeated cells', () => {
+    const content =
+      '<office:document-content><office:body><office:spreadsheet><table:table table:name="Tabelle1">' +
+      '<table:table-row><table:table-cell office:value-type="string"><text:p>Kanton</text:p></table:table-cell>' +
+      '<table:table-cell office:value-type="string"><text:p>Anteil</text:p></table:table-cell></table:table-row>' +
+      '<table:table-row table:number-rows-repeated="2"><table:table-cell office:value-type="string"><text:p>BE</text:p></table:table-cell>' +
+      '<table:table-cell office:value-type="percentage" office:value="0.12"/><table:table-cell table:number-columns-repeated="1000"/></table:table-row>' +
+      '</table:table></office:spreadsheet></office:body></office:document-content>';
+    const preview = previewTable(zip({ mimetype: 'application/vnd.oasis.opendocument.spreadsheet', 'content.xml': content }), {
+      format: 'ods',
+      rows: 10,
+    });
+    expect(preview).toMatchObject({ format: 'ods', sheet: 'Tabelle1', header: true, truncated: false });
+    expect(preview.columns).toEqual([
+      { name: 'Kanton', type: 'string' },
+      { name: 'Anteil', type: 'number' },
+    ]);
+    expect(preview.rows).toEqual([
+      ['BE', 0.12],
+      ['BE', 0.12],
+    ]);
+  });
+
+  it('lists and reads ZIP entries', () => {
+    const archive = zip({ 'a.txt': 'hello' });
+    const entries = listZipEntries(archive);
+    expect(entries.map((e) => e.name)).toEqual(['a.txt']);
+    expect(readZipText(archive, entries, 'a.txt')).toBe('hello');
+    expect(() => listZipEntries(archive.subarray(0, 20))).toThrow(/truncated/);
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { profileTable } from '../../src/formats/profile.js';
+
+describe('profileTable', () => {
+  const names = ['BFS_NR', 'Gemeinde', 'Kanton', 'PLZ', 'Einwohner', 'Stichtag', 'aktiv'];
+  const rows = [
+    ['261', 'Zürich', 'ZH', '8001', '421878', '31.12.2023', 'true'],
+    ['351', 'Bern', 'BE', '3011', '134591', '31.12.2022', 'false'],
+    ['6621', 'Genève', 'GE', '1201', '', '01.01.2024', 'true'],
+    ['261', 'Zürich', 'ZH', '8002', '421878', '', ''],
+  ];
+
+  it('infers base and Swiss semantic types', () => {
+    const { columns } = profileTable(names, rows);
+    expect(columns.map((c) => [c.name, c.type, c.semantic_type])).toEqual([
+      ['BFS_NR', 'integer', 'swiss_municipality_number'],
+      ['Gemeinde', 'string', undefined],
+      ['Kanton', 'string', 'canton_code'],
+      ['PLZ', 'integer', 'postal_code'],
+      ['Einwohner', 'integer', undefined],
+      ['Stichtag', 'date', undefined],
+      ['aktiv', 'boolean', undefined],
+    ]);
+  });
+
+  it('reports null rate, distinct count, ranges and top values', () => {
+    const { columns, sample_rows } = profileTable(names, rows, { top: 2, samples: 1 });
+    const byName = Object.fromEntries(columns.map((c) => [c.name, c]));
+    expect(byName.Einwohner).toMatchObject({ null_count: 1, null_rate: 0.25, distinct: 2, min: 134591, max: 421878 });
+    expect(byName.Einwohner.top_values).toEqual([
+      { value: 421878, count: 2 },
+      { value: 134591, count: 1 },
+    ]);
+    expect(byName.Stichtag).toMatchObject({ min: '2022-12-31', max: '2024-01-01' });
+    expect(byName.Gemeinde).toMatchObject({ distinct: 3, min_length: 4, max_length: 6 });
+    expect(sample_rows).toEqual([[261, 'Zürich', 'ZH', 8001, 421878, '31.12.2023', true]]);
+  });
+
+  it('keeps the declared source types and needs a column name for municipality numbers', () => {
+    const { columns } = profileTable(['code', 'anzahl'], [[1, 2], [3, 4]], { sourceTypes: { code: 'int4' } });
+    expect(columns[0]).toMatchObject({ type: 'integer', source_type: 'int4' });
+    expect(columns[0].semantic_type).toBeUndefined();
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { getPrompts, getPrompt } from '../../src/prompts/workflows.js';
+
+describe('workflow prompts', () => {
+  it('lists prompts with argument descriptors derived from the schemas', () => {
+    const prompts = getPrompts();
+    expect(prompts.map((p) => p.name)).toEqual([
+      'find_dataset',
+      'explore_resource',
+      'compare_organizations',
+      'dataset_freshness_report',
+    ]);
+    const find = prompts.find((p) => p.name === 'find_dataset');
+    expect(find.arguments).toContainEqual(
+      expect.objectContaining({ name: 'topic', required: true })
+    );
+    expect(find.arguments).toContainEqual(
+      expect.objectContaining({ name: 'canton', required: false })
+    );
+  });
+
+  it('renders find_dataset referencing the search tools', () => {
+    const res = getPrompt('find_dataset', {
+      topic: 'air quality',
+      organization: 'bafu',
+      canton: 'ZH',
+    });
+    const text = res.messages[0].content.text;
+    expect(res.messages[0].role).toBe('user');
+    expect(text).toContain('package_search');
+    expect(text).toContain('"organization": "bafu"');
+    expect(text).toContain('datastore_info');
+  });
+
+  it('escapes arguments in the tool argument snippets', () => {
+    const topic = 'Luft "PM10" \\ Feinstaub';
+    const organization = 'bafu" OR organization:x';
+    const text = getPrompt('find_dataset', { topic, organization }).messages[0].content.text;
+    const snippet = text.match(/`package_search` with (\{.*\})\./)[1];
+    expect(JSON.parse(snippet)).toEqual({ q: topic, organization, rows: 10 });
+    expect(text).not.toContain('"fq"');
+
+    const explore = getPrompt('explore_resource', { resource_id: 'r"1' }).messages[0].content.text;
+    expect(explore).toContain('{"resource_id": "r\\"1", "limit": 10, "include_total": true}');
+  });
+
+  it('coerces numeric string arguments', () => {
+    const res = getPrompt('explore_resource', { resource_id: 'r1', sample_rows: '5' });
+    expect(res.messages[0].content.text).toContain('"limit": 5');
+  });
+
+  it('rejects unknown prompts and invalid arguments', () => {
+    expect(() => getPrompt('nope')).toThrow('Prompt not found');
+    expect(() => getPrompt('find_dataset', {})).toThrow('Invalid arguments');
+    expect(() => getPrompt('explore_resource', { resource_id: 'r1', sample_rows: 'x' })).toThrow(
+      'Invalid arguments'
+    );
+  });
+});
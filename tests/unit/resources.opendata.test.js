@@ -0,0 +1,62 @@
+import { describe, it, expect, vi } from 'vitest';
+
+// Mock CKAN client used by the MCP resource templates
+vi.mock('../../src/api/ckan-client.js', () => ({
+  packageShow: vi.fn(async (id) => ({ success: true, result: { id, name: 'dataset-1' } })),
+  resourceShow: vi.fn(async (id) => ({ success: true, result: { id, format: 'CSV' } })),
+  organizationShow: vi.fn(async (id) => ({ success: true, result: { id, name: 'bfs' } })),
+  organizationList: vi.fn(async () => ({ success: true, result: ['bfs', 'envidat'] })),
+  groupShow: vi.fn(async (id) => ({ success: true, result: { id, name: 'educ' } })),
+}));
+
+import {
+  getResourceTemplates,
+  listResources,
+  readResource,
+} from '../../src/resources/opendata.js';
+import {
+  packageShow,
+  resourceShow,
+  organizationShow,
+  groupShow,
+} from '../../src/api/ckan-client.js';
+
+describe('opendata resources', () => {
+  it('declares dataset, resource, organization and group templates', () => {
+    const templates = getResourceTemplates().map((t) => t.uriTemplate);
+    expect(templates).toEqual([
+      'opendata://dataset/{name}',
+      'opendata://resource/{id}',
+      'opendata://organization/{name}',
+      'opendata://group/{name}',
+    ]);
+  });
+
+  it('lists organizations as concrete resources', async () => {
+    const resources = await listResources();
+    expect(resources.map((r) => r.uri)).toEqual([
+      'opendata://organization/bfs',
+      'opendata://organization/envidat',
+    ]);
+  });
+
+  it('reads each template through the matching CKAN call', async () => {
+    const ds = await readResource('opendata://dataset/dataset-1');
+    expect(packageShow).toHaveBeenCalledWith('dataset-1');
+    expect(JSON.parse(ds.contents[0].text)).toEqual({ id: 'dataset-1', name: 'dataset-1' });
+    expect(ds.contents[0].mimeType).toBe('application/json');
+
+    await readResource('opendata://resource/r1');
+    expect(resourceShow).toHaveBeenCalledWith('r1');
+
+    await readResource('opendata://organization/bfs');
+    expect(organizationShow).toHaveBeenCalledWith('bfs');
+
+    await readResource('opendata://group/educ');
+    expect(groupShow).toHaveBeenCalledWith('educ');
+  });
+
+  it('rejects unknown URIs', async () => {
+    await expect(readResource('opendata://nope/x')).rejects.toThrow('Unknown resource URI');
+  });
+});
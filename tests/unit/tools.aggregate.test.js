@@ -0,0 +1,189 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const TABLE = [
+  { _id: 1, kanton: 'ZH', jahr: 2023, einwohner: '100', gemeinde: 'A' },
+  { _id: 2, kanton: 'ZH', jahr: 2023, einwohner: '50', gemeinde: 'B' },
+  { _id: 3, kanton: 'BE', jahr: 2023, einwohner: '70', gemeinde: 'C' },
+  { _id: 4, kanton: 'ZH', jahr: 2024, einwohner: null, gemeinde: 'A' },
+  { _id: 5, kanton: 'BE', jahr: 2024, einwohner: 'n/a', gemeinde: 'C' },
+];
+
+vi.mock('../../src/api/ckan-client.js', () => ({
+  datastoreInfo: vi.fn(async (id) => ({
+    success: true,
+    result: {
+      id,
+      fields: [
+        { id: 'kanton', type: 'text' },
+        { id: 'jahr', type: 'int4' },
+        { id: 'einwohner', type: 'text' },
+        { id: 'gemeinde', type: 'text' },
+      ],
+    },
+  })),
+  datastoreSearch: vi.fn(async ({ filters, limit, offset }) => {
+    const rows = TABLE.filter((r) => Object.entries(filters ?? {}).every(([k, v]) => [].concat(v).includes(r[k])));
+    return { success: true, result: { records: rows.slice(offset, offset + limit) } };
+  }),
+  datastoreSearchSql: vi.fn(async (sql) => ({ success: true, result: { sql, records: [{ kanton: 'ZH', sum_einwohner: 150 }] } })),
+}));
+
+import { getAggregateHandlers } from '../../src/tools/aggregate.js';
+import { datastoreSearch, datastoreSearchSql } from '../../src/api/ckan-client.js';
+import { CONFIG } from '../../src/config.js';
+
+const saved = { MAX_ROWS: CONFIG.MAX_ROWS, ENABLE_SQL: CONFIG.ENABLE_SQL };
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+afterEach(() => {
+  Object.assign(CONFIG, saved);
+});
+
+describe('datastore_aggregate tool', () => {
+  it('compiles the spec to quoted SQL when SQL is enabled', async () => {
+    CONFIG.ENABLE_SQL = true;
+    const res = await getAggregateHandlers().datastore_aggregate({
+      resource_id: 'r1',
+      group_by: ['kanton'],
+      metrics: [
+        { op: 'sum', field: 'einwohner' },
+        { op: 'count', as: 'n"; DROP TABLE x; --' },
+      ],
+      filters: { jahr: [2023, 2024], kanton: "O'Brien" },
+      order_by: [{ field: 'sum_einwohner', direction: 'desc' }],
+      limit: 10,
+    });
+    expect(res.isError).toBeUndefined();
+    expect(datastoreSearch).not.toHaveBeenCalled();
+    expect(datastoreSearchSql).toHaveBeenCalledWith(
+      'SELECT "kanton", SUM(CASE WHEN TRIM("einwohner"::text) ~ \'^[-+]?[0-9]*\\.?[0-9]+$\' THEN TRIM("einwohner"::text)::numeric END) AS "sum_einwohner", ' +
+        'COUNT(*) AS "n""; DROP TABLE x; --" ' +
+        'FROM "r1" WHERE "jahr" IN (2023, 2024) AND "kanton" = \'O\'\'Brien\' GROUP BY "kanton" ORDER BY "sum_einwohner" DESC LIMIT 11'
+    );
+    expect(res.structuredContent).toMatchObject({ method: 'sql', rows: [{ kanton: 'ZH', sum_einwohner: 150 }], truncated: false });
+  });
+
+  it('keeps the extra SQL row below MAX_ROWS to detect truncation', async () => {
+    CONFIG.ENABLE_SQL = true;
+    CONFIG.MAX_ROWS = 3;
+    datastoreSearchSql.mockResolvedValueOnce({
+      success: true,
+      result: { records: [{ kanton: 'AG' }, { kanton: 'BE' }, { kanton: 'ZH' }] },
+    });
+    const res = await getAggregateHandlers().datastore_aggregate({
+      resource_id: 'r1',
+      group_by: ['kanton'],
+      metrics: [{ op: 'count' }],
+      limit: 3,
+    });
+    expect(datastoreSearchSql.mock.calls[0][0]).toMatch(/ LIMIT 3$/);
+    expect(res.structuredContent).toMatchObject({ rows: [{ kanton: 'AG' }, { kanton: 'BE' }], truncated: true });
+  });
+
+  it('treats a mixed text column the same way in SQL and when scanning', async () => {
+    const metrics = [
+      { op: 'sum', field: 'gemeinde' },
+      { op: 'min', field: 'gemeinde' },
+      { op: 'max', field: 'gemeinde' },
+      { op: 'max', field: 'einwohner' },
+    ];
+    const mixed = [' 12 ', '3.5', '1e3', 'n/a', '', null].map((gemeinde, i) => ({
+      _id: i + 1,
+      kanton: i < 2 ? 'ZH' : 'BE',
+      einwohner: String(90 + i * 5),
+      gemeinde,
+    }));
+    const table = TABLE.splice(0, TABLE.length, ...mixed);
+    try {
+      const scan = await getAggregateHandlers().datastore_aggregate({ resource_id: 'r1', group_by: ['kanton'], metrics, limit: 1 });
+      expect(scan.structuredContent).toMatchObject({ method: 'scan', groups: 2, truncated: true });
+      // '1e3' and '' are not numbers: no sum, and text order
+      expect(scan.structuredContent.rows).toEqual([
+        { kanton: 'BE', sum_gemeinde: null, min_gemeinde: '', max_gemeinde: 'n/a', max_einwohner: '115' },
+      ]);
+
+      // All numbers: numeric order, values trimmed as by TRIM(...)::numeric::text
+      const zh = await getAggregateHandlers().datastore_aggregate({ resource_id: 'r1', metrics, filters: { kanton: 'ZH' } });
+      expect(zh.structuredContent.rows).toEqual([{ sum_gemeinde: 15.5, min_gemeinde: '3.5', max_gemeinde: '12', max_einwohner: '95' }]);
+    } finally {
+      TABLE.splice(0, TABLE.length, ...table);
+    }
+
+    CONFIG.ENABLE_SQL = true;
+    datastoreSearchSql.mockResolvedValueOnce({ success: true, result: { records: [{ kanton: 'BE' }, { kanton: 'ZH' }] } });
+    const sql = await getAggregateHandlers().datastore_aggregate({ resource_id: 'r1', group_by: ['kanton'], metrics, limit: 1 });
+    const number = (c) => `CASE WHEN TRIM("${c}"::text) ~ '^[-+]?[0-9]*\\.?[0-9]+$' THEN TRIM("${c}"::text)::numeric END`;
+    const extreme = (fn, c) =>
+      `CASE WHEN BOOL_AND(TRIM("${c}"::text) ~ '^[-+]?[0-9]*\\.?[0-9]+$') THEN ${fn}(${number(c)})::text ELSE ${fn}("${c}") END`;
+    expect(sql.structuredContent.sql).toBe(
+      `SELECT "kanton", SUM(${number('gemeinde')}) AS "sum_gemeinde", ${extreme('MIN', 'gemeinde')} AS "min_gemeinde", ` +
+        `${extreme('MAX', 'gemeinde')} AS "max_gemeinde", ${extreme('MAX', 'einwohner')} AS "max_einwohner" ` +
+        'FROM "r1" GROUP BY "kanton" ORDER BY "kanton" ASC LIMIT 2'
+    );
+    expect(sql.structuredContent).toMatchObject({ rows: [{ kanton: 'BE' }], truncated: true });
+  });
+
+  it('scans and aggregates in process with SQL semantics', async () => {
+    CONFIG.MAX_ROWS = 2;
+    const res = await getAggregateHandlers().datastore_aggregate({
+      resource_id: 'r1',
+      group_by: ['kanton', 'jahr'],
+      metrics: [
+        { op: 'count' },
+        { op: 'sum', field: 'einwohner' },
+        { op: 'avg', field: 'einwohner' },
+        { op: 'max', field: 'einwohner' },
+        { op: 'count_distinct', field: 'gemeinde' },
+      ],
+    });
+    const out = res.structuredContent;
+    expect(out).toMatchObject({ method: 'scan', groups: 4, rows_scanned: 5, complete: true });
+    expect(datastoreSearch.mock.calls.map(([a]) => [a.offset, a.limit, a.fields, a.sort])).toEqual([
+      [0, 2, ['kanton', 'jahr', 'einwohner', 'gemeinde'], '_id'],
+      [2, 2, ['kanton', 'jahr', 'einwohner', 'gemeinde'], '_id'],
+      [4, 2, ['kanton', 'jahr', 'einwohner', 'gemeinde'], '_id'],
+      [5, 2, ['kanton', 'jahr', 'einwohner', 'gemeinde'], '_id'],
+    ]);
+    expect(out.rows).toEqual([
+      { kanton: 'BE', jahr: 2023, count: 1, sum_einwohner: 70, avg_einwohner: 70, max_einwohner: '70', count_distinct_gemeinde: 1 },
+      { kanton: 'BE', jahr: 2024, count: 1, sum_einwohner: null, avg_einwohner: null, max_einwohner: 'n/a', count_distinct_gemeinde: 1 },
+      { kanton: 'ZH', jahr: 2023, count: 2, sum_einwohner: 150, avg_einwohner: 75, max_einwohner: '100', count_distinct_gemeinde: 2 },
+      { kanton: 'ZH', jahr: 2024, count: 1, sum_einwohner: null, avg_einwohner: null, max_einwohner: null, count_distinct_gemeinde: 1 },
+    ]);
+  });
+
+  it('applies filters, ordering, limit and the row cap when scanning', async () => {
+    const handlers = getAggregateHandlers();
+    const res = await handlers.datastore_aggregate({
+      resource_id: 'r1',
+      group_by: ['gemeinde'],
+      metrics: [{ op: 'count', as: 'n' }],
+      filters: { jahr: 2023 },
+      order_by: [{ field: 'n', direction: 'desc' }],
+      limit: 1,
+      max_rows: 2,
+    });
+    expect(res.structuredContent).toMatchObject({ rows: [{ gemeinde: 'A', n: 1 }], groups: 2, rows_scanned: 2, complete: false });
+
+    const total = await handlers.datastore_aggregate({ resource_id: 'r1', metrics: [{ op: 'min', field: 'jahr' }], filters: { kanton: 'TI' } });
+    expect(total.structuredContent.rows).toEqual([{ min_jahr: null }]);
+  });
+
+  it('rejects unknown fields, missing metric fields and bad ordering', async () => {
+    const handlers = getAggregateHandlers();
+    const cases = [
+      [{ group_by: ['bezirk'], metrics: [{ op: 'count' }] }, /Unknown field\(s\).*bezirk/],
+      [{ metrics: [{ op: 'sum' }] }, /needs a field/],
+      [{ metrics: [{ op: 'count' }, { op: 'count' }] }, /Duplicate result column "count"/],
+      [{ metrics: [{ op: 'count' }], order_by: [{ field: 'jahr' }] }, /Cannot order by "jahr"/],
+    ];
+    for (const [args, message] of cases) {
+      const res = await handlers.datastore_aggregate({ resource_id: 'r1', ...args });
+      expect(res.isError).toBe(true);
+      expect(res.content[0].text).toMatch(message);
+    }
+  });
+});
@@ -0,0 +1,144 @@
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import { mkdtemp, open, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { buildZip } from '../helpers/zip.js';
+
+// ESM mocking of the CKAN client used by the tool handlers
+vi.mock('../../src/api/ckan-client.js', () => ({
+  resourceShow: vi.fn(async (id) => ({
+    success: true,
+    result: { id, name: 'Paket', format: 'ZIP', url: 'https://example.org/paket.zip' },
+  })),
+  downloadResourceFile: vi.fn(),
+}));
+
+import { getArchiveHandlers } from '../../src/tools/archive.js';
+import { downloadResourceFile } from '../../src/api/ckan-client.js';
+import { listZipEntries, listZipFileEntries, readZipEntryPrefix, readZipFileEntryPrefix } from '../../src/utils/zip.js';
+
+const CSV = 'Kanton;Anzahl\n' + Array.from({ length: 50 }, (_, i) => `ZH;${i}`).join('\n') + '\n';
+
+let dir;
+let archivePath;
+
+beforeAll(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), 'archive-test-'));
+  archivePath = path.join(dir, 'paket.zip');
+  await writeFile(
+    archivePath,
+    buildZip({
+      'daten/': '',
+      'daten/werte.csv': CSV,
+      'docs/beschreibung.pdf': { content: '%PDF-1.4', stored: true },
+      '../evil.csv': 'a\n1\n',
+      'bomb.csv': { content: 'a', size: 4000000 },
+    })
+  );
+  downloadResourceFile.mockImplementation(async (resource) => ({
+    path: archivePath,
+    sha256: 'abc',
+    size: 1234,
+    url: resource.url,
+    content_type: 'application/zip',
+    cached: true,
+  }));
+});
+
+afterAll(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+describe('resource_archive_list tool', () => {
+  it('lists entries with sizes and types and flags unsafe ones', async () => {
+    const res = await getArchiveHandlers().resource_archive_list({ id: 'r1' });
+    expect(res.isError).toBeUndefined();
+    const { archive, entries } = res.structuredContent;
+    expect(archive).toMatchObject({ size: 1234, sha256: 'abc', entry_count: 5 });
+    expect(entries.find((e) => e.name === 'daten/werte.csv')).toMatchObject({
+      size: CSV.length,
+      type: 'csv',
+      previewable: true,
+    });
+    expect(entries.find((e) => e.name === 'daten/')).toMatchObject({ type: 'directory', directory: true, previewable: false });
+    expect(entries.find((e) => e.name === 'docs/beschreibung.pdf')).toMatchObject({ type: 'pdf', previewable: false });
+    expect(entries.find((e) => e.name === '../evil.csv')).toMatchObject({ unsafe_name: true, previewable: false });
+    expect(entries.find((e) => e.name === 'bomb.csv')).toMatchObject({ suspicious_ratio: true, previewable: false });
+  });
+
+  it('rejects resources that are not ZIP archives', async () => {
+    const csvPath = path.join(dir, 'data.csv');
+    await writeFile(csvPath, CSV);
+    downloadResourceFile.mockResolvedValueOnce({ path: csvPath, size: CSV.length, content_type: 'text/csv' });
+    const res = await getArchiveHandlers().resource_archive_list({ id: 'r1' });
+    expect(res.isError).toBe(true);
+    expect(res.content[0].text).toMatch(/not a ZIP archive/);
+  });
+});
+
+describe('resource_archive_extract tool', () => {
+  it('previews and profiles a CSV entry', async () => {
+    const handlers = getArchiveHandlers();
+    const preview = await handlers.resource_archive_extract({ id: 'r1', entry: 'daten/werte.csv', rows: 2 });
+    expect(preview.structuredContent).toMatchObject({
+      mode: 'preview',
+      entry: { name: 'daten/werte.csv', type: 'csv' },
+      format: 'csv',
+      delimiter: ';',
+      rows: [
+        ['ZH', 0],
+        ['ZH', 1],
+      ],
+      truncated: true,
+    });
+
+    const profile = await handlers.resource_archive_extract({ id: 'r1', entry: 'daten/werte.csv', mode: 'profile' });
+    expect(profile.structuredContent).toMatchObject({ mode: 'profile', rows_profiled: 50, complete: true });
+    expect(profile.structuredContent.columns[0]).toMatchObject({ name: 'Kanton', semantic_type: 'canton_code' });
+  });
+
+  it('refuses missing, unsafe, non-tabular and zip-bomb entries', async () => {
+    const handlers = getArchiveHandlers();
+    const cases = [
+      ['missing.csv', /not found/],
+      ['../evil.csv', /unsafe path/],
+      ['daten/', /directory/],
+      ['docs/beschreibung.pdf', /pdf file/],
+      ['bomb.csv', /compression ratio/],
+    ];
+    for (const [entry, message] of cases) {
+      const res = await handlers.resource_archive_extract({ id: 'r1', entry });
+      expect(res.isError).toBe(true);
+      expect(res.content[0].text).toMatch(message);
+    }
+  });
+});
+
+describe('readZipEntryPrefix', () => {
+  it('stops inflating at the byte limit', async () => {
+    const archive = buildZip({ 'big.csv': 'x'.repeat(100000) });
+    const [entry] = listZipEntries(archive);
+    const { bytes, truncated } = await readZipEntryPrefix(archive, entry, { maxBytes: 1000 });
+    expect(bytes.length).toBe(1000);
+    expect(truncated).toBe(true);
+    expect((await readZipEntryPrefix(archive, entry, { maxBytes: 200000 })).truncated).toBe(false);
+  });
+
+  it('reads entries of an open archive file at their offsets', async () => {
+    const archive = buildZip({ 'big.csv': 'x'.repeat(100000), 'notes.txt': { content: 'hello world', stored: true } });
+    const file = path.join(dir, 'offsets.zip');
+    await writeFile(file, archive);
+    const handle = await open(file);
+    try {
+      const entries = await listZipFileEntries(handle);
+      expect(entries).toEqual(listZipEntries(archive));
+      const [big, notes] = entries;
+      expect(await readZipFileEntryPrefix(handle, big, { maxBytes: 1000 })).toEqual(await readZipEntryPrefix(archive, big, { maxBytes: 1000 }));
+      expect((await readZipFileEntryPrefix(handle, big, { maxBytes: 200000 })).bytes.length).toBe(100000);
+      // The handle stays usable after a stream read
+      expect(await readZipFileEntryPrefix(handle, notes, { maxBytes: 5 })).toEqual({ bytes: Buffer.from('hello'), truncated: true });
+    } finally {
+      await handle.close();
+    }
+  });
+});
@@ -0,0 +1,33 @@
+import { describe, it, expect, vi } from 'vitest';
+
+// Mock CKAN client used by cache admin tool handlers
+vi.mock('../../src/api/ckan-client.js', () => ({
+  cacheStats: vi.fn(async () => ({ enabled: true, hits: 3, misses: 1 })),
+  cacheClear: vi.fn(async () => ({ removed: 2 })),
+}));
+
+import { getCacheHandlers } from '../../src/tools/cache.js';
+import { cacheStats, cacheClear } from '../../src/api/ckan-client.js';
+
+describe('cache tools', () => {
+  it('cache_stats returns statistics', async () => {
+    const handlers = getCacheHandlers();
+
+    const invalid = await handlers.cache_stats({ extra: true });
+    expect(invalid.isError).toBe(true);
+
+    const res = await handlers.cache_stats({});
+    expect(res.isError).toBeUndefined();
+    expect(res.content[0].text).toContain('"hits": 3');
+    expect(cacheStats).toHaveBeenCalledTimes(1);
+  });
+
+  it('cache_clear passes the optional action', async () => {
+    const handlers = getCacheHandlers();
+
+    const res = await handlers.cache_clear({ action: 'license_list' });
+    expect(res.isError).toBeUndefined();
+    expect(res.content[0].text).toContain('"removed": 2');
+    expect(cacheClear).toHaveBeenCalledWith('license_list');
+  });
+});
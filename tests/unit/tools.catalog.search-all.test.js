@@ -0,0 +1,111 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { readFile, rm } from 'node:fs/promises';
+
+const exportDir = await vi.hoisted(async () => {
+  const fs = await import('node:fs/promises');
+  const os = await import('node:os');
+  const p = await import('node:path');
+  const dir = await fs.mkdtemp(p.join(os.tmpdir(), 'search-all-test-'));
+  process.env.EXPORT_DIR = dir;
+  return dir;
+});
+
+const dataset = (n) => ({
+  id: `id-${n}`,
+  name: `dataset-${n}`,
+  title: { de: `Datensatz ${n}`, en: `Dataset ${n}` },
+  organization: { name: 'bfs', title: 'BFS' },
+  metadata_modified: `2024-01-0${n}T00:00:00`,
+  resources: [{ format: 'CSV' }, { format: 'csv ' }, { format: 'JSON' }, { format: '' }],
+});
+
+// Seven matches; "dataset-3" is repeated at the start of the second page, as
+// happens when a dataset is inserted while paging.
+const PAGES = [
+  [1, 2, 3].map(dataset),
+  [3, 4, 5].map(dataset),
+  [6, 7].map(dataset),
+];
+
+vi.mock('../../src/api/ckan-client.js', () => ({
+  packageSearch: vi.fn(async ({ start, rows }) => ({
+    success: true,
+    result: { count: 7, results: PAGES[Math.floor(start / rows)] ?? [] },
+  })),
+}));
+
+import { getCatalogHandlers } from '../../src/tools/catalog.js';
+import { packageSearch } from '../../src/api/ckan-client.js';
+import { CONFIG } from '../../src/config.js';
+
+const { MAX_ROWS, SEARCH_ALL_MAX_RESULTS } = CONFIG;
+
+describe('package_search_all', () => {
+  afterEach(async () => {
+    Object.assign(CONFIG, { MAX_ROWS, SEARCH_ALL_MAX_RESULTS });
+    packageSearch.mockClear();
+    await rm(exportDir, { recursive: true, force: true });
+  });
+
+  it('pages with a stable sort, deduplicates by id and reports progress', async () => {
+    CONFIG.MAX_ROWS = 3;
+    const progress = vi.fn(async () => {});
+    const res = await getCatalogHandlers().package_search_all(
+      { organization: 'bfs', sort: 'metadata_modified desc', lang: 'de' },
+      { progress }
+    );
+    expect(res.isError).toBeUndefined();
+    const out = res.structuredContent;
+    expect(out).toMatchObject({ count: 7, returned: 7, duplicates: 1, pages: 3, complete: true });
+    expect(out.results.map((r) => r.name)).toEqual([1, 2, 3, 4, 5, 6, 7].map((n) => `dataset-${n}`));
+    expect(out.results[0]).toEqual({
+      id: 'id-1',
+      name: 'dataset-1',
+      title: 'Datensatz 1',
+      organization: 'bfs',
+      modified: '2024-01-01T00:00:00',
+      formats: ['CSV', 'csv', 'JSON'],
+    });
+    expect(out.query.fq).toBe('(organization:"bfs" OR publisher:"bfs")');
+
+    expect(packageSearch.mock.calls.map(([args]) => [args.start, args.rows, args.sort])).toEqual([
+      [0, 3, 'metadata_modified desc, name asc'],
+      [3, 3, 'metadata_modified desc, name asc'],
+      [6, 3, 'metadata_modified desc, name asc'],
+    ]);
+    expect(progress.mock.calls.map(([done, total]) => [done, total])).toEqual([
+      [3, 7],
+      [5, 7],
+      [7, 7],
+    ]);
+  });
+
+  it('stops at max_results, capped by SEARCH_ALL_MAX_RESULTS', async () => {
+    CONFIG.MAX_ROWS = 3;
+    CONFIG.SEARCH_ALL_MAX_RESULTS = 4;
+    const res = await getCatalogHandlers().package_search_all({ max_results: 100 });
+    expect(res.structuredContent).toMatchObject({ returned: 4, complete: false, pages: 2 });
+    expect(packageSearch.mock.calls[0][0]).toMatchObject({ sort: 'name asc', rows: 3 });
+  });
+
+  it('writes the listing to a JSON Lines file with output_file', async () => {
+    CONFIG.MAX_ROWS = 3;
+    const res = await getCatalogHandlers().package_search_all({ output_file: true });
+    const out = res.structuredContent;
+    expect(out.results).toBeUndefined();
+    expect(out.path.startsWith(exportDir)).toBe(true);
+    const lines = (await readFile(out.path, 'utf8')).trim().split('\n').map((l) => JSON.parse(l));
+    expect(lines.map((l) => l.id)).toEqual(['id-1', 'id-2', 'id-3', 'id-4', 'id-5', 'id-6', 'id-7']);
+  });
+
+  it('stops when the request is cancelled', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const res = await getCatalogHandlers().package_search_all(
+      {},
+      { progress: async () => {}, signal: controller.signal }
+    );
+    expect(res.isError).toBe(true);
+    expect(packageSearch).not.toHaveBeenCalled();
+  });
+});
@@ -6,14 +6,27 @@ vi.mock('../../src/api/ckan-client.js', () => ({
     success: true,
     result: { count: 1, q: args?.q ?? '', results: [{ id: 'ds1', name: 'dataset-1' }] },
   })),
+  packageSearchFederated: vi.fn(async (args, portals) => ({
+    success: true,
+    result: {
+      count: 2,
+      counts: Object.fromEntries(portals.map((p) => [p, 1])),
+      results: portals.map((p) => ({ id: `${p}-ds`, source_portal: { name: p } })),
+      errors: {},
+    },
+  })),
   packageShow: vi.fn(async (id) => ({
     success: true,
-    result: { id, name: 'dataset-1' },
+    result: { id, name: 'dataset-1', title: { de: 'Datensatz', fr: 'Jeu de données', it: '', en: '' } },
   })),
 }));
 
 import { getCatalogHandlers } from '../../src/tools/catalog.js';
-import { packageSearch, packageShow } from '../../src/api/ckan-client.js';
+import {
+  packageSearch,
+  packageSearchFederated,
+  packageShow,
+} from '../../src/api/ckan-client.js';
 
 describe('catalog tools', () => {
   it('package_search validates and calls API', async () => {
@@ -34,6 +47,52 @@ describe('catalog tools', () => {
     );
   });
 
+  it('package_search fans out when portals are given', async () => {
+    const handlers = getCatalogHandlers();
+
+    const invalid = await handlers.package_search({ q: 'water', portals: [] });
+    expect(invalid.isError).toBe(true);
+
+    const res = await handlers.package_search({
+      q: 'water',
+      portals: ['opendata-swiss', 'stadt-zuerich'],
+    });
+    expect(res.isError).toBeUndefined();
+    const text = res.content[0]?.text || '';
+    expect(text).toContain('"source_portal"');
+    expect(packageSearch).not.toHaveBeenCalled();
+    expect(packageSearchFederated).toHaveBeenCalledWith({ q: 'water' }, [
+      'opendata-swiss',
+      'stadt-zuerich',
+    ]);
+  });
+
+  it('package_search compiles structured filters into fq and echoes the query', async () => {
+    const handlers = getCatalogHandlers();
+    packageSearch.mockClear();
+
+    const res = await handlers.package_search({
+      organization: 'bundesamt-fur-statistik-bfs',
+      res_format: ['CSV', 'JSON'],
+      modified_after: '2024-01-01',
+      fq: 'language:de',
+    });
+    expect(res.isError).toBeUndefined();
+    const fq =
+      'organization:"bundesamt-fur-statistik-bfs" AND (res_format:"CSV" OR res_format:"JSON")' +
+      ' AND metadata_modified:[2024-01-01T00:00:00Z TO *} AND (language:de)';
+    expect(packageSearch).toHaveBeenCalledWith(expect.objectContaining({ fq }));
+    expect(packageSearch.mock.calls[0][0]).not.toHaveProperty('organization');
+
+    const { query } = res.structuredContent;
+    expect(query.q).toBe('*:*');
+    expect(query.fq).toContain('(organization:"bundesamt-fur-statistik-bfs" OR publisher:"bundesamt-fur-statistik-bfs")');
+
+    const invalid = await handlers.package_search({ modified_before: 'last week' });
+    expect(invalid.isError).toBe(true);
+    expect(invalid.content[0].text).toContain('modified_before must be an ISO 8601 date');
+  });
+
   it('package_show validates and calls API', async () => {
     const handlers = getCatalogHandlers();
 
@@ -47,4 +106,17 @@ describe('catalog tools', () => {
     expect(text).toContain('"ds1"');
     expect(packageShow).toHaveBeenCalledWith('ds1');
   });
+
+  it('package_show flattens multilingual fields unless all_languages is set', async () => {
+    const handlers = getCatalogHandlers();
+
+    const fr = await handlers.package_show({ id: 'ds1', lang: 'fr' });
+    expect(JSON.parse(fr.content[0].text).result.title).toBe('Jeu de données');
+
+    const all = await handlers.package_show({ id: 'ds1', all_languages: true });
+    expect(JSON.parse(all.content[0].text).result.title).toHaveProperty('de', 'Datensatz');
+
+    const invalid = await handlers.package_show({ id: 'ds1', lang: 'xx' });
+    expect(invalid.isError).toBe(true);
+  });
 });
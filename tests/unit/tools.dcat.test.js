@@ -0,0 +1,95 @@
+import { describe, it, expect, vi, afterAll } from 'vitest';
+import { readFile, rm } from 'node:fs/promises';
+
+const exportDir = await vi.hoisted(async () => {
+  const fs = await import('node:fs/promises');
+  const os = await import('node:os');
+  const p = await import('node:path');
+  const dir = await fs.mkdtemp(p.join(os.tmpdir(), 'dcat-test-'));
+  process.env.EXPORT_DIR = dir;
+  return dir;
+});
+
+const dataset = (name) => ({
+  id: `id-${name}`,
+  name,
+  title: { de: `Titel ${name}`, fr: `Titre ${name}`, it: '', en: '' },
+  organization: { name: 'bfs', title: 'BFS' },
+  resources: [{ id: `r-${name}`, url: `https://example.org/${name}.csv`, format: 'CSV' }],
+});
+
+vi.mock('../../src/api/ckan-client.js', () => ({
+  portalSite: vi.fn(() => ({ name: 'opendata-swiss', title: 'opendata.swiss', url: 'https://opendata.swiss' })),
+  packageShow: vi.fn(async (id) => ({ success: true, result: dataset(id) })),
+  packageSearch: vi.fn(async ({ start }) => ({
+    success: true,
+    result: { count: 2, results: start ? [] : [dataset('a'), dataset('b')] },
+  })),
+}));
+
+import { getDcatHandlers } from '../../src/tools/dcat.js';
+import { packageSearch } from '../../src/api/ckan-client.js';
+
+describe('package_validate', () => {
+  it('validates a fetched dataset or pasted metadata', async () => {
+    const handlers = getDcatHandlers();
+    const fetched = await handlers.package_validate({ id: 'a', only_failed: true });
+    expect(fetched.isError).toBeUndefined();
+    const report = fetched.structuredContent;
+    expect(report.dataset).toEqual({ id: 'id-a', name: 'a' });
+    expect(report.conformant).toBe(false);
+    expect(report.checks.every((c) => !c.passed)).toBe(true);
+    expect(report.checks.map((c) => c.rule)).toContain('identifier');
+
+    const envelope = JSON.stringify({ success: true, result: { id: 'p1', name: 'pasted', title: 'T' } });
+    const pasted = await handlers.package_validate({ metadata: envelope });
+    expect(pasted.structuredContent.dataset).toEqual({ id: 'p1', name: 'pasted' });
+    expect(pasted.structuredContent.checks.find((c) => c.rule === 'title').passed).toBe(true);
+
+    expect((await handlers.package_validate({})).isError).toBe(true);
+    const broken = await handlers.package_validate({ metadata: '{"id":' });
+    expect(broken.content[0].text).toContain('metadata is not valid JSON');
+  });
+});
+
+describe('package_export', () => {
+  afterAll(async () => {
+    await rm(exportDir, { recursive: true, force: true });
+  });
+
+  it('exports one dataset as Turtle', async () => {
+    const res = await getDcatHandlers().package_export({ id: 'a' });
+    expect(res.isError).toBeUndefined();
+    const out = res.structuredContent;
+    expect(out).toMatchObject({ format: 'turtle', media_type: 'text/turtle', datasets: 1 });
+    expect(out.content).toContain('<https://opendata.swiss/dataset/a>\n    a dcat:Dataset ;');
+    expect(out.content).toContain('dct:title "Titel a"@de, "Titre a"@fr ;');
+
+    const both = await getDcatHandlers().package_export({ id: 'a', organization: 'bfs' });
+    expect(both.isError).toBe(true);
+    expect(both.content[0].text).toContain('either id or search arguments');
+  });
+
+  it('exports a search result set as one catalog', async () => {
+    const res = await getDcatHandlers().package_export({ organization: 'bfs', format: 'jsonld' });
+    expect(res.isError).toBeUndefined();
+    const out = res.structuredContent;
+    expect(out).toMatchObject({ format: 'jsonld', datasets: 2, count: 2, complete: true });
+    expect(packageSearch).toHaveBeenCalledWith(expect.objectContaining({ fq: 'organization:"bfs"' }));
+    const doc = JSON.parse(out.content);
+    const catalog = doc['@graph'].find((n) => n['@type'] === 'dcat:Catalog');
+    expect(catalog['dcat:dataset']).toEqual([
+      { '@id': 'https://opendata.swiss/dataset/a' },
+      { '@id': 'https://opendata.swiss/dataset/b' },
+    ]);
+  });
+
+  it('writes RDF/XML to a file with output_file', async () => {
+    const res = await getDcatHandlers().package_export({ id: 'a', format: 'rdfxml', output_file: true });
+    const out = res.structuredContent;
+    expect(out.content).toBeUndefined();
+    expect(out.path).toMatch(/\.rdf$/);
+    expect(out.path.startsWith(exportDir)).toBe(true);
+    expect(await readFile(out.path, 'utf8')).toContain('<rdf:Description rdf:about="https://opendata.swiss/dataset/a">');
+  });
+});
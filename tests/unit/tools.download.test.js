@@ -0,0 +1,57 @@
+import { describe, it, expect, vi } from 'vitest';
+
+// ESM mocking of the CKAN client used by the tool handlers
+vi.mock('../../src/api/ckan-client.js', () => ({
+  resourceShow: vi.fn(async (id) => ({
+    success: true,
+    result: { id, name: 'Daten', format: 'CSV', url: 'https://example.org/data.csv', hash: '', last_modified: '2024-05-01' },
+  })),
+  downloadResourceFile: vi.fn(async (resource) => ({
+    path: '/tmp/cache/blobs/abc',
+    sha256: 'abc',
+    size: 42,
+    url: resource.url,
+    content_type: 'text/csv',
+    downloaded_at: '2024-05-02T00:00:00.000Z',
+    cached: false,
+  })),
+}));
+
+import { getDownloadHandlers } from '../../src/tools/download.js';
+import { downloadResourceFile } from '../../src/api/ckan-client.js';
+import { CONFIG } from '../../src/config.js';
+
+describe('resource_download tool', () => {
+  it('returns the cached file metadata instead of content', async () => {
+    const handlers = getDownloadHandlers();
+    const res = await handlers.resource_download({ id: 'r1', force: true });
+    expect(res.isError).toBeUndefined();
+    expect(downloadResourceFile).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'r1', url: 'https://example.org/data.csv', last_modified: '2024-05-01' }),
+      { maxBytes: CONFIG.DOWNLOAD_MAX_BYTES, force: true, verify: undefined }
+    );
+    expect(res.structuredContent).toEqual({
+      resource: { id: 'r1', name: 'Daten', format: 'CSV', url: 'https://example.org/data.csv' },
+      path: '/tmp/cache/blobs/abc',
+      sha256: 'abc',
+      size: 42,
+      url: 'https://example.org/data.csv',
+      content_type: 'text/csv',
+      downloaded_at: '2024-05-02T00:00:00.000Z',
+      cached: false,
+    });
+  });
+
+  it('caps max_bytes and reports download errors', async () => {
+    downloadResourceFile.mockRejectedValueOnce(new Error('Checksum mismatch for https://example.org/data.csv'));
+    const handlers = getDownloadHandlers();
+    const res = await handlers.resource_download({ id: 'r1', max_bytes: CONFIG.DOWNLOAD_MAX_BYTES * 2 });
+    expect(downloadResourceFile).toHaveBeenLastCalledWith(expect.anything(), {
+      maxBytes: CONFIG.DOWNLOAD_MAX_BYTES,
+      force: undefined,
+      verify: undefined,
+    });
+    expect(res.isError).toBe(true);
+    expect(res.content[0].text).toContain('Checksum mismatch');
+  });
+});
@@ -0,0 +1,194 @@
+import { describe, it, expect, vi, beforeEach, afterEach, afterAll } from 'vitest';
+import { readFile, rm } from 'node:fs/promises';
+import { parquetMetadata, parquetReadObjects, parquetSchema } from 'hyparquet';
+
+// Exports are written below EXPORT_DIR, read from the environment on import
+const exportDir = await vi.hoisted(async () => {
+  const fs = await import('node:fs/promises');
+  const os = await import('node:os');
+  const p = await import('node:path');
+  const dir = await fs.mkdtemp(p.join(os.tmpdir(), 'export-test-'));
+  process.env.EXPORT_DIR = dir;
+  return dir;
+});
+
+const TABLE = [
+  { _id: 1, name: 'Aarau', n: 1, x: '1.5' },
+  { _id: 2, name: 'Baden, AG', n: 2, x: null },
+  { _id: 3, name: 'Chur "GR"', n: 3, x: '3' },
+  { _id: 4, name: 'Davos', n: 4, x: '4.25' },
+  { _id: 5, name: 'Emmen', n: 5, x: '5' },
+];
+
+// Portal of the current withPortal call, and the portal of every datastore_search page
+const portals = vi.hoisted(() => ({ current: undefined, pages: [] }));
+
+vi.mock('../../src/api/ckan-client.js', () => ({
+  portalSite: () => ({ name: portals.current ?? 'opendata-swiss' }),
+  withPortal: async (portal, fn) => {
+    portals.current = portal;
+    try {
+      return await fn();
+    } finally {
+      portals.current = undefined;
+    }
+  },
+  datastoreInfo: vi.fn(async (id) => ({
+    success: true,
+    result: {
+      id,
+      fields: [
+        { id: '_id', type: 'int' },
+        { id: 'name', type: 'text' },
+        { id: 'n', type: 'int4' },
+        { id: 'x', type: 'numeric' },
+      ],
+    },
+  })),
+  datastoreSearch: vi.fn(async ({ limit, offset }) => {
+    portals.pages.push(portals.current ?? 'opendata-swiss');
+    return { success: true, result: { records: TABLE.slice(offset, offset + limit) } };
+  }),
+  datastoreSearchSql: vi.fn(async (sql) => {
+    const after = Number(sql.match(/"_id" > (\d+)/)[1]);
+    const limit = Number(sql.match(/LIMIT (\d+)/)[1]);
+    return { success: true, result: { records: TABLE.filter((r) => r._id > after).slice(0, limit) } };
+  }),
+}));
+
+import { getExportHandlers } from '../../src/tools/export.js';
+import { datastoreSearch, datastoreSearchSql } from '../../src/api/ckan-client.js';
+import { CONFIG } from '../../src/config.js';
+
+const saved = { MAX_ROWS: CONFIG.MAX_ROWS, ENABLE_SQL: CONFIG.ENABLE_SQL };
+
+beforeEach(() => {
+  CONFIG.MAX_ROWS = 2;
+  portals.pages = [];
+  vi.clearAllMocks();
+});
+
+afterEach(() => {
+  Object.assign(CONFIG, saved);
+});
+
+afterAll(async () => {
+  await rm(exportDir, { recursive: true, force: true });
+});
+
+describe('datastore_export tool', () => {
+  it('pages by offset sorted by _id and writes CSV', async () => {
+    const res = await getExportHandlers().datastore_export({ resource_id: 'r1' });
+    expect(res.isError).toBeUndefined();
+    const out = res.structuredContent;
+    expect(out).toMatchObject({ status: 'complete', format: 'csv', rows: 5, pagination: 'offset' });
+    expect(out.schema).toEqual([
+      { name: 'name', type: 'text' },
+      { name: 'n', type: 'int4' },
+      { name: 'x', type: 'numeric' },
+    ]);
+    expect(datastoreSearch.mock.calls.map(([args]) => [args.offset, args.limit, args.sort])).toEqual([
+      [0, 2, '_id'],
+      [2, 2, '_id'],
+      [4, 2, '_id'],
+      [5, 2, '_id'],
+    ]);
+    const csv = await readFile(out.path, 'utf8');
+    expect(csv).toBe('name,n,x\nAarau,1,1.5\n"Baden, AG",2,\n"Chur ""GR""",3,3\nDavos,4,4.25\nEmmen,5,5\n');
+    expect(out.bytes).toBe(Buffer.byteLength(csv));
+  });
+
+  it('uses keyset pagination when SQL is enabled and stops at max_rows', async () => {
+    CONFIG.ENABLE_SQL = true;
+    const res = await getExportHandlers().datastore_export({ resource_id: 'r1', format: 'jsonl', fields: ['name'], max_rows: 3 });
+    const out = res.structuredContent;
+    expect(out).toMatchObject({ status: 'truncated', limit_reached: 'rows', rows: 3, pagination: 'keyset' });
+    expect(datastoreSearch).not.toHaveBeenCalled();
+    expect(datastoreSearchSql.mock.calls.map(([sql]) => sql)).toEqual([
+      'SELECT "_id", "name" FROM "r1" WHERE "_id" > 0 ORDER BY "_id" LIMIT 2',
+      'SELECT "_id", "name" FROM "r1" WHERE "_id" > 2 ORDER BY "_id" LIMIT 1',
+    ]);
+    expect(await readFile(out.path, 'utf8')).toBe('{"name":"Aarau"}\n{"name":"Baden, AG"}\n{"name":"Chur \\"GR\\""}\n');
+  });
+
+  it('stops before max_bytes and rejects unknown fields', async () => {
+    const handlers = getExportHandlers();
+    const res = await handlers.datastore_export({ resource_id: 'r1', max_bytes: 40 });
+    expect(res.structuredContent).toMatchObject({ status: 'truncated', limit_reached: 'bytes', rows: 2 });
+    expect(res.structuredContent.bytes).toBeLessThanOrEqual(40);
+
+    const bad = await handlers.datastore_export({ resource_id: 'r1', fields: ['missing'] });
+    expect(bad.isError).toBe(true);
+    expect(bad.content[0].text).toMatch(/Unknown field\(s\).*missing/);
+  });
+
+  it('resumes an interrupted Parquet export from the last saved page', async () => {
+    datastoreSearch.mockImplementationOnce(async ({ limit, offset }) => ({
+      success: true,
+      result: { records: TABLE.slice(offset, offset + limit) },
+    }));
+    datastoreSearch.mockRejectedValueOnce(new Error('CKAN unavailable'));
+    const handlers = getExportHandlers();
+    const first = (await handlers.datastore_export({ resource_id: 'r1', format: 'parquet' })).structuredContent;
+    expect(first).toMatchObject({ status: 'interrupted', rows: 2 });
+    expect(first.error).toMatch(/CKAN unavailable.*resume/);
+    expect(first.path).toBeUndefined();
+
+    const res = await handlers.datastore_export({ resume: first.export_id });
+    const out = res.structuredContent;
+    expect(out).toMatchObject({ export_id: first.export_id, status: 'complete', rows: 5 });
+    expect(out.schema.map((c) => c.parquet_type)).toEqual(['string', 'int64', 'double']);
+    expect(datastoreSearch.mock.calls.at(2)[0].offset).toBe(2);
+    const file = await readFile(out.path);
+    expect(file.subarray(0, 4).toString()).toBe('PAR1');
+    expect(file.subarray(-4).toString()).toBe('PAR1');
+    expect(file.length).toBe(out.bytes);
+
+    const again = await handlers.datastore_export({ resume: first.export_id });
+    expect(again.structuredContent).toMatchObject({ status: 'complete', path: out.path, bytes: out.bytes });
+  });
+
+  it('resumes an export on the portal it started on', async () => {
+    datastoreSearch.mockRejectedValueOnce(new Error('CKAN unavailable'));
+    const handlers = getExportHandlers();
+    const first = (await handlers.datastore_export({ resource_id: 'r1', format: 'jsonl', portal: 'basel' })).structuredContent;
+    expect(first).toMatchObject({ status: 'interrupted', portal: 'basel' });
+
+    const other = await handlers.datastore_export({ resume: first.export_id, portal: 'stadt-zuerich' });
+    expect(other.isError).toBe(true);
+    expect(other.content[0].text).toContain(`Export ${first.export_id} reads portal basel, not stadt-zuerich`);
+
+    const res = await handlers.datastore_export({ resume: first.export_id });
+    expect(res.structuredContent).toMatchObject({ status: 'complete', portal: 'basel', rows: 5 });
+    expect(new Set(portals.pages)).toEqual(new Set(['basel']));
+  });
+
+  it('writes Parquet files that a reader reads back', async () => {
+    const res = await getExportHandlers().datastore_export({ resource_id: 'r1', format: 'parquet' });
+    const bytes = await readFile(res.structuredContent.path);
+    const file = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length);
+
+    const metadata = parquetMetadata(file);
+    expect(Number(metadata.num_rows)).toBe(5);
+    const columns = parquetSchema(metadata).children.map(({ element }) => [
+      element.name,
+      element.type,
+      element.converted_type,
+      element.repetition_type,
+    ]);
+    expect(columns).toEqual([
+      ['name', 'BYTE_ARRAY', 'UTF8', 'OPTIONAL'],
+      ['n', 'INT64', undefined, 'OPTIONAL'],
+      ['x', 'DOUBLE', undefined, 'OPTIONAL'],
+    ]);
+
+    const rows = await parquetReadObjects({ file });
+    expect(rows).toEqual([
+      { name: 'Aarau', n: 1n, x: 1.5 },
+      { name: 'Baden, AG', n: 2n, x: null },
+      { name: 'Chur "GR"', n: 3n, x: 3 },
+      { name: 'Davos', n: 4n, x: 4.25 },
+      { name: 'Emmen', n: 5n, x: 5 },
+    ]);
+  });
+});
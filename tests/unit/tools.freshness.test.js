@@ -0,0 +1,119 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const EU = 'http://publications.europa.eu/resource/authority/frequency/';
+
+// Report date 2024-07-01; overdue by days past the period plus 10% tolerance
+const DATASETS = [
+  // daily, updated 10 days ago: due after 1.1 days
+  { id: 'd1', name: 'daily', accrual_periodicity: `${EU}DAILY`, modified: '2024-06-21T00:00:00' },
+  // monthly, last resource update 45 days ago: due after ~33.5 days
+  {
+    id: 'd2',
+    name: 'monthly',
+    accrual_periodicity: `${EU}MONTHLY`,
+    modified: '2024-01-01',
+    resources: [{ last_modified: '2024-05-17T00:00:00' }],
+  },
+  // annual, updated 100 days ago: not due
+  { id: 'd3', name: 'annual', accrual_periodicity: `${EU}ANNUAL`, modified: '2024-03-23T00:00:00' },
+  // legacy Dublin Core weekly, only metadata_modified: 30 days ago
+  {
+    id: 'd4',
+    name: 'weekly',
+    accrual_periodicity: 'http://purl.org/cld/freq/weekly',
+    metadata_modified: '2024-06-01T00:00:00.123456',
+  },
+  // irregular and missing: no schedule, 400 and 10 days old
+  { id: 'd5', name: 'irregular', accrual_periodicity: `${EU}IRREG`, modified: '2023-05-28T00:00:00Z' },
+  { id: 'd6', name: 'none', modified: '2024-06-21' },
+];
+
+vi.mock('../../src/api/ckan-client.js', () => ({
+  packageSearch: vi.fn(async ({ start }) => ({
+    success: true,
+    result: { count: DATASETS.length, results: start ? [] : DATASETS },
+  })),
+  packageActivityList: vi.fn(async ({ id }) => {
+    if (id === 'd1') throw new Error('Not authorized');
+    return { success: true, result: [{ timestamp: '2024-06-30T10:00:00', activity_type: 'changed package' }] };
+  }),
+}));
+
+import { getFreshnessHandlers } from '../../src/tools/freshness.js';
+import { packageActivityList, packageSearch } from '../../src/api/ckan-client.js';
+import { FREQUENCY_DAYS, frequencyCode } from '../../src/formats/frequency.js';
+
+const report = (args) => getFreshnessHandlers().freshness_report({ as_of: '2024-07-01T00:00:00Z', ...args });
+
+describe('freshness_report', () => {
+  beforeEach(() => {
+    packageSearch.mockClear();
+    packageActivityList.mockClear();
+  });
+
+  it('ranks datasets overdue against their accrual periodicity', async () => {
+    const res = await report({ organization: 'bafu' });
+    expect(res.isError).toBeUndefined();
+    const out = res.structuredContent;
+    expect(out).toMatchObject({
+      as_of: '2024-07-01T00:00:00.000Z',
+      checked: 6,
+      overdue_count: 3,
+      without_schedule: 2,
+      complete: true,
+    });
+    expect(out.query.fq).toContain('organization:"bafu"');
+    expect(out.overdue.map((e) => e.name)).toEqual(['weekly', 'monthly', 'daily']);
+
+    const [weekly, monthly, daily] = out.overdue;
+    expect(weekly).toMatchObject({ frequency: 'WEEKLY', period_days: 7, updated_from: 'metadata_modified' });
+    expect(weekly.days_overdue).toBeCloseTo(30 - 7.7, 1);
+    expect(monthly).toMatchObject({
+      frequency: 'MONTHLY',
+      last_updated: '2024-05-17T00:00:00.000Z',
+      updated_from: 'resources.last_modified',
+    });
+    expect(daily).toMatchObject({ frequency: 'DAILY', days_overdue: 8.9, periods_overdue: 8.9 });
+  });
+
+  it('looks up the last activity of the top datasets and records failures', async () => {
+    const { structuredContent: out } = await report({ activity: 2 });
+    expect(packageActivityList).toHaveBeenCalledTimes(2);
+    expect(packageActivityList).toHaveBeenCalledWith({ id: 'd4', limit: 1 });
+    expect(out.overdue[0].last_activity).toEqual({ timestamp: '2024-06-30T10:00:00', activity_type: 'changed package' });
+    expect(out.overdue[2].last_activity).toBeUndefined();
+
+    const { structuredContent: all } = await report({});
+    expect(all.overdue[2]).toMatchObject({ id: 'd1', last_activity_error: 'Not authorized' });
+  });
+
+  it('applies tolerance, max_age_days and limit', async () => {
+    const { structuredContent: strict } = await report({ tolerance: 0, activity: 0 });
+    expect(strict.overdue.find((e) => e.name === 'daily').days_overdue).toBe(9);
+
+    const { structuredContent: lenient } = await report({ tolerance: 5, activity: 0 });
+    expect(lenient.overdue.map((e) => e.name)).toEqual(['daily']);
+
+    const { structuredContent: aged } = await report({ max_age_days: 365, limit: 2, activity: 0 });
+    expect(aged.overdue_count).toBe(4);
+    expect(aged.overdue.map((e) => e.name)).toEqual(['irregular', 'weekly']);
+    expect(aged.overdue[0]).toMatchObject({ frequency: 'IRREG', period_days: null, periods_overdue: null });
+    expect(packageActivityList).not.toHaveBeenCalled();
+  });
+
+  it('rejects an invalid as_of date', async () => {
+    const res = await report({ as_of: 'last week' });
+    expect(res.isError).toBe(true);
+    expect(res.content[0].text).toContain('as_of');
+  });
+});
+
+describe('frequencyCode', () => {
+  it('maps EU and Dublin Core frequencies to EU codes', () => {
+    expect(frequencyCode(`${EU}QUARTERLY`)).toBe('QUARTERLY');
+    expect(frequencyCode('http://purl.org/cld/freq/semiannual')).toBe('ANNUAL_2');
+    expect(frequencyCode(`${EU}FORTNIGHTLY`)).toBeUndefined();
+    expect(frequencyCode('monthly')).toBeUndefined();
+    expect(FREQUENCY_DAYS.IRREG).toBeNull();
+  });
+});
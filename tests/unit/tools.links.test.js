@@ -0,0 +1,98 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const CHECKS = {
+  'https://data.example.ch/a.csv': { ok: true, status: 200, content_type: 'text/csv; charset=utf-8' },
+  'https://data.example.ch/b.csv': { ok: true, status: 200, content_type: 'text/html' },
+  'https://data.example.ch/page': {
+    ok: true,
+    status: 200,
+    content_type: 'text/html',
+    redirects: [{ url: 'http://data.example.ch/page', status: 301 }],
+  },
+  'https://data.example.ch/c.json': { ok: false, status: 404, content_type: 'text/html' },
+  'https://data.example.ch/d.zip': { ok: true, status: 200, content_type: 'application/octet-stream' },
+};
+
+const dataset = {
+  id: 'pkg-1',
+  name: 'luftqualitaet',
+  resources: [
+    { id: 'r1', name: { de: 'A' }, format: 'CSV', url: 'https://data.example.ch/page', download_url: 'https://data.example.ch/a.csv' },
+    { id: 'r2', format: 'CSV', url: 'https://data.example.ch/b.csv', download_url: 'https://data.example.ch/b.csv' },
+    { id: 'r3', format: 'JSON', mimetype: 'application/json', url: 'https://data.example.ch/c.json' },
+    { id: 'r4', format: 'ZIP', url: 'https://data.example.ch/d.zip' },
+    { id: 'r5', format: 'CSV', url: 'https://data.example.ch/page' },
+    { id: 'r6', format: 'CSV', url: '' },
+  ],
+};
+
+vi.mock('../../src/api/ckan-client.js', () => ({
+  packageShow: vi.fn(async () => ({ success: true, result: dataset })),
+  packageSearch: vi.fn(async ({ start }) => ({
+    success: true,
+    result: { count: 1, results: start ? [] : [dataset] },
+  })),
+  checkLink: vi.fn(async (url) => ({
+    url,
+    method: 'HEAD',
+    redirects: [],
+    final_url: url,
+    latency_ms: 5,
+    checked_at: '2024-07-01T00:00:00.000Z',
+    cached: false,
+    ...CHECKS[url],
+  })),
+}));
+
+import { getLinkHandlers } from '../../src/tools/links.js';
+import { checkLink, packageSearch } from '../../src/api/ckan-client.js';
+
+const check = (args, context) => getLinkHandlers().resource_link_check(args, context);
+
+describe('resource_link_check', () => {
+  beforeEach(() => {
+    checkLink.mockClear();
+    packageSearch.mockClear();
+  });
+
+  it('checks url and download_url of every resource once per distinct URL', async () => {
+    const progress = vi.fn(async () => {});
+    const res = await check({ id: 'luftqualitaet', concurrency: 2 }, { progress });
+    expect(res.isError).toBeUndefined();
+    const out = res.structuredContent;
+    expect(out).toMatchObject({
+      datasets: 1,
+      resources: 6,
+      links: 6,
+      urls: 5,
+      ok: 5,
+      broken: 1,
+      redirected: 2,
+      mismatched: 3,
+    });
+    expect(checkLink).toHaveBeenCalledTimes(5);
+    expect(checkLink).toHaveBeenCalledWith('https://data.example.ch/a.csv', { force: undefined });
+    expect(progress).toHaveBeenLastCalledWith(5, 5, 'Checked 5 of 5 URLs');
+
+    const byResource = (id, field = 'url') => out.results.find((r) => r.resource_id === id && r.field === field);
+    expect(byResource('r1', 'download_url')).toMatchObject({ dataset: 'luftqualitaet', content_type_match: true });
+    expect(byResource('r1')).toMatchObject({ content_type_match: false, resource_name: { de: 'A' } });
+    expect(byResource('r2', 'download_url')).toBeUndefined();
+    expect(byResource('r3')).toMatchObject({ ok: false, status: 404, declared_media_type: 'application/json', content_type_match: null });
+    expect(byResource('r4')).toMatchObject({ declared_format: 'ZIP', content_type_match: null });
+  });
+
+  it('checks the datasets of a search and filters to failures', async () => {
+    const { structuredContent: out } = await check({ organization: 'bafu', only_failed: true, force: true });
+    expect(packageSearch).toHaveBeenCalledWith(expect.objectContaining({ fq: expect.stringContaining('organization:"bafu"') }));
+    expect(out).toMatchObject({ datasets: 1, count: 1, complete: true });
+    expect(out.results.map((r) => r.resource_id)).toEqual(['r1', 'r2', 'r3', 'r5']);
+    expect(checkLink).toHaveBeenCalledWith('https://data.example.ch/page', { force: true });
+  });
+
+  it('rejects id combined with search arguments', async () => {
+    const res = await check({ id: 'luftqualitaet', organization: 'bafu' });
+    expect(res.isError).toBe(true);
+    expect(res.content[0].text).toContain('not both');
+  });
+});
@@ -0,0 +1,27 @@
+import { describe, it, expect, vi } from 'vitest';
+
+// Mock CKAN client used by portal tool handlers
+vi.mock('../../src/api/ckan-client.js', () => ({
+  portalList: vi.fn(() => [
+    { name: 'opendata-swiss', title: 'opendata.swiss', baseUrl: 'https://opendata.swiss/api/3/action', default: true },
+    { name: 'stadt-zuerich', title: 'Open Data Stadt Zürich', baseUrl: 'https://data.stadt-zuerich.ch/api/3/action', default: false },
+  ]),
+}));
+
+import { getPortalHandlers } from '../../src/tools/portals.js';
+import { portalList } from '../../src/api/ckan-client.js';
+
+describe('portal tools', () => {
+  it('portal_list returns configured portals', async () => {
+    const handlers = getPortalHandlers();
+
+    const invalid = await handlers.portal_list({ unexpected: 1 });
+    expect(invalid.isError).toBe(true);
+
+    const res = await handlers.portal_list({});
+    expect(res.isError).toBeUndefined();
+    const portals = JSON.parse(res.content[0].text);
+    expect(portals.map((p) => p.name)).toEqual(['opendata-swiss', 'stadt-zuerich']);
+    expect(portalList).toHaveBeenCalledTimes(1);
+  });
+});
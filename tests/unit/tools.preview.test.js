@@ -0,0 +1,70 @@
+import { describe, it, expect, vi } from 'vitest';
+
+// ESM mocking of the CKAN client used by the tool handlers
+vi.mock('../../src/api/ckan-client.js', () => ({
+  resourceShow: vi.fn(async (id) => ({
+    success: true,
+    result: { id, name: { de: 'Bevölkerung', fr: 'Population' }, format: 'CSV', url: 'https://example.org/data.csv' },
+  })),
+  fetchResourceBytes: vi.fn(async () => ({
+    contentType: 'text/csv',
+    bytes: Buffer.from('jahr,anzahl\n2023,10\n2024,12\n'),
+    truncated: false,
+  })),
+}));
+
+import { getPreviewHandlers, getPreviewTools } from '../../src/tools/preview.js';
+import { resourceShow, fetchResourceBytes } from '../../src/api/ckan-client.js';
+import { CONFIG } from '../../src/config.js';
+
+describe('resource_preview tool', () => {
+  it('exposes input and output schemas', () => {
+    const [tool] = getPreviewTools();
+    expect(tool.name).toBe('resource_preview');
+    expect(tool.inputSchema.required).toEqual(['id']);
+    expect(tool.inputSchema.properties.format.enum).toContain('xlsx');
+    expect(tool.outputSchema.properties.columns.type).toBe('array');
+  });
+
+  it('downloads the resource URL and returns a typed table', async () => {
+    const handlers = getPreviewHandlers();
+    const res = await handlers.resource_preview({ id: 'r1', rows: 1 });
+    expect(res.isError).toBeUndefined();
+    expect(resourceShow).toHaveBeenCalledWith('r1');
+    expect(fetchResourceBytes).toHaveBeenCalledWith('https://example.org/data.csv', CONFIG.PREVIEW_MAX_BYTES);
+    expect(res.structuredContent).toMatchObject({
+      resource: { id: 'r1', name: 'Bevölkerung', format: 'CSV' },
+      format: 'csv',
+      delimiter: ',',
+      columns: [
+        { name: 'jahr', type: 'integer' },
+        { name: 'anzahl', type: 'integer' },
+      ],
+      rows: [[2023, 10]],
+      truncated: true,
+    });
+  });
+
+  it('caps max_bytes at PREVIEW_MAX_BYTES', async () => {
+    const handlers = getPreviewHandlers();
+    await handlers.resource_preview({ id: 'r1', max_bytes: CONFIG.PREVIEW_MAX_BYTES * 10 });
+    expect(fetchResourceBytes).toHaveBeenLastCalledWith('https://example.org/data.csv', CONFIG.PREVIEW_MAX_BYTES);
+    await handlers.resource_preview({ id: 'r1', max_bytes: 1000 });
+    expect(fetchResourceBytes).toHaveBeenLastCalledWith('https://example.org/data.csv', 1000);
+  });
+
+  it('reports spreadsheets that do not fit the byte limit', async () => {
+    fetchResourceBytes.mockResolvedValueOnce({ contentType: 'application/octet-stream', bytes: Buffer.from('PK'), truncated: true });
+    const handlers = getPreviewHandlers();
+    const res = await handlers.resource_preview({ id: 'r1', format: 'xlsx' });
+    expect(res.isError).toBe(true);
+    expect(res.content[0].text).toContain('increase max_bytes');
+  });
+
+  it('rejects invalid arguments', async () => {
+    const handlers = getPreviewHandlers();
+    const res = await handlers.resource_preview({ id: 'r1', rows: 10000 });
+    expect(res.isError).toBe(true);
+    expect(res.content[0].text).toContain('Invalid arguments for resource_preview');
+  });
+});
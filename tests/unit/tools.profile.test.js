@@ -0,0 +1,88 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// ESM mocking of the CKAN client used by the tool handlers
+vi.mock('../../src/api/ckan-client.js', () => ({
+  resourceShow: vi.fn(async (id) => ({
+    success: true,
+    result: { id, name: 'Gemeinden', format: 'CSV', url: 'https://example.org/gemeinden.csv', datastore_active: false },
+  })),
+  fetchResourceBytes: vi.fn(async () => ({
+    contentType: 'text/csv',
+    bytes: Buffer.from('gemeinde_nr;kanton;anteil\n261;ZH;0.5\n351;BE;\n'),
+    truncated: false,
+  })),
+  datastoreInfo: vi.fn(async () => ({
+    success: true,
+    result: {
+      meta: { count: 2500 },
+      fields: [
+        { id: '_id', type: 'int' },
+        { id: 'jahr', type: 'int4' },
+        { id: 'wert', type: 'numeric' },
+      ],
+    },
+  })),
+  datastoreSearch: vi.fn(async ({ limit, offset }) => ({
+    success: true,
+    result: {
+      records: Array.from({ length: limit }, (_, i) => ({ _id: offset + i + 1, jahr: 2000 + ((offset + i) % 20), wert: i / 2 })),
+    },
+  })),
+}));
+
+import { getProfileHandlers, sampleOffsets } from '../../src/tools/profile.js';
+import { resourceShow, fetchResourceBytes, datastoreSearch } from '../../src/api/ckan-client.js';
+
+describe('resource_profile tool', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('profiles a downloaded file', async () => {
+    const handlers = getProfileHandlers();
+    const res = await handlers.resource_profile({ id: 'r1' });
+    expect(res.isError).toBeUndefined();
+    expect(fetchResourceBytes).toHaveBeenCalledTimes(1);
+    expect(res.structuredContent).toMatchObject({
+      resource: { id: 'r1', name: 'Gemeinden' },
+      source: 'file',
+      format: 'csv',
+      delimiter: ';',
+      rows_profiled: 2,
+      total_rows: 2,
+      complete: true,
+    });
+    const [nr, kanton, anteil] = res.structuredContent.columns;
+    expect(nr).toMatchObject({ name: 'gemeinde_nr', type: 'integer', semantic_type: 'swiss_municipality_number' });
+    expect(kanton).toMatchObject({ type: 'string', semantic_type: 'canton_code', distinct: 2 });
+    expect(anteil).toMatchObject({ type: 'number', null_rate: 0.5, min: 0.5, max: 0.5 });
+  });
+
+  it('samples datastore pages spread over the table', async () => {
+    resourceShow.mockResolvedValueOnce({ success: true, result: { id: 'r2', name: 'Zeitreihe', datastore_active: true } });
+    const handlers = getProfileHandlers();
+    const res = await handlers.resource_profile({ id: 'r2', sample_rows: 2000 });
+    expect(fetchResourceBytes).not.toHaveBeenCalled();
+    expect(datastoreSearch.mock.calls.map(([args]) => args.offset)).toEqual([0, 1500]);
+    expect(res.structuredContent).toMatchObject({ source: 'datastore', rows_profiled: 2000, total_rows: 2500, complete: false });
+    expect(res.structuredContent.columns.map((c) => [c.name, c.source_type])).toEqual([
+      ['jahr', 'int4'],
+      ['wert', 'numeric'],
+    ]);
+    expect(res.structuredContent.columns[0]).toMatchObject({ min: 2000, max: 2019, distinct: 20 });
+  });
+
+  it('refuses source=datastore for resources outside the datastore', async () => {
+    const handlers = getProfileHandlers();
+    const res = await handlers.resource_profile({ id: 'r1', source: 'datastore' });
+    expect(res.isError).toBe(true);
+    expect(res.content[0].text).toContain('not loaded into the datastore');
+  });
+
+  it('computes sample offsets', () => {
+    expect(sampleOffsets(undefined, 2500, 1000)).toEqual([0, 1000, 2000]);
+    expect(sampleOffsets(800, 5000, 1000)).toEqual([0]);
+    expect(sampleOffsets(10000, 3000, 1000)).toEqual([0, 4500, 9000]);
+    expect(sampleOffsets(4501, 4500, 1000)).toEqual([0, 1000, 2001, 3001, 4001]);
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect, vi } from 'vitest';
+import { z } from 'zod';
+
+vi.mock('../../src/api/ckan-client.js', () => ({}));
+
+import { defineTool, toolDescriptor, toolHandler } from '../../src/tools/registry.js';
+import { TOOLS } from '../../src/tools/index.js';
+
+const echo = defineTool({
+  name: 'echo',
+  description: 'Echo the arguments',
+  input: z.object({
+    id: z.string().describe('Identifier'),
+    limit: z.number().int().positive().max(10).optional(),
+  }),
+  output: z.object({ id: z.string() }).passthrough(),
+  annotations: { readOnlyHint: true },
+  handler: async (args) => ({ success: true, result: args }),
+});
+
+describe('tool registry', () => {
+  it('derives the MCP descriptor from the Zod declaration', () => {
+    expect(toolDescriptor(echo)).toEqual({
+      name: 'echo',
+      description: 'Echo the arguments',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'Identifier' },
+          limit: { type: 'integer', exclusiveMinimum: 0, maximum: 10 },
+        },
+        required: ['id'],
+        additionalProperties: false,
+      },
+      outputSchema: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] },
+      annotations: { readOnlyHint: true },
+    });
+  });
+
+  it('validates arguments, rejecting unknown ones', async () => {
+    const handler = toolHandler(echo);
+    const missing = await handler({});
+    expect(missing.isError).toBe(true);
+    expect(missing.content[0].text).toContain('Invalid arguments for echo');
+    const unknown = await handler({ id: 'x', includeTotal: true });
+    expect(unknown.isError).toBe(true);
+    expect(unknown.content[0].text).toContain('includeTotal');
+  });
+
+  it('returns JSON text and structuredContent', async () => {
+    const res = await toolHandler(echo)({ id: 'x', limit: 2 });
+    expect(res.isError).toBeUndefined();
+    expect(JSON.parse(res.content[0].text)).toEqual({ success: true, result: { id: 'x', limit: 2 } });
+    expect(res.structuredContent).toEqual({ id: 'x', limit: 2 });
+  });
+
+  it('reports handler failures, using formatError when given', async () => {
+    const failing = defineTool({
+      ...echo,
+      handler: async () => {
+        throw new Error('boom');
+      },
+      formatError: (e) => `custom: ${e.message}`,
+    });
+    const res = await toolHandler(failing)({ id: 'x' });
+    expect(res).toEqual({ isError: true, content: [{ type: 'text', text: 'custom: boom' }] });
+  });
+
+  it('passes the call context to the handler', async () => {
+    const seen = vi.fn(async () => ({ success: true, result: { id: 'x' } }));
+    const tool = defineTool({ ...echo, handler: seen });
+    const context = { progress: vi.fn(async () => {}) };
+    await toolHandler(tool)({ id: 'x' }, context);
+    expect(seen).toHaveBeenCalledWith({ id: 'x' }, context);
+
+    await toolHandler(tool)({ id: 'x' });
+    await expect(seen.mock.calls[1][1].progress(1, 2)).resolves.toBeUndefined();
+    await expect(seen.mock.calls[1][1].resourceUpdated('opendata://dataset/x')).resolves.toBeUndefined();
+  });
+
+  it('registers every tool once with a strict object input schema', () => {
+    const names = TOOLS.map((t) => t.name);
+    expect(new Set(names).size).toBe(names.length);
+    for (const tool of TOOLS) {
+      const { inputSchema } = toolDescriptor(tool);
+      expect(inputSchema.type).toBe('object');
+      expect(inputSchema.additionalProperties).toBe(false);
+    }
+  });
+
+  it('does not mark tools that write files as read-only', () => {
+    const writers = TOOLS.filter((t) => t.annotations?.readOnlyHint === false).map((t) => t.name);
+    expect(writers).toEqual(expect.arrayContaining(['datastore_export', 'package_search_all', 'resource_download', 'watch_add']));
+  });
+});
@@ -4,6 +4,7 @@ import { describe, it, expect, vi } from 'vitest';
 vi.mock('../../src/api/ckan-client.js', () => ({
   statusShow: vi.fn(async () => ({ success: true, result: { site_read_only: false } })),
   helpShow: vi.fn(async (name) => ({ success: true, result: { name, help: 'ok' } })),
+  circuitState: vi.fn(() => ({ 'opendata.swiss': { state: 'closed', failures: 0 } })),
 }));
 
 import { getStatusHandlers } from '../../src/tools/status.js';
@@ -18,9 +19,23 @@ describe('status tools', () => {
     expect(Array.isArray(res.content)).toBe(true);
     const text = res.content[0]?.text || '';
     expect(text).toContain('"success": true');
+    expect(text).toContain('"circuit_breaker"');
+    expect(res.structuredContent).toEqual({
+      site_read_only: false,
+      circuit_breaker: { 'opendata.swiss': { state: 'closed', failures: 0 } },
+    });
     expect(statusShow).toHaveBeenCalledTimes(1);
   });
 
+  it('status_show reports the circuit state when the portal is down', async () => {
+    statusShow.mockRejectedValueOnce(new Error('[CKAN status_show] Circuit open for opendata.swiss'));
+    const handlers = getStatusHandlers();
+    const res = await handlers.status_show({});
+    expect(res.isError).toBe(true);
+    expect(res.content[0].text).toContain('Circuit open');
+    expect(res.content[0].text).toContain('"state": "closed"');
+  });
+
   it('help_show validates args and calls API', async () => {
     const handlers = getStatusHandlers();
     // Missing "name" -> validation error
@@ -0,0 +1,176 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from 'vitest';
+import { readdir, rm } from 'node:fs/promises';
+
+const watchDir = await vi.hoisted(async () => {
+  const fs = await import('node:fs/promises');
+  const os = await import('node:os');
+  const p = await import('node:path');
+  const dir = await fs.mkdtemp(p.join(os.tmpdir(), 'watch-test-'));
+  process.env.WATCH_DIR = dir;
+  return dir;
+});
+
+const state = vi.hoisted(() => ({ portal: 'opendata-swiss', datasets: [] }));
+
+vi.mock('../../src/api/ckan-client.js', () => ({
+  portalSite: () => ({ name: state.portal, title: 'Portal', url: 'https://example.org' }),
+  withPortal: (_portal, fn) => fn(),
+  packageShow: vi.fn(async (id) => {
+    const dataset = state.datasets.find((d) => d.id === id || d.name === id);
+    if (!dataset) throw new Error(`[CKAN package_show] HTTP 404 - Not found`);
+    return { success: true, result: structuredClone(dataset) };
+  }),
+  packageSearch: vi.fn(async ({ start, rows }) => ({
+    success: true,
+    result: { count: state.datasets.length, results: structuredClone(state.datasets.slice(start, start + rows)) },
+  })),
+}));
+
+import { getWatchHandlers } from '../../src/tools/watch.js';
+import { packageSearch } from '../../src/api/ckan-client.js';
+
+const handlers = getWatchHandlers();
+const context = () => ({ progress: vi.fn(async () => {}), resourceUpdated: vi.fn(async () => {}) });
+
+const dataset = (n, extra = {}) => ({
+  id: `id-${n}`,
+  name: `dataset-${n}`,
+  title: { de: `Datensatz ${n}` },
+  metadata_modified: '2024-01-01T00:00:00',
+  organization: { name: 'bafu' },
+  resources: [{ id: `r${n}a`, name: 'CSV', format: 'CSV', url: `https://x/${n}.csv`, tracking_summary: { total: 1 } }],
+  ...extra,
+});
+
+describe('watch tools', () => {
+  beforeEach(async () => {
+    state.portal = 'opendata-swiss';
+    state.datasets = [1, 2, 3].map((n) => dataset(n));
+    packageSearch.mockClear();
+    await rm(watchDir, { recursive: true, force: true });
+  });
+
+  afterAll(async () => {
+    await rm(watchDir, { recursive: true, force: true });
+  });
+
+  it('requires a dataset or search arguments, not both', async () => {
+    const none = await handlers.watch_add({});
+    expect(none.isError).toBe(true);
+    expect(none.content[0].text).toContain('at least one search argument');
+    const both = await handlers.watch_add({ dataset: 'dataset-1', organization: 'bafu' });
+    expect(both.content[0].text).toContain('not both');
+  });
+
+  it('stores watches with their first snapshot, lists and removes them', async () => {
+    const added = await handlers.watch_add({ organization: 'bafu', name: 'BAFU' }, context());
+    expect(added.isError).toBeUndefined();
+    const watch = added.structuredContent;
+    expect(watch).toMatchObject({
+      name: 'BAFU',
+      kind: 'organization',
+      portal: 'opendata-swiss',
+      target: { organization: 'bafu' },
+      datasets: 3,
+      complete: true,
+    });
+    expect(watch.snapshot).toBeUndefined();
+    expect(await readdir(watchDir)).toEqual([`${watch.id}.json`]);
+
+    const search = await handlers.watch_add({ q: 'luft', res_format: 'CSV' }, context());
+    expect(search.structuredContent).toMatchObject({ kind: 'search', target: { q: 'luft', res_format: 'CSV' } });
+
+    const listed = JSON.parse((await handlers.watch_list({})).content[0].text).result;
+    expect(listed.count).toBe(2);
+    expect(listed.watches.map((w) => w.id)).toEqual([watch.id, search.structuredContent.id]);
+
+    expect(JSON.parse((await handlers.watch_remove({ id: watch.id })).content[0].text).result).toEqual({
+      id: watch.id,
+      removed: true,
+    });
+    const again = await handlers.watch_remove({ id: watch.id });
+    expect(again.isError).toBe(true);
+    expect(again.content[0].text).toContain('Unknown watch');
+  });
+
+  it('reports new, removed and modified datasets since the last check', async () => {
+    const { id } = (await handlers.watch_add({ organization: 'bafu' }, context())).structuredContent;
+
+    state.datasets = [
+      dataset(1, {
+        metadata_modified: '2024-02-01T00:00:00',
+        title: { de: 'Neuer Titel' },
+        resources: [
+          { id: 'r1a', name: 'CSV', format: 'CSV', url: 'https://x/1-v2.csv', tracking_summary: { total: 9 } },
+          { id: 'r1b', name: 'JSON', format: 'JSON', url: 'https://x/1.json' },
+        ],
+      }),
+      // Only counters changed
+      dataset(2, { resources: [{ ...dataset(2).resources[0], tracking_summary: { total: 5 } }], num_resources: 1 }),
+      dataset(4),
+    ];
+
+    const ctx = context();
+    const { structuredContent: out } = await handlers.watch_check({}, ctx);
+    expect(out.changes).toBe(3);
+    const [report] = out.watches;
+    expect(report).toMatchObject({ id, kind: 'organization', changed: true, complete: true });
+    expect(report.new_datasets).toEqual([{ id: 'id-4', name: 'dataset-4', title: { de: 'Datensatz 4' } }]);
+    expect(report.removed_datasets).toEqual([{ id: 'id-3', name: 'dataset-3', title: { de: 'Datensatz 3' } }]);
+    expect(report.modified_datasets).toEqual([
+      {
+        id: 'id-1',
+        name: 'dataset-1',
+        title: { de: 'Neuer Titel' },
+        metadata_modified: { before: '2024-01-01T00:00:00', after: '2024-02-01T00:00:00' },
+        fields: ['title'],
+        resources: {
+          added: [{ id: 'r1b', name: 'JSON', format: 'JSON' }],
+          removed: [],
+          modified: [{ id: 'r1a', name: 'CSV', format: 'CSV', fields: ['url'] }],
+        },
+      },
+    ]);
+    expect(ctx.resourceUpdated.mock.calls.map(([uri]) => uri)).toEqual([
+      'opendata://dataset/dataset-3',
+      'opendata://dataset/id-3',
+      'opendata://dataset/dataset-1',
+      'opendata://dataset/id-1',
+      'opendata://organization/bafu',
+    ]);
+    expect(ctx.progress).toHaveBeenCalledWith(1, 1, 'Checked 1 of 1 watches');
+
+    const { structuredContent: next } = await handlers.watch_check({ id }, context());
+    expect(next).toMatchObject({ changes: 0, watches: [{ id, changed: false, since: out.checked_at }] });
+  });
+
+  it('peeks without update and skips removals of incomplete snapshots', async () => {
+    const { id } = (await handlers.watch_add({ organization: 'bafu', max_results: 2 }, context())).structuredContent;
+    state.datasets = [dataset(0), ...state.datasets];
+
+    const peek = await handlers.watch_check({ id, update: false }, context());
+    expect(peek.structuredContent.watches[0]).toMatchObject({ complete: false, changed: true, removed_datasets: [] });
+    expect(peek.structuredContent.watches[0].new_datasets.map((d) => d.id)).toEqual(['id-0']);
+
+    const again = await handlers.watch_check({ id }, context());
+    expect(again.structuredContent.watches[0].new_datasets.map((d) => d.id)).toEqual(['id-0']);
+    expect((await handlers.watch_check({ id }, context())).structuredContent.changes).toBe(0);
+  });
+
+  it('reports failures per watch and notifies only for the default portal', async () => {
+    state.portal = 'basel';
+    const { id } = (await handlers.watch_add({ dataset: 'dataset-1' }, context())).structuredContent;
+    state.datasets[0].notes = 'Updated';
+    const ctx = context();
+    const { structuredContent: out } = await handlers.watch_check({ id }, ctx);
+    expect(out.watches[0]).toMatchObject({ kind: 'dataset', changed: true, modified_datasets: [{ fields: ['notes'] }] });
+    expect(ctx.resourceUpdated).not.toHaveBeenCalled();
+
+    state.datasets = [];
+    const { structuredContent: failed } = await handlers.watch_check({ id }, context());
+    expect(failed.watches[0]).toMatchObject({ changed: false, error: expect.stringContaining('HTTP 404') });
+
+    const unknown = await handlers.watch_check({ id: 'missing' });
+    expect(unknown.isError).toBe(true);
+  });
+});
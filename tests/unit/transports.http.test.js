@@ -0,0 +1,147 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+
+import { startHttpServer, HTTP_PATHS } from '../../src/transports/http.js';
+
+// Minimal server factory standing in for src/server.js
+function createTestServer() {
+  const server = new Server({ name: 'test', version: '0.0.0' }, { capabilities: { tools: {} } });
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: [] }));
+  return server;
+}
+
+const initializeBody = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: {
+    protocolVersion: '2025-03-26',
+    capabilities: {},
+    clientInfo: { name: 'vitest', version: '0.0.0' },
+  },
+};
+
+const rpcHeaders = {
+  'content-type': 'application/json',
+  accept: 'application/json, text/event-stream',
+};
+
+/**
+ * Read server-sent events from a fetch response, one at a time.
+ * @param {Response} res
+ * @returns {() => Promise<{ event: string, data: string }>}
+ */
+function sseReader(res) {
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  return async function next() {
+    while (!buffer.includes('\n\n')) {
+      const { value, done } = await reader.read();
+      if (done) throw new Error('Event stream closed');
+      buffer += value.replace(/\r\n/g, '\n');
+    }
+    const end = buffer.indexOf('\n\n');
+    const lines = buffer.slice(0, end).split('\n');
+    buffer = buffer.slice(end + 2);
+    const field = (name) =>
+      lines
+        .filter((l) => l.startsWith(`${name}:`))
+        .map((l) => l.slice(name.length + 1).trimStart())
+        .join('\n');
+    return { event: field('event') || 'message', data: field('data') };
+  };
+}
+
+describe('http transport', () => {
+  let running;
+
+  afterEach(async () => {
+    await running?.close();
+    running = undefined;
+  });
+
+  it('serves /healthz', async () => {
+    running = await startHttpServer({ createServer: createTestServer, port: 0 });
+    const res = await fetch(`http://127.0.0.1:${running.port}${HTTP_PATHS.HEALTH}`);
+    expect(res.status).toBe(200);
+    expect(await res.json()).toEqual({ status: 'ok', transport: 'http', sessions: 0 });
+  });
+
+  it('issues a distinct session id per initialize request', async () => {
+    running = await startHttpServer({ createServer: createTestServer, port: 0 });
+    const url = `http://127.0.0.1:${running.port}${HTTP_PATHS.MCP}`;
+
+    const first = await fetch(url, { method: 'POST', headers: rpcHeaders, body: JSON.stringify(initializeBody) });
+    const second = await fetch(url, { method: 'POST', headers: rpcHeaders, body: JSON.stringify(initializeBody) });
+    await first.text();
+    await second.text();
+
+    const a = first.headers.get('mcp-session-id');
+    const b = second.headers.get('mcp-session-id');
+    expect(a).toBeTruthy();
+    expect(b).toBeTruthy();
+    expect(a).not.toBe(b);
+    expect(running.sessions.size).toBe(2);
+  });
+
+  it('rejects non-initialize requests without a session id', async () => {
+    running = await startHttpServer({ createServer: createTestServer, port: 0 });
+    const res = await fetch(`http://127.0.0.1:${running.port}${HTTP_PATHS.MCP}`, {
+      method: 'POST',
+      headers: rpcHeaders,
+      body: JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list' }),
+    });
+    expect(res.status).toBe(400);
+  });
+
+  it('returns 404 for unknown sessions', async () => {
+    running = await startHttpServer({ createServer: createTestServer, port: 0 });
+    const res = await fetch(`http://127.0.0.1:${running.port}${HTTP_PATHS.MCP}`, {
+      method: 'POST',
+      headers: { ...rpcHeaders, 'mcp-session-id': 'nope' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list' }),
+    });
+    expect(res.status).toBe(404);
+  });
+
+  it('round-trips initialize and tools/list over legacy SSE', async () => {
+    running = await startHttpServer({ createServer: createTestServer, mode: 'sse', port: 0 });
+    const base = `http://127.0.0.1:${running.port}`;
+    const abort = new AbortController();
+    try {
+      const stream = await fetch(`${base}${HTTP_PATHS.SSE}`, { headers: { accept: 'text/event-stream' }, signal: abort.signal });
+      expect(stream.status).toBe(200);
+      expect(stream.headers.get('content-type')).toMatch(/text\/event-stream/);
+      const next = sseReader(stream);
+
+      const endpoint = await next();
+      expect(endpoint.event).toBe('endpoint');
+      const messages = new URL(endpoint.data, base);
+      expect(messages.pathname).toBe(HTTP_PATHS.MESSAGES);
+      const sessionId = messages.searchParams.get('sessionId');
+      expect(running.sessions.has(sessionId)).toBe(true);
+
+      const post = (message) =>
+        fetch(messages, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(message) });
+
+      expect((await post(initializeBody)).status).toBe(202);
+      const initialized = await next();
+      expect(initialized.event).toBe('message');
+      expect(JSON.parse(initialized.data)).toMatchObject({ id: 1, result: { serverInfo: { name: 'test' } } });
+
+      expect((await post({ jsonrpc: '2.0', method: 'notifications/initialized' })).status).toBe(202);
+      expect((await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' })).status).toBe(202);
+      expect(JSON.parse((await next()).data)).toEqual({ jsonrpc: '2.0', id: 2, result: { tools: [] } });
+
+      const unknown = await fetch(`${base}${HTTP_PATHS.MESSAGES}?sessionId=nope`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 3, method: 'tools/list' }),
+      });
+      expect(unknown.status).toBe(404);
+    } finally {
+      abort.abort();
+    }
+  });
+});
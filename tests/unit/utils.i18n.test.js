@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { languageChain, localize, applyLanguage } from '../../src/utils/i18n.js';
+
+const dataset = {
+  name: 'luftqualitaet',
+  title: { de: 'Luftqualität', fr: 'Qualité de l’air', it: '', en: '' },
+  keywords: { de: ['luft'], fr: ['air'], it: [], en: [] },
+  language: ['de', 'fr'],
+  organization: {
+    name: 'bafu',
+    title: '{"de": "BAFU", "fr": "OFEV", "it": "UFAM", "en": "FOEN"}',
+  },
+};
+
+describe('i18n', () => {
+  it('builds a fallback chain from the preferred languages', () => {
+    expect(languageChain()).toEqual(['en', 'de', 'fr', 'it']);
+    expect(languageChain('fr')).toEqual(['fr', 'en', 'de', 'it']);
+  });
+
+  it('flattens language maps, falling back when the language is empty', () => {
+    const out = localize(dataset, 'it');
+    expect(out.title).toBe('Luftqualität');
+    expect(out.keywords).toEqual(['luft']);
+    expect(out.language).toEqual(['de', 'fr']);
+    expect(out.organization).toEqual({ name: 'bafu', title: 'UFAM' });
+  });
+
+  it('uses the requested language when present', () => {
+    const out = localize(dataset, 'fr');
+    expect(out.title).toBe('Qualité de l’air');
+    expect(out.keywords).toEqual(['air']);
+  });
+
+  it('keeps all languages on request', () => {
+    expect(applyLanguage(dataset, { all_languages: true })).toBe(dataset);
+    expect(applyLanguage(dataset, { lang: 'de' }).title).toBe('Luftqualität');
+  });
+});
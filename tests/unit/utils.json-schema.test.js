@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { z } from 'zod';
+import { zodToJsonSchema } from '../../src/utils/json-schema.js';
+
+describe('zodToJsonSchema', () => {
+  it('converts objects with required fields, descriptions and constraints', () => {
+    const schema = z
+      .object({
+        id: z.string().min(1).describe('Dataset id or name'),
+        rows: z.number().int().positive().max(1000).optional(),
+        detail: z.enum(['summary', 'full']).optional(),
+        tags: z.array(z.string()).min(1).optional(),
+      })
+      .strict();
+    expect(zodToJsonSchema(schema)).toEqual({
+      type: 'object',
+      properties: {
+        id: { type: 'string', minLength: 1, description: 'Dataset id or name' },
+        rows: { type: 'integer', exclusiveMinimum: 0, maximum: 1000 },
+        detail: { type: 'string', enum: ['summary', 'full'] },
+        tags: { type: 'array', items: { type: 'string' }, minItems: 1 },
+      },
+      required: ['id'],
+      additionalProperties: false,
+    });
+  });
+
+  it('converts unions, records and passthrough objects', () => {
+    const schema = z
+      .object({
+        fq: z.union([z.string(), z.array(z.string())]).optional(),
+        counts: z.record(z.number()).optional(),
+        extra: z.any().optional(),
+      })
+      .passthrough();
+    expect(zodToJsonSchema(schema)).toEqual({
+      type: 'object',
+      properties: {
+        fq: { anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }] },
+        counts: { type: 'object', additionalProperties: { type: 'number' } },
+        extra: {},
+      },
+    });
+  });
+});
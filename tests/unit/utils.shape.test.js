@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import {
+  stripEnvelope,
+  projectFields,
+  fitToBudget,
+  shapeResponse,
+  shapeToolResult,
+  toStructuredContent,
+} from '../../src/utils/shape.js';
+
+const search = {
+  help: 'https://ckan.example/api/3/action/help_show?name=package_search',
+  success: true,
+  result: {
+    count: 2,
+    results: [
+      {
+        name: 'luftqualitaet',
+        title: 'Luftqualität',
+        notes: 'x'.repeat(500),
+        extras: [],
+        author: null,
+        organization: { name: 'bafu', title: 'BAFU' },
+        resources: [
+          { format: 'CSV', url: 'https://example.org/a.csv' },
+          { format: 'JSON', url: 'https://example.org/a.json' },
+        ],
+      },
+      { name: 'laerm', title: 'Lärm', resources: [{ format: 'CSV' }] },
+    ],
+  },
+};
+
+describe('response shaping', () => {
+  it('strips the CKAN envelope but keeps failures intact', () => {
+    expect(stripEnvelope(search)).toBe(search.result);
+    const failure = { success: false, error: { message: 'Not found' } };
+    expect(stripEnvelope(failure)).toBe(failure);
+  });
+
+  it('projects dot paths on each item, through arrays', () => {
+    const out = projectFields(stripEnvelope(search), ['name', 'resources.format']);
+    expect(out.count).toBe(2);
+    expect(out.results[0]).toEqual({ name: 'luftqualitaet', resources: [{ format: 'CSV' }, { format: 'JSON' }] });
+    expect(out.results[1]).toEqual({ name: 'laerm', resources: [{ format: 'CSV' }] });
+  });
+
+  it('drops empty values at standard detail and keeps everything at full', () => {
+    const standard = JSON.parse(shapeResponse(search));
+    expect(standard.results[0]).not.toHaveProperty('author');
+    expect(standard.results[0]).not.toHaveProperty('extras');
+    const full = JSON.parse(shapeResponse(search, { detail: 'full' }));
+    expect(full.success).toBe(true);
+    expect(full.result.results[0].author).toBeNull();
+  });
+
+  it('reduces items to key fields at summary detail', () => {
+    const out = JSON.parse(shapeResponse(search, { detail: 'summary' }));
+    expect(out.results[0]).toEqual({
+      name: 'luftqualitaet',
+      title: 'Luftqualität',
+      notes: `${'x'.repeat(200)}…`,
+      organization: 'bafu',
+      formats: ['CSV', 'JSON'],
+    });
+  });
+
+  it('cuts lists to the budget with a hint to continue', () => {
+    const data = { count: 100, results: Array.from({ length: 100 }, (_, i) => ({ name: `dataset-${i}` })) };
+    const out = JSON.parse(fitToBudget(data, 1000, { pageParam: 'start', pageStart: 20 }));
+    expect(out.results.length).toBeGreaterThan(0);
+    expect(out.results.length).toBeLessThan(100);
+    expect(out._truncated.returned).toBe(out.results.length);
+    expect(out._truncated.hint).toContain(`start=${20 + out.results.length}`);
+    expect(JSON.stringify(out, null, 2).length).toBeLessThanOrEqual(1000);
+  });
+
+  it('cuts single objects and plain text at the character limit', () => {
+    const text = fitToBudget({ notes: 'y'.repeat(300) }, 100);
+    expect(text.startsWith('{')).toBe(true);
+    expect(text).toContain('truncated at 100 of');
+
+    const result = shapeToolResult({ content: [{ type: 'text', text: 'z'.repeat(300) }] }, { max_chars: 50 });
+    expect(result.content[0].text).toContain('truncated at 50 of 300 chars');
+  });
+
+  it('leaves error results untouched', () => {
+    const error = { isError: true, content: [{ type: 'text', text: '{"success": false}' }] };
+    expect(shapeToolResult(error, { detail: 'summary' })).toBe(error);
+  });
+
+  it('exposes CKAN results as structured objects', () => {
+    expect(toStructuredContent(search)).toBe(search.result);
+    expect(toStructuredContent({ success: true, result: ['a', 'b'] })).toEqual({ items: ['a', 'b'] });
+    expect(toStructuredContent({ success: true, result: 'docs' })).toEqual({ result: 'docs' });
+  });
+
+  it('keeps structuredContent in sync with the shaped text', () => {
+    const result = {
+      content: [{ type: 'text', text: JSON.stringify(search) }],
+      structuredContent: toStructuredContent(search),
+    };
+    const out = shapeToolResult(result, { fields: ['name'] });
+    expect(out.structuredContent).toEqual({ count: 2, results: [{ name: 'luftqualitaet' }, { name: 'laerm' }] });
+    expect(JSON.parse(out.content[0].text)).toEqual(out.structuredContent);
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { buildFq, filterClauses, normalizeFq, normalizeQ, solrPhrase } from '../../src/utils/solr.js';
+
+describe('solr utils', () => {
+  it('quotes values as phrases and escapes quotes and backslashes', () => {
+    expect(solrPhrase('bundesamt-fur-statistik-bfs')).toBe('"bundesamt-fur-statistik-bfs"');
+    expect(solrPhrase('a "b" \\c')).toBe('"a \\"b\\" \\\\c"');
+    expect(filterClauses({ tags: 'x" OR *:*' })).toEqual(['tags:"x\\" OR *:*"']);
+  });
+
+  it('ORs the values of a filter and ANDs filters in a fixed order', () => {
+    expect(
+      filterClauses({ political_level: 'canton', groups: ['gove', 'mobi', 'gove'], keywords_fr: 'eau' })
+    ).toEqual(['(groups:"gove" OR groups:"mobi")', 'keywords_fr:"eau"', 'political_level:"canton"']);
+  });
+
+  it('compiles the modified range to a half-open UTC interval', () => {
+    expect(filterClauses({ modified_after: '2024-01-01', modified_before: '2024-06-30T12:00:00+02:00' })).toEqual([
+      'metadata_modified:[2024-01-01T00:00:00Z TO 2024-06-30T10:00:00Z}',
+    ]);
+    expect(filterClauses({ modified_before: '2024-01-01' })).toEqual(['metadata_modified:[* TO 2024-01-01T00:00:00Z}']);
+    expect(() => filterClauses({ modified_after: 'yesterday' })).toThrow(/modified_after must be an ISO 8601 date/);
+  });
+
+  it('combines filters with a raw fq and leaves a raw fq alone without filters', () => {
+    expect(buildFq({}, 'language:de')).toBe('language:de');
+    expect(buildFq({}, ['a:1', 'b:2'])).toEqual(['a:1', 'b:2']);
+    expect(buildFq({}, undefined)).toBeUndefined();
+    expect(buildFq({ license_id: 'cc-by' }, ['a:1 OR b:2', ' '])).toBe('license_id:"cc-by" AND (a:1 OR b:2)');
+  });
+
+  it('normalizes organization filters and match-all queries', () => {
+    expect(normalizeFq('organization:bafu AND language:de')).toBe(
+      '(organization:"bafu" OR publisher:"bafu") AND language:de'
+    );
+    expect(normalizeFq('(organization:"a" OR organization:b)')).toBe(
+      '((organization:"a" OR publisher:"a") OR (organization:"b" OR publisher:"b"))'
+    );
+    expect(normalizeFq(['organization:bafu'])).toEqual(['organization:bafu']);
+    expect(normalizeQ('*')).toBe('*:*');
+    expect(normalizeQ(undefined)).toBe('*:*');
+    expect(normalizeQ('water')).toBe('water');
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { filterConditions, quoteIdentifier, validateSql, SqlValidationError } from '../../src/utils/sql.js';
+
+const T = '"2b8f6c8e-1234-4d8a-9b2c-0a1b2c3d4e5f"';
+const ID = '2b8f6c8e-1234-4d8a-9b2c-0a1b2c3d4e5f';
+
+/**
+ * Rule that rejected a query, or undefined when it passed.
+ * @param {string} sql
+ * @returns {string|undefined}
+ */
+function rejectedBy(sql) {
+  try {
+    validateSql(sql, { maxRows: 1000 });
+    return undefined;
+  } catch (e) {
+    expect(e).toBeInstanceOf(SqlValidationError);
+    return e.rule;
+  }
+}
+
+describe('SQL quoting', () => {
+  it('quotes identifiers and filter values', () => {
+    expect(quoteIdentifier('a"b')).toBe('"a""b"');
+    expect(filterConditions({ name: "O'Brien", jahr: [2023, 2024], ok: true })).toEqual([
+      `"name" = 'O''Brien'`,
+      '"jahr" IN (2023, 2024)',
+      '"ok" = TRUE',
+    ]);
+    expect(filterConditions({ nested: { a: 1 } })).toBeUndefined();
+  });
+});
+
+describe('validateSql', () => {
+  it('accepts column names that contain SQL keywords', () => {
+    const sql = `SELECT "update_date", "Created", "delete_flag" FROM ${T} WHERE "Created" > '2024' LIMIT 5`;
+    expect(validateSql(sql, { maxRows: 1000 })).toEqual({ sql, limit: 5, tables: [ID] });
+  });
+
+  it('accepts analytical queries, CTEs and joins of resource tables', () => {
+    expect(rejectedBy(`SELECT kanton, SUM(NULLIF(TRIM("n"::text), '')::numeric) AS s FROM ${T} GROUP BY kanton`)).toBeUndefined();
+    expect(rejectedBy(`SELECT a, rank() OVER (PARTITION BY b ORDER BY c) FROM ${T}`)).toBeUndefined();
+    expect(rejectedBy(`WITH y AS (SELECT * FROM ${T}) SELECT * FROM y JOIN ${T} t ON t.a = y.a`)).toBeUndefined();
+  });
+
+  it('rejects writes, locks and multiple statements', () => {
+    expect(rejectedBy(`DELETE FROM ${T}`)).toBe('read_only');
+    expect(rejectedBy(`TRUNCATE ${T}`)).toBe('read_only');
+    expect(rejectedBy(`WITH d AS (DELETE FROM ${T} RETURNING *) SELECT * FROM d`)).toBe('read_only');
+    expect(rejectedBy(`SELECT * FROM ${T} FOR UPDATE`)).toBe('read_only');
+    expect(rejectedBy(`SELECT 1; DROP TABLE ${T}`)).toBe('single_statement');
+    expect(rejectedBy(`COPY ${T} TO '/tmp/x'`)).toBe('syntax');
+    expect(() => validateSql('SELECT FROM WHERE', { maxRows: 10 })).toThrow(/rule "syntax": Syntax error at line 1 col \d+: Unexpected/);
+  });
+
+  it('rejects tables that are not resources and dangerous functions', () => {
+    expect(rejectedBy('SELECT * FROM pg_catalog.pg_tables')).toBe('tables');
+    expect(rejectedBy('SELECT * FROM "_table_metadata"')).toBe('tables');
+    expect(rejectedBy(`SELECT * FROM ${T} WHERE a IN (SELECT usename FROM pg_user)`)).toBe('tables');
+    // CTE names only shadow tables where the WITH is in scope
+    expect(rejectedBy('SELECT * FROM (WITH pg_user AS (SELECT 1) SELECT 1) a, pg_user')).toBe('tables');
+    expect(rejectedBy(`WITH a AS (SELECT * FROM b), b AS (SELECT * FROM ${T}) SELECT * FROM a`)).toBe('tables');
+    expect(rejectedBy(`WITH a AS (SELECT * FROM ${T}), b AS (SELECT * FROM a) SELECT * FROM b`)).toBeUndefined();
+    expect(rejectedBy(`WITH RECURSIVE r(n) AS (SELECT 1 UNION ALL SELECT n + 1 FROM r WHERE n < 3) SELECT * FROM r, ${T}`)).toBeUndefined();
+    expect(rejectedBy('WITH RECURSIVE r(n) AS (SELECT 1 UNION ALL SELECT n FROM r) SELECT * FROM (WITH q AS (SELECT 1) SELECT * FROM r) y, q')).toBe('tables');
+    expect(rejectedBy(`SELECT pg_sleep(10) FROM ${T}`)).toBe('functions');
+    expect(rejectedBy(`SELECT * FROM dblink('host=x', 'select 1')`)).toBe('functions');
+    expect(rejectedBy(`SELECT current_setting('data_directory')`)).toBe('functions');
+    expect(rejectedBy(`SELECT public.f(a) FROM ${T}`)).toBe('functions');
+    expect(() => validateSql("SELECT pg_read_file('/etc/passwd')", { maxRows: 10 })).toThrow(
+      'SQL rejected by rule "functions": function pg_read_file() is not allowed'
+    );
+  });
+
+  it('injects or clamps the LIMIT', () => {
+    expect(validateSql(`SELECT * FROM ${T} -- all rows`, { maxRows: 100 })).toMatchObject({
+      sql: `SELECT * FROM (\nSELECT * FROM ${T}\n) AS "_limited" LIMIT 100`,
+      limit: 100,
+    });
+    expect(validateSql(`SELECT * FROM ${T} LIMIT 50000;`, { maxRows: 100 }).sql).toMatch(/LIMIT 50000\n\) AS "_limited" LIMIT 100$/);
+    expect(validateSql(`SELECT a FROM ${T} UNION SELECT a FROM ${T} LIMIT 5`, { maxRows: 100 }).limit).toBe(100);
+  });
+
+  it('keeps implicit aliases of tables, subqueries and VALUES', () => {
+    const wrap = (text) => `SELECT * FROM (\n${text}\n) AS "_limited" LIMIT 100`;
+    expect(validateSql(`SELECT t.a FROM ${T} t`, { maxRows: 100 }).sql).toBe(wrap(`SELECT t.a FROM ${T} t`));
+    expect(validateSql('SELECT sub.x FROM (SELECT 1 AS x) sub;', { maxRows: 100 }).sql).toBe(
+      wrap('SELECT sub.x FROM (SELECT 1 AS x) sub')
+    );
+    expect(validateSql('SELECT * FROM (VALUES (1)) v /* rows */ ; -- done', { maxRows: 100 }).sql).toBe(
+      wrap('SELECT * FROM (VALUES (1)) v')
+    );
+    expect(validateSql(`SELECT "x;""y".a FROM ${T} "x;""y" LIMIT 5`, { maxRows: 100 }).sql).toBe(
+      `SELECT "x;""y".a FROM ${T} "x;""y" LIMIT 5`
+    );
+  });
+});